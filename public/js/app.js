@@ -34,6 +34,14 @@ class EventConflictFinder {
     this.map = null;
     this.events = [];
     this.conflicts = [];
+    this.clusters = []; // N-way conflict clusters from groupBy=cluster
+    this.metroRegionsPromise = null; // Cached GeoJSON of the active metro regions
+    this.metroRegionLayer = null; // Outline of the metro region the last detection matched
+    this.activeMetroRegion = null;
+    this.scanHistoryStorageKey = 'ecf_conflict_scans';
+    this.scanBaselines = new Map(); // Location key -> previous visit's scan, read once per page load
+    this.newConflictIds = new Set(); // Conflict ids not present in the last scan of this location
+    this.scanChanges = null; // { scannedAt, new, resolved, severityChanged } vs. the last scan
     this.markers = [];
     this.locationCoords = null;
     this.selectedEventId = null; // Track selected event
@@ -599,7 +607,9 @@ class EventConflictFinder {
         this.markers.forEach(marker => this.map.removeLayer(marker));
         this.markers = [];
         this.conflicts = [];
+        this.clusters = [];
         this.eventConflictsMap = {};
+        this.showMetroRegion(null);
         // Still center map on location for reference
         this.map.setView([coords.lat, coords.lng], 12);
         return;
@@ -1245,9 +1255,11 @@ class EventConflictFinder {
             <strong>${this.escapeHtml(event.name)}</strong><br>
             <strong>Source:</strong> ${event.source}<br>
             <strong>Venue:</strong> ${event.venue.name || 'N/A'}<br>
-            <strong>Start:</strong> ${this.formatDateInVenueTimezone(startDate, event.venue)}<br>
-            <strong>End:</strong> ${this.formatDateInVenueTimezone(endDate, event.venue)}<br>
-            ${event.url ? `<a href="${event.url}" target="_blank">View Event</a>` : ''}
+            ${event.timeKind && event.timeKind !== 'timed'
+              ? `<strong>When:</strong> ${this.formatEventTimeRange(event)}<br>`
+              : `<strong>Start:</strong> ${this.formatDateInVenueTimezone(startDate, event.venue)}<br>
+            <strong>End:</strong> ${this.formatDateInVenueTimezone(endDate, event.venue)}${event.endEstimated ? ' (est.)' : ''}<br>`}
+            ${this.renderSourceLinks(event) ? `<strong>Listed on:</strong> ${this.renderSourceLinks(event)}<br>` : ''}
             <br><br>
             <button onclick="window.selectEventFromMap('${event.id}')" style="background: #667eea; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; width: 100%; margin-top: 8px;">
               View Conflicts
@@ -1274,8 +1286,6 @@ class EventConflictFinder {
       }
 
       // Create list item with click handler (only if marker was created successfully)
-      const startDate = new Date(event.start);
-      const endDate = new Date(event.end);
       const eventItem = document.createElement('div');
       eventItem.className = 'event-item';
       eventItem.dataset.eventId = event.id;
@@ -1286,6 +1296,7 @@ class EventConflictFinder {
         ? `<span class="conflict-badge" title="${this.eventConflictsMap[event.id].length} conflict(s)">⚠️ ${this.eventConflictsMap[event.id].length}</span>`
         : '';
       const eventGenresMarkup = this.renderGenrePills(event.genres);
+      const sourceLinksMarkup = this.renderSourceLinks(event);
       
       eventItem.innerHTML = `
         <h4>
@@ -1293,15 +1304,22 @@ class EventConflictFinder {
           ${conflictBadge}
         </h4>
         <p><strong>Venue:</strong> ${event.venue.name || 'N/A'}</p>
-        <p><strong>Time:</strong> ${this.formatDateInVenueTimezone(startDate, event.venue)} - ${this.formatTimeInVenueTimezone(endDate, event.venue)}</p>
+        <p><strong>Time:</strong> ${this.formatEventTimeRange(event)}</p>
+        ${sourceLinksMarkup ? `<p class="event-sources"><strong>Listed on:</strong> ${sourceLinksMarkup}</p>` : ''}
         ${eventGenresMarkup ? `<div class="genre-pill-row">${eventGenresMarkup}</div>` : ''}
       `;
 
-      if (event.source === 'ticketmaster' && event.url) {
+      // Merged events may carry a Ticketmaster listing even when another provider was seen first
+      const ticketmasterSource = event.source === 'ticketmaster'
+        ? { url: event.url }
+        : (Array.isArray(event.sources) ? event.sources.find(source => source.provider === 'ticketmaster') : null);
+      const ticketmasterUrl = ticketmasterSource?.url || null;
+
+      if (ticketmasterUrl) {
         // Validate URL before showing button
         let isValidUrl = false;
         try {
-          const urlObj = new URL(event.url);
+          const urlObj = new URL(ticketmasterUrl);
           const hostname = urlObj.hostname.toLowerCase();
           isValidUrl = hostname.includes('ticketmaster') || hostname.includes('tm.com');
         } catch (error) {
@@ -1318,7 +1336,7 @@ class EventConflictFinder {
           ticketmasterButton.addEventListener('click', (buttonEvent) => {
             buttonEvent.stopPropagation();
             try {
-              const normalizedUrl = new URL(event.url);
+              const normalizedUrl = new URL(ticketmasterUrl);
               window.open(normalizedUrl.toString(), '_blank', 'noopener,noreferrer');
             } catch (openError) {
               console.error('Unable to open Ticketmaster link:', openError);
@@ -1754,7 +1772,10 @@ class EventConflictFinder {
     const normalizedEventId = String(eventId);
     
     const event = this.events.find(e => String(e.id) === normalizedEventId);
-    const eventConflicts = this.eventConflictsMap[normalizedEventId] || [];
+    // Highest competitive risk first
+    const eventConflicts = (this.eventConflictsMap[normalizedEventId] || [])
+      .slice()
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
 
     if (conflictPanel) {
       if (event) {
@@ -1813,6 +1834,9 @@ class EventConflictFinder {
       }
 
       const severityBadge = `<span class="severity-badge">${conflict.severity}</span>`;
+      const scoreBadge = typeof conflict.score === 'number'
+        ? `<span class="score-badge" title="${this.escapeHtml(this.formatScoreBreakdown(conflict.scoreBreakdown))}">Risk ${conflict.score}/100</span>`
+        : '';
       
       // Get event times for better explanation
       const event1Start = new Date(conflict.events[0].start);
@@ -1829,24 +1853,25 @@ class EventConflictFinder {
       const sharedGenresMarkup = conflict.directCompetition ? this.renderGenrePills(conflict.sharedGenres) : '';
       
       conflictItem.innerHTML = `
-        <h4>${conflictTypeLabel} ${competitionBadge}</h4>
+        <h4>${conflictTypeLabel} ${competitionBadge}${this.renderNewConflictBadge(this.newConflictIds.has(conflict.id))}</h4>
         <p style="font-size: 0.8rem; color: #6b7280; margin-bottom: 0.75rem; font-style: italic;">${conflictExplanation}</p>
         <p><strong>Time Slot:</strong> ${conflict.timeSlot}</p>
-        <p><strong>Severity:</strong> ${severityBadge}</p>
+        <p><strong>Severity:</strong> ${severityBadge} ${scoreBadge}</p>
         ${sharedGenresMarkup ? `<div class="genre-callout"><strong>Shared genres:</strong> ${sharedGenresMarkup}</div>` : ''}
+        ${this.renderConflictExplanation(conflict.explanation)}
         <p style="margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid #e5e7eb;"><strong>Event Times:</strong></p>
         <ul style="margin-top: 0.5rem;">
           <li style="margin-bottom: 0.5rem;">
             <strong>${this.escapeHtml(conflict.events[0].name)}</strong><br>
             <span style="font-size: 0.8rem; color: #6b7280;">
-              ${this.formatDateInVenueTimezone(conflict.events[0].start, conflict.events[0].venue)} - ${this.formatTimeInVenueTimezone(conflict.events[0].end, conflict.events[0].venue)}
+              ${this.formatEventTimeRange(conflict.events[0])}
               ${isSameVenue ? '' : `<br>Venue: ${this.escapeHtml(conflict.events[0].venue?.name || 'Unknown')}`}
             </span>
           </li>
           <li>
             <strong>${this.escapeHtml(conflict.events[1].name)}</strong><br>
             <span style="font-size: 0.8rem; color: #6b7280;">
-              ${this.formatDateInVenueTimezone(conflict.events[1].start, conflict.events[1].venue)} - ${this.formatTimeInVenueTimezone(conflict.events[1].end, conflict.events[1].venue)}
+              ${this.formatEventTimeRange(conflict.events[1])}
               ${isSameVenue ? '' : `<br>Venue: ${this.escapeHtml(conflict.events[1].venue?.name || 'Unknown')}`}
             </span>
           </li>
@@ -1861,12 +1886,66 @@ class EventConflictFinder {
             </li>
           `).join('')}
         </ul>` : ''}
+        ${this.renderMuteActions(conflict)}
       `;
 
+      conflictItem.querySelectorAll('.mute-btn').forEach(button => {
+        button.addEventListener('click', () => this.muteConflict(conflict, button.dataset.muteType, button));
+      });
+
       conflictList.appendChild(conflictItem);
     });
   }
 
+  renderMuteActions(conflict) {
+    const [first, second] = conflict.events;
+    const canMuteVenues = first.venue?.id && second.venue?.id;
+    return `
+      <div class="conflict-actions">
+        <button type="button" class="mute-btn" data-mute-type="event_pair" title="Never show this pair of events as a conflict again">🔇 Mute this pair</button>
+        ${canMuteVenues ? `<button type="button" class="mute-btn" data-mute-type="venue_pair" title="Never show conflicts between these venues again">🔇 Mute these venues</button>` : ''}
+      </div>
+    `;
+  }
+
+  // Save a suppression rule for this conflict, then re-run detection without it
+  async muteConflict(conflict, type, button) {
+    const [first, second] = conflict.events;
+    const rule = type === 'venue_pair'
+      ? { type, venueIds: [first.venue.id, second.venue.id], note: `${first.venue.name} / ${second.venue.name}` }
+      : { type: 'event_pair', eventIds: [first.id, second.id], note: `${first.name} / ${second.name}` };
+
+    if (button) {
+      button.disabled = true;
+    }
+
+    try {
+      const response = await fetch('/api/conflicts/rules', {
+        method: 'POST',
+        headers: this.buildUserHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(rule)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const { timeBuffer, filters } = this.lastDetection || {};
+      await this.detectConflicts(timeBuffer || 30, filters || {});
+    } catch (error) {
+      console.error('Failed to mute conflict:', error);
+      this.displayError('Failed to mute this conflict. Please try again.');
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  // Identify the user to the API so per-user settings (e.g. muted conflicts) apply
+  buildUserHeaders(headers = {}) {
+    const email = (this.userEmail || this.paywallState?.email || '').trim().toLowerCase();
+    return email ? { ...headers, 'X-User-Email': email } : headers;
+  }
+
   highlightConflictingEvents(eventId) {
     // Normalize eventId to string
     const normalizedEventId = String(eventId);
@@ -2125,11 +2204,14 @@ class EventConflictFinder {
       venueRadiusKm: filterOverrides.venueRadiusKm !== undefined ? filterOverrides.venueRadiusKm : fallbackFilters.venueRadiusKm
     };
     const radiusForLogging = appliedFilters.venueRadiusKm ?? 1;
+    this.lastDetection = { timeBuffer, filters: filterOverrides };
 
     try {
       const payload = {
         events: this.events,
         timeBuffer: timeBuffer,
+        groupBy: 'cluster',
+        sortBy: 'score',
         context: {
           lat: this.locationCoords?.lat || null,
           lon: this.locationCoords?.lng || null
@@ -2148,9 +2230,9 @@ class EventConflictFinder {
 
       const response = await fetch('/api/conflicts/detect', {
         method: 'POST',
-        headers: {
+        headers: this.buildUserHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify(payload)
       });
 
@@ -2160,6 +2242,9 @@ class EventConflictFinder {
 
       const data = await response.json();
       this.conflicts = data.conflicts || [];
+      this.clusters = data.clusters || [];
+      this.showMetroRegion(data.thresholdDetails?.metroRegion || null);
+      this.compareWithLastScan(this.conflicts);
       
       // Rebuild conflicts map
       this.buildConflictsMap();
@@ -2196,6 +2281,133 @@ class EventConflictFinder {
     }
   }
 
+  loadMetroRegions() {
+    if (!this.metroRegionsPromise) {
+      this.metroRegionsPromise = fetch('/api/conflicts/metro-regions')
+        .then(response => (response.ok ? response.json() : { features: [] }))
+        .catch(() => ({ features: [] }));
+    }
+    return this.metroRegionsPromise;
+  }
+
+  // Outline the metro region whose thresholds the last detection used (null clears it)
+  async showMetroRegion(regionName) {
+    this.activeMetroRegion = regionName;
+    if (this.metroRegionLayer && this.map) {
+      this.map.removeLayer(this.metroRegionLayer);
+    }
+    this.metroRegionLayer = null;
+    if (!regionName || !this.map || typeof L === 'undefined') {
+      return;
+    }
+
+    const collection = await this.loadMetroRegions();
+    // A newer detection may have picked another region while the list loaded
+    if (this.activeMetroRegion !== regionName || this.metroRegionLayer) {
+      return;
+    }
+    const feature = (collection.features || []).find(item => item.properties?.name === regionName);
+    if (!feature) {
+      return;
+    }
+
+    this.metroRegionLayer = L.geoJSON(feature, {
+      interactive: false,
+      style: {
+        className: 'metro-region-outline',
+        weight: 2,
+        dashArray: '6 6',
+        fillOpacity: 0.04
+      }
+    }).addTo(this.map);
+  }
+
+  // Scans of the same location (to ~1 km) are compared with each other
+  getScanKey() {
+    if (!this.locationCoords) {
+      return null;
+    }
+    return `${Number(this.locationCoords.lat).toFixed(2)},${Number(this.locationCoords.lng).toFixed(2)}`;
+  }
+
+  loadScanHistory() {
+    try {
+      return JSON.parse(localStorage.getItem(this.scanHistoryStorageKey) || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Mark conflicts that are new since the last scan of this location, then save this scan.
+   * The baseline is read once per page load, so re-running detection with other
+   * filters keeps comparing against the previous visit.
+   */
+  compareWithLastScan(conflicts) {
+    this.newConflictIds = new Set();
+    this.scanChanges = null;
+    const key = this.getScanKey();
+    if (!key) {
+      return;
+    }
+
+    const history = this.loadScanHistory();
+    if (!this.scanBaselines.has(key)) {
+      this.scanBaselines.set(key, history[key] || null);
+    }
+
+    const current = {};
+    conflicts.forEach(conflict => {
+      if (conflict.id) {
+        current[conflict.id] = conflict.severity;
+      }
+    });
+
+    const baseline = this.scanBaselines.get(key);
+    if (baseline) {
+      const previous = baseline.conflicts || {};
+      Object.keys(current).forEach(id => {
+        if (!(id in previous)) {
+          this.newConflictIds.add(id);
+        }
+      });
+      this.scanChanges = {
+        scannedAt: baseline.scannedAt,
+        new: this.newConflictIds.size,
+        resolved: Object.keys(previous).filter(id => !(id in current)).length,
+        severityChanged: Object.keys(current).filter(id => id in previous && previous[id] !== current[id]).length
+      };
+    }
+
+    history[key] = { scannedAt: new Date().toISOString(), conflicts: current };
+    // Keep the 20 most recently scanned locations
+    Object.keys(history)
+      .sort((a, b) => (history[b].scannedAt || '').localeCompare(history[a].scannedAt || ''))
+      .slice(20)
+      .forEach(staleKey => delete history[staleKey]);
+    try {
+      localStorage.setItem(this.scanHistoryStorageKey, JSON.stringify(history));
+    } catch (error) {
+      console.warn('Unable to save conflict scan history:', error);
+    }
+  }
+
+  describeScanChanges() {
+    if (!this.scanChanges) {
+      return '';
+    }
+    const { scannedAt, new: added, resolved, severityChanged } = this.scanChanges;
+    const parts = [`${added} new`, `${resolved} resolved`];
+    if (severityChanged > 0) {
+      parts.push(`${severityChanged} changed severity`);
+    }
+    return ` · ${parts.join(', ')} since last scan (${new Date(scannedAt).toLocaleDateString()})`;
+  }
+
+  renderNewConflictBadge(isNew) {
+    return isNew ? '<span class="new-conflict-badge">New since last scan</span>' : '';
+  }
+
   displayConflicts() {
     // Original method - show all conflicts when no event is selected
     const conflictList = document.getElementById('conflict-list');
@@ -2218,14 +2430,14 @@ class EventConflictFinder {
       if (conflictCount.parentElement) {
         const subtitle = conflictCount.parentElement.querySelector('.conflict-count-subtitle');
         if (subtitle) {
-          subtitle.textContent = `(${uniqueEventsInConflicts.size} events involved)`;
+          subtitle.textContent = `(${uniqueEventsInConflicts.size} events involved)${this.describeScanChanges()}`;
         } else {
           const newSubtitle = document.createElement('div');
           newSubtitle.className = 'conflict-count-subtitle';
           newSubtitle.style.fontSize = '0.75rem';
           newSubtitle.style.color = 'rgba(255, 255, 255, 0.6)';
           newSubtitle.style.marginTop = '4px';
-          newSubtitle.textContent = `(${uniqueEventsInConflicts.size} events involved)`;
+          newSubtitle.textContent = `(${uniqueEventsInConflicts.size} events involved)${this.describeScanChanges()}`;
           conflictCount.parentElement.appendChild(newSubtitle);
         }
       }
@@ -2238,13 +2450,66 @@ class EventConflictFinder {
       return;
     }
 
-    conflictList.innerHTML = '<div class="empty-state"><p>👆 Click on an event to see its conflicts</p><p style="font-size: 0.8rem; margin-top: 8px; color: rgba(255,255,255,0.6);">Each conflict pair involves 2 events. Click an event to see all conflicts it\'s involved in.</p></div>';
+    if (!Array.isArray(this.clusters) || this.clusters.length === 0) {
+      conflictList.innerHTML = '<div class="empty-state"><p>👆 Click on an event to see its conflicts</p><p style="font-size: 0.8rem; margin-top: 8px; color: rgba(255,255,255,0.6);">Each conflict pair involves 2 events. Click an event to see all conflicts it\'s involved in.</p></div>';
+      return;
+    }
+
+    if (conflictCount) {
+      conflictCount.textContent = `${this.clusters.length} cluster${this.clusters.length !== 1 ? 's' : ''}`;
+    }
+
+    // One card per cluster instead of one per pair
+    conflictList.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    this.clusters.forEach(cluster => {
+      fragment.appendChild(this.renderClusterCard(cluster));
+    });
+    conflictList.appendChild(fragment);
+  }
+
+  renderClusterCard(cluster) {
+    const clusterItem = document.createElement('div');
+    clusterItem.className = `conflict-item cluster-item ${cluster.severity}-severity`;
+
+    const firstEvent = cluster.events[0] || {};
+    const windowLabel = cluster.timeWindow?.start
+      ? `${this.formatDateInVenueTimezone(cluster.timeWindow.start, firstEvent.venue)} - ${this.formatTimeInVenueTimezone(cluster.timeWindow.end, firstEvent.venue)}`
+      : 'Unknown time';
+    const sharedGenresMarkup = this.renderGenrePills(cluster.sharedGenres);
+
+    clusterItem.innerHTML = `
+      <h4>${cluster.size} overlapping events ${sharedGenresMarkup ? '<span class="genre-badge">Direct competition</span>' : ''}${this.renderNewConflictBadge((cluster.conflictIds || []).some(id => this.newConflictIds.has(id)))}</h4>
+      <p><strong>Time Window:</strong> ${windowLabel}</p>
+      <p><strong>Severity:</strong> <span class="severity-badge">${cluster.severity}</span>${typeof cluster.score === 'number' ? ` <span class="score-badge">Peak risk ${cluster.score}/100</span>` : ''}</p>
+      <p style="font-size: 0.8rem; color: #6b7280;">${cluster.pairCount} conflicting pair${cluster.pairCount !== 1 ? 's' : ''}${cluster.centroid ? ` · centered near ${cluster.centroid.lat.toFixed(4)}, ${cluster.centroid.lon.toFixed(4)}` : ''}</p>
+      ${sharedGenresMarkup ? `<div class="genre-callout"><strong>Shared genres:</strong> ${sharedGenresMarkup}</div>` : ''}
+      <ul class="cluster-members" style="margin-top: 0.5rem;">
+        ${cluster.events.map(event => `
+          <li data-event-id="${this.escapeHtml(String(event.id))}" style="margin-bottom: 0.4rem; cursor: pointer;">
+            <strong>${this.escapeHtml(event.name)}</strong>
+            <span class="source-badge ${event.source}">${event.source}</span><br>
+            <span style="font-size: 0.8rem; color: #6b7280;">
+              ${this.formatTimeInVenueTimezone(event.start, event.venue)} at ${this.escapeHtml(event.venue?.name || 'Unknown venue')}
+            </span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+
+    clusterItem.querySelectorAll('.cluster-members li').forEach(item => {
+      item.addEventListener('click', () => this.selectEvent(item.dataset.eventId));
+    });
+
+    return clusterItem;
   }
 
   getMarkerColor(source) {
     const colors = {
       'ticketmaster': '#026cdf',
-      'bandsintown': '#1DB954' // Spotify green (music-focused platform)
+      'bandsintown': '#1DB954', // Spotify green (music-focused platform)
+      'seatgeek': '#ff5b49',
+      'eventbrite': '#f59e0b'
     };
     return colors[source] || '#666';
   }
@@ -2876,7 +3141,9 @@ class EventConflictFinder {
         this.markers.forEach(marker => this.map.removeLayer(marker));
         this.markers = [];
         this.conflicts = [];
+        this.clusters = [];
         this.eventConflictsMap = {};
+        this.showMetroRegion(null);
         // Still center map on location for reference
         this.map.setView([lat, lng], 13);
         // Add a marker at clicked location
@@ -3076,12 +3343,54 @@ class EventConflictFinder {
     }
   }
 
+  // Event time range in the venue's timezone; all-day and multi-day events show dates only
+  formatEventTimeRange(event) {
+    if (!event) return '';
+
+    if (event.timeKind === 'all_day' || event.timeKind === 'multi_day') {
+      const formatLocalDate = (localDate, fallback) => {
+        if (!localDate) return this.formatDateInVenueTimezone(fallback, event.venue);
+        return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' })
+          .format(new Date(`${localDate}T00:00:00Z`));
+      };
+      const firstDay = formatLocalDate(event.localStartDate, event.start);
+      if (event.timeKind === 'all_day') {
+        return `${firstDay} (all day)`;
+      }
+      return `${firstDay} - ${formatLocalDate(event.localEndDate, event.end)}`;
+    }
+
+    return `${this.formatDateInVenueTimezone(event.start, event.venue)} - ${this.formatTimeInVenueTimezone(event.end, event.venue)}${event.endEstimated ? ' (est. end)' : ''}`;
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
   }
 
+  formatProviderLabel(provider) {
+    if (!provider || typeof provider !== 'string') {
+      return 'Source';
+    }
+    return provider.charAt(0).toUpperCase() + provider.slice(1);
+  }
+
+  // Links to every provider listing merged into this event
+  renderSourceLinks(event) {
+    const sources = Array.isArray(event?.sources) && event.sources.length > 0
+      ? event.sources
+      : (event?.url ? [{ provider: event.source, url: event.url }] : []);
+
+    return sources
+      .filter(source => typeof source.url === 'string' && /^https?:\/\//i.test(source.url))
+      .map(source => {
+        const href = this.escapeHtml(source.url).replace(/"/g, '&quot;');
+        return `<a href="${href}" target="_blank" rel="noopener noreferrer" class="source-link" onclick="event.stopPropagation()">${this.escapeHtml(this.formatProviderLabel(source.provider))}</a>`;
+      })
+      .join(' · ');
+  }
+
   formatGenreLabel(tag) {
     if (!tag || typeof tag !== 'string') {
       return '';
@@ -3093,6 +3402,59 @@ class EventConflictFinder {
       .join(' ');
   }
 
+  renderConflictExplanation(explanation) {
+    if (!explanation || typeof explanation !== 'object') {
+      return '';
+    }
+
+    const thresholdSources = {
+      manual: 'manual threshold',
+      context_radius: 'venue radius setting',
+      metro: 'metro boost',
+      base: 'default threshold'
+    };
+    const densityLabels = {
+      very_dense: 'very dense',
+      medium: 'medium density',
+      sparse: 'sparse',
+      insufficient_data: 'not enough venues to measure'
+    };
+
+    const rows = [
+      `<li><strong>Distance:</strong> ${Math.round(explanation.distanceKm * 1000)} m (limit ${explanation.effectiveThresholdKm} km)</li>`,
+      `<li><strong>Resolved threshold:</strong> ${explanation.resolvedThresholdKm} km${explanation.thresholdSource ? ` via ${thresholdSources[explanation.thresholdSource] || explanation.thresholdSource}` : ''}</li>`,
+      explanation.nameSimilarityOverride
+        ? `<li><strong>Name check:</strong> venue names only ${Math.round(explanation.venueNameSimilarity * 100)}% similar, so the limit was tightened to ${explanation.effectiveThresholdKm} km</li>`
+        : `<li><strong>Name check:</strong> venue names ${Math.round(explanation.venueNameSimilarity * 100)}% similar, no tightening</li>`,
+      `<li><strong>Overlap:</strong> ${explanation.overlapMinutes} min (${explanation.overlapMinutesWithBuffer} min with the ${explanation.bufferMinutes} min buffer)${explanation.endEstimated ? ' - based on an estimated end time' : ''}</li>`,
+      `<li><strong>Metro region:</strong> ${explanation.metroMatched ? this.escapeHtml(this.formatGenreLabel((explanation.metroRegion || '').replace(/_/g, ' '))) : 'none matched'}</li>`,
+      `<li><strong>Venue density:</strong> ${densityLabels[explanation.densityTier] || 'unknown'}${explanation.dynamicThresholdKm !== null && explanation.dynamicThresholdKm !== undefined ? ` (dynamic ${explanation.dynamicThresholdKm} km)` : ''}</li>`
+    ];
+
+    return `
+      <details class="conflict-explanation">
+        <summary>Why is this a conflict?</summary>
+        <ul>${rows.join('')}</ul>
+      </details>
+    `;
+  }
+
+  formatScoreBreakdown(breakdown) {
+    if (!breakdown || typeof breakdown !== 'object') {
+      return '';
+    }
+    const labels = {
+      timeOverlap: 'Time overlap',
+      distance: 'Proximity',
+      genreOverlap: 'Genre overlap',
+      crossPlatform: 'Cross-platform',
+      venueSize: 'Venue size'
+    };
+    return Object.entries(breakdown)
+      .map(([key, value]) => `${labels[key] || key}: ${Math.round(value * 100)}%`)
+      .join(' · ');
+  }
+
   renderGenrePills(genres = []) {
     if (!Array.isArray(genres) || genres.length === 0) {
       return '';
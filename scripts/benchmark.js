@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Conflict detection benchmark.
+ * Generates synthetic metro-area events and times ConflictDetector.findConflicts
+ * (sweep + spatial grid) against the pairwise reference implementation, checking
+ * that both return identical conflicts.
+ *
+ * Usage:
+ *   node scripts/benchmark.js [--sizes=5000,10000,20000] [--days=30] [--seed=42]
+ *                             [--venues=800] [--skip-pairwise] [--pairwise-limit=5000]
+ */
+
+const ConflictDetector = require('../src/utils/conflictDetector');
+
+const args = process.argv.slice(2).reduce((acc, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  acc[key] = value === undefined ? true : value;
+  return acc;
+}, {});
+
+const sizes = (args.sizes || '5000,10000,20000')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => Number.isFinite(value) && value > 0);
+const days = parseInt(args.days, 10) || 30;
+const venueCount = parseInt(args.venues, 10) || 800;
+const seed = parseInt(args.seed, 10) || 42;
+const skipPairwise = !!args['skip-pairwise'];
+const pairwiseLimit = parseInt(args['pairwise-limit'], 10) || 5000;
+
+// Roughly a 25-mile search around Manhattan
+const CENTER = { lat: 40.7128, lon: -74.0060 };
+const SPREAD_DEG = 0.35;
+const WINDOW_START = Date.UTC(2026, 9, 1, 16, 0, 0);
+
+// Small deterministic PRNG so runs are comparable
+function createRandom(initialSeed) {
+  let state = initialSeed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateVenues(random, count) {
+  const venues = [];
+  for (let i = 0; i < count; i++) {
+    // A third of the venues sit in a dense theatre-district style cluster
+    const dense = random() < 0.33;
+    const spread = dense ? 0.01 : SPREAD_DEG;
+    venues.push({
+      name: `Synthetic Venue ${i}${dense ? ' Theatre' : ' Hall'}`,
+      lat: CENTER.lat + (random() - 0.5) * 2 * spread,
+      lon: CENTER.lon + (random() - 0.5) * 2 * spread
+    });
+  }
+  return venues;
+}
+
+function generateEvents(random, count, venues) {
+  const genres = ['rock', 'pop', 'jazz', 'comedy', 'theatre', 'hip-hop', 'classical', 'electronic'];
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const venue = venues[Math.floor(random() * venues.length)];
+    const dayOffset = Math.floor(random() * days);
+    const hourOffset = Math.floor(random() * 8); // 16:00 - 23:00 UTC
+    const minuteOffset = Math.floor(random() * 4) * 15;
+    const start = new Date(WINDOW_START + (((dayOffset * 24) + hourOffset) * 60 + minuteOffset) * 60000);
+    const end = new Date(start.getTime() + (90 + Math.floor(random() * 4) * 30) * 60000);
+    events.push({
+      id: `synthetic_${i}`,
+      name: `Synthetic Event ${i}`,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      venue: { ...venue },
+      source: random() < 0.5 ? 'ticketmaster' : 'bandsintown',
+      genres: [genres[Math.floor(random() * genres.length)]]
+    });
+  }
+  return events;
+}
+
+function time(fn) {
+  const started = process.hrtime.bigint();
+  const result = fn();
+  return { result, durationMs: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+function conflictSignature(conflicts) {
+  return conflicts
+    .map(conflict => `${conflict.events[0].id}|${conflict.events[1].id}|${conflict.conflictType}|${conflict.severity}`)
+    .join('\n');
+}
+
+console.log('Conflict detection benchmark');
+console.log(`Sizes: ${sizes.join(', ')} | window: ${days} days | venues: ${venueCount} | seed: ${seed}\n`);
+
+const random = createRandom(seed);
+const venues = generateVenues(random, venueCount);
+const options = {
+  context: { lat: CENTER.lat, lon: CENTER.lon },
+  baseThresholdKm: 1,
+  metroThresholdKm: 3,
+  dynamicBaseKm: 0.3
+};
+
+let mismatch = false;
+
+sizes.forEach(size => {
+  const events = generateEvents(random, size, venues);
+  const stats = {};
+  const sweep = time(() => ConflictDetector.findConflicts(events, 30, null, true, { ...options, stats }));
+  const totalPairs = (size * (size - 1)) / 2;
+
+  console.log(`▶ ${size} events`);
+  console.log(`   sweep:    ${sweep.durationMs.toFixed(1)}ms, ${stats.candidatePairs} candidate pairs of ${totalPairs} (${((stats.candidatePairs / totalPairs) * 100).toFixed(2)}%), ${sweep.result.length} conflicts`);
+
+  if (skipPairwise || size > pairwiseLimit) {
+    console.log(`   pairwise: skipped${skipPairwise ? '' : ` (above --pairwise-limit=${pairwiseLimit})`}\n`);
+    return;
+  }
+
+  const pairwise = time(() => ConflictDetector.findConflictsPairwise(events, 30, null, true, options));
+  const identical = conflictSignature(sweep.result) === conflictSignature(pairwise.result);
+  if (!identical) {
+    mismatch = true;
+  }
+
+  console.log(`   pairwise: ${pairwise.durationMs.toFixed(1)}ms, ${pairwise.result.length} conflicts`);
+  console.log(`   speedup:  ${(pairwise.durationMs / sweep.durationMs).toFixed(1)}x | output ${identical ? 'identical ✓' : 'DIFFERS ✗'}\n`);
+});
+
+if (mismatch) {
+  console.error('Sweep output differs from the pairwise reference.');
+  process.exit(1);
+}
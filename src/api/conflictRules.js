@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const suppressionRules = require('../utils/suppressionRules');
+
+function sendRuleError(res, error, fallbackMessage) {
+  if (error.status && error.status < 500) {
+    const errors = { 403: 'Forbidden', 404: 'Not found' };
+    return res.status(error.status).json({
+      error: errors[error.status] || 'Invalid request',
+      message: error.message
+    });
+  }
+  console.error('Suppression rule error:', error);
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
+
+// Rules visible to the caller (their own and, with X-Team-Id, their team's)
+router.get('/', (req, res) => {
+  try {
+    const scopes = suppressionRules.getRequestScopes(req);
+    const rules = suppressionRules.listRules(scopes);
+    res.json({ rules, total: rules.length, scopes });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to list suppression rules');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const rule = suppressionRules.getRule(req.params.id, suppressionRules.getRequestScopes(req));
+  if (!rule) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Rule ${req.params.id} not found`
+    });
+  }
+  res.json(rule);
+});
+
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(suppressionRules.createRule(req.body || {}, suppressionRules.getRequestScopes(req)));
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to create suppression rule');
+  }
+});
+
+router.put('/:id', (req, res) => {
+  try {
+    res.json(suppressionRules.updateRule(req.params.id, req.body || {}, suppressionRules.getRequestScopes(req)));
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to update suppression rule');
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    const rule = suppressionRules.deleteRule(req.params.id, suppressionRules.getRequestScopes(req));
+    res.json({ deleted: true, id: rule.id });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to delete suppression rule');
+  }
+});
+
+module.exports = router;
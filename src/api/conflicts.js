@@ -1,18 +1,240 @@
 const express = require('express');
 const router = express.Router();
 const ConflictDetector = require('../utils/conflictDetector');
-const TicketmasterService = require('../services/ticketmaster');
-const BandsintownService = require('../services/bandsintown');
+const providerRegistry = require('../services/providerRegistry');
 const rateLimiter = require('../utils/rateLimiter');
 const monitoring = require('../utils/monitoring');
 const {
   filterEventsByDateRange,
   parseDateRangeFilters,
+  parseDateTimezone,
+  describeDateInterpretation,
   sanitizeVenueRadiusKm
 } = require('../utils/searchFilters');
+const { buildProposedEvent } = require('../utils/proposedEvent');
+const { buildCandidateSlots, buildSlotProposals, rankSlots, rankSlotConflicts } = require('../utils/dateRecommender');
+const { parseRadiusClause, findClauseViolations } = require('../utils/radiusClauseChecker');
+const { detectSeries, groupConflictsBySeries } = require('../utils/seriesDetector');
+const suppressionRules = require('../utils/suppressionRules');
+const conflictRuleEngine = require('../utils/conflictRuleEngine');
+const metroRegions = require('../utils/metroRegions');
+const { readConflicts, diffConflicts } = require('../utils/conflictDiff');
+const scanHistory = require('../utils/scanHistory');
+const workerPool = require('../utils/workerPool');
+const workerPoolConfig = require('../config/workerPool');
+const jobStore = require('../utils/jobStore');
+const { parseCrowdOptions, findCrowdHotspots } = require('../utils/crowdAnalyzer');
+const { parseCellSizeKm, buildConflictAnalytics } = require('../utils/conflictAnalytics');
 
-const DEFAULT_VENUE_THRESHOLD_KM = 1;
-const METRO_VENUE_THRESHOLD_KM = 3;
+const { DEFAULT_VENUE_THRESHOLD_KM, METRO_VENUE_THRESHOLD_KM } = ConflictDetector;
+const GROUP_BY_MODES = ['pair', 'cluster', 'series'];
+const SORT_MODES = ['detection', 'score'];
+const BUILT_IN_CONFLICT_TYPES = ['cross_platform_duplicate', 'same_venue_conflict', 'cross_platform_proximity', 'time_venue_conflict'];
+// Partial conflicts kept on a running job
+const MAX_PARTIAL_CONFLICTS = 100;
+// Market window around a proposal: look back far enough to catch long shows already running
+const PROPOSAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Add series / seriesConflicts to a response for groupBy=series
+function attachSeriesGrouping(payload, events, conflicts) {
+  const detection = detectSeries(events);
+  payload.series = detection.series;
+  payload.seriesCount = detection.series.length;
+  payload.seriesConflicts = groupConflictsBySeries(conflicts, detection);
+  payload.seriesConflictCount = payload.seriesConflicts.length;
+  return payload;
+}
+
+function parseGroupBy(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'pair';
+  }
+  const normalized = value.toString().toLowerCase().trim();
+  return GROUP_BY_MODES.includes(normalized) ? normalized : null;
+}
+
+function parseSortBy(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'detection';
+  }
+  const normalized = value.toString().toLowerCase().trim();
+  return SORT_MODES.includes(normalized) ? normalized : null;
+}
+
+// Request-supplied conflict rules; returns an error message when any rule is invalid
+function validateConflictRules(rules) {
+  if (rules === undefined || rules === null) {
+    return null;
+  }
+  return conflictRuleEngine.compileRules(rules).error || null;
+}
+
+// Weights arrive as an object (JSON body / scoringWeights[key]=value query) or a JSON string
+function parseScoringWeights(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return typeof value === 'object' ? value : null;
+}
+
+// Fetch every registered provider's events around a location (a failed provider contributes nothing)
+// onFetched(provider, eventCount) is called as each provider finishes (count null on failure)
+// Returns { events, sources } where sources maps provider name to its event count
+async function fetchMarketEvents(latitude, longitude, searchRadius, userId, serviceOptions, onFetched = null) {
+  const { events, results } = await providerRegistry.fetchEventsByLocation(
+    latitude, longitude, searchRadius, userId, serviceOptions, onFetched
+  );
+  return { events, sources: providerRegistry.countEvents(results) };
+}
+
+// Overcrowding response for de-duplicated events
+async function buildCrowdingPayload(uniqueEvents, crowdOptions, runOptions = {}) {
+  const { signal, offload = workerPool.shouldOffload(uniqueEvents.length), timeoutMs } = runOptions;
+  const offloaded = offload && workerPoolConfig.enabled;
+  const {
+    hotspots,
+    totalHotspots,
+    analyzedEvents,
+    skippedEvents,
+    estimatedCapacityEvents
+  } = offloaded
+    ? await workerPool.run({ task: 'crowdHotspots', events: uniqueEvents, options: crowdOptions }, { signal, timeoutMs })
+    : findCrowdHotspots(uniqueEvents, crowdOptions);
+
+  const payload = {
+    hotspots,
+    crowdThreshold: crowdOptions.crowdThreshold,
+    crowdRadiusKm: crowdOptions.radiusKm,
+    fillRate: crowdOptions.fillRate,
+    summary: {
+      uniqueEvents: uniqueEvents.length,
+      analyzedEvents,
+      skippedEvents,
+      estimatedCapacityEvents,
+      hotspotCount: hotspots.length,
+      // Before the maxHotspots cap
+      totalHotspots
+    },
+    analyzedAt: new Date().toISOString()
+  };
+  return { payload, offloaded };
+}
+
+// Abort signal for work that is pointless once the client has disconnected
+function createDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Suppression rules live in this thread's store, so they are applied to worker results here
+function applySuppression(conflicts, suppress) {
+  if (!suppress) {
+    return { conflicts, suppressed: 0 };
+  }
+  const kept = conflicts.filter(conflict => !suppress(conflict.events[0], conflict.events[1]));
+  return { conflicts: kept, suppressed: conflicts.length - kept.length };
+}
+
+/**
+ * Merge duplicates, resolve the venue threshold and find conflicts. Large event lists
+ * (or offload: true) run on the worker pool.
+ * @param {object} runOptions - { signal, offload, timeoutMs, onProgress } - onProgress gets
+ *   { uniqueEvents, pairsEvaluated, totalPairs, conflictsFound, newConflicts } from pooled runs
+ */
+async function runConflictAnalysis(events, buffer, manualThreshold, detectionOptions, runOptions = {}) {
+  const { signal, offload = workerPool.shouldOffload(events.length), timeoutMs, onProgress } = runOptions;
+  if (!offload || !workerPoolConfig.enabled) {
+    return { ...ConflictDetector.analyzeEvents(events, buffer, manualThreshold, detectionOptions), offloaded: false };
+  }
+
+  const { suppress, stats, ...workerOptions } = detectionOptions;
+  const result = await workerPool.run(
+    {
+      events,
+      timeBuffer: buffer,
+      venueProximityThreshold: manualThreshold,
+      options: workerOptions,
+      progress: onProgress ? { conflictLimit: MAX_PARTIAL_CONFLICTS } : null
+    },
+    {
+      signal,
+      timeoutMs,
+      onProgress: onProgress
+        ? progress => onProgress({ ...progress, newConflicts: applySuppression(progress.newConflicts, suppress).conflicts })
+        : null
+    }
+  );
+
+  const { conflicts, suppressed } = applySuppression(result.conflicts, suppress);
+  if (stats) {
+    Object.assign(stats, result.stats, { conflicts: conflicts.length, suppressed });
+  }
+
+  return { uniqueEvents: result.uniqueEvents, thresholdDetails: result.thresholdDetails, conflicts, offloaded: true };
+}
+
+/**
+ * Score and rank candidate slots for /recommend-dates. Large markets run on the worker
+ * pool; suppression rules are then applied here, before ranking.
+ * @param {object} rankOptions - rankSlots options
+ * @param {object} runOptions - { signal, offload, timeoutMs }
+ * @returns {Promise<{recommendations: Array, rejected: Array, offloaded: boolean}>}
+ */
+async function runSlotRanking(proposals, marketEvents, rankOptions, runOptions = {}) {
+  const { signal, offload = workerPool.shouldOffload(marketEvents.length), timeoutMs } = runOptions;
+  if (!offload || !workerPoolConfig.enabled) {
+    return { ...rankSlots(proposals, marketEvents, rankOptions), offloaded: false };
+  }
+
+  const { suppress, ...workerOptions } = rankOptions.detectionOptions || {};
+  const slotConflicts = await workerPool.run(
+    {
+      task: 'slotConflicts',
+      proposals,
+      marketEvents,
+      options: { ...rankOptions, detectionOptions: workerOptions }
+    },
+    { signal, timeoutMs }
+  );
+
+  const kept = slotConflicts.map(conflicts => applySuppression(conflicts, suppress).conflicts);
+  return { ...rankSlotConflicts(proposals, kept, rankOptions.limit), offloaded: true };
+}
+
+// Respond to a worker pool rejection (timeout / full queue); cancelled jobs have no client left
+function sendWorkerPoolError(res, error) {
+  if (error.status === 499) {
+    return true;
+  }
+  if (error.status === 503 || error.status === 504) {
+    res.status(error.status).json({
+      error: error.status === 504 ? 'Analysis timed out' : 'Analysis queue full',
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
+// Date window covering every event that could overlap proposals between firstStart and lastEnd
+function getMarketWindow(firstStart, lastEnd, bufferMs) {
+  const windowStart = new Date(new Date(firstStart).getTime() - PROPOSAL_LOOKBACK_MS - bufferMs);
+  const windowEnd = new Date(new Date(lastEnd).getTime() + bufferMs);
+  return parseDateRangeFilters(windowStart.toISOString(), windowEnd.toISOString());
+}
 
 // Detect conflicts for a set of events
 router.post('/detect', async (req, res) => {
@@ -26,7 +248,8 @@ router.post('/detect', async (req, res) => {
       conflictCount: payload.conflictCount,
       duplicatesFiltered: payload.duplicatesFiltered,
       timeBuffer: payload.timeBuffer,
-      venueProximityThreshold: payload.venueProximityThreshold
+      venueProximityThreshold: payload.venueProximityThreshold,
+      offloaded: payload.offloaded
     });
   };
 
@@ -37,7 +260,12 @@ router.post('/detect', async (req, res) => {
       venueProximityThreshold,
       startDate: startDateRaw,
       endDate: endDateRaw,
+      timezone: timezoneRaw,
       venueRadiusKm: venueRadiusRaw,
+      groupBy: groupByRaw,
+      sortBy: sortByRaw,
+      scoringWeights: scoringWeightsRaw,
+      conflictRules,
       context = {}
     } = req.body;
 
@@ -48,44 +276,90 @@ router.post('/detect', async (req, res) => {
       });
     }
 
+    const conflictRulesError = validateConflictRules(conflictRules);
+    if (conflictRulesError) {
+      return res.status(400).json({
+        error: 'Invalid conflict rules',
+        message: conflictRulesError
+      });
+    }
+
+    const groupBy = parseGroupBy(groupByRaw);
+    if (!groupBy) {
+      return res.status(400).json({
+        error: 'Invalid groupBy',
+        message: `groupBy must be one of: ${GROUP_BY_MODES.join(', ')}`
+      });
+    }
+
+    const sortBy = parseSortBy(sortByRaw);
+    if (!sortBy) {
+      return res.status(400).json({
+        error: 'Invalid sortBy',
+        message: `sortBy must be one of: ${SORT_MODES.join(', ')}`
+      });
+    }
+    const scoringWeights = ConflictDetector.resolveScoringWeights(parseScoringWeights(scoringWeightsRaw));
+
+    const dateTimezone = parseDateTimezone(timezoneRaw);
+    if (!dateTimezone) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        message: "timezone must be 'venue' or an IANA timezone name (e.g. America/Los_Angeles)"
+      });
+    }
+
     if (events.length === 0) {
       const emptyResponse = {
         conflicts: [],
+        ...(groupBy === 'cluster' ? { clusters: [], clusterCount: 0 } : {}),
+        ...(groupBy === 'series' ? { series: [], seriesCount: 0, seriesConflicts: [], seriesConflictCount: 0 } : {}),
         totalEvents: 0,
         uniqueEvents: 0,
         duplicatesFiltered: 0,
         conflictCount: 0,
-        analyzedAt: new Date().toISOString()
+        suppressed: 0,
+        analyzedAt: new Date().toISOString(),
+        groupBy
       };
       recordMetrics(emptyResponse);
       return res.json(emptyResponse);
     }
 
-    const buffer = parseInt(timeBuffer);
-    if (isNaN(buffer) || buffer < 0) {
-      return res.status(400).json({ 
-        error: 'Invalid time buffer',
-        message: 'Time buffer must be a non-negative number (in minutes)'
-      });
+    const { thresholds, status, error, message } = parseThresholdParams({
+      timeBuffer,
+      venueProximityThreshold,
+      venueRadiusKm: venueRadiusRaw
+    });
+    if (!thresholds) {
+      return res.status(status).json({ error, message });
     }
+    const { buffer, manualThreshold, venueRadiusKm, thresholdMode } = thresholds;
 
-    const { startDate, endDate } = parseDateRangeFilters(startDateRaw, endDateRaw);
-    const filteredEvents = filterEventsByDateRange(events, startDate, endDate);
+    const dateRange = parseDateRangeFilters(startDateRaw, endDateRaw, { timezone: dateTimezone });
+    const { startDate, endDate } = dateRange;
+    const filteredEvents = filterEventsByDateRange(events, startDate, endDate, dateRange);
 
     if (filteredEvents.length === 0) {
       const emptyPayload = {
         conflicts: [],
+        ...(groupBy === 'cluster' ? { clusters: [], clusterCount: 0 } : {}),
+        ...(groupBy === 'series' ? { series: [], seriesCount: 0, seriesConflicts: [], seriesConflictCount: 0 } : {}),
         totalEvents: events.length,
         uniqueEvents: 0,
         duplicatesFiltered: events.length,
         conflictCount: 0,
+        suppressed: 0,
         analyzedAt: new Date().toISOString(),
+        groupBy,
         timeBuffer: buffer,
         venueProximityThreshold: null,
         thresholdMode: 'dynamic',
         filters: {
           startDate: startDate ? startDate.toISOString() : null,
           endDate: endDate ? endDate.toISOString() : null,
+          timezone: dateRange.timezone,
+          dateInterpretation: describeDateInterpretation(dateRange),
           venueRadiusKm: null
         }
       };
@@ -93,17 +367,6 @@ router.post('/detect', async (req, res) => {
       return res.json(emptyPayload);
     }
 
-    const uniqueEvents = ConflictDetector.filterDuplicates(filteredEvents);
-    const duplicatesFiltered = filteredEvents.length - uniqueEvents.length;
-
-    let manualThreshold = undefined;
-    if (venueProximityThreshold !== undefined && venueProximityThreshold !== null) {
-      manualThreshold = sanitizeVenueRadiusKm(venueProximityThreshold, DEFAULT_VENUE_THRESHOLD_KM);
-    }
-
-    const hasVenueRadiusOverride = venueRadiusRaw !== undefined && venueRadiusRaw !== null && venueRadiusRaw !== '';
-    const venueRadiusKm = hasVenueRadiusOverride ? sanitizeVenueRadiusKm(venueRadiusRaw, DEFAULT_VENUE_THRESHOLD_KM) : null;
-
     const contextLat = context && context.lat !== undefined ? parseFloat(context.lat) : null;
     const contextLon = context && context.lon !== undefined ? parseFloat(context.lon) : null;
 
@@ -113,15 +376,24 @@ router.post('/detect', async (req, res) => {
       venueRadiusKm
     };
 
+    const detectionStats = {};
     const detectionOptions = {
       context: detectionContext,
       baseThresholdKm: DEFAULT_VENUE_THRESHOLD_KM,
       metroThresholdKm: METRO_VENUE_THRESHOLD_KM,
-      dynamicBaseKm: 0.3
+      dynamicBaseKm: 0.3,
+      scoringWeights,
+      sortBy,
+      conflictRules,
+      suppress: suppressionRules.createMatcher(suppressionRules.getRequestScopes(req)),
+      stats: detectionStats
     };
 
-    const resolvedThreshold = ConflictDetector.resolveVenueThreshold(uniqueEvents, manualThreshold, detectionOptions);
-    const conflicts = ConflictDetector.findConflicts(uniqueEvents, buffer, manualThreshold, true, detectionOptions);
+    const { uniqueEvents, thresholdDetails, conflicts, offloaded } = await runConflictAnalysis(
+      filteredEvents, buffer, manualThreshold, detectionOptions, { signal: createDisconnectSignal(res) }
+    );
+    const duplicatesFiltered = filteredEvents.length - uniqueEvents.length;
+    const resolvedThreshold = thresholdDetails.thresholdKm;
 
     const responsePayload = {
       conflicts,
@@ -129,27 +401,45 @@ router.post('/detect', async (req, res) => {
       uniqueEvents: uniqueEvents.length,
       duplicatesFiltered: duplicatesFiltered,
       conflictCount: conflicts.length,
+      suppressed: detectionStats.suppressed || 0,
       analyzedAt: new Date().toISOString(),
+      groupBy,
+      scoring: {
+        weights: scoringWeights,
+        sortBy
+      },
       timeBuffer: buffer,
       venueProximityThreshold: resolvedThreshold,
-      thresholdMode: manualThreshold !== undefined && manualThreshold !== null
-        ? 'manual'
-        : (hasVenueRadiusOverride ? 'user_override' : 'dynamic'),
+      thresholdDetails,
+      thresholdMode,
       filters: {
         startDate: startDate ? startDate.toISOString() : null,
         endDate: endDate ? endDate.toISOString() : null,
+        timezone: dateRange.timezone,
+        dateInterpretation: describeDateInterpretation(dateRange),
         venueRadiusKm
       }
     };
 
-    recordMetrics(responsePayload);
+    if (groupBy === 'cluster') {
+      responsePayload.clusters = ConflictDetector.clusterConflicts(conflicts);
+      responsePayload.clusterCount = responsePayload.clusters.length;
+    }
+    if (groupBy === 'series') {
+      attachSeriesGrouping(responsePayload, uniqueEvents, conflicts);
+    }
+
+    recordMetrics({ ...responsePayload, offloaded });
     res.json(responsePayload);
   } catch (error) {
-    console.error('Conflict detection error:', error);
     monitoring.recordPerformanceMetric('conflict_detection', {
       durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
       error: error.message
     });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Conflict detection error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
       message: 'Failed to detect conflicts. Please try again later.'
@@ -157,6 +447,288 @@ router.post('/detect', async (req, res) => {
   }
 });
 
+/**
+ * Validate the time buffer and venue threshold parameters every analysis route takes
+ * @param {object} input - { timeBuffer, venueProximityThreshold, venueRadiusKm } from the query or body
+ * @returns {{thresholds: object}|{status: number, error: string, message: string}}
+ *   thresholds: { buffer, manualThreshold, venueRadiusKm, thresholdMode }
+ */
+function parseThresholdParams({ timeBuffer = 30, venueProximityThreshold, venueRadiusKm } = {}) {
+  const buffer = parseInt(timeBuffer);
+  if (isNaN(buffer) || buffer < 0) {
+    return {
+      status: 400,
+      error: 'Invalid time buffer',
+      message: 'Time buffer must be a non-negative number (in minutes)'
+    };
+  }
+
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  const manualThreshold = isSet(venueProximityThreshold)
+    ? sanitizeVenueRadiusKm(venueProximityThreshold, DEFAULT_VENUE_THRESHOLD_KM)
+    : undefined;
+  const hasVenueRadiusOverride = isSet(venueRadiusKm);
+
+  return {
+    thresholds: {
+      buffer,
+      manualThreshold,
+      venueRadiusKm: hasVenueRadiusOverride ? sanitizeVenueRadiusKm(venueRadiusKm, DEFAULT_VENUE_THRESHOLD_KM) : null,
+      thresholdMode: manualThreshold !== undefined ? 'manual' : (hasVenueRadiusOverride ? 'user_override' : 'dynamic')
+    }
+  };
+}
+
+/**
+ * Validate /location parameters (also used by /jobs)
+ * @param {object} query - Raw query (or job body) parameters
+ * @returns {{params: object}|{status: number, error: string, message: string}}
+ */
+function parseLocationParams(query = {}) {
+  const {
+    lat,
+    lon,
+    radius = 10,
+    timeBuffer = 30,
+    venueProximityThreshold,
+    startDate: startDateRaw,
+    endDate: endDateRaw,
+    timezone: timezoneRaw,
+    venueRadiusKm: venueRadiusRaw,
+    groupBy: groupByRaw,
+    sortBy: sortByRaw,
+    scoringWeights: scoringWeightsRaw,
+    compareTo
+  } = query;
+
+  if (lat === undefined || lat === null || lat === '' || lon === undefined || lon === null || lon === '') {
+    return {
+      status: 400,
+      error: 'Latitude and longitude are required',
+      message: 'Please provide lat and lon query parameters'
+    };
+  }
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  const searchRadius = parseFloat(radius);
+
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return {
+      status: 400,
+      error: 'Invalid coordinates',
+      message: 'Latitude and longitude must be valid numbers'
+    };
+  }
+
+  const thresholdParams = parseThresholdParams({ timeBuffer, venueProximityThreshold, venueRadiusKm: venueRadiusRaw });
+  if (!thresholdParams.thresholds) {
+    return thresholdParams;
+  }
+  const { buffer, manualThreshold, venueRadiusKm, thresholdMode } = thresholdParams.thresholds;
+
+  const groupBy = parseGroupBy(groupByRaw);
+  if (!groupBy) {
+    return {
+      status: 400,
+      error: 'Invalid groupBy',
+      message: `groupBy must be one of: ${GROUP_BY_MODES.join(', ')}`
+    };
+  }
+
+  const sortBy = parseSortBy(sortByRaw);
+  if (!sortBy) {
+    return {
+      status: 400,
+      error: 'Invalid sortBy',
+      message: `sortBy must be one of: ${SORT_MODES.join(', ')}`
+    };
+  }
+  const scoringWeights = ConflictDetector.resolveScoringWeights(parseScoringWeights(scoringWeightsRaw));
+
+  const dateTimezone = parseDateTimezone(timezoneRaw);
+  if (!dateTimezone) {
+    return {
+      status: 400,
+      error: 'Invalid timezone',
+      message: "timezone must be 'venue' or an IANA timezone name (e.g. America/Los_Angeles)"
+    };
+  }
+
+  const dateRange = parseDateRangeFilters(startDateRaw, endDateRaw, { timezone: dateTimezone });
+  const { startDate, endDate } = dateRange;
+
+  // compareTo=<scanId> diffs against that scan; compareTo=latest against the previous scan of this market
+  const scanQuery = {
+    lat: latitude,
+    lon: longitude,
+    radius: searchRadius,
+    startDate: startDate ? startDate.toISOString() : null,
+    endDate: endDate ? endDate.toISOString() : null
+  };
+  let baselineScan = null;
+  if (compareTo) {
+    baselineScan = compareTo === 'latest' ? scanHistory.findLatestScan(scanQuery) : scanHistory.getScan(compareTo);
+    if (!baselineScan && compareTo !== 'latest') {
+      return {
+        status: 404,
+        error: 'Scan not found',
+        message: `No saved scan with id ${compareTo}`
+      };
+    }
+  }
+
+  return {
+    params: {
+      latitude,
+      longitude,
+      searchRadius,
+      buffer,
+      groupBy,
+      sortBy,
+      scoringWeights,
+      dateRange,
+      scanQuery,
+      compareTo,
+      baselineScan,
+      manualThreshold,
+      venueRadiusKm,
+      thresholdMode
+    }
+  };
+}
+
+/**
+ * Fetch a market and analyze its conflicts (the /location response)
+ * @param {object} params - From parseLocationParams
+ * @param {object} requester - { userId, scopes } (rate limiting and suppression rules)
+ * @param {object} runOptions - runConflictAnalysis options plus onStage(stage, progress)
+ *   and onProviderFetched(provider, eventCount)
+ * @returns {Promise<{payload: object, offloaded: boolean}>}
+ */
+async function runLocationScan(params, requester, runOptions = {}) {
+  const {
+    latitude,
+    longitude,
+    searchRadius,
+    buffer,
+    groupBy,
+    sortBy,
+    scoringWeights,
+    dateRange,
+    scanQuery,
+    compareTo,
+    baselineScan,
+    manualThreshold,
+    venueRadiusKm,
+    thresholdMode
+  } = params;
+  const { startDate, endDate } = dateRange;
+  const { onStage = () => {}, onProviderFetched = null, ...analysisOptions } = runOptions;
+
+  onStage('fetching');
+  const serviceOptions = { startDate, endDate, dateRange };
+  const { events: allEvents, sources } = await fetchMarketEvents(
+    latitude, longitude, searchRadius, requester.userId, serviceOptions, onProviderFetched
+  );
+
+  const filteredEvents = filterEventsByDateRange(allEvents, startDate, endDate, dateRange);
+  onStage('detecting', { totalEvents: filteredEvents.length });
+
+  const detectionContext = {
+    lat: latitude,
+    lon: longitude,
+    venueRadiusKm
+  };
+
+  const detectionStats = {};
+  const detectionOptions = {
+    context: detectionContext,
+    baseThresholdKm: DEFAULT_VENUE_THRESHOLD_KM,
+    metroThresholdKm: METRO_VENUE_THRESHOLD_KM,
+    dynamicBaseKm: 0.3,
+    scoringWeights,
+    sortBy,
+    suppress: suppressionRules.createMatcher(requester.scopes),
+    stats: detectionStats
+  };
+
+  const { uniqueEvents, thresholdDetails, conflicts, offloaded } = await runConflictAnalysis(
+    filteredEvents, buffer, manualThreshold, detectionOptions, analysisOptions
+  );
+  const duplicatesFiltered = filteredEvents.length - uniqueEvents.length;
+  const resolvedThreshold = thresholdDetails.thresholdKm;
+  onStage('grouping', {
+    eventsDeduplicated: uniqueEvents.length,
+    pairsEvaluated: detectionStats.candidatePairs || 0,
+    totalPairs: detectionStats.candidatePairs || 0,
+    conflictsFound: conflicts.length
+  });
+
+  const conflictRate = uniqueEvents.length > 0 
+    ? ((conflicts.length / uniqueEvents.length) * 100).toFixed(1) 
+    : '0.0';
+
+  const scan = scanHistory.saveScan(scanQuery, conflicts);
+
+  const responsePayload = {
+    scanId: scan.id,
+    location: { 
+      lat: latitude, 
+      lon: longitude, 
+      radius: searchRadius 
+    },
+    conflicts,
+    summary: {
+      totalEvents: filteredEvents.length,
+      uniqueEvents: uniqueEvents.length,
+      duplicatesFiltered: duplicatesFiltered,
+      conflictCount: conflicts.length,
+      suppressed: detectionStats.suppressed || 0,
+      conflictRate: `${conflictRate}%`,
+      sources
+    },
+    analyzedAt: new Date().toISOString(),
+    groupBy,
+    scoring: {
+      weights: scoringWeights,
+      sortBy
+    },
+    timeBuffer: buffer,
+    venueProximityThreshold: resolvedThreshold,
+    thresholdDetails,
+    thresholdMode,
+    filters: {
+      startDate: startDate ? startDate.toISOString() : null,
+      endDate: endDate ? endDate.toISOString() : null,
+      timezone: dateRange.timezone,
+      dateInterpretation: describeDateInterpretation(dateRange),
+      venueRadiusKm
+    }
+  };
+
+  if (groupBy === 'cluster') {
+    responsePayload.clusters = ConflictDetector.clusterConflicts(conflicts);
+    responsePayload.clusterCount = responsePayload.clusters.length;
+    responsePayload.summary.clusterCount = responsePayload.clusters.length;
+  }
+  if (groupBy === 'series') {
+    attachSeriesGrouping(responsePayload, uniqueEvents, conflicts);
+    responsePayload.summary.seriesConflictCount = responsePayload.seriesConflictCount;
+  }
+  if (compareTo) {
+    responsePayload.diff = baselineScan
+      ? {
+        baselineScanId: baselineScan.id,
+        baselineScannedAt: baselineScan.createdAt,
+        ...diffConflicts(baselineScan.conflicts, conflicts)
+      }
+      : null;
+  }
+
+  return { payload: responsePayload, offloaded };
+}
+
 // Get conflicts for specific location
 router.get('/location', async (req, res) => {
   const requestStart = process.hrtime.bigint();
@@ -170,140 +742,888 @@ router.get('/location', async (req, res) => {
       duplicatesFiltered: payload.summary?.duplicatesFiltered,
       timeBuffer: payload.timeBuffer,
       venueProximityThreshold: payload.venueProximityThreshold,
-      radius: payload.location?.radius
+      radius: payload.location?.radius,
+      offloaded: payload.offloaded
+    });
+  };
+
+  try {
+    const { params, status, error, message } = parseLocationParams(req.query);
+    if (!params) {
+      return res.status(status).json({ error, message });
+    }
+
+    const requester = {
+      userId: rateLimiter.getUserIdentifier(req),
+      scopes: suppressionRules.getRequestScopes(req)
+    };
+    const { payload: responsePayload, offloaded } = await runLocationScan(params, requester, {
+      signal: createDisconnectSignal(res)
+    });
+
+    recordMetrics({ ...responsePayload, offloaded });
+    res.json(responsePayload);
+  } catch (error) {
+    monitoring.recordPerformanceMetric('conflict_detection_location', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Location conflict detection error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: 'Failed to detect conflicts for location. Please try again later.'
+    });
+  }
+});
+
+// Check a proposed (not yet booked) event against the surrounding market
+router.post('/proposal', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  const recordMetrics = (payload = {}) => {
+    monitoring.recordPerformanceMetric('conflict_proposal', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      marketEvents: payload.market?.uniqueEvents,
+      conflictCount: payload.conflictCount,
+      timeBuffer: payload.timeBuffer,
+      venueProximityThreshold: payload.venueProximityThreshold,
+      radius: payload.market?.radius,
+      offloaded: payload.offloaded
     });
   };
 
   try {
     const {
-      lat,
-      lon,
+      proposal,
       radius = 10,
       timeBuffer = 30,
       venueProximityThreshold,
-      startDate: startDateRaw,
-      endDate: endDateRaw,
-      venueRadiusKm: venueRadiusRaw
-    } = req.query;
+      venueRadiusKm: venueRadiusRaw,
+      sortBy: sortByRaw,
+      scoringWeights: scoringWeightsRaw,
+      conflictRules
+    } = req.body || {};
 
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required',
-        message: 'Please provide lat and lon query parameters'
+    const { event: proposedEvent, error: proposalError } = buildProposedEvent(proposal);
+    if (proposalError) {
+      return res.status(400).json({
+        error: 'Invalid proposal',
+        message: proposalError
       });
     }
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lon);
-    const searchRadius = parseFloat(radius);
-    const buffer = parseInt(timeBuffer);
+    const conflictRulesError = validateConflictRules(conflictRules);
+    if (conflictRulesError) {
+      return res.status(400).json({
+        error: 'Invalid conflict rules',
+        message: conflictRulesError
+      });
+    }
 
-    if (isNaN(latitude) || isNaN(longitude)) {
-      return res.status(400).json({ 
-        error: 'Invalid coordinates',
-        message: 'Latitude and longitude must be valid numbers'
+    const searchRadius = parseFloat(radius);
+    if (isNaN(searchRadius) || searchRadius <= 0) {
+      return res.status(400).json({
+        error: 'Invalid radius',
+        message: 'radius must be a positive number (in km)'
       });
     }
 
-    const { startDate, endDate } = parseDateRangeFilters(startDateRaw, endDateRaw);
+    const { thresholds, status, error, message } = parseThresholdParams({
+      timeBuffer,
+      venueProximityThreshold,
+      venueRadiusKm: venueRadiusRaw
+    });
+    if (!thresholds) {
+      return res.status(status).json({ error, message });
+    }
+    const { buffer, manualThreshold, venueRadiusKm, thresholdMode } = thresholds;
 
-    let manualThreshold = undefined;
-    if (venueProximityThreshold !== undefined && venueProximityThreshold !== null && venueProximityThreshold !== '') {
-      manualThreshold = sanitizeVenueRadiusKm(venueProximityThreshold, DEFAULT_VENUE_THRESHOLD_KM);
+    const sortBy = parseSortBy(sortByRaw);
+    if (!sortBy) {
+      return res.status(400).json({
+        error: 'Invalid sortBy',
+        message: `sortBy must be one of: ${SORT_MODES.join(', ')}`
+      });
     }
+    const scoringWeights = ConflictDetector.resolveScoringWeights(parseScoringWeights(scoringWeightsRaw));
 
-    const hasVenueRadiusOverride = venueRadiusRaw !== undefined && venueRadiusRaw !== null && venueRadiusRaw !== '';
-    const venueRadiusKm = hasVenueRadiusOverride ? sanitizeVenueRadiusKm(venueRadiusRaw, DEFAULT_VENUE_THRESHOLD_KM) : null;
+    // Only events that could overlap the proposal (plus the buffer) are fetched
+    const dateRange = getMarketWindow(proposedEvent.start, proposedEvent.end, buffer * 60 * 1000);
+    const { startDate, endDate } = dateRange;
 
+    const { lat: latitude, lon: longitude } = proposedEvent.venue;
     const userId = rateLimiter.getUserIdentifier(req);
-    const serviceOptions = { startDate, endDate };
-
-    const [ticketmasterResult, bandsintownResult] = await Promise.allSettled([
-      TicketmasterService.getEventsByLocation(latitude, longitude, searchRadius, userId, serviceOptions),
-      BandsintownService.getEventsByLocation(latitude, longitude, searchRadius, userId, serviceOptions)
-    ]);
-
-    const ticketmasterEvents = (ticketmasterResult.status === 'fulfilled' && Array.isArray(ticketmasterResult.value)) 
-      ? ticketmasterResult.value 
-      : [];
-    const bandsintownEvents = (bandsintownResult.status === 'fulfilled' && Array.isArray(bandsintownResult.value)) 
-      ? bandsintownResult.value 
-      : [];
-
-    const allEvents = [
-      ...ticketmasterEvents,
-      ...bandsintownEvents
-    ];
-    const filteredEvents = filterEventsByDateRange(allEvents, startDate, endDate);
-
-    const uniqueEvents = ConflictDetector.filterDuplicates(filteredEvents);
-    const duplicatesFiltered = filteredEvents.length - uniqueEvents.length;
+    const { events: providerEvents, sources } = await fetchMarketEvents(
+      latitude, longitude, searchRadius, userId, { startDate, endDate, dateRange }
+    );
 
-    const detectionContext = {
-      lat: latitude,
-      lon: longitude,
-      venueRadiusKm
-    };
+    const filteredEvents = filterEventsByDateRange(
+      providerEvents, startDate, endDate, dateRange
+    );
 
+    const detectionStats = {};
     const detectionOptions = {
-      context: detectionContext,
+      context: { lat: latitude, lon: longitude, venueRadiusKm },
       baseThresholdKm: DEFAULT_VENUE_THRESHOLD_KM,
       metroThresholdKm: METRO_VENUE_THRESHOLD_KM,
-      dynamicBaseKm: 0.3
+      dynamicBaseKm: 0.3,
+      scoringWeights,
+      sortBy,
+      anchorEvents: [proposedEvent],
+      conflictRules,
+      suppress: suppressionRules.createMatcher(suppressionRules.getRequestScopes(req)),
+      stats: detectionStats
     };
 
-    const resolvedThreshold = ConflictDetector.resolveVenueThreshold(uniqueEvents, manualThreshold, detectionOptions);
-    const conflicts = ConflictDetector.findConflicts(uniqueEvents, buffer, manualThreshold, true, detectionOptions);
-
-    const conflictRate = uniqueEvents.length > 0 
-      ? ((conflicts.length / uniqueEvents.length) * 100).toFixed(1) 
-      : '0.0';
+    const { uniqueEvents: marketEvents, thresholdDetails, conflicts, offloaded } = await runConflictAnalysis(
+      filteredEvents, buffer, manualThreshold, detectionOptions, { signal: createDisconnectSignal(res) }
+    );
 
     const responsePayload = {
-      location: { 
-        lat: latitude, 
-        lon: longitude, 
-        radius: searchRadius 
-      },
+      proposal: proposedEvent,
       conflicts,
-      summary: {
+      conflictCount: conflicts.length,
+      suppressed: detectionStats.suppressed || 0,
+      market: {
+        radius: searchRadius,
+        window: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
         totalEvents: filteredEvents.length,
-        uniqueEvents: uniqueEvents.length,
-        duplicatesFiltered: duplicatesFiltered,
-        conflictCount: conflicts.length,
-        conflictRate: `${conflictRate}%`,
-        sources: {
-          ticketmaster: ticketmasterEvents.length,
-          bandsintown: bandsintownEvents.length
-        }
+        uniqueEvents: marketEvents.length,
+        duplicatesFiltered: filteredEvents.length - marketEvents.length,
+        sources
       },
       analyzedAt: new Date().toISOString(),
+      scoring: {
+        weights: scoringWeights,
+        sortBy
+      },
       timeBuffer: buffer,
-      venueProximityThreshold: resolvedThreshold,
-      thresholdMode: manualThreshold !== undefined && manualThreshold !== null
-        ? 'manual'
-        : (hasVenueRadiusOverride ? 'user_override' : 'dynamic'),
+      venueProximityThreshold: thresholdDetails.thresholdKm,
+      thresholdDetails,
+      thresholdMode
+    };
+
+    recordMetrics({ ...responsePayload, offloaded });
+    res.json(responsePayload);
+  } catch (error) {
+    monitoring.recordPerformanceMetric('conflict_proposal', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Proposal conflict check error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: 'Failed to check the proposed event. Please try again later.'
+    });
+  }
+});
+
+// Rank candidate dates / start times for a planned show by the conflicts each would create
+router.post('/recommend-dates', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  const recordMetrics = (payload = {}) => {
+    monitoring.recordPerformanceMetric('conflict_date_recommendation', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      candidateSlots: payload.candidateSlots,
+      marketEvents: payload.market?.uniqueEvents,
+      timeBuffer: payload.timeBuffer,
+      radius: payload.market?.radius,
+      offloaded: payload.offloaded
+    });
+  };
+
+  try {
+    const {
+      name,
+      venue,
+      genres,
+      durationMinutes,
+      startDate: startDateRaw,
+      endDate: endDateRaw,
+      startTimes,
+      limit = 5,
+      radius = 10,
+      timeBuffer = 30,
+      venueProximityThreshold,
+      venueRadiusKm: venueRadiusRaw,
+      scoringWeights: scoringWeightsRaw
+    } = req.body || {};
+
+    const { slots, error: slotError } = buildCandidateSlots({
+      startDate: startDateRaw,
+      endDate: endDateRaw,
+      startTimes
+    });
+    if (slotError) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: slotError
+      });
+    }
+
+    const { proposals, error: proposalError } = buildSlotProposals({ name, venue, genres, durationMinutes }, slots);
+    if (proposalError) {
+      return res.status(400).json({
+        error: 'Invalid proposal',
+        message: proposalError
+      });
+    }
+
+    const resultLimit = parseInt(limit);
+    if (isNaN(resultLimit) || resultLimit < 1) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: 'limit must be a positive number'
+      });
+    }
+
+    const searchRadius = parseFloat(radius);
+    if (isNaN(searchRadius) || searchRadius <= 0) {
+      return res.status(400).json({
+        error: 'Invalid radius',
+        message: 'radius must be a positive number (in km)'
+      });
+    }
+
+    const { thresholds, status, error, message } = parseThresholdParams({
+      timeBuffer,
+      venueProximityThreshold,
+      venueRadiusKm: venueRadiusRaw
+    });
+    if (!thresholds) {
+      return res.status(status).json({ error, message });
+    }
+    const { buffer, manualThreshold, venueRadiusKm, thresholdMode } = thresholds;
+    const scoringWeights = ConflictDetector.resolveScoringWeights(parseScoringWeights(scoringWeightsRaw));
+
+    // One market fetch covers every slot
+    const firstEvent = proposals[0].event;
+    const lastEnd = proposals.reduce((latest, slot) => (slot.event.end > latest ? slot.event.end : latest), firstEvent.end);
+    const dateRange = getMarketWindow(firstEvent.start, lastEnd, buffer * 60 * 1000);
+    const { startDate, endDate } = dateRange;
+
+    const { lat: latitude, lon: longitude } = firstEvent.venue;
+    const userId = rateLimiter.getUserIdentifier(req);
+    const { events: providerEvents, sources } = await fetchMarketEvents(
+      latitude, longitude, searchRadius, userId, { startDate, endDate, dateRange }
+    );
+
+    const filteredEvents = filterEventsByDateRange(
+      providerEvents, startDate, endDate, dateRange
+    );
+    const marketEvents = ConflictDetector.mergeDuplicates(filteredEvents);
+
+    const { recommendations, rejected, offloaded } = await runSlotRanking(proposals, marketEvents, {
+      timeBuffer: buffer,
+      venueProximityThreshold: manualThreshold,
+      limit: resultLimit,
+      detectionOptions: {
+        context: { lat: latitude, lon: longitude, venueRadiusKm },
+        baseThresholdKm: DEFAULT_VENUE_THRESHOLD_KM,
+        metroThresholdKm: METRO_VENUE_THRESHOLD_KM,
+        dynamicBaseKm: 0.3,
+        scoringWeights,
+        suppress: suppressionRules.createMatcher(suppressionRules.getRequestScopes(req))
+      }
+    }, { signal: createDisconnectSignal(res) });
+
+    const responsePayload = {
+      venue: firstEvent.venue,
+      genres: firstEvent.genres,
+      durationMinutes: Math.round((new Date(firstEvent.end) - new Date(firstEvent.start)) / 60000),
+      durationEstimated: firstEvent.endEstimated,
+      recommendations,
+      rejected,
+      candidateSlots: proposals.length,
+      market: {
+        radius: searchRadius,
+        window: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        totalEvents: filteredEvents.length,
+        uniqueEvents: marketEvents.length,
+        duplicatesFiltered: filteredEvents.length - marketEvents.length,
+        sources
+      },
+      analyzedAt: new Date().toISOString(),
+      scoring: {
+        weights: scoringWeights
+      },
+      timeBuffer: buffer,
+      thresholdMode
+    };
+
+    recordMetrics({ ...responsePayload, offloaded });
+    res.json(responsePayload);
+  } catch (error) {
+    monitoring.recordPerformanceMetric('conflict_date_recommendation', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Date recommendation error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: 'Failed to recommend dates. Please try again later.'
+    });
+  }
+});
+
+// Check an artist's tour (and optionally a proposed date) against a promoter radius clause
+router.post('/radius-clause', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  try {
+    const {
+      artist,
+      radius,
+      unit,
+      windowDays,
+      daysBefore,
+      daysAfter,
+      proposedDate
+    } = req.body || {};
+
+    const artistName = typeof artist === 'string' ? artist.trim() : '';
+    if (!artistName) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'artist is required'
+      });
+    }
+
+    const { clause, error: clauseError } = parseRadiusClause({ radius, unit, windowDays, daysBefore, daysAfter });
+    if (clauseError) {
+      return res.status(400).json({
+        error: 'Invalid radius clause',
+        message: clauseError
+      });
+    }
+
+    let proposedShow = null;
+    if (proposedDate) {
+      const { event, error: proposalError } = buildProposedEvent({
+        name: proposedDate.name || `${artistName} (proposed)`,
+        venue: proposedDate.venue,
+        start: proposedDate.start || proposedDate.date,
+        durationMinutes: proposedDate.durationMinutes
+      });
+      if (proposalError) {
+        return res.status(400).json({
+          error: 'Invalid proposal',
+          message: proposalError
+        });
+      }
+      proposedShow = event;
+    }
+
+    const userId = rateLimiter.getUserIdentifier(req);
+    // Tour dates come from the first enabled provider that can list an artist's shows.
+    // Without them the clause can't be checked, so a failed lookup is an error, never "compliant".
+    const tourProvider = providerRegistry.findProviderWith('getArtistTourDates');
+    if (!tourProvider) {
+      return res.status(503).json({
+        error: 'Tour dates unavailable',
+        message: 'No enabled provider can list an artist\'s tour dates'
+      });
+    }
+    let tourDates;
+    try {
+      tourDates = await tourProvider.getArtistTourDates(artistName, userId);
+    } catch (lookupError) {
+      console.error('Radius clause tour lookup error:', lookupError.message);
+      monitoring.recordPerformanceMetric('radius_clause_check', {
+        durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+        error: lookupError.message
+      });
+      return res.status([503, 504].includes(lookupError.status) ? lookupError.status : 502).json({
+        error: 'Tour dates unavailable',
+        message: `Could not fetch tour dates for ${artistName}: ${lookupError.message}`
+      });
+    }
+    const { tourViolations, proposalViolations, sameEngagementPairs } = findClauseViolations(tourDates, clause, proposedShow);
+
+    monitoring.recordPerformanceMetric('radius_clause_check', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      tourDates: tourDates.length,
+      violations: tourViolations.length + proposalViolations.length
+    });
+
+    res.json({
+      artist: artistName,
+      clause,
+      tourDates: tourDates.length,
+      proposedShow,
+      tourViolations,
+      proposalViolations,
+      violationCount: tourViolations.length + proposalViolations.length,
+      compliant: tourViolations.length === 0 && proposalViolations.length === 0,
+      sameEngagementPairs,
+      analyzedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Radius clause check error:', error);
+    monitoring.recordPerformanceMetric('radius_clause_check', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: 'Failed to check the radius clause. Please try again later.'
+    });
+  }
+});
+
+// Diff two analysis runs: new, resolved and severity-changed conflicts
+router.post('/diff', (req, res) => {
+  const { previous, current, previousScanId, currentScanId } = req.body || {};
+
+  const resolveRun = (label, result, scanId) => {
+    if (scanId) {
+      const scan = scanHistory.getScan(scanId);
+      return scan
+        ? { conflicts: scan.conflicts, scanId: scan.id, scannedAt: scan.createdAt }
+        : { status: 404, error: 'Scan not found', message: `No saved scan with id ${scanId}` };
+    }
+    const conflicts = readConflicts(result);
+    return conflicts
+      ? { conflicts, scanId: result.scanId || null, scannedAt: result.analyzedAt || result.createdAt || null }
+      : { status: 400, error: 'Invalid request', message: `${label} (a result with a conflicts array) or ${label}ScanId is required` };
+  };
+
+  const previousRun = resolveRun('previous', previous, previousScanId);
+  const currentRun = resolveRun('current', current, currentScanId);
+  const failedRun = [previousRun, currentRun].find(run => run.error);
+  if (failedRun) {
+    return res.status(failedRun.status).json({ error: failedRun.error, message: failedRun.message });
+  }
+
+  res.json({
+    previous: { scanId: previousRun.scanId, scannedAt: previousRun.scannedAt },
+    current: { scanId: currentRun.scanId, scannedAt: currentRun.scannedAt },
+    ...diffConflicts(previousRun.conflicts, currentRun.conflicts),
+    analyzedAt: new Date().toISOString()
+  });
+});
+
+// List built-in conflict types and the configured custom rules
+router.get('/conflict-types', (req, res) => {
+  const rules = conflictRuleEngine.loadConfiguredRules();
+  res.json({
+    builtIn: BUILT_IN_CONFLICT_TYPES,
+    rules,
+    enabledRules: rules.filter(rule => rule && rule.enabled !== false).length
+  });
+});
+
+// List the active metro regions as GeoJSON; ?lat=&lon= also reports the region containing that point
+router.get('/metro-regions', (req, res) => {
+  const hasPoint = req.query.lat !== undefined || req.query.lon !== undefined;
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+  if (hasPoint && (!Number.isFinite(lat) || !Number.isFinite(lon))) {
+    return res.status(400).json({
+      error: 'Invalid coordinates',
+      message: 'lat and lon must both be valid numbers'
+    });
+  }
+
+  const regions = metroRegions.loadMetroRegions();
+  const activeRegion = hasPoint ? ConflictDetector.findMetroRegion(lat, lon, regions) : null;
+  res.json({
+    ...metroRegions.toFeatureCollection(regions),
+    activeRegion: activeRegion ? activeRegion.name : null
+  });
+});
+
+// Find overcrowded areas / time slots in a set of events
+router.post('/crowding', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  try {
+    const { events, crowdThreshold, crowdRadiusKm, fillRate } = req.body || {};
+    if (!events || !Array.isArray(events)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Valid events array is required'
+      });
+    }
+
+    const { options: crowdOptions, error: crowdError } = parseCrowdOptions({ crowdThreshold, crowdRadiusKm, fillRate });
+    if (crowdError) {
+      return res.status(400).json({
+        error: 'Invalid crowd options',
+        message: crowdError
+      });
+    }
+
+    const uniqueEvents = ConflictDetector.mergeDuplicates(events.filter(Boolean));
+    const { payload: crowding, offloaded } = await buildCrowdingPayload(uniqueEvents, crowdOptions, {
+      signal: createDisconnectSignal(res)
+    });
+    const responsePayload = {
+      ...crowding,
+      totalEvents: events.length
+    };
+
+    monitoring.recordPerformanceMetric('crowd_analysis', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      uniqueEvents: uniqueEvents.length,
+      hotspotCount: responsePayload.hotspots.length,
+      offloaded
+    });
+    res.json(responsePayload);
+  } catch (error) {
+    monitoring.recordPerformanceMetric('crowd_analysis', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Crowd analysis error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to analyze crowding. Please try again later.'
+    });
+  }
+});
+
+// Find overcrowded areas / time slots around a location
+router.get('/crowding', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  try {
+    const {
+      lat,
+      lon,
+      radius = 10,
+      startDate: startDateRaw,
+      endDate: endDateRaw,
+      timezone: timezoneRaw,
+      crowdThreshold,
+      crowdRadiusKm,
+      fillRate
+    } = req.query;
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const searchRadius = parseFloat(radius);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'Please provide lat and lon query parameters as valid numbers'
+      });
+    }
+
+    const { options: crowdOptions, error: crowdError } = parseCrowdOptions({ crowdThreshold, crowdRadiusKm, fillRate });
+    if (crowdError) {
+      return res.status(400).json({
+        error: 'Invalid crowd options',
+        message: crowdError
+      });
+    }
+
+    const dateTimezone = parseDateTimezone(timezoneRaw);
+    if (!dateTimezone) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        message: "timezone must be 'venue' or an IANA timezone name (e.g. America/Los_Angeles)"
+      });
+    }
+    const dateRange = parseDateRangeFilters(startDateRaw, endDateRaw, { timezone: dateTimezone });
+    const { startDate, endDate } = dateRange;
+
+    const userId = rateLimiter.getUserIdentifier(req);
+    const { events: allEvents } = await fetchMarketEvents(
+      latitude, longitude, searchRadius, userId, { startDate, endDate, dateRange }
+    );
+    const uniqueEvents = ConflictDetector.mergeDuplicates(filterEventsByDateRange(allEvents, startDate, endDate, dateRange));
+    const { payload: crowding, offloaded } = await buildCrowdingPayload(uniqueEvents, crowdOptions, {
+      signal: createDisconnectSignal(res)
+    });
+
+    const responsePayload = {
+      ...crowding,
+      totalEvents: allEvents.length,
+      location: { lat: latitude, lon: longitude, radius: searchRadius },
       filters: {
         startDate: startDate ? startDate.toISOString() : null,
         endDate: endDate ? endDate.toISOString() : null,
-        venueRadiusKm
+        timezone: dateRange.timezone,
+        dateInterpretation: describeDateInterpretation(dateRange)
       }
     };
 
-    recordMetrics(responsePayload);
+    monitoring.recordPerformanceMetric('crowd_analysis', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      uniqueEvents: uniqueEvents.length,
+      hotspotCount: responsePayload.hotspots.length,
+      radius: searchRadius,
+      offloaded
+    });
     res.json(responsePayload);
   } catch (error) {
-    console.error('Location conflict detection error:', error);
-    monitoring.recordPerformanceMetric('conflict_detection_location', {
+    monitoring.recordPerformanceMetric('crowd_analysis', {
       durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
       error: error.message
     });
-    res.status(500).json({ 
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Crowd analysis error:', error);
+    res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to detect conflicts for location. Please try again later.'
+      message: 'Failed to analyze crowding. Please try again later.'
+    });
+  }
+});
+
+// Aggregate a scan's conflicts (a /location or /detect result) for charts and a heat map
+router.post('/analytics', (req, res) => {
+  const { conflicts: conflictsRaw, result, cellSizeKm: cellSizeRaw, context = {} } = req.body || {};
+  const conflicts = readConflicts(conflictsRaw !== undefined ? conflictsRaw : result);
+  if (!conflicts) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'conflicts (an array) or result (a response with a conflicts array) is required'
+    });
+  }
+
+  const cellSizeKm = parseCellSizeKm(cellSizeRaw);
+  if (!cellSizeKm) {
+    return res.status(400).json({
+      error: 'Invalid cellSizeKm',
+      message: 'cellSizeKm must be a number between 0 and 25'
+    });
+  }
+
+  const referenceLat = context && context.lat !== undefined ? parseFloat(context.lat) : NaN;
+  res.json({
+    ...buildConflictAnalytics(conflicts, { cellSizeKm, referenceLat }),
+    analyzedAt: new Date().toISOString()
+  });
+});
+
+// Scan a location and aggregate its conflicts for charts and a heat map
+router.get('/analytics', async (req, res) => {
+  const requestStart = process.hrtime.bigint();
+
+  try {
+    const {
+      lat,
+      lon,
+      radius = 10,
+      timeBuffer = 30,
+      startDate: startDateRaw,
+      endDate: endDateRaw,
+      timezone: timezoneRaw,
+      cellSizeKm: cellSizeRaw
+    } = req.query;
+
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    const searchRadius = parseFloat(radius);
+    const buffer = parseInt(timeBuffer);
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'Please provide lat and lon query parameters as valid numbers'
+      });
+    }
+    if (isNaN(buffer) || buffer < 0) {
+      return res.status(400).json({
+        error: 'Invalid time buffer',
+        message: 'Time buffer must be a non-negative number (in minutes)'
+      });
+    }
+
+    const cellSizeKm = parseCellSizeKm(cellSizeRaw);
+    if (!cellSizeKm) {
+      return res.status(400).json({
+        error: 'Invalid cellSizeKm',
+        message: 'cellSizeKm must be a number between 0 and 25'
+      });
+    }
+
+    const dateTimezone = parseDateTimezone(timezoneRaw);
+    if (!dateTimezone) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        message: "timezone must be 'venue' or an IANA timezone name (e.g. America/Los_Angeles)"
+      });
+    }
+    const dateRange = parseDateRangeFilters(startDateRaw, endDateRaw, { timezone: dateTimezone });
+    const { startDate, endDate } = dateRange;
+
+    const userId = rateLimiter.getUserIdentifier(req);
+    const { events: allEvents } = await fetchMarketEvents(
+      latitude, longitude, searchRadius, userId, { startDate, endDate, dateRange }
+    );
+    const filteredEvents = filterEventsByDateRange(allEvents, startDate, endDate, dateRange);
+
+    const { uniqueEvents, conflicts, offloaded } = await runConflictAnalysis(filteredEvents, buffer, undefined, {
+      context: { lat: latitude, lon: longitude, venueRadiusKm: null },
+      baseThresholdKm: DEFAULT_VENUE_THRESHOLD_KM,
+      metroThresholdKm: METRO_VENUE_THRESHOLD_KM,
+      dynamicBaseKm: 0.3,
+      suppress: suppressionRules.createMatcher(suppressionRules.getRequestScopes(req))
+    }, { signal: createDisconnectSignal(res) });
+
+    const responsePayload = {
+      ...buildConflictAnalytics(conflicts, { cellSizeKm, referenceLat: latitude }),
+      location: { lat: latitude, lon: longitude, radius: searchRadius },
+      uniqueEvents: uniqueEvents.length,
+      timeBuffer: buffer,
+      filters: {
+        startDate: startDate ? startDate.toISOString() : null,
+        endDate: endDate ? endDate.toISOString() : null,
+        timezone: dateRange.timezone,
+        dateInterpretation: describeDateInterpretation(dateRange)
+      },
+      analyzedAt: new Date().toISOString()
+    };
+
+    monitoring.recordPerformanceMetric('conflict_analytics', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      uniqueEvents: uniqueEvents.length,
+      conflictCount: conflicts.length,
+      radius: searchRadius,
+      offloaded
+    });
+    res.json(responsePayload);
+  } catch (error) {
+    monitoring.recordPerformanceMetric('conflict_analytics', {
+      durationMs: Number(process.hrtime.bigint() - requestStart) / 1e6,
+      error: error.message
+    });
+    if (sendWorkerPoolError(res, error)) {
+      return;
+    }
+    console.error('Conflict analytics error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build conflict analytics. Please try again later.'
     });
   }
 });
 
-module.exports = router;
+// Percent complete per stage; detection spans DETECTION_PROGRESS_START..DETECTION_PROGRESS_END
+const JOB_STAGE_PERCENT = { queued: 0, fetching: 5, detecting: 25, grouping: 95, completed: 100 };
+const DETECTION_PROGRESS_START = 25;
+const DETECTION_PROGRESS_END = 95;
+
+// Run a /location scan for a job, recording progress and partial results on it
+async function runLocationJob(job, params, requester) {
+  const update = changes => jobStore.updateJob(job, changes)
+    .catch(error => console.error(`Conflict job ${job.id}: failed to save progress:`, error.message));
+
+  try {
+    await update({ status: 'running' });
+    const { payload } = await runLocationScan(params, requester, {
+      offload: true,
+      timeoutMs: workerPoolConfig.backgroundJobTimeoutMs,
+      onStage: (stage, progress = {}) => update({
+        stage,
+        progress: { ...progress, percent: JOB_STAGE_PERCENT[stage] }
+      }),
+      onProviderFetched: (provider, eventCount) => update({
+        progress: { providersFetched: { ...job.progress.providersFetched, [provider]: eventCount } }
+      }),
+      onProgress: ({ uniqueEvents, pairsEvaluated, totalPairs, conflictsFound, newConflicts }) => {
+        const share = totalPairs ? pairsEvaluated / totalPairs : 0;
+        update({
+          partialConflicts: job.partialConflicts.concat(newConflicts).slice(0, MAX_PARTIAL_CONFLICTS),
+          progress: {
+            eventsDeduplicated: uniqueEvents,
+            pairsEvaluated,
+            totalPairs,
+            conflictsFound,
+            percent: Math.round(DETECTION_PROGRESS_START + share * (DETECTION_PROGRESS_END - DETECTION_PROGRESS_START))
+          }
+        });
+      }
+    });
+
+    await update({
+      status: 'completed',
+      stage: 'completed',
+      progress: { conflictsFound: payload.conflicts.length, percent: JOB_STAGE_PERCENT.completed },
+      partialConflicts: [],
+      result: payload
+    });
+    console.log(`✅ Conflict job ${job.id} completed: ${payload.conflicts.length} conflicts`);
+  } catch (error) {
+    console.error(`Conflict job ${job.id} failed:`, error.message);
+    await update({
+      status: 'failed',
+      error: { message: error.message, status: error.status || 500 }
+    });
+  }
+}
+
+// Start an asynchronous /location analysis; poll GET /jobs/:id for progress and the result
+router.post('/jobs', async (req, res) => {
+  try {
+    const query = { ...req.query, ...(req.body || {}) };
+    const { params, status, error, message } = parseLocationParams(query);
+    if (!params) {
+      return res.status(status).json({ error, message });
+    }
+
+    const requester = {
+      userId: rateLimiter.getUserIdentifier(req),
+      scopes: suppressionRules.getRequestScopes(req)
+    };
+    const job = await jobStore.createJob(query);
+    runLocationJob(job, params, requester);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      createdAt: job.createdAt
+    });
+  } catch (error) {
+    console.error('Conflict job creation error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start the conflict analysis job. Please try again later.'
+    });
+  }
+});
+
+// Job status: stage, progress, partial conflicts while running, result once completed
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobStore.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No conflict analysis job with id ${req.params.id} (jobs expire after ${jobStore.ttlSeconds} seconds)`
+      });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Conflict job lookup error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to look up the conflict analysis job. Please try again later.'
+    });
+  }
+});
 
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const TicketmasterService = require('../services/ticketmaster');
-const BandsintownService = require('../services/bandsintown');
+const providerRegistry = require('../services/providerRegistry');
+const ConflictDetector = require('../utils/conflictDetector');
 const rateLimiter = require('../utils/rateLimiter');
 const cacheManager = require('../utils/cacheManager');
 const monitoring = require('../utils/monitoring');
@@ -10,6 +10,8 @@ const freeSearchLimiter = require('../utils/freeSearchLimiter');
 const {
   filterEventsByDateRange,
   parseDateRangeFilters,
+  parseDateTimezone,
+  describeDateInterpretation,
   sanitizeVenueRadiusKm
 } = require('../utils/searchFilters');
 
@@ -25,8 +27,7 @@ router.get('/search', async (req, res) => {
     monitoring.recordPerformanceMetric('event_search', {
       durationMs,
       totalEvents: payload.total || 0,
-      ticketmasterCount: payload.sources?.ticketmaster?.count || 0,
-      bandsintownCount: payload.sources?.bandsintown?.count || 0,
+      sourceCounts: providerRegistry.countEvents(payload.sources),
       cacheHitRate: payload.cache?.hitRate,
       deduplicatedRequest: overrides.deduplicatedRequest || false,
       radius: payload.searchParams?.radius,
@@ -34,31 +35,12 @@ router.get('/search', async (req, res) => {
       endDate: payload.searchParams?.endDate,
       lat: payload.searchParams?.lat,
       lon: payload.searchParams?.lon,
-      ticketmasterDurationMs: overrides.ticketmasterDurationMs,
-      bandsintownDurationMs: overrides.bandsintownDurationMs
+      sourceDurationsMs: overrides.sourceDurationsMs
     });
   };
 
-  const measureServiceCall = async (label, fn) => {
-    const serviceStart = process.hrtime.bigint();
-    try {
-      const value = await fn();
-      return {
-        status: 'fulfilled',
-        value,
-        durationMs: Number(process.hrtime.bigint() - serviceStart) / 1e6
-      };
-    } catch (error) {
-      return {
-        status: 'rejected',
-        reason: error,
-        durationMs: Number(process.hrtime.bigint() - serviceStart) / 1e6
-      };
-    }
-  };
-
   try {
-    const { lat, lon, radius = 10, startDate: startDateRaw, endDate: endDateRaw, venueRadiusKm: venueRadiusRaw } = req.query;
+    const { lat, lon, radius = 10, startDate: startDateRaw, endDate: endDateRaw, timezone: timezoneRaw, venueRadiusKm: venueRadiusRaw } = req.query;
 
     if (!lat || !lon) {
       return res.status(400).json({ 
@@ -70,7 +52,15 @@ router.get('/search', async (req, res) => {
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lon);
     const searchRadius = parseFloat(radius);
-    const { startDate, endDate } = parseDateRangeFilters(startDateRaw, endDateRaw);
+    const dateTimezone = parseDateTimezone(timezoneRaw);
+    if (!dateTimezone) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        message: "timezone must be 'venue' or an IANA timezone name (e.g. America/Los_Angeles)"
+      });
+    }
+    const dateRange = parseDateRangeFilters(startDateRaw, endDateRaw, { timezone: dateTimezone });
+    const { startDate, endDate } = dateRange;
     const hasVenueRadiusOverride = venueRadiusRaw !== undefined && venueRadiusRaw !== null && venueRadiusRaw !== '';
     const venueRadiusKm = hasVenueRadiusOverride ? sanitizeVenueRadiusKm(venueRadiusRaw, 1) : null;
 
@@ -133,7 +123,7 @@ router.get('/search', async (req, res) => {
     }
 
     // Check for request deduplication - if same query is already in progress, wait for it
-    const dateKey = `${startDate ? startDate.toISOString() : 'any'}:${endDate ? endDate.toISOString() : 'any'}`;
+    const dateKey = `${startDate ? startDate.toISOString() : 'any'}:${endDate ? endDate.toISOString() : 'any'}:${dateRange.timezone}`;
     const requestKey = `search:${latitude.toFixed(4)}:${longitude.toFixed(4)}:${searchRadius}:${dateKey}`;
     
     if (pendingRequests.has(requestKey)) {
@@ -156,33 +146,14 @@ router.get('/search', async (req, res) => {
     // Create promise for this request
     const requestPromise = (async () => {
       try {
-        // Parallel API calls with error handling
-        const serviceOptions = { startDate, endDate };
-        const [ticketmasterResult, bandsintownResult] = await Promise.all([
-          measureServiceCall('ticketmaster', () => 
-            TicketmasterService.getEventsByLocation(latitude, longitude, searchRadius, userId, serviceOptions)
-          ),
-          measureServiceCall('bandsintown', () => 
-            BandsintownService.getEventsByLocation(latitude, longitude, searchRadius, userId, serviceOptions)
-          )
-        ]);
-
-        const ticketmasterEvents = (ticketmasterResult.status === 'fulfilled' && Array.isArray(ticketmasterResult.value)) 
-          ? ticketmasterResult.value 
-          : [];
-        const bandsintownEvents = (bandsintownResult.status === 'fulfilled' && Array.isArray(bandsintownResult.value)) 
-          ? bandsintownResult.value 
-          : [];
-
-        const allEvents = [
-          ...ticketmasterEvents,
-          ...bandsintownEvents
-        ];
-        const filteredEvents = filterEventsByDateRange(allEvents, startDate, endDate);
-
-        // Get enabled status from services
-        const ticketmasterEnabled = TicketmasterService.enabled;
-        const bandsintownEnabled = BandsintownService.enabled;
+        // Parallel provider calls; a failing provider is reported in sources
+        const serviceOptions = { startDate, endDate, dateRange };
+        const { events: allEvents, results: providerResults } = await providerRegistry.fetchEventsByLocation(
+          latitude, longitude, searchRadius, userId, serviceOptions
+        );
+        const dateFilteredEvents = filterEventsByDateRange(allEvents, startDate, endDate, dateRange);
+        // Same show listed on several providers -> one canonical event with sources[]
+        const filteredEvents = ConflictDetector.mergeDuplicates(dateFilteredEvents);
 
         // Get cache stats for monitoring
         const cacheStats = cacheManager.getStats();
@@ -190,20 +161,8 @@ router.get('/search', async (req, res) => {
         const response = {
           events: filteredEvents,
           total: filteredEvents.length,
-          sources: {
-            ticketmaster: {
-              enabled: ticketmasterEnabled,
-              count: ticketmasterEvents.length,
-              success: ticketmasterResult.status === 'fulfilled',
-              error: ticketmasterResult.status === 'rejected' ? ticketmasterResult.reason?.message : null
-            },
-            bandsintown: {
-              enabled: bandsintownEnabled,
-              count: bandsintownEvents.length,
-              success: bandsintownResult.status === 'fulfilled',
-              error: bandsintownResult.status === 'rejected' ? bandsintownResult.reason?.message : null
-            }
-          },
+          duplicatesMerged: dateFilteredEvents.length - filteredEvents.length,
+          sources: providerRegistry.summarizeSources(providerResults),
           searchParams: {
             lat: latitude,
             lon: longitude,
@@ -218,13 +177,14 @@ router.get('/search', async (req, res) => {
           filters: {
             startDate: startDate ? startDate.toISOString() : null,
             endDate: endDate ? endDate.toISOString() : null,
+            timezone: dateRange.timezone,
+            dateInterpretation: describeDateInterpretation(dateRange),
             venueRadiusKm: hasVenueRadiusOverride ? venueRadiusKm : null
           }
         };
 
         recordMetrics(response, {
-          ticketmasterDurationMs: ticketmasterResult.durationMs,
-          bandsintownDurationMs: bandsintownResult.durationMs
+          sourceDurationsMs: providerRegistry.getDurations(providerResults)
         });
         return response;
       } finally {
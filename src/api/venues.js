@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const venueRegistry = require('../utils/venueRegistry');
+const { requireAdminKey } = require('../utils/adminAuth');
+
+function sendRegistryError(res, error, fallbackMessage) {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      error: 'Invalid request',
+      message: error.message
+    });
+  }
+  console.error('Venue registry error:', error);
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
+
+// List registered venues (?q=search&includeProvisional=true&limit=200)
+router.get('/', (req, res) => {
+  try {
+    const venues = venueRegistry.listVenues({
+      query: req.query.q,
+      includeProvisional: req.query.includeProvisional === 'true',
+      limit: req.query.limit
+    });
+    res.json({
+      venues,
+      total: venues.length,
+      registry: venueRegistry.getStats()
+    });
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to list venues');
+  }
+});
+
+// Resolve a provider venue against the registry (never writes the store)
+router.post('/resolve', (req, res) => {
+  const { name, lat, lon, city, region, country, provider, providerVenueId } = req.body || {};
+  if (!name && (lat === undefined || lon === undefined)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Provide a venue name and/or lat and lon'
+    });
+  }
+
+  try {
+    const resolution = venueRegistry.resolveVenue({ name, lat, lon, city, region, country }, provider, providerVenueId);
+    res.json({
+      ...resolution,
+      venue: venueRegistry.getVenue(resolution.id)
+    });
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to resolve venue');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const venue = venueRegistry.getVenue(req.params.id);
+  if (!venue) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `Venue ${req.params.id} not found`
+    });
+  }
+  res.json(venue);
+});
+
+// Admin: add a venue, or promote a provisional one by passing its id
+router.post('/', requireAdminKey, (req, res) => {
+  try {
+    res.status(201).json(venueRegistry.createVenue(req.body || {}));
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to create venue');
+  }
+});
+
+router.put('/:id', requireAdminKey, (req, res) => {
+  try {
+    res.json(venueRegistry.updateVenue(req.params.id, req.body || {}));
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to update venue');
+  }
+});
+
+router.post('/:id/aliases', requireAdminKey, (req, res) => {
+  try {
+    res.json(venueRegistry.addAlias(req.params.id, (req.body || {}).alias));
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to add alias');
+  }
+});
+
+router.delete('/:id', requireAdminKey, (req, res) => {
+  try {
+    const venue = venueRegistry.deleteVenue(req.params.id);
+    res.json({ deleted: true, id: venue.id });
+  } catch (error) {
+    sendRegistryError(res, error, 'Failed to delete venue');
+  }
+});
+
+module.exports = router;
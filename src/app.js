@@ -6,27 +6,24 @@ const path = require('path');
 const eventRoutes = require('./api/events');
 const conflictRoutes = require('./api/conflicts');
 const paywallRoutes = require('./api/paywall');
+const providerRegistry = require('./services/providerRegistry');
 
 // Validate environment variables on startup
 function validateEnvironment() {
   const warnings = [];
   const errors = [];
 
-  // Check Ticketmaster
-  if (!process.env.TICKETMASTER_API_KEY || process.env.TICKETMASTER_API_KEY === 'your_ticketmaster_api_key_here') {
-    warnings.push('⚠️  Ticketmaster API key not configured (will be skipped)');
-  } else {
-    console.log('✅ Ticketmaster API key configured');
-  }
-
-  // Check Bandsintown
-  // Note: Bandsintown doesn't require an API key, but uses an app_id (optional)
-  if (process.env.BANDSINTOWN_ENABLED !== 'false') {
-    const appId = process.env.BANDSINTOWN_APP_ID || 'EventConflictFinder';
-    console.log(`✅ Bandsintown service enabled (app_id: ${appId})`);
-  } else {
-    console.log('ℹ️  Bandsintown service is disabled');
-  }
+  // Check each registered event provider
+  const providers = Object.entries(providerRegistry.getHealth());
+  providers.forEach(([name, health]) => {
+    if (!health.enabled) {
+      console.log(`ℹ️  ${name} service is disabled`);
+    } else if (health.configured === false) {
+      warnings.push(`⚠️  ${name} is not configured (will be skipped)`);
+    } else {
+      console.log(`✅ ${name} service enabled`);
+    }
+  });
 
   // Display warnings
   if (warnings.length > 0) {
@@ -34,12 +31,10 @@ function validateEnvironment() {
     warnings.forEach(warning => console.log(warning));
   }
 
-  // Check if at least one API is configured
-  const hasTicketmaster = process.env.TICKETMASTER_API_KEY && 
-    process.env.TICKETMASTER_API_KEY !== 'your_ticketmaster_api_key_here';
-  const hasBandsintown = process.env.BANDSINTOWN_ENABLED !== 'false'; // Bandsintown doesn't require API key
+  // Check if at least one provider can return events
+  const hasProvider = providers.some(([, health]) => health.enabled && health.configured !== false);
 
-  if (!hasTicketmaster && !hasBandsintown) {
+  if (!hasProvider) {
     errors.push('❌ No services enabled! Please enable at least one service in .env file');
   }
 
@@ -98,9 +93,11 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 // API Routes
 app.use('/api/events', eventRoutes);
+app.use('/api/conflicts/rules', require('./api/conflictRules'));
 app.use('/api/conflicts', conflictRoutes);
 app.use('/api/paywall', paywallRoutes);
 app.use('/api/monitoring', require('./api/monitoring'));
+app.use('/api/venues', require('./api/venues'));
 
 // Root route - serve index.html
 app.get('/', (req, res) => {
@@ -153,10 +150,12 @@ app.listen(PORT, async () => {
     const cacheManager = require('./utils/cacheManager');
     const rateLimiter = require('./utils/rateLimiter');
     const monitoring = require('./utils/monitoring');
+    const workerPool = require('./utils/workerPool');
     
     monitoring.stopPeriodicLogging();
     await cacheManager.close();
     await rateLimiter.close();
+    await workerPool.shutdown();
     
     process.exit(0);
   });
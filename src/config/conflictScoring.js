@@ -0,0 +1,44 @@
+/**
+ * Conflict Scoring Configuration
+ * Default weights for the 0-100 conflict score. Each deployment can override
+ * them through environment variables; requests can override them per call.
+ * Weights are relative - they are normalized to sum to 1 before scoring.
+ */
+
+function weightFromEnv(name, fallback) {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+module.exports = {
+  weights: {
+    // Share of the shorter event covered by the overlap
+    timeOverlap: weightFromEnv('CONFLICT_WEIGHT_TIME_OVERLAP', 0.35),
+    // Closeness of the venues relative to the proximity threshold
+    distance: weightFromEnv('CONFLICT_WEIGHT_DISTANCE', 0.2),
+    // Jaccard overlap of the normalized genre tags
+    genreOverlap: weightFromEnv('CONFLICT_WEIGHT_GENRE_OVERLAP', 0.25),
+    // Events listed on different platforms
+    crossPlatform: weightFromEnv('CONFLICT_WEIGHT_CROSS_PLATFORM', 0.05),
+    // Larger venues pull bigger audiences away from each other
+    venueSize: weightFromEnv('CONFLICT_WEIGHT_VENUE_SIZE', 0.15)
+  },
+
+  // Capacity at which the venue size factor saturates at 1
+  venueSizeReferenceCapacity: parseInt(process.env.CONFLICT_VENUE_SIZE_REFERENCE_CAPACITY) || 20000,
+
+  // Venue name keywords used when no capacity is known (first match wins)
+  venueSizeHints: [
+    { pattern: /stadium|field|speedway|racetrack/i, factor: 1 },
+    { pattern: /arena|center|centre|garden|coliseum|forum/i, factor: 0.85 },
+    { pattern: /amphitheat|pavilion|bowl|park/i, factor: 0.75 },
+    { pattern: /theat|hall|auditorium|ballroom|opera/i, factor: 0.5 },
+    { pattern: /club|bar|lounge|pub|tavern|cafe|café|room/i, factor: 0.25 }
+  ],
+
+  // Factor used when neither capacity nor a name hint is available
+  defaultVenueSizeFactor: 0.5,
+
+  // Time overlap multiplier when either event's end time was estimated (0-1)
+  estimatedOverlapFactor: Math.min(1, weightFromEnv('CONFLICT_ESTIMATED_OVERLAP_FACTOR', 0.7))
+};
@@ -0,0 +1,36 @@
+/**
+ * Crowd Analysis Configuration
+ * Defaults for the overcrowding analysis. Each deployment can override them
+ * through environment variables; requests can override the threshold and radius.
+ */
+
+function numberFromEnv(name, fallback) {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // Expected attendance (summed over overlapping events in one area) that counts as overcrowded
+  crowdThreshold: numberFromEnv('CROWD_THRESHOLD', 40000),
+
+  // Events whose venues are within this distance of each other share an area
+  radiusKm: numberFromEnv('CROWD_RADIUS_KM', 2),
+
+  // Share of a venue's capacity expected to attend
+  fillRate: Math.min(1, numberFromEnv('CROWD_FILL_RATE', 0.85)),
+
+  // Assumed capacity when neither the registry nor the provider knows it (first match wins)
+  capacityHints: [
+    { pattern: /stadium|field|speedway|racetrack/i, capacity: 45000 },
+    { pattern: /arena|center|centre|garden|coliseum|forum/i, capacity: 15000 },
+    { pattern: /amphitheat|pavilion|bowl|park/i, capacity: 8000 },
+    { pattern: /theat|hall|auditorium|ballroom|opera/i, capacity: 2000 },
+    { pattern: /club|bar|lounge|pub|tavern|cafe|café|room/i, capacity: 400 }
+  ],
+
+  // Assumed capacity when no hint matches either
+  defaultCapacity: numberFromEnv('CROWD_DEFAULT_CAPACITY', 1000),
+
+  // Hotspots returned per analysis (the busiest first)
+  maxHotspots: Math.floor(numberFromEnv('CROWD_MAX_HOTSPOTS', 100))
+};
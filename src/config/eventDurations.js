@@ -0,0 +1,94 @@
+const fs = require('fs');
+
+/**
+ * Event Duration Configuration
+ * Used to estimate end times when a provider only gives a start time.
+ * Keys are normalized (lowercase, single-spaced) genre / segment names and venue names.
+ *
+ * Set EVENT_DURATIONS_PATH to a JSON file with the same shape to override or
+ * extend any table (e.g. per-venue overrides for a deployment).
+ */
+
+const defaults = {
+  // Used when nothing else matches
+  defaultMinutes: 120,
+
+  // Specific genres / sub-genres (the longest matching duration wins)
+  byGenre: {
+    festival: 480,
+    'music festival': 480,
+    comedy: 90,
+    'stand-up': 90,
+    'stand up': 90,
+    football: 195,
+    'american football': 195,
+    soccer: 120,
+    rugby: 120,
+    basketball: 150,
+    baseball: 180,
+    hockey: 150,
+    'ice hockey': 150,
+    tennis: 180,
+    golf: 360,
+    motorsports: 240,
+    'motorsports/racing': 240,
+    boxing: 240,
+    wrestling: 180,
+    'mixed martial arts': 240,
+    theatre: 150,
+    theater: 150,
+    musical: 150,
+    broadway: 150,
+    opera: 180,
+    ballet: 135,
+    dance: 120,
+    classical: 120,
+    jazz: 120,
+    family: 90,
+    "children's theatre": 75,
+    circus: 120,
+    magic: 90,
+    film: 120,
+    lecture: 75
+  },
+
+  // Ticketmaster-style segments, used when no genre matched
+  bySegment: {
+    music: 150,
+    sports: 180,
+    'arts & theatre': 150,
+    film: 120,
+    miscellaneous: 120
+  },
+
+  // Each additional act on the bill adds time, up to a cap
+  lineup: {
+    perAdditionalActMinutes: 30,
+    maxMinutes: 600
+  },
+
+  // Per-venue durations (normalized venue name or venue id -> minutes); these win over everything
+  venueOverrides: {}
+};
+
+function loadOverrides(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not load event duration overrides from ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+const overrides = loadOverrides(process.env.EVENT_DURATIONS_PATH);
+
+module.exports = {
+  defaultMinutes: overrides.defaultMinutes || defaults.defaultMinutes,
+  byGenre: { ...defaults.byGenre, ...(overrides.byGenre || {}) },
+  bySegment: { ...defaults.bySegment, ...(overrides.bySegment || {}) },
+  lineup: { ...defaults.lineup, ...(overrides.lineup || {}) },
+  venueOverrides: { ...defaults.venueOverrides, ...(overrides.venueOverrides || {}) }
+};
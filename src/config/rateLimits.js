@@ -28,6 +28,32 @@ module.exports = {
     queueThreshold: 0.8,
     // Name for logging
     name: 'Bandsintown'
+  },
+
+  seatgeek: {
+    // SeatGeek doesn't publish a quota: 1000 requests per hour keeps well clear of throttling
+    hourlyQuota: parseInt(process.env.SEATGEEK_HOURLY_QUOTA) || 1000,
+    // Rate limit: 2 requests per second
+    requestsPerSecond: parseFloat(process.env.SEATGEEK_RPS) || 2,
+    // Per-user limit: 60 requests per hour
+    perUserPerHour: parseInt(process.env.SEATGEEK_USER_HOUR_LIMIT) || 60,
+    // Queue threshold: Start queuing at 80% of hourly quota
+    queueThreshold: 0.8,
+    // Name for logging
+    name: 'SeatGeek'
+  },
+
+  eventbrite: {
+    // Eventbrite allows 2000 requests per hour per token (a lookup can use up to EVENTBRITE_MAX_PAGES per venue and organization)
+    hourlyQuota: parseInt(process.env.EVENTBRITE_HOURLY_QUOTA) || 2000,
+    // Rate limit: 3 requests per second
+    requestsPerSecond: parseFloat(process.env.EVENTBRITE_RPS) || 3,
+    // Per-user limit: 60 requests per hour
+    perUserPerHour: parseInt(process.env.EVENTBRITE_USER_HOUR_LIMIT) || 60,
+    // Queue threshold: Start queuing at 80% of hourly quota
+    queueThreshold: 0.8,
+    // Name for logging
+    name: 'Eventbrite'
   }
 };
 
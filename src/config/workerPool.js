@@ -0,0 +1,21 @@
+/**
+ * Conflict Worker Pool Configuration
+ * Large conflict analyses run on worker threads so they don't block the Express thread.
+ */
+
+const os = require('os');
+
+module.exports = {
+  // Set CONFLICT_WORKERS_ENABLED=false to always analyze on the main thread
+  enabled: process.env.CONFLICT_WORKERS_ENABLED !== 'false',
+  // Worker threads, started on demand (default: one per spare CPU core, 1-4)
+  size: parseInt(process.env.CONFLICT_WORKER_POOL_SIZE) || Math.min(4, Math.max(1, os.cpus().length - 1)),
+  // Requests with at least this many events go through the pool
+  minEvents: parseInt(process.env.CONFLICT_WORKER_MIN_EVENTS) || 500,
+  // A job running longer than this is stopped and its worker replaced
+  jobTimeoutMs: parseInt(process.env.CONFLICT_WORKER_TIMEOUT_MS) || 30000,
+  // Time limit for background jobs (POST /api/conflicts/jobs)
+  backgroundJobTimeoutMs: parseInt(process.env.CONFLICT_JOB_TIMEOUT_MS) || 15 * 60 * 1000,
+  // Jobs waiting for a free worker beyond this are rejected
+  maxQueue: parseInt(process.env.CONFLICT_WORKER_MAX_QUEUE) || 50
+};
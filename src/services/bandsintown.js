@@ -2,9 +2,12 @@ const fetch = require('node-fetch');
 const rateLimiter = require('../utils/rateLimiter');
 const cacheManager = require('../utils/cacheManager');
 const requestQueue = require('../utils/requestQueue');
+const venueRegistry = require('../utils/venueRegistry');
 const monitoring = require('../utils/monitoring');
 const { filterEventsByDateRange } = require('../utils/searchFilters');
 const { getTimezoneForCoordinates } = require('../utils/timezoneHelper');
+const { resolveEventTimes, applyEstimatedEnd } = require('../utils/eventTimeModel');
+const { estimateEndTime } = require('../utils/durationEstimator');
 
 class BandsintownService {
   constructor() {
@@ -22,14 +25,7 @@ class BandsintownService {
   transformEvent(eventData, artistName = null) {
     const venue = eventData.venue || {};
     
-    // Calculate end time (estimate 2 hours if not provided)
-    const startTime = eventData.datetime || eventData.date;
-    let endTime = startTime;
-    if (startTime) {
-      const start = new Date(startTime);
-      start.setHours(start.getHours() + 2); // Default 2 hour duration
-      endTime = start.toISOString();
-    }
+    const genres = this.extractGenres(eventData);
 
     // Format event name with artist
     const eventName = eventData.lineup && eventData.lineup.length > 0
@@ -39,22 +35,72 @@ class BandsintownService {
     const venueLat = venue.latitude || venue.lat;
     const venueLon = venue.longitude || venue.lng || venue.lon;
     const timezone = (venueLat && venueLon) ? getTimezoneForCoordinates(parseFloat(venueLat), parseFloat(venueLon)) : null;
+    const venueDetails = {
+      name: venue.name || 'Unknown Venue',
+      lat: venueLat,
+      lon: venueLon,
+      city: venue.city || null,
+      region: venue.region || null,
+      country: venue.country || null
+    };
+    const resolvedVenue = venueRegistry.resolveVenue(venueDetails, this.apiName, venue.id);
+
+    // Bandsintown datetimes are venue wall-clock times without an offset
+    let times = resolveEventTimes({
+      startDateTime: eventData.datetime || eventData.starts_at,
+      startDate: eventData.date,
+      endDateTime: eventData.end_datetime || eventData.ends_at,
+      timezone
+    });
+
+    if (!times) {
+      return null;
+    }
+
+    // Bandsintown rarely gives an end time - estimate it from genre / lineup
+    let estimate = null;
+    if (!times.end) {
+      estimate = estimateEndTime(times.start, {
+        genres,
+        segment: 'music',
+        lineupSize: Array.isArray(eventData.lineup) ? eventData.lineup.length : null,
+        venue: { id: resolvedVenue.id, name: venue.name }
+      });
+      times = applyEstimatedEnd(times, estimate ? estimate.end : null, timezone);
+    }
 
     return {
       id: `bit_${eventData.id || `${eventData.venue?.name}_${eventData.datetime}`}`,
       name: eventName,
-      start: eventData.datetime || eventData.date,
-      end: endTime || eventData.datetime || eventData.date,
+      start: times.start,
+      end: times.end,
+      timeKind: times.timeKind,
+      localStartDate: times.localStartDate,
+      localEndDate: times.localEndDate,
       venue: {
-        name: venue.name || 'Unknown Venue',
-        lat: venueLat,
-        lon: venueLon,
+        ...venueDetails,
+        id: resolvedVenue.id,
         address: venue.location || venue.city || '',
-        timezone: timezone
+        timezone: timezone,
+        ...venueRegistry.resolveCapacity(resolvedVenue, venue.capacity),
+        resolvedBy: resolvedVenue.resolvedBy,
+        provisional: resolvedVenue.provisional
       },
       source: 'bandsintown',
       url: eventData.url || eventData.facebook_rsvp_url || `https://www.bandsintown.com/e/${eventData.id}`,
-      genres: this.extractGenres(eventData)
+      genres,
+      endEstimated: !!estimate,
+      estimatedDurationMinutes: estimate ? estimate.minutes : null
+    };
+  }
+
+  // Provider health for monitoring (see services/providerRegistry.js)
+  // Bandsintown only needs an app_id, which has a default
+  getHealth() {
+    return {
+      enabled: this.enabled,
+      configured: true,
+      appId: this.appId
     };
   }
 
@@ -202,7 +248,7 @@ class BandsintownService {
         .map(event => this.transformEvent(event, event._artistName))
         .filter(event => {
           // Check if event has valid coordinates
-          if (!event.venue || !event.venue.lat || !event.venue.lon || !event.start) {
+          if (!event || !event.venue || !event.venue.lat || !event.venue.lon || !event.start) {
             return false;
           }
           
@@ -247,7 +293,7 @@ class BandsintownService {
         return true;
       });
 
-      const dateFilteredEvents = filterEventsByDateRange(uniqueEvents, options.startDate, options.endDate);
+      const dateFilteredEvents = filterEventsByDateRange(uniqueEvents, options.startDate, options.endDate, options.dateRange);
 
       monitoring.recordPerformanceMetric('bandsintown_fanout', {
         durationMs: Number(process.hrtime.bigint() - searchStart) / 1e6,
@@ -272,10 +318,33 @@ class BandsintownService {
         lat,
         lon
       });
-      return filterEventsByDateRange(cached || [], options.startDate, options.endDate);
+      return filterEventsByDateRange(cached || [], options.startDate, options.endDate, options.dateRange);
+    }
+  }
+
+  // Upcoming dates for a single artist in our standard format (events without a usable venue are dropped)
+  // Throws (with a status) when the dates couldn't be fetched, so callers can tell a failed lookup from an empty tour
+  async getArtistTourDates(artistName, userId = 'default') {
+    if (!this.enabled) {
+      throw this.createError('Bandsintown service is disabled', 503);
+    }
+
+    const limitCheck = await rateLimiter.checkAllLimits(this.apiName, userId);
+    if (!limitCheck.allowed) {
+      if (limitCheck.shouldQueue) {
+        return await requestQueue.enqueue(this.apiName, () => this.getArtistTourDates(artistName, userId));
+      }
+      console.warn(`Bandsintown: Rate limit exceeded. Wait time: ${limitCheck.waitTime}s`);
+      throw this.createError(`Bandsintown rate limit exceeded. Retry in ${limitCheck.waitTime}s`, 503);
     }
+
+    const rawEvents = await this.getArtistEvents(artistName);
+    return rawEvents
+      .map(event => this.transformEvent(event, artistName))
+      .filter(event => event && event.venue && event.venue.lat && event.venue.lon && event.start);
   }
 
+  // Rejects (with a status) on timeouts, exhausted retries and API errors; an artist without events resolves to []
   async getArtistEvents(artistName, retryCount = 0) {
     try {
       // Encode artist name for URL
@@ -300,7 +369,7 @@ class BandsintownService {
       } catch (error) {
         if (error.message === 'Request timeout') {
           console.error(`Bandsintown API request timed out for artist: ${artistName}`);
-          return [];
+          throw this.createError(`Bandsintown request timed out for ${artistName}`, 504);
         }
         throw error;
       }
@@ -316,7 +385,7 @@ class BandsintownService {
           return await this.getArtistEvents(artistName, retryCount + 1);
         } else {
           console.error(`Bandsintown: Max retries reached for ${artistName}`);
-          return [];
+          throw this.createError(`Bandsintown rate limited the lookup for ${artistName}`, 503);
         }
       }
 
@@ -333,13 +402,13 @@ class BandsintownService {
             console.warn('   The API may have changed or requires different authentication');
             this._authWarningLogged = true;
           }
-          return [];
+          throw this.createError('Bandsintown rejected the request (403)', 502);
         }
         
         // Log other errors normally
         const errorText = await response.text();
         console.error(`Bandsintown API error (${response.status}) for ${artistName}:`, errorText);
-        return [];
+        throw this.createError(`Bandsintown API error (${response.status})`, 502);
       }
 
       const data = await response.json();
@@ -354,6 +423,9 @@ class BandsintownService {
 
       return [];
     } catch (error) {
+      if (error.status) {
+        throw error;
+      }
       console.error(`Bandsintown artist search error for ${artistName}:`, error.message);
       
       // Retry on network errors
@@ -364,10 +436,16 @@ class BandsintownService {
         return await this.getArtistEvents(artistName, retryCount + 1);
       }
       
-      return [];
+      throw this.createError(`Bandsintown request failed: ${error.message}`, 502);
     }
   }
 
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
   extractGenres(eventData) {
     const tags = new Set();
     const genreCandidates = [];
@@ -0,0 +1,442 @@
+const fetch = require('node-fetch');
+const rateLimiter = require('../utils/rateLimiter');
+const cacheManager = require('../utils/cacheManager');
+const requestQueue = require('../utils/requestQueue');
+const venueRegistry = require('../utils/venueRegistry');
+const ConflictDetector = require('../utils/conflictDetector');
+const { filterEventsByDateRange, getProviderDateWindow } = require('../utils/searchFilters');
+const { getTimezoneForCoordinates } = require('../utils/timezoneHelper');
+const { resolveEventTimes, applyEstimatedEnd } = require('../utils/eventTimeModel');
+const { estimateEndTime } = require('../utils/durationEstimator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Listings that aren't happening (or aren't public yet)
+const EXCLUDED_STATUSES = new Set(['canceled', 'draft']);
+
+class EventbriteService {
+  constructor() {
+    this.baseURL = process.env.EVENTBRITE_API_BASE_URL || 'https://www.eventbriteapi.com/v3';
+    this.token = process.env.EVENTBRITE_TOKEN;
+    this.enabled = process.env.EVENTBRITE_ENABLED !== 'false'; // Enabled by default
+    this.apiName = 'eventbrite';
+    this.maxPages = parseInt(process.env.EVENTBRITE_MAX_PAGES) || 3; // 50 events per page, per venue or organization
+    // Eventbrite has no public location search (retired in 2020), so events are listed
+    // per venue and organizer and trimmed to the search radius locally
+    this.venueIds = this.parseIdList(process.env.EVENTBRITE_VENUE_IDS);
+    this.organizationIds = this.parseIdList(process.env.EVENTBRITE_ORGANIZATION_IDS);
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // Initial retry delay in ms
+  }
+
+  // Comma-separated id list from the environment
+  parseIdList(value) {
+    return Array.from(new Set(
+      String(value || '').split(',').map(id => id.trim()).filter(Boolean)
+    ));
+  }
+
+  // Venue and organization listings to fetch, in request order
+  getSources() {
+    return [
+      ...this.venueIds.map(id => ({ type: 'venue', id })),
+      ...this.organizationIds.map(id => ({ type: 'organization', id }))
+    ];
+  }
+
+  // Transform Eventbrite API response (with expand=venue,category,subcategory,format) to our standard format
+  transformEvent(eventData) {
+    if (!eventData || EXCLUDED_STATUSES.has(eventData.status)) {
+      return null;
+    }
+
+    // Online events have no place, so they can't conflict by proximity
+    if (this.isOnlineEvent(eventData)) {
+      return null;
+    }
+
+    const eventUrl = this.getPublicEventUrl(eventData);
+    if (!eventUrl) {
+      return null;
+    }
+
+    const venue = eventData.venue || {};
+    const address = venue.address || {};
+    const genres = this.extractGenres(eventData);
+
+    const venueLat = parseFloat(address.latitude ?? venue.latitude);
+    const venueLon = parseFloat(address.longitude ?? venue.longitude);
+    const timezone = eventData.start?.timezone || getTimezoneForCoordinates(venueLat, venueLon);
+    const venueDetails = {
+      name: venue.name || 'Unknown Venue',
+      lat: venueLat,
+      lon: venueLon,
+      city: address.city || null,
+      region: address.region || null,
+      country: address.country || null
+    };
+    const resolvedVenue = venueRegistry.resolveVenue(venueDetails, this.apiName, venue.id);
+
+    // utc fields carry a Z; local fields are the venue wall clock
+    let times = resolveEventTimes({
+      startDateTime: eventData.start?.utc || eventData.start?.local,
+      endDateTime: eventData.end?.utc || eventData.end?.local,
+      timezone
+    });
+
+    if (!times) {
+      return null;
+    }
+
+    // Eventbrite requires an end time, but estimate one if it's missing
+    let estimate = null;
+    if (!times.end) {
+      estimate = estimateEndTime(times.start, {
+        genres,
+        segment: eventData.category?.short_name || eventData.category?.name,
+        venue: { id: resolvedVenue.id, name: venue.name }
+      });
+      times = applyEstimatedEnd(times, estimate ? estimate.end : null, timezone);
+    }
+
+    return {
+      id: `eb_${eventData.id}`,
+      name: eventData.name?.text || 'Untitled Event',
+      start: times.start,
+      end: times.end,
+      timeKind: times.timeKind,
+      localStartDate: times.localStartDate,
+      localEndDate: times.localEndDate,
+      venue: {
+        ...venueDetails,
+        id: resolvedVenue.id,
+        address: address.localized_address_display || address.address_1 || '',
+        timezone: timezone,
+        ...venueRegistry.resolveCapacity(resolvedVenue, venue.capacity || eventData.capacity),
+        resolvedBy: resolvedVenue.resolvedBy,
+        provisional: resolvedVenue.provisional
+      },
+      source: 'eventbrite',
+      url: eventUrl,
+      genres,
+      endEstimated: !!estimate,
+      estimatedDurationMinutes: estimate ? estimate.minutes : null
+    };
+  }
+
+  // Online-only listings, and physical listings without usable coordinates
+  isOnlineEvent(eventData) {
+    if (eventData.online_event) {
+      return true;
+    }
+    const address = eventData.venue?.address || {};
+    const lat = parseFloat(address.latitude ?? eventData.venue?.latitude);
+    const lon = parseFloat(address.longitude ?? eventData.venue?.longitude);
+    return !Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0);
+  }
+
+  getPublicEventUrl(eventData) {
+    if (typeof eventData.url !== 'string') {
+      return null;
+    }
+
+    try {
+      const url = new URL(eventData.url.trim());
+      // eventbrite.com, eventbrite.co.uk, www.eventbrite.com.au, ...
+      if (!/^https?:$/.test(url.protocol) || !/(^|\.)eventbrite\.[a-z.]+$/.test(url.hostname.toLowerCase())) {
+        return null;
+      }
+      return url.toString();
+    } catch (error) {
+      // Invalid URL format
+      return null;
+    }
+  }
+
+  // Provider health for monitoring (see services/providerRegistry.js)
+  getHealth() {
+    return {
+      enabled: this.enabled,
+      configured: Boolean(this.token) && this.getSources().length > 0,
+      venues: this.venueIds.length,
+      organizations: this.organizationIds.length,
+      maxPages: this.maxPages
+    };
+  }
+
+  async getEventsByLocation(lat, lon, radius = 10, userId = 'default', options = {}) {
+    const useCache = !options.startDate && !options.endDate;
+
+    try {
+      // Check if service is enabled
+      if (!this.enabled) {
+        console.log('Eventbrite service is disabled. Skipping Eventbrite events.');
+        return [];
+      }
+
+      // If no token, return empty array
+      if (!this.token) {
+        console.warn('Eventbrite token not configured. Skipping Eventbrite events.');
+        return [];
+      }
+
+      if (this.getSources().length === 0) {
+        console.warn('Eventbrite venues/organizations not configured. Skipping Eventbrite events.');
+        return [];
+      }
+
+      // Check cache first
+      if (useCache) {
+        const cached = await cacheManager.get(this.apiName, lat, lon, radius);
+        if (cached) {
+          return cached;
+        }
+      }
+
+      // Check rate limits
+      const limitCheck = await rateLimiter.checkAllLimits(this.apiName, userId);
+
+      if (!limitCheck.allowed) {
+        // Try to return cached data even if expired
+        const staleCache = await cacheManager.get(this.apiName, lat, lon, radius);
+        if (staleCache) {
+          console.warn(`Eventbrite: Rate limited, returning stale cache. Wait time: ${limitCheck.waitTime}s`);
+          return staleCache;
+        }
+
+        // If should queue, add to queue
+        if (limitCheck.shouldQueue) {
+          return await requestQueue.enqueue(this.apiName, () => this.getEventsByLocation(lat, lon, radius, userId, options));
+        }
+
+        // Otherwise, return empty with wait time info
+        console.warn(`Eventbrite: Rate limit exceeded. Wait time: ${limitCheck.waitTime}s`);
+        return [];
+      }
+
+      // If approaching limit, queue the request
+      if (limitCheck.shouldQueue) {
+        return await requestQueue.enqueue(this.apiName, () => this.makeApiRequest(lat, lon, radius, options, useCache));
+      }
+
+      // Make API request
+      return await this.makeApiRequest(lat, lon, radius, options, useCache);
+    } catch (error) {
+      console.error('Eventbrite service error:', error.message);
+      // Try to return cached data on error
+      const cached = useCache ? await cacheManager.get(this.apiName, lat, lon, radius) : null;
+      return cached || [];
+    }
+  }
+
+  // Venue listings take a start date range; organization listings only a time filter,
+  // so those are trimmed to the date window after transform
+  buildRequestUrl(source, options = {}, continuation = null) {
+    const path = source.type === 'venue' ? 'venues' : 'organizations';
+    const url = new URL(`${this.baseURL}/${path}/${encodeURIComponent(source.id)}/events/`);
+    url.searchParams.append('status', 'live');
+    url.searchParams.append('order_by', 'start_asc');
+    url.searchParams.append('expand', 'venue,category,subcategory,format');
+
+    if (source.type === 'venue') {
+      url.searchParams.append('only_public', 'true');
+
+      // Eventbrite reads the range as local times, so widen it by a day each way
+      // and trim after transform
+      const dateWindow = options.dateRange
+        ? getProviderDateWindow(options.dateRange)
+        : { start: options.startDate, end: options.endDate };
+
+      const rangeStart = this.normalizeDateForEventbrite(dateWindow.start, -DAY_MS);
+      if (rangeStart) {
+        url.searchParams.append('start_date.range_start', rangeStart);
+      }
+
+      const rangeEnd = this.normalizeDateForEventbrite(dateWindow.end, DAY_MS);
+      if (rangeEnd) {
+        url.searchParams.append('start_date.range_end', rangeEnd);
+      }
+    } else {
+      url.searchParams.append('time_filter', 'current_future');
+    }
+
+    if (continuation) {
+      url.searchParams.append('continuation', continuation);
+    }
+
+    return url;
+  }
+
+  // Fetch one page of a listing, retrying 429s, 5xx and network errors
+  // Returns the parsed response, or null when the page couldn't be fetched
+  async fetchPage(url, retryCount = 0) {
+    const retry = async (reason, waitTime) => {
+      console.warn(`Eventbrite: ${reason}, retrying after ${waitTime}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      return await this.fetchPage(url, retryCount + 1);
+    };
+
+    try {
+      const response = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      // Handle 429 Too Many Requests
+      if (response.status === 429) {
+        if (retryCount < this.maxRetries) {
+          const retryAfter = parseInt(response.headers.get('Retry-After'));
+          return await retry('429 received', Number.isFinite(retryAfter)
+            ? retryAfter * 1000
+            : this.retryDelay * Math.pow(2, retryCount));
+        }
+        console.error('Eventbrite: Max retries reached for 429 error');
+        return null;
+      }
+
+      if (response.status >= 500 && retryCount < this.maxRetries) {
+        return await retry(`${response.status} received`, this.retryDelay * Math.pow(2, retryCount));
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`Eventbrite API error (${response.status}):`, errorText);
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Eventbrite API request error:', error.message);
+
+      // Retry on network errors
+      if (retryCount < this.maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
+        return await retry('Network error', this.retryDelay * Math.pow(2, retryCount)); // Exponential backoff
+      }
+
+      return null;
+    }
+  }
+
+  // Follow a venue or organization listing's continuation tokens up to maxPages
+  async fetchSourceEvents(source, options = {}) {
+    const events = [];
+    let continuation = null;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const data = await this.fetchPage(this.buildRequestUrl(source, options, continuation));
+      if (!data) {
+        return { events, complete: false };
+      }
+
+      events.push(...(Array.isArray(data.events) ? data.events : []));
+      continuation = data.pagination?.has_more_items ? data.pagination.continuation : null;
+      if (!continuation) {
+        break;
+      }
+    }
+
+    return { events, complete: true };
+  }
+
+  async makeApiRequest(lat, lon, radius, options = {}, useCache = true) {
+    const events = [];
+    const seenIds = new Set();
+    let complete = true;
+
+    // An event can be listed by its venue and its organizer, so keep the first copy
+    for (const source of this.getSources()) {
+      const result = await this.fetchSourceEvents(source, options);
+      complete = complete && result.complete;
+
+      result.events.forEach(event => {
+        if (event && !seenIds.has(event.id)) {
+          seenIds.add(event.id);
+          events.push(event);
+        }
+      });
+    }
+
+    // Transform events to our standard format (online events and unlocated venues drop out here)
+    const transformedEvents = events
+      .map(event => this.transformEvent(event))
+      .filter(event => event && event.start && event.end);
+
+    const skipped = events.length - transformedEvents.length;
+    if (skipped > 0) {
+      console.log(`Eventbrite: Skipped ${skipped} online, cancelled or unlocated events`);
+    }
+
+    // Organizers can list events anywhere, so keep those within the search radius
+    const radiusKm = radius * 1.60934; // Convert miles to km
+    const nearbyEvents = transformedEvents.filter(event =>
+      ConflictDetector.calculateVenueDistance({ lat, lon }, event.venue) <= radiusKm
+    );
+
+    const filteredEvents = filterEventsByDateRange(
+      nearbyEvents,
+      options.startDate,
+      options.endDate,
+      options.dateRange
+    );
+
+    // Cache the results when safe to do so (a failed page would cache a partial list)
+    if (useCache && complete) {
+      await cacheManager.set(this.apiName, lat, lon, radius, filteredEvents);
+    }
+
+    return filteredEvents;
+  }
+
+  // Eventbrite expects timestamps without milliseconds or an offset (YYYY-MM-DDTHH:mm:ss)
+  normalizeDateForEventbrite(value, shiftMs = 0) {
+    if (!value) {
+      return null;
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+
+    return new Date(date.getTime() + shiftMs).toISOString().replace(/\.\d{3}Z$/, '');
+  }
+
+  // Genre tags from the category, subcategory and format
+  extractGenres(eventData) {
+    const tags = new Set();
+    const candidates = [
+      eventData?.category?.short_name || eventData?.category?.name,
+      eventData?.subcategory?.name,
+      eventData?.format?.short_name || eventData?.format?.name
+    ];
+
+    candidates.forEach(candidate => {
+      const normalized = this.normalizeGenreName(candidate);
+      if (normalized) {
+        tags.add(normalized);
+      }
+    });
+
+    // Uncategorized Eventbrite listings are mostly local community events
+    if (tags.size === 0) {
+      tags.add('community');
+    }
+
+    return Array.from(tags);
+  }
+
+  normalizeGenreName(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+    const normalized = value.toLowerCase().trim();
+    if (!normalized) {
+      return null;
+    }
+    return normalized.replace(/\s+/g, ' ');
+  }
+}
+
+module.exports = new EventbriteService();
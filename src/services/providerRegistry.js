@@ -0,0 +1,159 @@
+const rateLimits = require('../config/rateLimits');
+
+/**
+ * Provider Registry
+ * Event sources the routes fan out to. A provider is a service object with:
+ *   - apiName: unique source name (also its key in config/rateLimits.js and in `sources` maps)
+ *   - enabled: whether it should be queried
+ *   - getEventsByLocation(lat, lon, radius, userId, options): standard events
+ *   - transformEvent(rawEvent): one provider event in the standard format
+ *   - getHealth() (optional): extra health details for monitoring
+ * Adding a source means writing the service and registering it below.
+ */
+
+const REQUIRED_METHODS = ['getEventsByLocation', 'transformEvent'];
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // apiName -> service, in registration order
+    this.lastFetches = new Map(); // apiName -> outcome of its latest fetchEventsByLocation call
+  }
+
+  /**
+   * Register a provider service
+   * @throws {Error} - When the service doesn't implement the provider interface or its name is taken
+   */
+  register(service) {
+    if (!service || typeof service.apiName !== 'string' || !service.apiName) {
+      throw new Error('Provider must have an apiName');
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof service[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Provider ${service.apiName} must implement ${missing.join(', ')}`);
+    }
+    if (this.providers.has(service.apiName)) {
+      throw new Error(`Provider ${service.apiName} is already registered`);
+    }
+    this.providers.set(service.apiName, service);
+    return service;
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getProviders() {
+    return Array.from(this.providers.values());
+  }
+
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * First enabled provider with an optional capability (e.g. 'getArtistTourDates')
+   */
+  findProviderWith(method) {
+    return this.getProviders().find(provider => provider.enabled && typeof provider[method] === 'function') || null;
+  }
+
+  getRateLimitConfig(name) {
+    return rateLimits[name] || null;
+  }
+
+  /**
+   * Query every enabled provider in parallel
+   * A failing provider contributes no events; its error is reported in results and, until
+   * its next fetch, in getHealth().
+   * @param {Function} onFetched - Optional (name, eventCount) callback as each provider finishes
+   *   (eventCount is null when the provider failed)
+   * @returns {Promise<{events: Array, results: object}>} - results maps provider name to
+   *   { enabled, count, success, error, durationMs }
+   */
+  async fetchEventsByLocation(lat, lon, radius, userId, options = {}, onFetched = null) {
+    const entries = await Promise.all(this.getProviders().map(async provider => {
+      if (!provider.enabled) {
+        return [provider.apiName, { enabled: false, events: [], success: true, error: null, durationMs: 0 }];
+      }
+
+      const start = process.hrtime.bigint();
+      try {
+        const value = await provider.getEventsByLocation(lat, lon, radius, userId, options);
+        const events = Array.isArray(value) ? value : [];
+        if (onFetched) onFetched(provider.apiName, events.length);
+        return [provider.apiName, { enabled: true, events, success: true, error: null, durationMs: Number(process.hrtime.bigint() - start) / 1e6 }];
+      } catch (error) {
+        if (onFetched) onFetched(provider.apiName, null);
+        return [provider.apiName, { enabled: true, events: [], success: false, error: error.message, durationMs: Number(process.hrtime.bigint() - start) / 1e6 }];
+      }
+    }));
+
+    const events = [];
+    const results = {};
+    const fetchedAt = new Date().toISOString();
+    entries.forEach(([name, { events: providerEvents, ...result }]) => {
+      events.push(...providerEvents);
+      results[name] = { ...result, count: providerEvents.length };
+      if (result.enabled) {
+        this.lastFetches.set(name, { at: fetchedAt, success: result.success, error: result.error, count: providerEvents.length });
+      }
+    });
+    return { events, results };
+  }
+
+  /**
+   * Per-provider `sources` map for API responses ({ enabled, count, success, error })
+   */
+  summarizeSources(results = {}) {
+    const sources = {};
+    Object.entries(results).forEach(([name, { enabled, count, success, error }]) => {
+      sources[name] = { enabled, count, success, error };
+    });
+    return sources;
+  }
+
+  /**
+   * Events per provider from fetchEventsByLocation results or a `sources` map ({ ticketmaster: 12, ... })
+   */
+  countEvents(results = {}) {
+    const counts = {};
+    Object.entries(results).forEach(([name, result]) => {
+      counts[name] = result.count;
+    });
+    return counts;
+  }
+
+  getDurations(results = {}) {
+    const durations = {};
+    Object.entries(results).forEach(([name, result]) => {
+      durations[name] = result.durationMs;
+    });
+    return durations;
+  }
+
+  /**
+   * Per-provider health for monitoring
+   * lastFetch is the outcome of the provider's latest location fetch ({ at, success, error, count }),
+   * or null before its first one
+   */
+  getHealth() {
+    const health = {};
+    this.getProviders().forEach(provider => {
+      health[provider.apiName] = {
+        enabled: Boolean(provider.enabled),
+        ...(typeof provider.getHealth === 'function' ? provider.getHealth() : {}),
+        rateLimits: this.getRateLimitConfig(provider.apiName),
+        lastFetch: this.lastFetches.get(provider.apiName) || null
+      };
+    });
+    return health;
+  }
+}
+
+const registry = new ProviderRegistry();
+registry.register(require('./ticketmaster'));
+registry.register(require('./bandsintown'));
+registry.register(require('./seatgeek'));
+registry.register(require('./eventbrite'));
+
+module.exports = registry;
@@ -0,0 +1,378 @@
+const fetch = require('node-fetch');
+const rateLimiter = require('../utils/rateLimiter');
+const cacheManager = require('../utils/cacheManager');
+const requestQueue = require('../utils/requestQueue');
+const venueRegistry = require('../utils/venueRegistry');
+const { filterEventsByDateRange, getProviderDateWindow } = require('../utils/searchFilters');
+const { getTimezoneForCoordinates } = require('../utils/timezoneHelper');
+const { resolveEventTimes, applyEstimatedEnd } = require('../utils/eventTimeModel');
+const { estimateEndTime } = require('../utils/durationEstimator');
+
+// SeatGeek taxonomy names that mean the same thing as another provider's genre tag
+const GENRE_ALIASES = {
+  concert: 'music',
+  concerts: 'music',
+  music_festival: 'festival'
+};
+
+class SeatGeekService {
+  constructor() {
+    this.baseURL = 'https://api.seatgeek.com/2';
+    this.clientId = process.env.SEATGEEK_CLIENT_ID;
+    this.clientSecret = process.env.SEATGEEK_CLIENT_SECRET; // Optional
+    this.enabled = process.env.SEATGEEK_ENABLED !== 'false'; // Enabled by default
+    this.apiName = 'seatgeek';
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // Initial retry delay in ms
+  }
+
+  // Transform SeatGeek API response to our standard format
+  transformEvent(eventData) {
+    // date_tbd / datetime_tbd events carry a placeholder date, not a real one
+    if (!eventData || eventData.date_tbd || eventData.datetime_tbd) {
+      return null;
+    }
+
+    const venue = eventData.venue || {};
+    const eventUrl = this.getPublicEventUrl(eventData);
+
+    if (!eventUrl) {
+      return null;
+    }
+
+    const genres = this.extractGenres(eventData);
+    const performers = Array.isArray(eventData.performers) ? eventData.performers : [];
+
+    const venueLat = venue.location?.lat ?? venue.lat;
+    const venueLon = venue.location?.lon ?? venue.lon;
+    const timezone = venue.timezone ||
+      ((venueLat && venueLon) ? getTimezoneForCoordinates(parseFloat(venueLat), parseFloat(venueLon)) : null);
+    const venueDetails = {
+      name: venue.name || 'Unknown Venue',
+      lat: venueLat,
+      lon: venueLon,
+      city: venue.city || null,
+      region: venue.state || null,
+      country: venue.country || null
+    };
+    const resolvedVenue = venueRegistry.resolveVenue(venueDetails, this.apiName, venue.id);
+
+    // datetime_utc has no offset but is UTC; datetime_local is the venue wall clock
+    let times = resolveEventTimes({
+      startDateTime: this.toUtcDateTime(eventData.datetime_utc) || eventData.datetime_local,
+      startDate: typeof eventData.datetime_local === 'string' ? eventData.datetime_local.slice(0, 10) : null,
+      endDateTime: this.toUtcDateTime(eventData.enddatetime_utc),
+      timezone,
+      timeUnknown: !!eventData.time_tbd
+    });
+
+    if (!times) {
+      return null;
+    }
+
+    // SeatGeek rarely gives an end time - estimate it from taxonomy / lineup
+    let estimate = null;
+    if (!times.end) {
+      estimate = estimateEndTime(times.start, {
+        genres,
+        segment: eventData.type,
+        lineupSize: performers.length || null,
+        venue: { id: resolvedVenue.id, name: venue.name }
+      });
+      times = applyEstimatedEnd(times, estimate ? estimate.end : null, timezone);
+    }
+
+    const headliner = performers.find(performer => performer.primary) || performers[0];
+
+    return {
+      id: `sg_${eventData.id}`,
+      name: eventData.title || eventData.short_title || headliner?.name || 'Untitled Event',
+      start: times.start,
+      end: times.end,
+      timeKind: times.timeKind,
+      localStartDate: times.localStartDate,
+      localEndDate: times.localEndDate,
+      venue: {
+        ...venueDetails,
+        id: resolvedVenue.id,
+        address: venue.address || venue.extended_address || '',
+        timezone: timezone,
+        ...venueRegistry.resolveCapacity(resolvedVenue, venue.capacity),
+        resolvedBy: resolvedVenue.resolvedBy,
+        provisional: resolvedVenue.provisional
+      },
+      source: 'seatgeek',
+      url: eventUrl,
+      genres,
+      endEstimated: !!estimate,
+      estimatedDurationMinutes: estimate ? estimate.minutes : null
+    };
+  }
+
+  // SeatGeek UTC timestamps come without an offset ('2026-11-01T00:30:00')
+  toUtcDateTime(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+    return /(?:Z|[+-]\d{2}:?\d{2})$/i.test(value) ? value : `${value}Z`;
+  }
+
+  getPublicEventUrl(eventData) {
+    if (typeof eventData.url !== 'string') {
+      return null;
+    }
+
+    try {
+      const url = new URL(eventData.url.trim());
+      const hostname = url.hostname.toLowerCase();
+      if (!/^https?:$/.test(url.protocol) || !(hostname === 'seatgeek.com' || hostname.endsWith('.seatgeek.com'))) {
+        return null;
+      }
+      return url.toString();
+    } catch (error) {
+      // Invalid URL format
+      return null;
+    }
+  }
+
+  // Provider health for monitoring (see services/providerRegistry.js)
+  getHealth() {
+    return {
+      enabled: this.enabled,
+      configured: Boolean(this.clientId)
+    };
+  }
+
+  async getEventsByLocation(lat, lon, radius = 10, userId = 'default', options = {}) {
+    const useCache = !options.startDate && !options.endDate;
+
+    try {
+      // Check if service is enabled
+      if (!this.enabled) {
+        console.log('SeatGeek service is disabled. Skipping SeatGeek events.');
+        return [];
+      }
+
+      // If no client id, return empty array
+      if (!this.clientId) {
+        console.warn('SeatGeek client id not configured. Skipping SeatGeek events.');
+        return [];
+      }
+
+      // Check cache first
+      if (useCache) {
+        const cached = await cacheManager.get(this.apiName, lat, lon, radius);
+        if (cached) {
+          return cached;
+        }
+      }
+
+      // Check rate limits
+      const limitCheck = await rateLimiter.checkAllLimits(this.apiName, userId);
+
+      if (!limitCheck.allowed) {
+        // Try to return cached data even if expired
+        const staleCache = await cacheManager.get(this.apiName, lat, lon, radius);
+        if (staleCache) {
+          console.warn(`SeatGeek: Rate limited, returning stale cache. Wait time: ${limitCheck.waitTime}s`);
+          return staleCache;
+        }
+
+        // If should queue, add to queue
+        if (limitCheck.shouldQueue) {
+          return await requestQueue.enqueue(this.apiName, () => this.getEventsByLocation(lat, lon, radius, userId, options));
+        }
+
+        // Otherwise, return empty with wait time info
+        console.warn(`SeatGeek: Rate limit exceeded. Wait time: ${limitCheck.waitTime}s`);
+        return [];
+      }
+
+      // If approaching limit, queue the request
+      if (limitCheck.shouldQueue) {
+        return await requestQueue.enqueue(this.apiName, () => this.makeApiRequest(lat, lon, radius, options, useCache));
+      }
+
+      // Make API request
+      return await this.makeApiRequest(lat, lon, radius, options, useCache);
+    } catch (error) {
+      console.error('SeatGeek service error:', error.message);
+      // Try to return cached data on error
+      const cached = useCache ? await cacheManager.get(this.apiName, lat, lon, radius) : null;
+      return cached || [];
+    }
+  }
+
+  buildRequestUrl(lat, lon, radius, options = {}) {
+    const perPage = Math.min(100, Math.max(50, Math.round(radius * 2)));
+
+    const url = new URL(`${this.baseURL}/events`);
+    url.searchParams.append('client_id', this.clientId);
+    if (this.clientSecret) {
+      url.searchParams.append('client_secret', this.clientSecret);
+    }
+    url.searchParams.append('lat', lat.toString());
+    url.searchParams.append('lon', lon.toString());
+    url.searchParams.append('range', `${radius}mi`);
+    url.searchParams.append('per_page', perPage.toString());
+    url.searchParams.append('sort', 'datetime_utc.asc');
+
+    // Venue-local date windows are widened here and trimmed after transform
+    const dateWindow = options.dateRange
+      ? getProviderDateWindow(options.dateRange)
+      : { start: options.startDate, end: options.endDate };
+
+    const startUtc = this.normalizeDateForSeatGeek(dateWindow.start);
+    if (startUtc) {
+      url.searchParams.append('datetime_utc.gte', startUtc);
+    }
+
+    const endUtc = this.normalizeDateForSeatGeek(dateWindow.end);
+    if (endUtc) {
+      url.searchParams.append('datetime_utc.lte', endUtc);
+    }
+
+    return url;
+  }
+
+  async makeApiRequest(lat, lon, radius, options = {}, useCache = true, retryCount = 0) {
+    const url = this.buildRequestUrl(lat, lon, radius, options);
+
+    try {
+      // Make API request
+      const response = await fetch(url.toString(), {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      // Handle 429 Too Many Requests
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'));
+        const waitTime = Number.isFinite(retryAfter)
+          ? retryAfter * 1000
+          : this.retryDelay * Math.pow(2, retryCount);
+
+        if (retryCount < this.maxRetries) {
+          console.warn(`SeatGeek: 429 received, retrying after ${waitTime}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+          return await this.makeApiRequest(lat, lon, radius, options, useCache, retryCount + 1);
+        } else {
+          console.error('SeatGeek: Max retries reached for 429 error');
+          return [];
+        }
+      }
+
+      // Retry server errors with exponential backoff
+      if (response.status >= 500 && retryCount < this.maxRetries) {
+        const waitTime = this.retryDelay * Math.pow(2, retryCount);
+        console.warn(`SeatGeek: ${response.status} received, retrying after ${waitTime}ms`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        return await this.makeApiRequest(lat, lon, radius, options, useCache, retryCount + 1);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`SeatGeek API error (${response.status}):`, errorText);
+        return [];
+      }
+
+      const data = await response.json();
+      const events = Array.isArray(data.events) ? data.events : [];
+
+      // Transform events to our standard format
+      const transformedEvents = events
+        .map(event => this.transformEvent(event))
+        .filter(event => {
+          if (!event) {
+            return false;
+          }
+
+          // Filter out events without valid venue coordinates
+          return event.venue && event.venue.lat && event.venue.lon && event.start && event.end;
+        });
+
+      const filteredEvents = filterEventsByDateRange(
+        transformedEvents,
+        options.startDate,
+        options.endDate,
+        options.dateRange
+      );
+
+      // Cache the results when safe to do so
+      if (useCache) {
+        await cacheManager.set(this.apiName, lat, lon, radius, filteredEvents);
+      }
+
+      return filteredEvents;
+    } catch (error) {
+      console.error('SeatGeek API request error:', error.message);
+
+      // Retry on network errors
+      if (retryCount < this.maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT')) {
+        const waitTime = this.retryDelay * Math.pow(2, retryCount); // Exponential backoff
+        console.warn(`SeatGeek: Network error, retrying after ${waitTime}ms`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        return await this.makeApiRequest(lat, lon, radius, options, useCache, retryCount + 1);
+      }
+
+      return [];
+    }
+  }
+
+  // SeatGeek filters on UTC timestamps without an offset (YYYY-MM-DDTHH:mm:ss)
+  normalizeDateForSeatGeek(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+
+    return date.toISOString().replace(/\.\d{3}Z$/, '');
+  }
+
+  // Genre tags from the event type, its taxonomies and its performers' genres
+  extractGenres(eventData) {
+    const tags = new Set();
+    const candidates = [eventData?.type];
+
+    (Array.isArray(eventData?.taxonomies) ? eventData.taxonomies : []).forEach(taxonomy => {
+      candidates.push(taxonomy?.name);
+    });
+    (Array.isArray(eventData?.performers) ? eventData.performers : []).forEach(performer => {
+      (Array.isArray(performer?.genres) ? performer.genres : []).forEach(genre => {
+        candidates.push(genre?.name || genre?.slug);
+      });
+    });
+
+    candidates.forEach(candidate => {
+      const normalized = this.normalizeGenreName(candidate);
+      if (normalized) {
+        tags.add(normalized);
+      }
+    });
+
+    if (tags.size === 0) {
+      tags.add('music');
+    }
+
+    return Array.from(tags);
+  }
+
+  normalizeGenreName(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+    const key = value.toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (!key) {
+      return null;
+    }
+    return (GENRE_ALIASES[key] || key).replace(/_/g, ' ');
+  }
+}
+
+module.exports = new SeatGeekService();
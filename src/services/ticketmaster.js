@@ -2,8 +2,11 @@ const fetch = require('node-fetch');
 const rateLimiter = require('../utils/rateLimiter');
 const cacheManager = require('../utils/cacheManager');
 const requestQueue = require('../utils/requestQueue');
-const { filterEventsByDateRange } = require('../utils/searchFilters');
+const venueRegistry = require('../utils/venueRegistry');
+const { filterEventsByDateRange, getProviderDateWindow } = require('../utils/searchFilters');
 const { getTimezoneForCoordinates } = require('../utils/timezoneHelper');
+const { resolveEventTimes, applyEstimatedEnd } = require('../utils/eventTimeModel');
+const { estimateEndTime } = require('../utils/durationEstimator');
 
 class TicketmasterService {
   constructor() {
@@ -26,33 +29,72 @@ class TicketmasterService {
       return null;
     }
     
-    // Calculate end time (estimate 2 hours if not provided)
-    let endTime = dates.end?.dateTime || dates.end?.localDate;
-    if (!endTime && startDate.dateTime) {
-      const start = new Date(startDate.dateTime);
-      start.setHours(start.getHours() + 2); // Default 2 hour duration
-      endTime = start.toISOString();
-    }
+    const genres = this.extractGenres(eventData);
 
     const venueLat = venue.location?.latitude || venue.latitude;
     const venueLon = venue.location?.longitude || venue.longitude;
-    const timezone = (venueLat && venueLon) ? getTimezoneForCoordinates(parseFloat(venueLat), parseFloat(venueLon)) : null;
+    const timezone = venue.timezone || dates.timezone ||
+      ((venueLat && venueLon) ? getTimezoneForCoordinates(parseFloat(venueLat), parseFloat(venueLon)) : null);
+    const venueDetails = {
+      name: venue.name || 'Unknown Venue',
+      lat: venueLat,
+      lon: venueLon,
+      city: venue.city?.name || null,
+      region: venue.state?.stateCode || venue.state?.name || null,
+      country: venue.country?.countryCode || null
+    };
+    const resolvedVenue = venueRegistry.resolveVenue(venueDetails, this.apiName, venue.id);
+
+    // Interpret local dates/times in the venue's timezone; date-only events become all-day / multi-day
+    let times = resolveEventTimes({
+      startDateTime: startDate.dateTime,
+      startDate: startDate.localDate,
+      startTime: startDate.localTime,
+      endDateTime: dates.end?.dateTime,
+      endDate: dates.end?.localDate,
+      endTime: dates.end?.localTime,
+      timezone,
+      timeUnknown: !!(startDate.noSpecificTime || startDate.timeTBA || startDate.dateTBD || startDate.dateTBA)
+    });
+
+    if (!times) {
+      return null;
+    }
+
+    // Estimate the end time from genre / segment / lineup if not provided
+    let estimate = null;
+    if (!times.end) {
+      estimate = estimateEndTime(times.start, {
+        genres,
+        segment: eventData.classifications?.[0]?.segment?.name,
+        lineupSize: eventData._embedded?.attractions?.length,
+        venue: { id: resolvedVenue.id, name: venue.name }
+      });
+      times = applyEstimatedEnd(times, estimate ? estimate.end : null, timezone);
+    }
 
     return {
       id: `tm_${eventData.id}`,
       name: eventData.name || 'Untitled Event',
-      start: startDate.dateTime || startDate.localDate || dates.start,
-      end: endTime || startDate.dateTime || startDate.localDate,
+      start: times.start,
+      end: times.end,
+      timeKind: times.timeKind,
+      localStartDate: times.localStartDate,
+      localEndDate: times.localEndDate,
       venue: {
-        name: venue.name || 'Unknown Venue',
-        lat: venueLat,
-        lon: venueLon,
+        ...venueDetails,
+        id: resolvedVenue.id,
         address: venue.address?.line1 || venue.address || '',
-        timezone: timezone
+        timezone: timezone,
+        ...venueRegistry.resolveCapacity(resolvedVenue, venue.capacity),
+        resolvedBy: resolvedVenue.resolvedBy,
+        provisional: resolvedVenue.provisional
       },
       source: 'ticketmaster',
       url: eventUrl,
-      genres: this.extractGenres(eventData)
+      genres,
+      endEstimated: !!estimate,
+      estimatedDurationMinutes: estimate ? estimate.minutes : null
     };
   }
 
@@ -108,6 +150,14 @@ class TicketmasterService {
     }
   }
 
+  // Provider health for monitoring (see services/providerRegistry.js)
+  getHealth() {
+    return {
+      enabled: this.enabled,
+      configured: Boolean(this.apiKey && this.apiKey !== 'your_ticketmaster_api_key_here')
+    };
+  }
+
   async getEventsByLocation(lat, lon, radius = 10, userId = 'default', options = {}) {
     try {
       // Check if service is enabled
@@ -180,12 +230,17 @@ class TicketmasterService {
     url.searchParams.append('sort', 'date,asc');
     url.searchParams.append('classificationName', 'music,sports,arts,theater,comedy,family');
 
-    const startIso = this.normalizeDateForTicketmaster(options.startDate, false);
+    // Venue-local date windows are widened here and trimmed after transform
+    const dateWindow = options.dateRange
+      ? getProviderDateWindow(options.dateRange)
+      : { start: options.startDate, end: options.endDate };
+
+    const startIso = this.normalizeDateForTicketmaster(dateWindow.start);
     if (startIso) {
       url.searchParams.append('startDateTime', startIso);
     }
 
-    const endIso = this.normalizeDateForTicketmaster(options.endDate, true);
+    const endIso = this.normalizeDateForTicketmaster(dateWindow.end);
     if (endIso) {
       url.searchParams.append('endDateTime', endIso);
     }
@@ -254,7 +309,8 @@ class TicketmasterService {
       const filteredEvents = filterEventsByDateRange(
         transformedEvents,
         options.startDate,
-        options.endDate
+        options.endDate,
+        options.dateRange
       );
 
       // Cache the results when safe to do so
@@ -278,7 +334,8 @@ class TicketmasterService {
     }
   }
 
-  normalizeDateForTicketmaster(value, endOfDay = false) {
+  // Ticketmaster expects UTC timestamps without milliseconds (YYYY-MM-DDTHH:mm:ssZ)
+  normalizeDateForTicketmaster(value) {
     if (!value) {
       return null;
     }
@@ -288,12 +345,6 @@ class TicketmasterService {
       return null;
     }
 
-    if (endOfDay) {
-      date.setUTCHours(23, 59, 59, 999);
-    } else {
-      date.setUTCHours(0, 0, 0, 0);
-    }
-
     return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
   }
 
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * Admin API guard
+ * Requests must send the ADMIN_API_KEY in an `x-admin-key` header (or as a
+ * Bearer token). When ADMIN_API_KEY isn't configured, admin writes are disabled.
+ */
+
+function getProvidedKey(req) {
+  const headerKey = req.headers['x-admin-key'];
+  if (headerKey) {
+    return headerKey.toString();
+  }
+  const authorization = (req.headers.authorization || '').toString();
+  return authorization.toLowerCase().startsWith('bearer ') ? authorization.slice(7).trim() : null;
+}
+
+function keysMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+// True when the request carries the configured admin key
+function hasAdminKey(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = getProvidedKey(req);
+  return Boolean(expected && provided && keysMatch(provided, expected));
+}
+
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(403).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+  }
+
+  const provided = getProvidedKey(req);
+  if (!provided || !keysMatch(provided, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin key is required (x-admin-key header)'
+    });
+  }
+
+  return next();
+}
+
+module.exports = {
+  hasAdminKey,
+  requireAdminKey
+};
@@ -0,0 +1,251 @@
+const { isTimedEvent } = require('./eventTimeModel');
+const { getLocalDateString, getTimezoneOffsetMs } = require('./timezoneHelper');
+
+/**
+ * Conflict Analytics
+ * Aggregates a scan's conflicts by venue-local hour and weekday, genre, source,
+ * severity and map grid cell. Buckets are zero-filled so they can go straight into
+ * charts; heatPoints are [lat, lon, intensity] triples for a Leaflet heat layer.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const KM_PER_DEGREE_LAT = 111.32;
+const DEFAULT_CELL_SIZE_KM = 1;
+const MAX_CELL_SIZE_KM = 25;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Validate the grid cell size
+ * @returns {number|null} - null when the value is not a number between 0 and MAX_CELL_SIZE_KM
+ */
+function parseCellSizeKm(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CELL_SIZE_KM;
+  }
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= MAX_CELL_SIZE_KM ? parsed : null;
+}
+
+// Venue-local weekday and hour of an instant
+function toLocalSlot(timestamp, timezone) {
+  const local = new Date(timestamp + getTimezoneOffsetMs(new Date(timestamp), timezone || 'UTC'));
+  return { weekday: local.getUTCDay(), hour: local.getUTCHours() };
+}
+
+/**
+ * Local (weekday, hour) buckets a conflict covers: every hour of the overlap of its
+ * two events (the later start when they only meet within the time buffer). Pairs with
+ * a date-only event have a weekday but no hours.
+ */
+function getConflictSlots(conflict) {
+  const [event1, event2] = conflict.events;
+  const timezone = event1.venue?.timezone || event2.venue?.timezone || null;
+
+  if (!isTimedEvent(event1) || !isTimedEvent(event2)) {
+    const timedEvent = [event1, event2].find(event => isTimedEvent(event)) || event1;
+    const localDate = timedEvent.localStartDate || getLocalDateString(timedEvent.start, timezone);
+    const weekday = localDate ? new Date(`${localDate}T00:00:00Z`).getUTCDay() : null;
+    return { weekday, hours: [] };
+  }
+
+  const windowStart = Math.max(new Date(event1.start).getTime(), new Date(event2.start).getTime());
+  const windowEnd = Math.max(windowStart + 1, Math.min(new Date(event1.end).getTime(), new Date(event2.end).getTime()));
+  const hours = [];
+  // Walk local hour boundaries; a day's worth of hours is plenty for one conflict
+  for (let time = windowStart - (windowStart % HOUR_MS); time < windowEnd && hours.length < 24; time += HOUR_MS) {
+    hours.push(toLocalSlot(time, timezone));
+  }
+  return { weekday: toLocalSlot(windowStart, timezone).weekday, hours };
+}
+
+function getProviders(event) {
+  const providers = Array.isArray(event.sources) && event.sources.length > 0
+    ? event.sources.map(source => source.provider)
+    : [event.source];
+  return providers.filter(Boolean).map(provider => provider.toLowerCase());
+}
+
+function getMidpoint(conflict) {
+  const coordinates = conflict.events.map(event => [parseFloat(event.venue?.lat), parseFloat(event.venue?.lon)])
+    .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon));
+  if (coordinates.length === 0) {
+    return null;
+  }
+  return {
+    lat: coordinates.reduce((sum, [lat]) => sum + lat, 0) / coordinates.length,
+    lon: coordinates.reduce((sum, [, lon]) => sum + lon, 0) / coordinates.length
+  };
+}
+
+function toSortedCounts(counts, keyName) {
+  return Array.from(counts.entries())
+    .map(([key, count]) => ({ [keyName]: key, count }))
+    .sort((a, b) => b.count - a.count || String(a[keyName]).localeCompare(String(b[keyName])));
+}
+
+/**
+ * Busiest stretch of a weekday x hour matrix: the peak hour widened over
+ * neighbouring hours of the same weekday with at least half its count
+ * @returns {{weekday, label, startHour, endHour, count}|null} - endHour is exclusive
+ */
+function findPeakWindow(matrix) {
+  let peak = null;
+  matrix.forEach((hours, weekday) => hours.forEach((count, hour) => {
+    if (count > 0 && (!peak || count > peak.count)) {
+      peak = { weekday, hour, count };
+    }
+  }));
+  if (!peak) {
+    return null;
+  }
+
+  const row = matrix[peak.weekday];
+  let startHour = peak.hour;
+  let endHour = peak.hour + 1;
+  while (startHour > 0 && row[startHour - 1] * 2 >= peak.count) startHour--;
+  while (endHour < 24 && row[endHour] * 2 >= peak.count) endHour++;
+  return {
+    weekday: WEEKDAYS[peak.weekday],
+    label: WEEKDAY_LABELS[peak.weekday],
+    startHour,
+    endHour,
+    count: peak.count
+  };
+}
+
+function createMatrix() {
+  return WEEKDAYS.map(() => new Array(24).fill(0));
+}
+
+/**
+ * Aggregate conflicts for charts and a heat map
+ * @param {Array} conflicts - Conflicts from findConflicts (or a saved scan)
+ * @param {object} options - { cellSizeKm, referenceLat } (referenceLat fixes the grid's
+ *   longitude step; defaults to the conflicts' mean latitude)
+ * @returns {object} - byHour, byWeekday, weekdayHour, byGenre, bySource, bySeverity, grid, heatPoints, peakWindow
+ */
+function buildConflictAnalytics(conflicts = [], options = {}) {
+  const cellSizeKm = options.cellSizeKm || DEFAULT_CELL_SIZE_KM;
+  const usable = conflicts.filter(conflict => conflict && Array.isArray(conflict.events) && conflict.events.length >= 2);
+
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+  const weekdayHour = createMatrix();
+  const genreCounts = new Map();
+  const sourceCounts = new Map();
+  const sourcePairCounts = new Map();
+  const bySeverity = { high: 0, medium: 0, low: 0 };
+  let withoutHours = 0;
+
+  const located = [];
+  usable.forEach(conflict => {
+    const { weekday, hours } = getConflictSlots(conflict);
+    if (weekday !== null) {
+      byWeekday[weekday]++;
+    }
+    if (hours.length === 0) {
+      withoutHours++;
+    }
+    hours.forEach(slot => {
+      byHour[slot.hour]++;
+      weekdayHour[slot.weekday][slot.hour]++;
+    });
+
+    const genres = new Set();
+    conflict.events.forEach(event => (event.genres || []).forEach(genre => genre && genres.add(genre)));
+    genres.forEach(genre => genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1));
+
+    const providers = conflict.events.map(event => getProviders(event));
+    new Set(providers.flat()).forEach(provider => sourceCounts.set(provider, (sourceCounts.get(provider) || 0) + 1));
+    const pairKey = providers.map(list => list[0] || 'unknown').sort().join('+');
+    sourcePairCounts.set(pairKey, (sourcePairCounts.get(pairKey) || 0) + 1);
+
+    if (bySeverity[conflict.severity] !== undefined) {
+      bySeverity[conflict.severity]++;
+    }
+
+    const point = getMidpoint(conflict);
+    if (point) {
+      located.push({ conflict, point, hours });
+    }
+  });
+
+  // Fixed-size cells on a lat/lon grid anchored at 0,0
+  const referenceLat = Number.isFinite(options.referenceLat)
+    ? options.referenceLat
+    : (located.length > 0 ? located.reduce((sum, item) => sum + item.point.lat, 0) / located.length : 0);
+  const latStep = cellSizeKm / KM_PER_DEGREE_LAT;
+  const lonStep = cellSizeKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(referenceLat * Math.PI / 180), 0.01));
+
+  const cells = new Map();
+  located.forEach(({ conflict, point, hours }) => {
+    const row = Math.floor(point.lat / latStep);
+    const col = Math.floor(point.lon / lonStep);
+    const id = `${row}:${col}`;
+    if (!cells.has(id)) {
+      cells.set(id, { id, row, col, count: 0, totalScore: 0, high: 0, matrix: createMatrix(), venues: new Map() });
+    }
+    const cell = cells.get(id);
+    cell.count++;
+    cell.totalScore += typeof conflict.score === 'number' ? conflict.score : 0;
+    if (conflict.severity === 'high') cell.high++;
+    hours.forEach(slot => cell.matrix[slot.weekday][slot.hour]++);
+    conflict.events.forEach(event => {
+      const name = event.venue?.name;
+      if (name) cell.venues.set(name, (cell.venues.get(name) || 0) + 1);
+    });
+  });
+
+  const gridCells = Array.from(cells.values())
+    .map(cell => {
+      const south = cell.row * latStep;
+      const west = cell.col * lonStep;
+      return {
+        id: cell.id,
+        center: {
+          lat: Number((south + latStep / 2).toFixed(6)),
+          lon: Number((west + lonStep / 2).toFixed(6))
+        },
+        bounds: [
+          [Number(south.toFixed(6)), Number(west.toFixed(6))],
+          [Number((south + latStep).toFixed(6)), Number((west + lonStep).toFixed(6))]
+        ],
+        count: cell.count,
+        highSeverity: cell.high,
+        averageScore: cell.count > 0 ? Number((cell.totalScore / cell.count).toFixed(1)) : 0,
+        peakWindow: findPeakWindow(cell.matrix),
+        topVenues: toSortedCounts(cell.venues, 'name').slice(0, 3)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+
+  const maxCellCount = gridCells.length > 0 ? gridCells[0].count : 0;
+
+  return {
+    totalConflicts: usable.length,
+    withoutHours,
+    byHour: byHour.map((count, hour) => ({ hour, count })),
+    byWeekday: byWeekday.map((count, weekday) => ({ weekday: WEEKDAYS[weekday], label: WEEKDAY_LABELS[weekday], count })),
+    weekdayHour: {
+      weekdays: WEEKDAYS,
+      hours: Array.from({ length: 24 }, (_, hour) => hour),
+      counts: weekdayHour
+    },
+    byGenre: toSortedCounts(genreCounts, 'genre'),
+    bySource: toSortedCounts(sourceCounts, 'source'),
+    bySourcePair: toSortedCounts(sourcePairCounts, 'sources'),
+    bySeverity,
+    peakWindow: findPeakWindow(weekdayHour),
+    grid: {
+      cellSizeKm,
+      cells: gridCells
+    },
+    heatPoints: gridCells.map(cell => [cell.center.lat, cell.center.lon, Number((cell.count / maxCellCount).toFixed(3))])
+  };
+}
+
+module.exports = {
+  parseCellSizeKm,
+  buildConflictAnalytics
+};
@@ -1,14 +1,27 @@
+const crypto = require('crypto');
+const conflictScoring = require('../config/conflictScoring');
+const { TIME_KINDS, getTimeKind, isTimedEvent } = require('./eventTimeModel');
+const venueRegistry = require('./venueRegistry');
+const conflictRuleEngine = require('./conflictRuleEngine');
+const metroRegions = require('./metroRegions');
+const nameMatcher = require('./nameMatcher');
+
 const DEFAULT_VENUE_THRESHOLD_KM = 1;
 const METRO_VENUE_THRESHOLD_KM = 3;
 const MAX_VENUE_THRESHOLD_KM = 5;
-const METRO_REGIONS = [
-  { name: 'new_york', lat: 40.7128, lon: -74.0060, radiusKm: 50 },
-  { name: 'los_angeles', lat: 34.0522, lon: -118.2437, radiusKm: 45 },
-  { name: 'chicago', lat: 41.8781, lon: -87.6298, radiusKm: 35 },
-  { name: 'london', lat: 51.5072, lon: -0.1276, radiusKm: 40 },
-  { name: 'toronto', lat: 43.6532, lon: -79.3832, radiusKm: 30 },
-  { name: 'sydney', lat: -33.8688, lon: 151.2093, radiusKm: 30 }
-];
+// Venues with very dissimilar names must be this close to count as a conflict
+const NAME_MISMATCH_THRESHOLD_KM = 0.1;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+// How precisely a listing pins down when an event happens (used when merging duplicates)
+const TIME_PRECISION_RANK = { all_day: 0, multi_day: 1, timed: 2 };
+// findConflicts reports options.onProgress after this many candidate pairs
+const PROGRESS_INTERVAL_PAIRS = 5000;
+// Compiled rules from config/conflictRules.json (+ CONFLICT_RULES_PATH), loaded on first use
+let configuredRuleSet;
+// Lower-cased and normalized venue names, per venue object (see getVenueNameKeys)
+const venueNameKeys = new WeakMap();
+// Intl formatters for conflict time slots, by format and timezone (see formatTimeSlot)
+const timeSlotFormatters = new Map();
 
 class ConflictDetector {
   /**
@@ -16,8 +29,19 @@ class ConflictDetector {
    * Optimized: Reduced sample size and uses spatial grid for better performance
    */
   static calculateDynamicThreshold(events, baseThreshold = 0.3) {
+    return this.calculateDensityProfile(events, baseThreshold).thresholdKm;
+  }
+
+  /**
+   * Venue density behind calculateDynamicThreshold
+   * Returns { thresholdKm, tier, medianDistanceKm } where tier is one of
+   * 'very_dense', 'medium', 'sparse' or 'insufficient_data'
+   */
+  static calculateDensityProfile(events, baseThreshold = 0.3) {
+    const insufficient = { thresholdKm: baseThreshold, tier: 'insufficient_data', medianDistanceKm: null };
+
     if (!events || events.length < 2) {
-      return baseThreshold;
+      return insufficient;
     }
 
     // Performance optimization: Use smaller sample size (50-100 instead of 200)
@@ -34,7 +58,7 @@ class ConflictDetector {
     }
     
     if (validEvents.length < 2) {
-      return baseThreshold;
+      return insufficient;
     }
 
     // Use spatial grid approach: group venues by approximate grid cells
@@ -102,23 +126,24 @@ class ConflictDetector {
     }
 
     if (distances.length === 0) {
-      return baseThreshold;
+      return insufficient;
     }
 
     // Calculate median distance (more efficient than full sort for small arrays)
     distances.sort((a, b) => a - b);
     const medianDistance = distances[Math.floor(distances.length / 2)];
+    const medianDistanceKm = Number(medianDistance.toFixed(3));
 
     // Adjust threshold based on density:
     // - Dense areas (median < 0.2km): Use tighter threshold (0.15km)
     // - Medium density (0.2-0.5km): Use moderate threshold (0.2km)
     // - Sparse areas (>0.5km): Use base threshold (0.3km)
     if (medianDistance < 0.2) {
-      return 0.15; // Very dense (e.g., Broadway district)
+      return { thresholdKm: 0.15, tier: 'very_dense', medianDistanceKm }; // e.g., Broadway district
     } else if (medianDistance < 0.5) {
-      return 0.2; // Medium density
+      return { thresholdKm: 0.2, tier: 'medium', medianDistanceKm };
     } else {
-      return baseThreshold; // Sparse area
+      return { thresholdKm: baseThreshold, tier: 'sparse', medianDistanceKm };
     }
   }
 
@@ -130,152 +155,611 @@ class ConflictDetector {
       return 0;
     }
 
-    const name1 = venue1.name.toLowerCase().trim();
-    const name2 = venue2.name.toLowerCase().trim();
+    // Same registry venue (aliases already resolved)
+    if (venue1.id && venue2.id && venue1.id === venue2.id) return 1;
 
-    if (name1 === name2) return 1;
+    const keys1 = this.getVenueNameKeys(venue1);
+    const keys2 = this.getVenueNameKeys(venue2);
 
-    // Normalize venue names (remove common suffixes)
-    const normalizeVenueName = (name) => {
-      return name
-        .replace(/\s*-\s*(ny|new york|nyc|theater|theatre|hall|center|centre)\s*$/i, '')
-        .replace(/\s*\([^)]*\)\s*$/, '')
-        .trim();
-    };
+    if (keys1.lower === keys2.lower) return 1;
+
+    // Normalized venue names (accents, punctuation, the venue's own city suffix)
+    if (keys1.normalized === keys2.normalized) return 1;
+
+    return nameMatcher.calculateStringSimilarity(keys1.normalized, keys2.normalized);
+  }
 
-    const norm1 = normalizeVenueName(name1);
-    const norm2 = normalizeVenueName(name2);
+  /**
+   * Lower-cased and normalized name of a venue, computed once per venue object
+   * (an event is compared with many others) and again if its name or location changes
+   * @returns {{lower: string, normalized: string}}
+   */
+  static getVenueNameKeys(venue) {
+    const location = [venue.city, venue.region, venue.state, venue.country].join('|');
+    let keys = venueNameKeys.get(venue);
+    if (!keys || keys.name !== venue.name || keys.location !== location) {
+      keys = {
+        name: venue.name,
+        location,
+        lower: venue.name.toLowerCase().trim(),
+        normalized: venueRegistry.normalizeVenueName(venue.name, venue)
+      };
+      venueNameKeys.set(venue, keys);
+    }
+    return keys;
+  }
 
-    if (norm1 === norm2) return 1;
+  /**
+   * Full analysis of a (date-filtered) event list: merge duplicates, resolve the
+   * venue threshold and find conflicts. Runs inline or on a conflict worker.
+   * options.onProgress gets findConflicts' progress plus uniqueEvents, starting right after merging.
+   * options.anchorEvents (e.g. a proposed show) are added after merging, so they are never merged
+   * into a market listing, and only their conflicts are reported; uniqueEvents leaves them out.
+   * @returns {{uniqueEvents: Array, thresholdDetails: object, conflicts: Array}}
+   */
+  static analyzeEvents(events, timeBuffer = 30, venueProximityThreshold = null, options = {}) {
+    const uniqueEvents = this.mergeDuplicates(events);
+    const { anchorEvents, ...restOptions } = options;
+    const hasAnchors = Array.isArray(anchorEvents) && anchorEvents.length > 0;
+    const candidateEvents = hasAnchors ? [...anchorEvents, ...uniqueEvents] : uniqueEvents;
+
+    let detectionOptions = hasAnchors
+      ? { ...restOptions, anchorEventIds: anchorEvents.map(event => event.id) }
+      : restOptions;
+    const thresholdDetails = this.resolveVenueThresholdDetails(candidateEvents, venueProximityThreshold, detectionOptions);
+
+    if (typeof options.onProgress === 'function') {
+      const report = progress => options.onProgress({ uniqueEvents: uniqueEvents.length, ...progress });
+      report({ pairsEvaluated: 0, totalPairs: null, conflicts: [] });
+      detectionOptions = { ...detectionOptions, onProgress: report };
+    }
 
-    return this.calculateNameSimilarity(norm1, norm2);
+    const conflicts = this.findConflicts(candidateEvents, timeBuffer, venueProximityThreshold, true, detectionOptions);
+    return { uniqueEvents, thresholdDetails, conflicts };
   }
 
+  /**
+   * Find conflicting event pairs.
+   * Uses a sweep over events sorted by start time combined with a spatial grid
+   * of the currently "active" events, so only pairs that overlap in time and sit
+   * in neighbouring cells are ever compared. Output (content and order) matches
+   * findConflictsPairwise.
+   * options.anchorEventIds limits the result to pairs involving at least one of those events.
+   * options.suppress(event1, event2) returns a truthy suppression rule for conflicts to drop;
+   * they are counted in options.stats.suppressed.
+   * options.conflictRules adds declarative rules (see conflictRuleEngine) to the configured ones.
+   * options.thresholdDetails reuses a threshold already resolved for a larger event list (e.g.
+   * when only a pre-filtered part of a market is passed in).
+   * options.onProgress({ pairsEvaluated, totalPairs, conflicts }) is called as candidate pairs
+   * are evaluated; conflicts is the (unsorted) list found so far and must not be modified.
+   */
   static findConflicts(events, timeBuffer = 30, venueProximityThreshold = null, skipDuplicateFilter = false, options = {}) {
     // First, filter out duplicate events (unless already filtered)
-    const uniqueEvents = skipDuplicateFilter ? events : this.filterDuplicates(events);
-    
+    const uniqueEvents = skipDuplicateFilter ? events : this.mergeDuplicates(events);
+
     // Calculate context-aware threshold
-    const thresholdToUse = this.resolveVenueThreshold(uniqueEvents, venueProximityThreshold, options);
-    
+    const thresholdDetails = options.thresholdDetails ||
+      this.resolveVenueThresholdDetails(uniqueEvents, venueProximityThreshold, options);
+    const thresholdToUse = thresholdDetails.thresholdKm;
+
+    // Convert timeBuffer from minutes to milliseconds
+    const bufferMs = timeBuffer * 60 * 1000;
+    const ruleSet = this.resolveConflictRuleSet(options.conflictRules);
+
+    const { searchRadiusKm, windowMs: candidateWindowMs } = this.getCandidateLimits(thresholdToUse, bufferMs, ruleSet);
+    const candidatePairs = this.collectCandidatePairs(uniqueEvents, candidateWindowMs, searchRadiusKm);
+
+    const settings = {
+      bufferMs,
+      thresholdKm: thresholdToUse,
+      thresholdDetails,
+      scoringWeights: this.resolveScoringWeights(options.scoringWeights),
+      ruleSet
+    };
+
     const conflicts = [];
     const processedPairs = new Set();
+    const anchorIds = this.resolveAnchorIds(options.anchorEventIds);
+    const suppress = typeof options.suppress === 'function' ? options.suppress : null;
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+    let suppressed = 0;
+    let pairsEvaluated = 0;
+
+    // Evaluate in the same (i, j) order the pairwise scan would use
+    for (const [i, j] of candidatePairs) {
+      if (onProgress && pairsEvaluated > 0 && pairsEvaluated % PROGRESS_INTERVAL_PAIRS === 0) {
+        onProgress({ pairsEvaluated, totalPairs: candidatePairs.length, conflicts });
+      }
+      pairsEvaluated++;
 
-    // Convert timeBuffer from minutes to milliseconds
+      const event1 = uniqueEvents[i];
+      const event2 = uniqueEvents[j];
+
+      // Skip if same event, or if neither side is an anchor
+      if (event1.id === event2.id || (anchorIds && !anchorIds.has(event1.id) && !anchorIds.has(event2.id))) {
+        continue;
+      }
+
+      // Create a unique key for this pair to avoid duplicates
+      const pairKey = [event1.id, event2.id].sort().join('_');
+      if (processedPairs.has(pairKey)) {
+        continue;
+      }
+
+      const conflict = this.evaluateConflictPair(event1, event2, settings);
+      if (conflict) {
+        processedPairs.add(pairKey);
+        if (suppress && suppress(event1, event2)) {
+          suppressed++;
+          continue;
+        }
+        conflicts.push(conflict);
+      }
+    }
+
+    if (onProgress) {
+      onProgress({ pairsEvaluated, totalPairs: candidatePairs.length, conflicts });
+    }
+
+    if (options.sortBy === 'score') {
+      this.sortConflictsByScore(conflicts);
+    }
+
+    if (options.stats) {
+      options.stats.events = uniqueEvents.length;
+      options.stats.candidatePairs = candidatePairs.length;
+      options.stats.conflicts = conflicts.length;
+      options.stats.suppressed = suppressed;
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Reference implementation that compares every event with every other event.
+   * Kept for benchmarking and for verifying findConflicts output.
+   */
+  static findConflictsPairwise(events, timeBuffer = 30, venueProximityThreshold = null, skipDuplicateFilter = false, options = {}) {
+    const uniqueEvents = skipDuplicateFilter ? events : this.mergeDuplicates(events);
+    const thresholdDetails = this.resolveVenueThresholdDetails(uniqueEvents, venueProximityThreshold, options);
+
+    const conflicts = [];
+    const processedPairs = new Set();
+    const anchorIds = this.resolveAnchorIds(options.anchorEventIds);
+    const suppress = typeof options.suppress === 'function' ? options.suppress : null;
     const bufferMs = timeBuffer * 60 * 1000;
+    const settings = {
+      bufferMs,
+      thresholdKm: thresholdDetails.thresholdKm,
+      thresholdDetails,
+      scoringWeights: this.resolveScoringWeights(options.scoringWeights),
+      ruleSet: this.resolveConflictRuleSet(options.conflictRules)
+    };
 
-    // Check each pair of events for conflicts
     for (let i = 0; i < uniqueEvents.length; i++) {
       const event1 = uniqueEvents[i];
-      
-      // Skip events without required data
-      if (!event1.start || !event1.end || !event1.venue || !event1.venue.lat || !event1.venue.lon) {
+
+      if (!this.hasConflictData(event1)) {
         continue;
       }
 
       for (let j = i + 1; j < uniqueEvents.length; j++) {
         const event2 = uniqueEvents[j];
-        
-        // Skip events without required data
-        if (!event2.start || !event2.end || !event2.venue || !event2.venue.lat || !event2.venue.lon) {
+
+        if (!this.hasConflictData(event2) || event1.id === event2.id) {
           continue;
         }
 
-        // Skip if same event (shouldn't happen with i < j, but safety check)
-        if (event1.id === event2.id) {
+        if (anchorIds && !anchorIds.has(event1.id) && !anchorIds.has(event2.id)) {
           continue;
         }
 
-        // Create a unique key for this pair to avoid duplicates
         const pairKey = [event1.id, event2.id].sort().join('_');
         if (processedPairs.has(pairKey)) {
           continue;
         }
 
-        // Check for time overlap with buffer
-        const timeOverlap = this.checkTimeOverlap(event1, event2, bufferMs);
-        
-        // Calculate venue distance
-        const venueDistance = this.calculateVenueDistance(event1.venue, event2.venue);
-        
-        // Additional check: If venues are close but have very different names,
-        // require closer proximity to reduce false positives
-        const venueNameSimilarity = this.calculateVenueNameSimilarity(event1.venue, event2.venue);
-        
-        // If venue names are very different (< 30% similar), require closer proximity
-        // This prevents false positives like "Actor's Temple Theater" vs "Richard Rodgers Theatre"
-        let effectiveThreshold = thresholdToUse;
-        if (venueNameSimilarity < 0.3 && venueDistance > 0.1) {
-          // For very different venue names, require much closer proximity (0.1km = 100m)
-          effectiveThreshold = 0.1;
+        const conflict = this.evaluateConflictPair(event1, event2, settings);
+        if (conflict) {
+          processedPairs.add(pairKey);
+          if (!suppress || !suppress(event1, event2)) {
+            conflicts.push(conflict);
+          }
         }
+      }
+    }
 
-        const meetsProximityRequirement = venueDistance < effectiveThreshold;
+    if (options.sortBy === 'score') {
+      this.sortConflictsByScore(conflicts);
+    }
 
-        const sharedGenres = this.getSharedGenres(event1, event2);
+    return conflicts;
+  }
 
-        if (timeOverlap && meetsProximityRequirement) {
-          const conflictType = this.determineConflictType(event1, event2);
-          
-          conflicts.push({
-            events: [event1, event2],
-            conflictType: conflictType,
-            timeSlot: this.getTimeSlotString(event1, event2),
-            severity: this.calculateSeverity(event1, event2, bufferMs),
-            sharedGenres,
-            directCompetition: sharedGenres.length > 0
-          });
+  /**
+   * Compiled configured rules plus any extra rules for this call (null when none are enabled)
+   * Throws when the extra rules are invalid; routes validate them first.
+   */
+  static resolveConflictRuleSet(extraRules = null) {
+    if (configuredRuleSet === undefined) {
+      const { ruleSet, error } = conflictRuleEngine.compileRules(conflictRuleEngine.loadConfiguredRules());
+      if (error) {
+        console.warn(`⚠️  Ignoring configured conflict rules: ${error}`);
+      }
+      configuredRuleSet = ruleSet || null;
+    }
 
-          processedPairs.add(pairKey);
+    if (!Array.isArray(extraRules) || extraRules.length === 0) {
+      return configuredRuleSet;
+    }
+
+    const { ruleSet, error } = conflictRuleEngine.compileRules([
+      ...conflictRuleEngine.loadConfiguredRules().filter(rule => !extraRules.some(extra => extra && extra.id === rule.id)),
+      ...extraRules
+    ]);
+    if (error) {
+      throw new Error(error);
+    }
+    return ruleSet;
+  }
+
+  /**
+   * Widest distance and time gap at which a pair can still conflict: venues closer than the
+   * widest threshold any pair (or rule) can get, with at most windowMs between one event
+   * ending and the other starting
+   * @returns {{searchRadiusKm: number, windowMs: number}}
+   */
+  static getCandidateLimits(thresholdKm, bufferMs, ruleSet = null) {
+    return {
+      searchRadiusKm: Math.max(thresholdKm, NAME_MISMATCH_THRESHOLD_KM, ruleSet ? ruleSet.maxDistanceKm : 0),
+      windowMs: Math.max(bufferMs, ruleSet ? ruleSet.maxWindowMs : 0)
+    };
+  }
+
+  // Anchor ids as a Set, or null when every pair should be considered
+  static resolveAnchorIds(anchorEventIds) {
+    if (!Array.isArray(anchorEventIds) || anchorEventIds.length === 0) {
+      return null;
+    }
+    return new Set(anchorEventIds);
+  }
+
+  static hasConflictData(event) {
+    return !!(event && event.start && event.end && event.venue && event.venue.lat && event.venue.lon);
+  }
+
+  /**
+   * Check a single pair for a time + proximity conflict
+   * Returns the conflict object, or null when the pair doesn't conflict
+   * settings: { bufferMs, thresholdKm, thresholdDetails, scoringWeights }
+   */
+  static evaluateConflictPair(event1, event2, settings) {
+    const { thresholdKm: thresholdToUse } = settings;
+    const bufferMs = this.getPairBufferMs(event1, event2, settings.bufferMs);
+
+    // Check for time overlap with buffer
+    const timeOverlap = this.checkTimeOverlap(event1, event2, bufferMs);
+
+    // Calculate venue distance
+    const venueDistance = this.calculateVenueDistance(event1.venue, event2.venue);
+
+    // Cheap gates first: the built-in checks need both, and rules only look as far as
+    // their widest distance (or the threshold, for rules without one)
+    const { ruleSet } = settings;
+    const builtInPossible = timeOverlap && venueDistance < thresholdToUse;
+    const rulesPossible = !!ruleSet && venueDistance <= Math.max(ruleSet.maxDistanceKm, thresholdToUse);
+    if (!builtInPossible && !rulesPossible) {
+      return null;
+    }
+
+    // Additional check: If venues are close but have very different names,
+    // require closer proximity to reduce false positives
+    const venueNameSimilarity = this.calculateVenueNameSimilarity(event1.venue, event2.venue);
+
+    // If venue names are very different (< 30% similar), require closer proximity
+    // This prevents false positives like "Actor's Temple Theater" vs "Richard Rodgers Theatre"
+    // Venues without a real name (coordinate-only proposals) keep the normal threshold
+    let effectiveThreshold = thresholdToUse;
+    const namesComparable = !event1.venue.unnamed && !event2.venue.unnamed;
+    const nameSimilarityOverride = namesComparable && venueNameSimilarity < 0.3 && venueDistance > NAME_MISMATCH_THRESHOLD_KM;
+    if (nameSimilarityOverride) {
+      // For very different venue names, require much closer proximity (0.1km = 100m)
+      effectiveThreshold = NAME_MISMATCH_THRESHOLD_KM;
+    }
+
+    const meetsProximityRequirement = venueDistance < effectiveThreshold;
+    const builtInMatch = timeOverlap && meetsProximityRequirement;
+
+    // Declarative rules can add conflicts the built-in checks miss, and name the ones they catch
+    const matchedRules = rulesPossible
+      ? conflictRuleEngine.matchRules(ruleSet, event1, event2, {
+        distanceKm: venueDistance,
+        thresholdKm: thresholdToUse,
+        bufferMs,
+        sameVenue: this.isSameVenue(event1, event2, venueDistance, venueNameSimilarity)
+      })
+      : [];
+
+    if (!builtInMatch && matchedRules.length === 0) {
+      return null;
+    }
+
+    const primaryRule = matchedRules[0] || null;
+    const builtInConflictType = builtInMatch
+      ? this.determineConflictType(event1, event2, venueDistance, venueNameSimilarity)
+      : null;
+    const sharedGenres = this.getSharedGenres(event1, event2);
+    const { score, breakdown } = this.calculateConflictScore(event1, event2, {
+      distanceKm: venueDistance,
+      thresholdKm: thresholdToUse,
+      weights: settings.scoringWeights
+    });
+
+    return {
+      id: this.createConflictId(event1, event2),
+      events: [event1, event2],
+      conflictType: primaryRule ? primaryRule.conflictType : builtInConflictType,
+      builtInConflictType,
+      matchedRules: matchedRules.map(rule => ({
+        id: rule.id,
+        conflictType: rule.conflictType,
+        severity: rule.severity,
+        description: rule.description
+      })),
+      timeSlot: this.getTimeSlotString(event1, event2),
+      severity: primaryRule ? primaryRule.severity : this.calculateSeverity(event1, event2, bufferMs),
+      score,
+      scoreBreakdown: breakdown,
+      sharedGenres,
+      directCompetition: sharedGenres.length > 0,
+      explanation: this.buildConflictExplanation(event1, event2, {
+        ...settings,
+        bufferMs,
+        distanceKm: venueDistance,
+        venueNameSimilarity,
+        effectiveThresholdKm: effectiveThreshold,
+        nameSimilarityOverride
+      })
+    };
+  }
+
+  /**
+   * Stable conflict id derived from the two event ids (order-independent), so the
+   * same pair gets the same id across analysis runs
+   */
+  static createConflictId(event1, event2) {
+    const key = [String(event1?.id), String(event2?.id)].sort().join('|');
+    return `conflict_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * "Why is this a conflict?" payload: how the threshold was resolved and what was measured
+   */
+  static buildConflictExplanation(event1, event2, details) {
+    const thresholdDetails = details.thresholdDetails || {};
+    const bufferMinutes = details.bufferMs / 60000;
+    const start1 = new Date(event1.start).getTime();
+    const end1 = new Date(event1.end).getTime();
+    const start2 = new Date(event2.start).getTime();
+    const end2 = new Date(event2.end).getTime();
+    // Positive when the events overlap, negative gap when they only meet within the buffer
+    const rawOverlapMinutes = (Math.min(end1, end2) - Math.max(start1, start2)) / 60000;
+
+    return {
+      resolvedThresholdKm: details.thresholdKm,
+      thresholdSource: thresholdDetails.source || null,
+      effectiveThresholdKm: details.effectiveThresholdKm,
+      nameSimilarityOverride: details.nameSimilarityOverride,
+      venueNameSimilarity: Number(details.venueNameSimilarity.toFixed(2)),
+      distanceKm: Number(details.distanceKm.toFixed(3)),
+      overlapMinutes: Math.max(0, Math.round(rawOverlapMinutes)),
+      overlapMinutesWithBuffer: Math.max(0, Math.round(rawOverlapMinutes + bufferMinutes)),
+      bufferMinutes,
+      endEstimated: !!(event1.endEstimated || event2.endEstimated),
+      timeKinds: [getTimeKind(event1), getTimeKind(event2)],
+      metroMatched: !!thresholdDetails.metroRegion,
+      metroRegion: thresholdDetails.metroRegion || null,
+      densityTier: thresholdDetails.densityTier || null,
+      dynamicThresholdKm: thresholdDetails.dynamicThresholdKm ?? null,
+      medianVenueDistanceKm: thresholdDetails.medianDistanceKm ?? null
+    };
+  }
+
+  /**
+   * Collect [i, j] index pairs (i < j, sorted) that overlap in time (with buffer)
+   * and whose venues sit in the same or adjacent grid cells.
+   *
+   * Events are swept in start order; each one is checked against the events still
+   * "active" (end + buffer >= its start) in the 3x3 neighbouring cells, then added
+   * to its own cell. Cells are sized so any two venues within searchRadiusKm are
+   * always in neighbouring cells.
+   */
+  static collectCandidatePairs(events, bufferMs, searchRadiusKm) {
+    const entries = [];
+    let maxAbsLat = 0;
+
+    events.forEach((event, index) => {
+      if (!this.hasConflictData(event)) {
+        return;
+      }
+      const lat = parseFloat(event.venue.lat);
+      const lon = parseFloat(event.venue.lon);
+      const startMs = new Date(event.start).getTime();
+      const endMs = new Date(event.end).getTime();
+      // Unparseable coordinates/times can never conflict (distance is Infinity, comparisons are false)
+      if (!Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+        return;
+      }
+      maxAbsLat = Math.max(maxAbsLat, Math.abs(lat));
+      entries.push({ index, lat, lon, startMs, endMs });
+    });
+
+    if (entries.length < 2) {
+      return [];
+    }
+
+    const grid = this.createSpatialGrid(searchRadiusKm, maxAbsLat);
+    entries.forEach(entry => {
+      entry.row = grid.rowOf(entry.lat);
+      entry.col = grid.colOf(entry.lon);
+    });
+
+    entries.sort((a, b) => a.startMs - b.startMs);
+
+    const activeCells = new Map();
+    const pairs = [];
+
+    for (const entry of entries) {
+      for (const neighborKey of grid.neighborKeys(entry.row, entry.col)) {
+        const cell = activeCells.get(neighborKey);
+        if (!cell) {
+          continue;
+        }
+
+        // Drop events that ended (plus buffer) before this one starts; since the
+        // sweep only moves forward they can't overlap anything later either
+        let writeIndex = 0;
+        for (let k = 0; k < cell.length; k++) {
+          const active = cell[k];
+          if (active.endMs + bufferMs < entry.startMs) {
+            continue;
+          }
+          cell[writeIndex++] = active;
+          pairs.push(active.index < entry.index ? [active.index, entry.index] : [entry.index, active.index]);
         }
+        cell.length = writeIndex;
       }
+
+      const ownKey = `${entry.row}:${entry.col}`;
+      if (!activeCells.has(ownKey)) {
+        activeCells.set(ownKey, []);
+      }
+      activeCells.get(ownKey).push(entry);
     }
 
-    return conflicts;
+    pairs.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    return pairs;
+  }
+
+  /**
+   * Build a lat/lon grid whose cells are at least radiusKm wide everywhere in
+   * [-maxAbsLat, maxAbsLat], using the same Earth radius as calculateVenueDistance.
+   */
+  static createSpatialGrid(radiusKm, maxAbsLat = 0) {
+    const R = 6371;
+    // Great-circle distance is never less than R * |dLat|
+    const rowSizeDeg = Math.max((radiusKm / R) * (180 / Math.PI), 1e-6);
+
+    // For haversine distance < r: sin(dLon / 2) < sin(r / 2R) / cos(maxLat)
+    const cosMaxLat = Math.cos(this.toRadians(Math.min(maxAbsLat, 90)));
+    const lonBound = cosMaxLat > 0 ? Math.sin(radiusKm / (2 * R)) / cosMaxLat : Infinity;
+    const minColSizeDeg = lonBound >= 1
+      ? 360
+      : Math.max(2 * Math.asin(lonBound) * (180 / Math.PI), 1e-6);
+    // Divide the globe evenly so the wrap-around column is as wide as the others
+    const columnCount = Math.max(1, Math.floor(360 / minColSizeDeg));
+    const colSizeDeg = 360 / columnCount;
+
+    return {
+      rowOf: lat => Math.floor(lat / rowSizeDeg),
+      colOf: lon => Math.floor((((lon + 180) % 360) + 360) % 360 / colSizeDeg) % columnCount,
+      neighborKeys: (row, col) => {
+        const keys = new Set();
+        for (let dRow = -1; dRow <= 1; dRow++) {
+          for (let dCol = -1; dCol <= 1; dCol++) {
+            // Wrap columns around the antimeridian
+            const neighborCol = ((col + dCol) % columnCount + columnCount) % columnCount;
+            keys.add(`${row + dRow}:${neighborCol}`);
+          }
+        }
+        return keys;
+      }
+    };
   }
 
   static resolveVenueThreshold(events = [], manualThreshold, options = {}) {
+    return this.resolveVenueThresholdDetails(events, manualThreshold, options).thresholdKm;
+  }
+
+  /**
+   * Resolve the venue proximity threshold and record how it was chosen
+   * source: 'manual' | 'context_radius' | 'metro' | 'base' (the contextual baseline),
+   * which is then raised to the density-based dynamic threshold and capped at the max
+   */
+  static resolveVenueThresholdDetails(events = [], manualThreshold, options = {}) {
+    // A metro region's own thresholds replace the base / metro / max options
+    const region = this.findContextMetroRegion(options.context, options);
+    if (region) {
+      options = {
+        ...options,
+        ...['baseThresholdKm', 'metroThresholdKm', 'maxThresholdKm'].reduce((thresholds, key) => {
+          if (region[key] !== undefined) {
+            thresholds[key] = region[key];
+          }
+          return thresholds;
+        }, {})
+      };
+    }
+
     const normalizedManual = this.normalizeThresholdValue(manualThreshold);
     const baseThreshold = this.normalizeThresholdValue(options.baseThresholdKm) || DEFAULT_VENUE_THRESHOLD_KM;
     const dynamicBase = this.normalizeThresholdValue(options.dynamicBaseKm) || 0.3;
-    const dynamicThreshold = this.calculateDynamicThreshold(events, dynamicBase);
-    const contextualThreshold = this.determineContextualThreshold(
+    const densityProfile = this.calculateDensityProfile(events, dynamicBase);
+    const contextual = this.determineContextualThresholdDetails(
       options.context,
       normalizedManual,
       options,
       baseThreshold
     );
-    const baseline = contextualThreshold !== null ? contextualThreshold : baseThreshold;
-    const combined = Math.max(dynamicThreshold, baseline);
+    const baseline = contextual.thresholdKm !== null ? contextual.thresholdKm : baseThreshold;
+    const combined = Math.max(densityProfile.thresholdKm, baseline);
     const maxThreshold = this.normalizeThresholdValue(options.maxThresholdKm) || MAX_VENUE_THRESHOLD_KM;
-    return Math.min(combined, maxThreshold);
+
+    return {
+      thresholdKm: Math.min(combined, maxThreshold),
+      source: contextual.thresholdKm !== null ? contextual.source : 'base',
+      baselineKm: baseline,
+      dynamicThresholdKm: densityProfile.thresholdKm,
+      densityTier: densityProfile.tier,
+      medianDistanceKm: densityProfile.medianDistanceKm,
+      maxThresholdKm: maxThreshold,
+      metroRegion: contextual.metroRegion
+    };
   }
 
   static determineContextualThreshold(context = {}, manualThreshold, options = {}, baseThreshold) {
+    return this.determineContextualThresholdDetails(context, manualThreshold, options, baseThreshold).thresholdKm;
+  }
+
+  /**
+   * Returns { thresholdKm, source, metroRegion }; thresholdKm is null when no context applies.
+   * metroRegion is reported whenever the context point sits in a metro, even if a
+   * manual or context radius took precedence.
+   */
+  static determineContextualThresholdDetails(context = {}, manualThreshold, options = {}, baseThreshold) {
+    const region = this.findContextMetroRegion(context, options);
+    const metroRegion = region ? region.name : null;
+
     if (manualThreshold !== null && manualThreshold !== undefined) {
-      return manualThreshold;
+      return { thresholdKm: manualThreshold, source: 'manual', metroRegion };
     }
 
     if (context && context.venueRadiusKm !== undefined && context.venueRadiusKm !== null) {
       const normalizedContext = this.normalizeThresholdValue(context.venueRadiusKm);
       if (normalizedContext !== null) {
-        return normalizedContext;
+        return { thresholdKm: normalizedContext, source: 'context_radius', metroRegion };
       }
     }
 
-    const lat = context && context.lat !== undefined ? parseFloat(context.lat) : null;
-    const lon = context && context.lon !== undefined ? parseFloat(context.lon) : null;
-
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      const regions = Array.isArray(options.metroRegions) && options.metroRegions.length > 0
-        ? options.metroRegions
-        : METRO_REGIONS;
-      if (this.isMetroLocation(lat, lon, regions)) {
-        return this.normalizeThresholdValue(options.metroThresholdKm) || METRO_VENUE_THRESHOLD_KM;
-      }
+    if (metroRegion) {
+      return {
+        thresholdKm: this.normalizeThresholdValue(options.metroThresholdKm) || METRO_VENUE_THRESHOLD_KM,
+        source: 'metro',
+        metroRegion
+      };
     }
 
-    return null;
+    return { thresholdKm: null, source: null, metroRegion };
   }
 
   static normalizeThresholdValue(value) {
@@ -289,9 +773,23 @@ class ConflictDetector {
     return Math.max(0.1, Math.min(MAX_VENUE_THRESHOLD_KM, parsed));
   }
 
-  static isMetroLocation(lat, lon, regions = METRO_REGIONS) {
-    return regions.some(region => {
-      if (!region || typeof region.lat !== 'number' || typeof region.lon !== 'number') {
+  static isMetroLocation(lat, lon, regions = metroRegions.loadMetroRegions()) {
+    return this.findMetroRegion(lat, lon, regions) !== null;
+  }
+
+  /**
+   * Return the first metro region containing the point, or null
+   * Regions are polygons from metroRegions.js; { lat, lon, radiusKm } circles also work.
+   */
+  static findMetroRegion(lat, lon, regions = metroRegions.loadMetroRegions()) {
+    const match = regions.find(region => {
+      if (!region) {
+        return false;
+      }
+      if (Array.isArray(region.polygons)) {
+        return metroRegions.isPointInRegion(lat, lon, region);
+      }
+      if (typeof region.lat !== 'number' || typeof region.lon !== 'number') {
         return false;
       }
       const distance = this.calculateVenueDistance(
@@ -301,6 +799,22 @@ class ConflictDetector {
       const boundary = region.radiusKm || 40;
       return distance <= boundary;
     });
+    return match || null;
+  }
+
+  /**
+   * Metro region containing the context point (options.metroRegions overrides the configured regions)
+   */
+  static findContextMetroRegion(context = {}, options = {}) {
+    const lat = context && context.lat !== undefined && context.lat !== null ? parseFloat(context.lat) : null;
+    const lon = context && context.lon !== undefined && context.lon !== null ? parseFloat(context.lon) : null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return null;
+    }
+    const regions = Array.isArray(options.metroRegions) && options.metroRegions.length > 0
+      ? options.metroRegions
+      : metroRegions.loadMetroRegions();
+    return this.findMetroRegion(lat, lon, regions);
   }
 
   /**
@@ -308,7 +822,8 @@ class ConflictDetector {
    * Uses normalized name + venue + time bucket for O(1) lookup
    */
   static createEventHash(event) {
-    const name = this.normalizeEventName(event.name || '');
+    // Headliner key, so "Coldplay w/ Special Guests" and "COLDPLAY" land in one bucket
+    const name = nameMatcher.getNameKey(this.normalizeEventName(event.name || '', event.venue));
     const venueName = (event.venue?.name || '').toLowerCase().trim();
     const venueLat = parseFloat(event.venue?.lat);
     const venueLon = parseFloat(event.venue?.lon);
@@ -316,27 +831,38 @@ class ConflictDetector {
     // Round time to 5-minute buckets for matching events at same time
     const timeBucket = Math.floor(startTime / (5 * 60 * 1000));
     
-    // Create hash from normalized components
-    const venueKey = Number.isFinite(venueLat) && Number.isFinite(venueLon)
+    // Create hash from normalized components (registry venue id when known)
+    const coordinateKey = Number.isFinite(venueLat) && Number.isFinite(venueLon)
       ? `${venueLat.toFixed(4)}:${venueLon.toFixed(4)}`
       : venueName;
+    const venueKey = venueRegistry.hasRegistryId(event.venue) ? event.venue.id : coordinateKey;
     
     return `${name}|${venueKey}|${timeBucket}`;
   }
 
   /**
    * Filter duplicate events from the array
+   * Duplicates are merged into a single canonical event rather than dropped (see mergeDuplicates)
+   */
+  static filterDuplicates(events) {
+    return this.mergeDuplicates(events);
+  }
+
+  /**
+   * Merge duplicate listings into canonical events with provenance
    * Optimized from O(n²) to O(n) using hash-based lookup
    * Duplicates are identified by:
    * 1. Same event ID
    * 2. Same name, venue, and overlapping time (within 5 minutes)
    * 3. Same venue, same time, and very similar names (fuzzy match)
+   * Every returned event carries sources[] (one entry per provider listing) and
+   * duplicateRule (the first rule that matched, null when nothing was merged).
    */
-  static filterDuplicates(events) {
-    const uniqueEvents = [];
-    const seenIds = new Set();
-    const seenHashes = new Map(); // Map of hash -> event signature for O(1) lookup
-    const nearbyEvents = new Map(); // Map of venue key -> array of events for proximity checks
+  static mergeDuplicates(events) {
+    const canonicalEvents = [];
+    const seenIds = new Map(); // Map of event id -> canonical index
+    const seenHashes = new Map(); // Map of hash -> { signature, index } for O(1) lookup
+    const nearbyEvents = new Map(); // Map of venue key -> array of { signature, index } for proximity checks
 
     for (const event of events) {
       // Skip events without required data
@@ -346,6 +872,7 @@ class ConflictDetector {
 
       // Check 1: Same event ID (exact duplicate)
       if (seenIds.has(event.id)) {
+        this.mergeIntoCanonical(canonicalEvents[seenIds.get(event.id)], event, 'same_id');
         continue;
       }
 
@@ -354,8 +881,11 @@ class ConflictDetector {
       const eventSignature = this.createEventSignature(event);
       
       // Check 2: Fast hash-based lookup for exact/similar matches
-      const existingSignature = seenHashes.get(eventHash);
-      if (existingSignature && this.isDuplicateEvent(event, existingSignature)) {
+      const existing = seenHashes.get(eventHash);
+      const hashRule = existing ? this.matchDuplicateRule(event, existing.signature) : null;
+      if (hashRule) {
+        this.mergeIntoCanonical(canonicalEvents[existing.index], event, hashRule);
+        seenIds.set(event.id, existing.index);
         continue;
       }
 
@@ -366,14 +896,16 @@ class ConflictDetector {
       const venueLon = parseFloat(event.venue.lon);
       const eventStartTime = new Date(event.start).getTime();
       const fiveMinutes = 5 * 60 * 1000;
+      let fineVenueKey = null;
       
       if (Number.isFinite(venueLat) && Number.isFinite(venueLon)) {
         // Use finer grid (0.001 degree ≈ 100m) for very close venues only
-        const fineVenueKey = `${Math.round(venueLat * 1000)}:${Math.round(venueLon * 1000)}`;
+        fineVenueKey = `${Math.round(venueLat * 1000)}:${Math.round(venueLon * 1000)}`;
         const nearby = nearbyEvents.get(fineVenueKey) || [];
         
-        let isDuplicate = false;
-        for (const nearbySignature of nearby) {
+        let match = null;
+        for (const candidate of nearby) {
+          const nearbySignature = candidate.signature;
           // Only check if venues are very close (< 0.05km = 50m) AND times are within 5 minutes
           const distance = this.calculateVenueDistance(
             { lat: venueLat, lon: venueLon },
@@ -382,30 +914,156 @@ class ConflictDetector {
           const timeDiff = Math.abs(eventStartTime - nearbySignature.startTime);
           
           // Only consider as duplicate if very close (< 50m) AND same time (within 5 min) AND passes duplicate check
-          if (distance < 0.05 && timeDiff <= fiveMinutes && this.isDuplicateEvent(event, nearbySignature)) {
-            isDuplicate = true;
+          const rule = distance < 0.05 && timeDiff <= fiveMinutes ? this.matchDuplicateRule(event, nearbySignature) : null;
+          if (rule) {
+            match = { index: candidate.index, rule };
             break;
           }
         }
         
-        if (isDuplicate) {
+        if (match) {
+          this.mergeIntoCanonical(canonicalEvents[match.index], event, match.rule);
+          seenIds.set(event.id, match.index);
           continue;
         }
-        
-        // Add to nearby events map only if very close to another event
+      }
+
+      // Event is unique
+      const index = canonicalEvents.length;
+      canonicalEvents.push(this.createCanonicalEvent(event));
+      seenIds.set(event.id, index);
+      seenHashes.set(eventHash, { signature: eventSignature, index });
+      if (fineVenueKey) {
         if (!nearbyEvents.has(fineVenueKey)) {
           nearbyEvents.set(fineVenueKey, []);
         }
-        nearbyEvents.get(fineVenueKey).push(eventSignature);
+        nearbyEvents.get(fineVenueKey).push({ signature: eventSignature, index });
       }
+    }
 
-      // Event is unique
-      uniqueEvents.push(event);
-      seenIds.add(event.id);
-      seenHashes.set(eventHash, eventSignature);
+    return canonicalEvents;
+  }
+
+  /**
+   * Provenance entry for one provider listing
+   * `listing` is that provider's event as normalized to the standard model (before merging),
+   * not the provider's API payload.
+   */
+  static createSourceEntry(event, matchedBy = null) {
+    return {
+      provider: event.source || 'unknown',
+      id: event.id,
+      url: event.url || null,
+      matchedBy,
+      listing: {
+        name: event.name,
+        start: event.start,
+        end: event.end,
+        timeKind: event.timeKind || null,
+        endEstimated: !!event.endEstimated,
+        venue: {
+          id: event.venue?.id,
+          name: event.venue?.name,
+          lat: event.venue?.lat,
+          lon: event.venue?.lon,
+          address: event.venue?.address
+        },
+        genres: Array.isArray(event.genres) ? [...event.genres] : []
+      }
+    };
+  }
+
+  /**
+   * Copy an event into a canonical event (already-merged events keep their sources)
+   */
+  static createCanonicalEvent(event) {
+    const sources = Array.isArray(event.sources) && event.sources.length > 0
+      ? event.sources.map(source => ({ ...source }))
+      : [this.createSourceEntry(event)];
+
+    return {
+      ...event,
+      venue: { ...event.venue },
+      genres: Array.isArray(event.genres) ? [...event.genres] : [],
+      sources,
+      duplicateRule: event.duplicateRule || null
+    };
+  }
+
+  /**
+   * Fold a duplicate listing into its canonical event: add its sources, union the
+   * genres and keep the most precise coordinates and times
+   */
+  static mergeIntoCanonical(canonical, event, rule) {
+    const incoming = Array.isArray(event.sources) && event.sources.length > 0
+      ? event.sources
+      : [this.createSourceEntry(event, rule)];
+    incoming.forEach(entry => {
+      const known = canonical.sources.some(source => source.provider === entry.provider && source.id === entry.id);
+      if (!known) {
+        canonical.sources.push({ ...entry, matchedBy: entry.matchedBy || rule });
+      }
+    });
+    canonical.duplicateRule = canonical.duplicateRule || rule;
+
+    const genres = new Set(canonical.genres);
+    (Array.isArray(event.genres) ? event.genres : []).forEach(genre => genres.add(genre));
+    canonical.genres = Array.from(genres);
+
+    if (this.getCoordinatePrecision(event.venue) > this.getCoordinatePrecision(canonical.venue)) {
+      canonical.venue.lat = event.venue.lat;
+      canonical.venue.lon = event.venue.lon;
+    }
+    ['id', 'address', 'city', 'region', 'country', 'timezone', 'capacity', 'capacitySource'].forEach(key => {
+      if (!canonical.venue[key] && event.venue?.[key]) {
+        canonical.venue[key] = event.venue[key];
+      }
+    });
+
+    if (!canonical.url && event.url) {
+      canonical.url = event.url;
     }
 
-    return uniqueEvents;
+    this.mergeEventTimes(canonical, event);
+    return canonical;
+  }
+
+  /**
+   * Keep the most precise time window: a real start time beats a date-only listing,
+   * and a published end beats an estimated one
+   */
+  static mergeEventTimes(canonical, event) {
+    const timeFields = ['start', 'end', 'timeKind', 'localStartDate', 'localEndDate', 'endEstimated', 'estimatedDurationMinutes'];
+    const canonicalRank = TIME_PRECISION_RANK[getTimeKind(canonical)];
+    const eventRank = TIME_PRECISION_RANK[getTimeKind(event)];
+
+    if (eventRank > canonicalRank) {
+      timeFields.forEach(key => {
+        if (event[key] !== undefined) {
+          canonical[key] = event[key];
+        }
+      });
+      return;
+    }
+
+    const publishedEnd = !event.endEstimated && new Date(event.end).getTime() > new Date(canonical.start).getTime();
+    if (eventRank === canonicalRank && canonical.endEstimated && publishedEnd) {
+      canonical.end = event.end;
+      canonical.localEndDate = event.localEndDate || canonical.localEndDate;
+      canonical.endEstimated = false;
+      canonical.estimatedDurationMinutes = null;
+    }
+  }
+
+  /**
+   * Number of decimal places in a venue's coordinates (the less precise axis)
+   */
+  static getCoordinatePrecision(venue) {
+    const decimals = value => {
+      const match = String(value ?? '').match(/\.(\d+)/);
+      return match ? match[1].length : 0;
+    };
+    return Math.min(decimals(venue?.lat), decimals(venue?.lon));
   }
 
   /**
@@ -413,8 +1071,9 @@ class ConflictDetector {
    */
   static createEventSignature(event) {
     const name = (event.name || '').toLowerCase().trim();
-    const normalizedName = this.normalizeEventName(event.name);
+    const normalizedName = this.normalizeEventName(event.name, event.venue);
     const venueName = (event.venue?.name || '').toLowerCase().trim();
+    const venueId = venueRegistry.hasRegistryId(event.venue) ? event.venue.id : null;
     const venueLat = parseFloat(event.venue?.lat);
     const venueLon = parseFloat(event.venue?.lon);
     const startTime = new Date(event.start).getTime();
@@ -423,6 +1082,7 @@ class ConflictDetector {
       name,
       normalizedName,
       venueName,
+      venueId,
       venueLat,
       venueLon,
       startTime
@@ -432,7 +1092,7 @@ class ConflictDetector {
   /**
    * Normalize event name by removing common suffixes and variations
    */
-  static normalizeEventName(name) {
+  static normalizeEventName(name, venue = null) {
     if (!name) return '';
     
     let normalized = name.toLowerCase().trim();
@@ -440,8 +1100,14 @@ class ConflictDetector {
     // Remove common location suffixes in parentheses: (NY), (New York), etc.
     normalized = normalized.replace(/\s*\([^)]*\)\s*$/, '');
     
-    // Remove common location suffixes: - NY, - New York, etc.
-    normalized = normalized.replace(/\s*-\s*(ny|new york|nyc|manhattan|brooklyn|queens|bronx)\s*$/i, '');
+    // Remove "- City" / "- Venue" suffixes that name where this event takes place
+    const locationTokens = venueRegistry.getLocationTokens(venue);
+    const venueName = venueRegistry.normalizeVenueName(venue?.name, venue);
+    normalized = normalized.replace(/\s*-\s*([^-]+)$/, (match, suffix) => {
+      const isLocation = locationTokens.includes(venueRegistry.normalizeText(suffix)) ||
+        (venueName && venueRegistry.normalizeVenueName(suffix, venue) === venueName);
+      return isLocation ? '' : match;
+    });
     
     // Remove extra whitespace
     normalized = normalized.trim();
@@ -453,11 +1119,24 @@ class ConflictDetector {
    * Check if two events are duplicates based on multiple criteria
    */
   static isDuplicateEvent(event, signature) {
+    return this.matchDuplicateRule(event, signature) !== null;
+  }
+
+  /**
+   * Name of the duplicate rule an event matches against a signature, or null
+   * Rules: exact_match, normalized_name_match, headliner_match, same_location_similar_name, overlapping_similar_name
+   */
+  static matchDuplicateRule(event, signature) {
     const eventName = (event.name || '').toLowerCase().trim();
-    const normalizedEventName = this.normalizeEventName(event.name);
-    const normalizedSignatureName = this.normalizeEventName(signature.name);
+    const normalizedEventName = this.normalizeEventName(event.name, event.venue);
+    const normalizedSignatureName = signature.normalizedName ?? this.normalizeEventName(signature.name);
     
     const eventVenueName = (event.venue?.name || '').toLowerCase().trim();
+    // Registry ids settle venue identity; fall back to the raw names without them
+    // (provisional ids can differ for the same venue, see venueRegistry.hasRegistryId)
+    const sameVenueName = venueRegistry.hasRegistryId(event.venue) && signature.venueId
+      ? event.venue.id === signature.venueId
+      : eventVenueName === signature.venueName;
     const eventVenueLat = parseFloat(event.venue?.lat);
     const eventVenueLon = parseFloat(event.venue?.lon);
     const eventStartTime = new Date(event.start).getTime();
@@ -467,17 +1146,26 @@ class ConflictDetector {
     const fiveMinutes = 5 * 60 * 1000; // 5 minutes in milliseconds
 
     if (eventName === signature.name && 
-        eventVenueName === signature.venueName && 
+        sameVenueName && 
         timeDifference <= fiveMinutes) {
-      return true;
+      return 'exact_match';
     }
 
     // Check 1.5: Normalized name match (catches "Hamilton" vs "Hamilton (NY)")
     if (normalizedEventName === normalizedSignatureName && 
         normalizedEventName.length > 0 &&
-        eventVenueName === signature.venueName && 
+        sameVenueName && 
         timeDifference <= fiveMinutes) {
-      return true;
+      return 'normalized_name_match';
+    }
+
+    // Check 1.6: Same headliner once support acts / tour names are stripped
+    // (catches "Coldplay w/ Special Guests" vs "Coldplay: Music of the Spheres Tour")
+    if (sameVenueName && timeDifference <= fiveMinutes) {
+      const { matchedBy } = nameMatcher.compareNames(normalizedEventName, normalizedSignatureName);
+      if (matchedBy === 'exact' || matchedBy === 'headliner') {
+        return 'headliner_match';
+      }
     }
 
     // Check 2: Same venue (very close proximity < 0.05km = 50m) and same time
@@ -490,7 +1178,7 @@ class ConflictDetector {
       // Check if names are similar (fuzzy match) - use normalized names
       const nameSimilarity = this.calculateNameSimilarity(normalizedEventName, normalizedSignatureName);
       if (nameSimilarity > 0.85) { // 85% similarity threshold
-        return true;
+        return 'same_location_similar_name';
       }
     }
 
@@ -507,65 +1195,28 @@ class ConflictDetector {
         // Use normalized names for better matching
         const nameSimilarity = this.calculateNameSimilarity(normalizedEventName, normalizedSignatureName);
         if (nameSimilarity > 0.8) { // 80% similarity for overlapping events
-          return true;
+          return 'overlapping_similar_name';
         }
       }
     }
 
-    return false;
+    return null;
   }
 
   /**
-   * Calculate similarity between two strings using Levenshtein distance
-   * Returns a value between 0 and 1 (1 = identical, 0 = completely different)
+   * Similarity between two event names (see nameMatcher.compareNames)
+   * Returns a value between 0 and 1 (1 = same act, 0 = completely different)
    */
   static calculateNameSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0;
-    if (str1 === str2) return 1;
-
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-
-    // If one string is much longer, similarity is low
-    if (longer.length === 0) return 1;
-    if (longer.length / shorter.length > 2) return 0;
-
-    // Calculate Levenshtein distance
-    const distance = this.levenshteinDistance(str1, str2);
-    const maxLength = Math.max(str1.length, str2.length);
-    
-    return 1 - (distance / maxLength);
+    return nameMatcher.compareNames(str1, str2).similarity;
   }
 
   /**
-   * Calculate Levenshtein distance between two strings
+   * Buffer applied to a pair: all-day and multi-day windows already span whole days,
+   * so the changeover buffer only applies between two timed events
    */
-  static levenshteinDistance(str1, str2) {
-    const matrix = [];
-
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1       // deletion
-          );
-        }
-      }
-    }
-
-    return matrix[str2.length][str1.length];
+  static getPairBufferMs(event1, event2, bufferMs) {
+    return isTimedEvent(event1) && isTimedEvent(event2) ? bufferMs : 0;
   }
 
   static checkTimeOverlap(event1, event2, bufferMs) {
@@ -574,6 +1225,11 @@ class ConflictDetector {
     const start2 = new Date(event2.start).getTime();
     const end2 = new Date(event2.end).getTime();
 
+    // Day windows end at the next local midnight, so touching windows don't overlap
+    if (!isTimedEvent(event1) || !isTimedEvent(event2)) {
+      return start1 < end2 && start2 < end1;
+    }
+
     // Check if events overlap with buffer
     // Event1 starts before Event2 ends (with buffer) AND Event1 ends after Event2 starts (with buffer)
     return (start1 <= end2 + bufferMs) && (end1 >= start2 - bufferMs);
@@ -615,17 +1271,27 @@ class ConflictDetector {
     return degrees * (Math.PI / 180);
   }
 
-  static determineConflictType(event1, event2) {
-    // Calculate distance and venue name similarity
-    const distance = this.calculateVenueDistance(event1.venue, event2.venue);
-    const venueNameSimilarity = this.calculateVenueNameSimilarity(event1.venue, event2.venue);
-    
-    // Venues are considered the same if:
-    // 1. Exact name match, OR
-    // 2. Very close proximity (< 0.05km = 50m) AND high name similarity (> 70%)
-    // This prevents false positives when different venues share coordinates
-    const sameVenue = event1.venue.name === event2.venue.name ||
-      (distance < 0.05 && venueNameSimilarity > 0.7);
+  /**
+   * Venues are considered the same if both carry registry (non-provisional) ids and they match.
+   * Otherwise (provisional ids, client-supplied events without ids):
+   * 1. Exact name match, OR
+   * 2. Very close proximity (< 0.05km = 50m) AND high name similarity (> 70%)
+   * This prevents false positives when different venues share coordinates
+   */
+  static isSameVenue(event1, event2, distance = null, venueNameSimilarity = null) {
+    if (venueRegistry.hasRegistryId(event1.venue) && venueRegistry.hasRegistryId(event2.venue)) {
+      return event1.venue.id === event2.venue.id;
+    }
+    if (event1.venue.name === event2.venue.name) {
+      return true;
+    }
+    const distanceKm = distance !== null ? distance : this.calculateVenueDistance(event1.venue, event2.venue);
+    const similarity = venueNameSimilarity !== null ? venueNameSimilarity : this.calculateVenueNameSimilarity(event1.venue, event2.venue);
+    return distanceKm < 0.05 && similarity > 0.7;
+  }
+
+  static determineConflictType(event1, event2, distance = null, venueNameSimilarity = null) {
+    const sameVenue = this.isSameVenue(event1, event2, distance, venueNameSimilarity);
 
     // Check if different platforms
     const differentPlatforms = event1.source !== event2.source;
@@ -645,14 +1311,31 @@ class ConflictDetector {
     const start1 = new Date(event1.start);
     const start2 = new Date(event2.start);
     const earlierStart = start1 < start2 ? start1 : start2;
-    
-    return earlierStart.toLocaleString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    const earlierEvent = start1 < start2 ? event1 : event2;
+
+    // Whole-day windows have no meaningful time of day - show the venue-local date
+    if (!isTimedEvent(earlierEvent)) {
+      const date = this.formatTimeSlot(earlierStart, earlierEvent.venue?.timezone || 'UTC');
+      return `${date} (${getTimeKind(earlierEvent) === TIME_KINDS.MULTI_DAY ? 'multi-day' : 'all day'})`;
+    }
+
+    return this.formatTimeSlot(earlierStart);
+  }
+
+  /**
+   * Same as toLocaleString('en-US', ...) for a time slot, but reusing one Intl formatter per
+   * timezone (building a formatter for every conflict dominated detection time)
+   * @param {Date} date
+   * @param {string} [timeZone] - Date only in this timezone; without one, date and time in local time
+   */
+  static formatTimeSlot(date, timeZone = null) {
+    const key = timeZone || '';
+    if (!timeSlotFormatters.has(key)) {
+      timeSlotFormatters.set(key, new Intl.DateTimeFormat('en-US', timeZone
+        ? { weekday: 'short', month: 'short', day: 'numeric', timeZone }
+        : { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+    }
+    return timeSlotFormatters.get(key).format(date);
   }
 
   static calculateSeverity(event1, event2, bufferMs) {
@@ -666,6 +1349,20 @@ class ConflictDetector {
     const overlapEnd = Math.min(end1, end2);
     const overlapDuration = Math.max(0, overlapEnd - overlapStart);
 
+    const kinds = [getTimeKind(event1), getTimeKind(event2)];
+    if (kinds.some(kind => kind !== TIME_KINDS.TIMED)) {
+      // Against a day window, measure how much of the shorter event is covered
+      const shorterDuration = Math.min(end1 - start1, end2 - start2);
+      const coverage = shorterDuration > 0 ? overlapDuration / shorterDuration : 0;
+      // An all-day listing gives no time of day, so it can't be a high-confidence clash
+      const maxSeverity = kinds.includes(TIME_KINDS.ALL_DAY) ? 'medium' : 'high';
+
+      if (coverage > 0.5) {
+        return maxSeverity;
+      }
+      return coverage > 0.25 ? 'medium' : 'low';
+    }
+
     // Calculate total duration of both events
     const totalDuration = (end1 - start1) + (end2 - start2);
 
@@ -681,6 +1378,121 @@ class ConflictDetector {
     }
   }
 
+  /**
+   * Merge weight overrides onto the deployment defaults and normalize them to sum to 1
+   * Unknown keys and negative/non-numeric values are ignored
+   */
+  static resolveScoringWeights(overrides = null) {
+    const weights = { ...conflictScoring.weights };
+
+    if (overrides && typeof overrides === 'object') {
+      Object.keys(weights).forEach(key => {
+        if (overrides[key] === undefined || overrides[key] === null || overrides[key] === '') {
+          return;
+        }
+        const parsed = typeof overrides[key] === 'number' ? overrides[key] : parseFloat(overrides[key]);
+        if (Number.isFinite(parsed) && parsed >= 0) {
+          weights[key] = parsed;
+        }
+      });
+    }
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      return this.resolveScoringWeights();
+    }
+
+    Object.keys(weights).forEach(key => {
+      weights[key] = Number((weights[key] / total).toFixed(4));
+    });
+    return weights;
+  }
+
+  /**
+   * Weighted 0-100 competitive risk score for a conflicting pair
+   * context: { distanceKm, thresholdKm, weights }
+   */
+  static calculateConflictScore(event1, event2, context = {}) {
+    const weights = context.weights || this.resolveScoringWeights();
+
+    const start1 = new Date(event1.start).getTime();
+    const end1 = new Date(event1.end).getTime();
+    const start2 = new Date(event2.start).getTime();
+    const end2 = new Date(event2.end).getTime();
+    const overlapMs = Math.max(0, Math.min(end1, end2) - Math.max(start1, start2));
+    const shorterDuration = Math.min(end1 - start1, end2 - start2);
+    let timeOverlap = shorterDuration > 0 ? Math.min(1, overlapMs / shorterDuration) : (overlapMs > 0 ? 1 : 0);
+    // An overlap built on a guessed end time (or an all-day listing) is less certain than a published one
+    const allDay = getTimeKind(event1) === TIME_KINDS.ALL_DAY || getTimeKind(event2) === TIME_KINDS.ALL_DAY;
+    if (event1.endEstimated || event2.endEstimated || allDay) {
+      timeOverlap *= conflictScoring.estimatedOverlapFactor;
+    }
+
+    const distanceKm = context.distanceKm !== undefined
+      ? context.distanceKm
+      : this.calculateVenueDistance(event1.venue, event2.venue);
+    const thresholdKm = context.thresholdKm || DEFAULT_VENUE_THRESHOLD_KM;
+    const distance = Number.isFinite(distanceKm) ? Math.max(0, 1 - (distanceKm / thresholdKm)) : 0;
+
+    const breakdown = {
+      timeOverlap,
+      distance,
+      genreOverlap: this.calculateGenreOverlap(event1, event2),
+      crossPlatform: event1.source && event2.source && event1.source !== event2.source ? 1 : 0,
+      venueSize: (this.estimateVenueSizeFactor(event1.venue) + this.estimateVenueSizeFactor(event2.venue)) / 2
+    };
+
+    let weighted = 0;
+    Object.keys(breakdown).forEach(key => {
+      breakdown[key] = Number(breakdown[key].toFixed(2));
+      weighted += (weights[key] || 0) * breakdown[key];
+    });
+
+    return {
+      score: Math.round(Math.max(0, Math.min(1, weighted)) * 100),
+      breakdown
+    };
+  }
+
+  /**
+   * Jaccard overlap (0-1) of two events' genre tags
+   */
+  static calculateGenreOverlap(event1, event2) {
+    const genresA = new Set((Array.isArray(event1?.genres) ? event1.genres : []).filter(Boolean).map(genre => genre.toLowerCase()));
+    const genresB = new Set((Array.isArray(event2?.genres) ? event2.genres : []).filter(Boolean).map(genre => genre.toLowerCase()));
+    if (genresA.size === 0 || genresB.size === 0) {
+      return 0;
+    }
+    let shared = 0;
+    genresA.forEach(genre => {
+      if (genresB.has(genre)) {
+        shared++;
+      }
+    });
+    return shared / (genresA.size + genresB.size - shared);
+  }
+
+  /**
+   * Relative venue size (0-1): from capacity when known, otherwise from the venue name
+   */
+  static estimateVenueSizeFactor(venue) {
+    const capacity = parseInt(venue?.capacity);
+    if (Number.isFinite(capacity) && capacity > 0) {
+      return Math.min(1, Math.log10(capacity) / Math.log10(conflictScoring.venueSizeReferenceCapacity));
+    }
+
+    const name = venue?.name || '';
+    const hint = conflictScoring.venueSizeHints.find(entry => entry.pattern.test(name));
+    return hint ? hint.factor : conflictScoring.defaultVenueSizeFactor;
+  }
+
+  /**
+   * Sort conflicts by score (highest first), keeping detection order for ties
+   */
+  static sortConflictsByScore(conflicts) {
+    return conflicts.sort((a, b) => (b.score || 0) - (a.score || 0));
+  }
+
   static getSharedGenres(event1, event2) {
     const genresA = Array.isArray(event1?.genres) ? event1.genres : [];
     const genresB = Array.isArray(event2?.genres) ? event2.genres : [];
@@ -704,7 +1516,127 @@ class ConflictDetector {
 
     return Array.from(shared);
   }
+
+  /**
+   * Group pairwise conflicts into N-way clusters.
+   * Events connected through any chain of time + proximity conflicts end up in
+   * the same cluster (connected components via union-find).
+   */
+  static clusterConflicts(conflicts = []) {
+    const parent = new Map();
+    const eventsById = new Map();
+
+    const find = (id) => {
+      let root = id;
+      while (parent.get(root) !== root) {
+        root = parent.get(root);
+      }
+      // Path compression
+      let current = id;
+      while (parent.get(current) !== root) {
+        const next = parent.get(current);
+        parent.set(current, root);
+        current = next;
+      }
+      return root;
+    };
+
+    conflicts.forEach(conflict => {
+      const ids = conflict.events.map(event => String(event.id));
+      conflict.events.forEach((event, index) => {
+        if (!parent.has(ids[index])) {
+          parent.set(ids[index], ids[index]);
+          eventsById.set(ids[index], event);
+        }
+      });
+      const rootA = find(ids[0]);
+      const rootB = find(ids[1]);
+      if (rootA !== rootB) {
+        parent.set(rootB, rootA);
+      }
+    });
+
+    const groups = new Map();
+    conflicts.forEach(conflict => {
+      const root = find(String(conflict.events[0].id));
+      if (!groups.has(root)) {
+        groups.set(root, { memberIds: new Set(), conflicts: [] });
+      }
+      const group = groups.get(root);
+      conflict.events.forEach(event => group.memberIds.add(String(event.id)));
+      group.conflicts.push(conflict);
+    });
+
+    const clusters = Array.from(groups.values()).map(group => {
+      const events = Array.from(group.memberIds)
+        .map(id => eventsById.get(id))
+        .sort((a, b) => new Date(a.start).getTime() - new Date(b.start).getTime());
+      return this.buildCluster(events, group.conflicts);
+    });
+
+    clusters.sort((a, b) => new Date(a.timeWindow.start).getTime() - new Date(b.timeWindow.start).getTime());
+    clusters.forEach((cluster, index) => {
+      cluster.id = `cluster_${index + 1}`;
+    });
+
+    return clusters;
+  }
+
+  static buildCluster(events, conflicts) {
+    const startTimes = events.map(event => new Date(event.start).getTime()).filter(Number.isFinite);
+    const endTimes = events.map(event => new Date(event.end).getTime()).filter(Number.isFinite);
+
+    let latSum = 0;
+    let lonSum = 0;
+    let located = 0;
+    events.forEach(event => {
+      const lat = parseFloat(event.venue?.lat);
+      const lon = parseFloat(event.venue?.lon);
+      if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        latSum += lat;
+        lonSum += lon;
+        located++;
+      }
+    });
+
+    let highestSeverity = 'low';
+    let highestScore = 0;
+    const sharedGenres = new Set();
+    const conflictTypes = new Set();
+    conflicts.forEach(conflict => {
+      if ((SEVERITY_RANK[conflict.severity] || 0) > (SEVERITY_RANK[highestSeverity] || 0)) {
+        highestSeverity = conflict.severity;
+      }
+      highestScore = Math.max(highestScore, conflict.score || 0);
+      (conflict.sharedGenres || []).forEach(genre => sharedGenres.add(genre));
+      conflictTypes.add(conflict.conflictType);
+    });
+
+    return {
+      id: null,
+      size: events.length,
+      events,
+      timeWindow: {
+        start: startTimes.length ? new Date(Math.min(...startTimes)).toISOString() : null,
+        end: endTimes.length ? new Date(Math.max(...endTimes)).toISOString() : null
+      },
+      centroid: located > 0
+        ? { lat: Number((latSum / located).toFixed(6)), lon: Number((lonSum / located).toFixed(6)) }
+        : null,
+      severity: highestSeverity,
+      score: highestScore,
+      // Genres at least one pair of members directly competes on
+      sharedGenres: Array.from(sharedGenres),
+      conflictTypes: Array.from(conflictTypes),
+      conflictIds: conflicts.map(conflict => conflict.id),
+      pairCount: conflicts.length
+    };
+  }
 }
 
+// Shared with the routes, which resolve thresholds the same way
+ConflictDetector.DEFAULT_VENUE_THRESHOLD_KM = DEFAULT_VENUE_THRESHOLD_KM;
+ConflictDetector.METRO_VENUE_THRESHOLD_KM = METRO_VENUE_THRESHOLD_KM;
+
 module.exports = ConflictDetector;
 
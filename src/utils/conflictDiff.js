@@ -0,0 +1,119 @@
+const ConflictDetector = require('./conflictDetector');
+
+/**
+ * Conflict Diff
+ * Compares two analysis runs of the same market by stable conflict id:
+ * which conflicts are new, which were resolved, and which changed severity.
+ */
+
+/**
+ * Pull the conflict list out of an analysis result
+ * @param {object|Array} result - A /location or /detect response, a saved scan, or a bare conflicts array
+ * @returns {Array|null} - null when no conflicts array is present
+ */
+function readConflicts(result) {
+  if (Array.isArray(result)) {
+    return result;
+  }
+  return result && Array.isArray(result.conflicts) ? result.conflicts : null;
+}
+
+// Results saved before conflicts carried ids get them from their event ids
+function getConflictId(conflict) {
+  if (conflict.id) {
+    return conflict.id;
+  }
+  const [event1, event2] = conflict.events || [];
+  return event1 && event2 ? ConflictDetector.createConflictId(event1, event2) : null;
+}
+
+/**
+ * Compact copy of a conflict, enough to show what it was once it is gone
+ */
+function summarizeConflict(conflict) {
+  return {
+    id: getConflictId(conflict),
+    conflictType: conflict.conflictType || null,
+    severity: conflict.severity || null,
+    score: typeof conflict.score === 'number' ? conflict.score : null,
+    timeSlot: conflict.timeSlot || null,
+    events: (conflict.events || []).map(event => ({
+      id: event.id,
+      name: event.name,
+      start: event.start,
+      end: event.end,
+      source: event.source,
+      venue: {
+        id: event.venue?.id || null,
+        name: event.venue?.name || null
+      }
+    }))
+  };
+}
+
+/**
+ * Diff two runs' conflicts
+ * @param {Array} previousConflicts - Conflicts from the earlier run
+ * @param {Array} currentConflicts - Conflicts from the later run
+ * @returns {{newConflicts: Array, resolvedConflicts: Array, severityChanged: Array, summary: object}}
+ *   newConflicts are full conflicts from the current run; resolvedConflicts are the
+ *   previous run's entries; severityChanged entries carry both severities
+ */
+function diffConflicts(previousConflicts = [], currentConflicts = []) {
+  const previousById = new Map();
+  previousConflicts.forEach(conflict => {
+    const id = getConflictId(conflict);
+    if (id) {
+      previousById.set(id, conflict);
+    }
+  });
+
+  const newConflicts = [];
+  const severityChanged = [];
+  const seenIds = new Set();
+  currentConflicts.forEach(conflict => {
+    const id = getConflictId(conflict);
+    if (!id || seenIds.has(id)) {
+      return;
+    }
+    seenIds.add(id);
+
+    const previous = previousById.get(id);
+    if (!previous) {
+      newConflicts.push(conflict);
+    } else if (previous.severity !== conflict.severity) {
+      severityChanged.push({
+        id,
+        previousSeverity: previous.severity || null,
+        severity: conflict.severity || null,
+        previousScore: typeof previous.score === 'number' ? previous.score : null,
+        score: typeof conflict.score === 'number' ? conflict.score : null,
+        conflict
+      });
+    }
+  });
+
+  const resolvedConflicts = Array.from(previousById.entries())
+    .filter(([id]) => !seenIds.has(id))
+    .map(([, conflict]) => summarizeConflict(conflict));
+
+  return {
+    newConflicts,
+    resolvedConflicts,
+    severityChanged,
+    summary: {
+      previousCount: previousById.size,
+      currentCount: seenIds.size,
+      new: newConflicts.length,
+      resolved: resolvedConflicts.length,
+      severityChanged: severityChanged.length,
+      unchanged: seenIds.size - newConflicts.length - severityChanged.length
+    }
+  };
+}
+
+module.exports = {
+  readConflicts,
+  summarizeConflict,
+  diffConflicts
+};
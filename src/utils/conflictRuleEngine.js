@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const { getLocalDateString } = require('./timezoneHelper');
+const { addDays, isTimedEvent } = require('./eventTimeModel');
+
+/**
+ * Conflict Rule Engine
+ * Evaluates declarative (JSON) conflict rules alongside the built-in conflict types.
+ * Every condition in a rule must hold for a pair of events; per-event conditions
+ * (genres, sources, venue, daysOfWeek) must hold for both events.
+ *
+ * Default rules live in src/config/conflictRules.json; set CONFLICT_RULES_PATH to
+ * a JSON file with the same shape to add a team's own rules.
+ */
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../config/conflictRules.json');
+const SEVERITIES = ['low', 'medium', 'high'];
+const TIME_RELATIONS = ['overlap', 'same_day', 'within_hours'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Rule distances are capped so one rule can't turn conflict search into an all-pairs scan
+const MAX_RULE_DISTANCE_KM = 50;
+const MAX_WITHIN_HOURS = 48;
+
+function normalizeList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().toLowerCase());
+}
+
+function isNumberOrUnset(value, min, max) {
+  return value === undefined || (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max);
+}
+
+/**
+ * Check a rule definition
+ * @returns {string|null} - Error message, or null when the rule is valid
+ */
+function validateRule(rule, index = 0) {
+  const label = rule && rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+  if (!rule || typeof rule !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (typeof rule.id !== 'string' || !rule.id.trim()) {
+    return `${label} needs an id`;
+  }
+  if (typeof rule.conflictType !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.conflictType)) {
+    return `${label}: conflictType must be snake_case`;
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    return `${label}: severity must be one of ${SEVERITIES.join(', ')}`;
+  }
+
+  const conditions = rule.conditions || {};
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return `${label}: conditions must be an object`;
+  }
+  if (!isNumberOrUnset(conditions.maxDistanceKm, 0, MAX_RULE_DISTANCE_KM) || !isNumberOrUnset(conditions.minDistanceKm, 0, MAX_RULE_DISTANCE_KM)) {
+    return `${label}: distances must be numbers between 0 and ${MAX_RULE_DISTANCE_KM} km`;
+  }
+  if (conditions.timeRelation !== undefined && !TIME_RELATIONS.includes(conditions.timeRelation)) {
+    return `${label}: timeRelation must be one of ${TIME_RELATIONS.join(', ')}`;
+  }
+  if (conditions.timeRelation === 'within_hours' && !isNumberOrUnset(conditions.withinHours, 0, MAX_WITHIN_HOURS)) {
+    return `${label}: withinHours must be a number between 0 and ${MAX_WITHIN_HOURS}`;
+  }
+  if (conditions.timeRelation === 'within_hours' && conditions.withinHours === undefined) {
+    return `${label}: withinHours is required for timeRelation "within_hours"`;
+  }
+  if (!isNumberOrUnset(conditions.minOverlapMinutes, 0, 7 * 24 * 60)) {
+    return `${label}: minOverlapMinutes must be a non-negative number`;
+  }
+  if (conditions.daysOfWeek !== undefined && !normalizeList(conditions.daysOfWeek).every(day => WEEKDAYS.includes(day.slice(0, 3)))) {
+    return `${label}: daysOfWeek must be weekday names (e.g. "fri", "sat")`;
+  }
+  if (conditions.venue !== undefined && (typeof conditions.venue !== 'object' || Array.isArray(conditions.venue))) {
+    return `${label}: venue must be an object`;
+  }
+  if (conditions.venue && !isNumberOrUnset(conditions.venue.minCapacity, 0, Number.MAX_SAFE_INTEGER)) {
+    return `${label}: venue.minCapacity must be a non-negative number`;
+  }
+  return null;
+}
+
+/**
+ * Validate and compile rules for evaluation
+ * @param {Array} rules - Rule definitions (disabled rules are skipped)
+ * @returns {{ruleSet: object|null}|{error: string}} - ruleSet is null when no rule is enabled
+ */
+function compileRules(rules = []) {
+  if (!Array.isArray(rules)) {
+    return { error: 'conflictRules must be an array' };
+  }
+
+  const compiled = [];
+  const seenIds = new Set();
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    const error = validateRule(rule, index);
+    if (error) {
+      return { error };
+    }
+    if (seenIds.has(rule.id)) {
+      return { error: `Rule "${rule.id}" is defined more than once` };
+    }
+    seenIds.add(rule.id);
+    if (rule.enabled === false) {
+      continue;
+    }
+
+    const conditions = rule.conditions || {};
+    const venue = conditions.venue || {};
+    compiled.push({
+      id: rule.id,
+      conflictType: rule.conflictType,
+      severity: rule.severity,
+      description: rule.description || null,
+      maxDistanceKm: conditions.maxDistanceKm,
+      minDistanceKm: conditions.minDistanceKm,
+      timeRelation: conditions.timeRelation || 'overlap',
+      withinHours: conditions.withinHours,
+      minOverlapMinutes: conditions.minOverlapMinutes,
+      genres: conditions.genres !== undefined ? normalizeList(conditions.genres) : null,
+      sharedGenre: conditions.sharedGenre,
+      sources: conditions.sources !== undefined ? normalizeList(conditions.sources) : null,
+      crossPlatform: conditions.crossPlatform,
+      sameVenue: conditions.sameVenue,
+      venue: {
+        ids: venue.ids !== undefined ? normalizeList(venue.ids) : null,
+        nameIncludes: venue.nameIncludes !== undefined ? normalizeList(venue.nameIncludes) : null,
+        minCapacity: venue.minCapacity
+      },
+      daysOfWeek: conditions.daysOfWeek !== undefined
+        ? normalizeList(conditions.daysOfWeek).map(day => WEEKDAYS.indexOf(day.slice(0, 3)))
+        : null
+    });
+  }
+
+  if (compiled.length === 0) {
+    return { ruleSet: null };
+  }
+
+  return {
+    ruleSet: {
+      rules: compiled,
+      // Widest distance / time window any rule looks at (used to size the candidate search)
+      maxDistanceKm: Math.max(0, ...compiled.map(rule => rule.maxDistanceKm || 0)),
+      maxWindowMs: Math.max(0, ...compiled.map(rule => {
+        if (rule.timeRelation === 'same_day') return DAY_MS;
+        if (rule.timeRelation === 'within_hours') return rule.withinHours * HOUR_MS;
+        return 0;
+      }))
+    }
+  };
+}
+
+// Venue-local dates an event covers (timed events: their start day)
+function getEventDates(event) {
+  const timezone = event.venue?.timezone || null;
+  const first = event.localStartDate || getLocalDateString(event.start, timezone);
+  const last = !isTimedEvent(event) && event.localEndDate ? event.localEndDate : first;
+  const dates = [];
+  for (let date = first; date && date <= last && dates.length < 31; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+function getProviders(event) {
+  const providers = Array.isArray(event.sources) && event.sources.length > 0
+    ? event.sources.map(source => source.provider)
+    : [event.source];
+  return providers.filter(Boolean).map(provider => provider.toLowerCase());
+}
+
+// Merged events count every provider they were listed on, as in the `sources` condition
+function isCrossPlatform(event1, event2) {
+  const providers1 = getProviders(event1);
+  return !getProviders(event2).some(provider => providers1.includes(provider));
+}
+
+function matchesEventConditions(rule, event) {
+  if (rule.genres) {
+    const genres = normalizeList(event.genres || []);
+    if (!genres.some(genre => rule.genres.includes(genre))) {
+      return false;
+    }
+  }
+  if (rule.sources && !getProviders(event).some(provider => rule.sources.includes(provider))) {
+    return false;
+  }
+  if (rule.venue.ids && !rule.venue.ids.includes((event.venue?.id || '').toLowerCase())) {
+    return false;
+  }
+  if (rule.venue.nameIncludes) {
+    const venueName = (event.venue?.name || '').toLowerCase();
+    if (!rule.venue.nameIncludes.some(fragment => venueName.includes(fragment))) {
+      return false;
+    }
+  }
+  if (rule.venue.minCapacity !== undefined) {
+    // Venues without a known capacity don't pass a capacity condition
+    const capacity = parseInt(event.venue?.capacity);
+    if (!Number.isFinite(capacity) || capacity < rule.venue.minCapacity) {
+      return false;
+    }
+  }
+  if (rule.daysOfWeek) {
+    const weekday = new Date(`${getEventDates(event)[0]}T00:00:00Z`).getUTCDay();
+    if (!rule.daysOfWeek.includes(weekday)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function matchesTimeRelation(rule, event1, event2, bufferMs) {
+  const start1 = new Date(event1.start).getTime();
+  const end1 = new Date(event1.end).getTime();
+  const start2 = new Date(event2.start).getTime();
+  const end2 = new Date(event2.end).getTime();
+
+  if (rule.timeRelation === 'same_day') {
+    const dates1 = getEventDates(event1);
+    return getEventDates(event2).some(date => dates1.includes(date));
+  }
+  if (rule.timeRelation === 'within_hours') {
+    // Overlapping, or the gap between them is at most withinHours
+    const gapMs = Math.max(start1, start2) - Math.min(end1, end2);
+    return gapMs <= rule.withinHours * HOUR_MS;
+  }
+
+  const overlapMs = Math.min(end1, end2) - Math.max(start1, start2);
+  if (rule.minOverlapMinutes !== undefined) {
+    return overlapMs >= rule.minOverlapMinutes * 60 * 1000;
+  }
+  return overlapMs + bufferMs >= 0;
+}
+
+/**
+ * Rules a pair of events matches, in rule order
+ * @param {object} ruleSet - From compileRules
+ * @param {object} context - { distanceKm, thresholdKm, bufferMs, sameVenue } measured by the caller;
+ *   rules without maxDistanceKm use thresholdKm
+ * @returns {Array} - Matching compiled rules
+ */
+function matchRules(ruleSet, event1, event2, context = {}) {
+  if (!ruleSet) {
+    return [];
+  }
+
+  return ruleSet.rules.filter(rule => {
+    const maxDistanceKm = rule.maxDistanceKm !== undefined ? rule.maxDistanceKm : context.thresholdKm;
+    if (!(context.distanceKm <= maxDistanceKm)) {
+      return false;
+    }
+    if (rule.minDistanceKm !== undefined && context.distanceKm < rule.minDistanceKm) {
+      return false;
+    }
+    if (rule.sameVenue !== undefined && rule.sameVenue !== !!context.sameVenue) {
+      return false;
+    }
+    if (rule.crossPlatform !== undefined && rule.crossPlatform !== isCrossPlatform(event1, event2)) {
+      return false;
+    }
+    if (rule.sharedGenre) {
+      const genres1 = normalizeList(event1.genres || []);
+      if (!normalizeList(event2.genres || []).some(genre => genres1.includes(genre))) {
+        return false;
+      }
+    }
+    return matchesTimeRelation(rule, event1, event2, context.bufferMs || 0) &&
+      matchesEventConditions(rule, event1) &&
+      matchesEventConditions(rule, event2);
+  });
+}
+
+function loadRuleFile(filePath) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : (data.rules || []);
+  } catch (error) {
+    console.warn(`⚠️  Could not load conflict rules from ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Rules from config/conflictRules.json plus CONFLICT_RULES_PATH
+ * @returns {Array} - Rule definitions
+ */
+function loadConfiguredRules() {
+  const rules = loadRuleFile(DEFAULT_RULES_PATH);
+  if (process.env.CONFLICT_RULES_PATH) {
+    rules.push(...loadRuleFile(process.env.CONFLICT_RULES_PATH));
+  }
+  return rules;
+}
+
+module.exports = {
+  SEVERITIES,
+  TIME_RELATIONS,
+  validateRule,
+  compileRules,
+  matchRules,
+  loadConfiguredRules
+};
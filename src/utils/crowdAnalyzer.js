@@ -0,0 +1,334 @@
+const ConflictDetector = require('./conflictDetector');
+const crowdConfig = require('../config/crowdAnalysis');
+const { isTimedEvent } = require('./eventTimeModel');
+
+/**
+ * Crowd Analyzer
+ * Flags areas and time slots where overlapping events together expect more
+ * people than a crowd threshold (venue overcrowding), separately from the
+ * pairwise conflicts. Expected attendance is venue capacity x fill rate; venues
+ * without a known capacity get one from their name (see config/crowdAnalysis.js).
+ */
+
+const MAX_CROWD_RADIUS_KM = 25;
+
+function parsePositive(value, fallback, max) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= max ? parsed : NaN;
+}
+
+/**
+ * Validate crowd analysis options
+ * @param {object} input - { crowdThreshold, crowdRadiusKm, fillRate }
+ * @returns {{options: {crowdThreshold, radiusKm, fillRate}}|{error: string}}
+ */
+function parseCrowdOptions(input = {}) {
+  const crowdThreshold = parsePositive(input.crowdThreshold, crowdConfig.crowdThreshold, 10000000);
+  if (Number.isNaN(crowdThreshold)) {
+    return { error: 'crowdThreshold must be a positive number of people' };
+  }
+  const radiusKm = parsePositive(input.crowdRadiusKm, crowdConfig.radiusKm, MAX_CROWD_RADIUS_KM);
+  if (Number.isNaN(radiusKm)) {
+    return { error: `crowdRadiusKm must be a number between 0 and ${MAX_CROWD_RADIUS_KM}` };
+  }
+  const fillRate = parsePositive(input.fillRate, crowdConfig.fillRate, 1);
+  if (Number.isNaN(fillRate)) {
+    return { error: 'fillRate must be a number between 0 and 1' };
+  }
+  return { options: { crowdThreshold, radiusKm, fillRate } };
+}
+
+/**
+ * Expected attendance for one event
+ * @returns {{capacity: number, capacitySource: string, capacityEstimated: boolean, expectedAttendance: number}}
+ */
+function estimateAttendance(event, fillRate = crowdConfig.fillRate) {
+  let capacity = parseInt(event.venue?.capacity);
+  // Where the capacity came from is recorded when the venue was resolved; events posted without it can't say
+  let capacitySource = event.venue?.capacitySource || 'unknown';
+  let capacityEstimated = false;
+
+  if (!Number.isFinite(capacity) || capacity <= 0) {
+    const venueName = event.venue?.name || '';
+    const hint = crowdConfig.capacityHints.find(item => item.pattern.test(venueName));
+    capacity = hint ? hint.capacity : crowdConfig.defaultCapacity;
+    capacitySource = hint ? 'name_hint' : 'default';
+    capacityEstimated = true;
+  }
+
+  return {
+    capacity,
+    capacitySource,
+    capacityEstimated,
+    expectedAttendance: Math.round(capacity * fillRate)
+  };
+}
+
+function summarizeEvent(entry) {
+  const { event } = entry;
+  return {
+    id: event.id,
+    name: event.name,
+    start: event.start,
+    end: event.end,
+    source: event.source,
+    venue: {
+      id: event.venue?.id || null,
+      name: event.venue?.name || null,
+      lat: entry.lat,
+      lon: entry.lon
+    },
+    ...entry.attendance
+  };
+}
+
+function getSeverity(ratio) {
+  if (ratio >= 2) return 'high';
+  if (ratio >= 1.5) return 'medium';
+  return 'low';
+}
+
+// Link every pair of entries whose venues are within radiusKm and whose times overlap
+// (a sweep in start order over a spatial grid of the events still running)
+function linkNeighbors(entries, radiusKm) {
+  const maxAbsLat = entries.reduce((max, entry) => Math.max(max, Math.abs(entry.lat)), 0);
+  const grid = ConflictDetector.createSpatialGrid(radiusKm, maxAbsLat);
+  const runningCells = new Map();
+
+  entries.slice().sort((a, b) => a.start - b.start).forEach(entry => {
+    const row = grid.rowOf(entry.lat);
+    const col = grid.colOf(entry.lon);
+    grid.neighborKeys(row, col).forEach(cellKey => {
+      const cell = runningCells.get(cellKey);
+      if (!cell) {
+        return;
+      }
+      const running = cell.filter(other => other.end > entry.start);
+      runningCells.set(cellKey, running);
+      running.forEach(other => {
+        if (ConflictDetector.calculateVenueDistance(entry, other) <= radiusKm) {
+          entry.neighbors.push(other);
+          other.neighbors.push(entry);
+        }
+      });
+    });
+
+    const ownKey = `${row}:${col}`;
+    if (!runningCells.has(ownKey)) {
+      runningCells.set(ownKey, []);
+    }
+    runningCells.get(ownKey).push(entry);
+  });
+}
+
+// The crowded area an entry's venue anchors among the running entries, or null
+function getAnchorGroup(anchor, crowdThreshold) {
+  const members = [anchor, ...anchor.neighbors.filter(entry => entry.running)];
+  if (members.length < 2) {
+    return null;
+  }
+  const attendance = members.reduce((sum, entry) => sum + entry.attendance.expectedAttendance, 0);
+  if (attendance < crowdThreshold) {
+    return null;
+  }
+  return { key: members.map(entry => entry.index).sort((a, b) => a - b).join('|'), members, attendance };
+}
+
+// One slot's crowded areas, minus areas inside a bigger crowded area (they add nothing)
+function collectSlotGroups(running) {
+  const groups = new Map();
+  running.forEach(entry => {
+    if (entry.group) {
+      groups.set(entry.group.key, entry.group);
+    }
+  });
+
+  const kept = [];
+  Array.from(groups.values())
+    .sort((a, b) => b.members.length - a.members.length)
+    .forEach(group => {
+      const nested = kept.some(other => other.members.length > group.members.length &&
+        group.members.every(entry => other.memberSet.has(entry)));
+      if (!nested) {
+        kept.push({ ...group, memberSet: new Set(group.members) });
+      }
+    });
+  return kept;
+}
+
+/**
+ * Find overcrowded areas and time slots
+ * Timed events are swept in time; within every slot where the set of running events
+ * is constant, each event's venue anchors an area of radiusKm. Neighbours are linked once
+ * through a spatial grid, and an area is only recomputed when an event near it starts or
+ * ends. Areas whose expected attendance reaches the threshold are kept (minus areas
+ * contained in a bigger one). Areas that share events with a hotspot still running from
+ * the previous slot extend it, so one busy evening is one hotspot, listing every event that
+ * took part and the peak attendance of any one area. At most maxHotspots come back, busiest first.
+ * @param {Array} events - De-duplicated standard events
+ * @param {object} options - From parseCrowdOptions, plus maxHotspots
+ * @returns {{hotspots: Array, totalHotspots: number, analyzedEvents: number, skippedEvents: number,
+ *   estimatedCapacityEvents: number}}
+ */
+function findCrowdHotspots(events = [], options = {}) {
+  const { crowdThreshold, radiusKm, fillRate } = { ...parseCrowdOptions().options, ...options };
+  const maxHotspots = options.maxHotspots || crowdConfig.maxHotspots;
+
+  const entries = [];
+  let skippedEvents = 0;
+  events.forEach(event => {
+    const start = new Date(event?.start).getTime();
+    const end = new Date(event?.end).getTime();
+    const lat = parseFloat(event?.venue?.lat);
+    const lon = parseFloat(event?.venue?.lon);
+    // Date-only listings span whole days, so they can't place a crowd in a time slot
+    if (!event || !isTimedEvent(event) || !Number.isFinite(start) || !(end > start) ||
+        !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      skippedEvents++;
+      return;
+    }
+    entries.push({
+      event,
+      index: entries.length,
+      key: String(event.id),
+      start,
+      end,
+      lat,
+      lon,
+      attendance: estimateAttendance(event, fillRate),
+      neighbors: [],
+      running: false,
+      group: null
+    });
+  });
+  linkNeighbors(entries, radiusKm);
+
+  const boundaries = Array.from(new Set(entries.flatMap(entry => [entry.start, entry.end]))).sort((a, b) => a - b);
+  const byStart = entries.slice().sort((a, b) => a.start - b.start);
+  const openByEntry = new Map(); // entry -> hotspot it belongs to, while that hotspot is still growing
+  let hotspots = [];
+  let running = [];
+  let slotGroups = [];
+  let nextIndex = 0;
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const slotStart = boundaries[i];
+    const slotEnd = boundaries[i + 1];
+
+    // Events that start or end here, and the areas they can change
+    const changed = [];
+    running = running.filter(entry => {
+      if (entry.end > slotStart) {
+        return true;
+      }
+      entry.running = false;
+      changed.push(entry);
+      return false;
+    });
+    while (nextIndex < byStart.length && byStart[nextIndex].start <= slotStart) {
+      const entry = byStart[nextIndex++];
+      entry.running = true;
+      running.push(entry);
+      changed.push(entry);
+    }
+
+    let groupsChanged = false;
+    const dirty = new Set();
+    changed.forEach(entry => {
+      dirty.add(entry);
+      entry.neighbors.forEach(neighbor => dirty.add(neighbor));
+    });
+    dirty.forEach(entry => {
+      const group = entry.running ? getAnchorGroup(entry, crowdThreshold) : null;
+      if ((group && group.key) !== (entry.group && entry.group.key)) {
+        groupsChanged = true;
+      }
+      entry.group = group;
+    });
+    if (groupsChanged) {
+      slotGroups = collectSlotGroups(running);
+    }
+
+    const touched = new Set();
+    slotGroups.forEach(group => {
+      // Open hotspots sharing an event with this area are the same crowd: merge them
+      const matches = Array.from(new Set(group.members.map(entry => openByEntry.get(entry)).filter(Boolean)));
+      let hotspot = matches.shift();
+      if (!hotspot) {
+        hotspot = { members: new Set(), start: slotStart, end: slotEnd, peakAttendance: 0, merged: false };
+        hotspots.push(hotspot);
+      }
+      matches.forEach(other => {
+        other.members.forEach(entry => {
+          hotspot.members.add(entry);
+          openByEntry.set(entry, hotspot);
+        });
+        hotspot.start = Math.min(hotspot.start, other.start);
+        hotspot.peakAttendance = Math.max(hotspot.peakAttendance, other.peakAttendance);
+        other.merged = true;
+      });
+      group.members.forEach(entry => {
+        hotspot.members.add(entry);
+        openByEntry.set(entry, hotspot);
+      });
+      hotspot.end = slotEnd;
+      hotspot.peakAttendance = Math.max(hotspot.peakAttendance, group.attendance);
+      touched.add(hotspot);
+    });
+
+    // Hotspots without a crowded area in this slot are finished
+    openByEntry.forEach((hotspot, entry) => {
+      if (!touched.has(hotspot)) {
+        openByEntry.delete(entry);
+      }
+    });
+  }
+
+  hotspots = hotspots.filter(hotspot => !hotspot.merged);
+  hotspots.sort((a, b) => b.peakAttendance - a.peakAttendance || a.start - b.start);
+
+  return {
+    hotspots: hotspots.slice(0, maxHotspots).map((hotspot, index) => {
+      const members = Array.from(hotspot.members)
+        .sort((a, b) => a.start - b.start || a.key.localeCompare(b.key));
+      const ratio = hotspot.peakAttendance / crowdThreshold;
+      const memberAttendance = members.reduce((sum, entry) => sum + entry.attendance.expectedAttendance, 0);
+      const estimatedAttendance = members
+        .filter(entry => entry.attendance.capacityEstimated)
+        .reduce((sum, entry) => sum + entry.attendance.expectedAttendance, 0);
+      return {
+        id: `crowd_${index + 1}`,
+        center: {
+          lat: Number((members.reduce((sum, entry) => sum + entry.lat, 0) / members.length).toFixed(6)),
+          lon: Number((members.reduce((sum, entry) => sum + entry.lon, 0) / members.length).toFixed(6))
+        },
+        radiusKm,
+        timeWindow: {
+          start: new Date(hotspot.start).toISOString(),
+          end: new Date(hotspot.end).toISOString()
+        },
+        expectedAttendance: hotspot.peakAttendance,
+        crowdThreshold,
+        ratio: Number(ratio.toFixed(2)),
+        severity: getSeverity(ratio),
+        // Share of the crowd based on guessed rather than known capacities
+        estimatedShare: Number((estimatedAttendance / memberAttendance).toFixed(2)),
+        eventCount: members.length,
+        events: members.map(summarizeEvent)
+      };
+    }),
+    totalHotspots: hotspots.length,
+    analyzedEvents: entries.length,
+    skippedEvents,
+    estimatedCapacityEvents: entries.filter(entry => entry.attendance.capacityEstimated).length
+  };
+}
+
+module.exports = {
+  parseCrowdOptions,
+  estimateAttendance,
+  findCrowdHotspots
+};
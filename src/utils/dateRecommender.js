@@ -0,0 +1,217 @@
+const ConflictDetector = require('./conflictDetector');
+const { buildProposedEvent } = require('./proposedEvent');
+const { addDays } = require('./eventTimeModel');
+
+/**
+ * Date Recommender
+ * Tries a planned show on every candidate date / start time, checks each slot
+ * against the same market with ConflictDetector and ranks the slots by the total
+ * score of the conflicts they would create.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_START_TIMES = ['20:00'];
+const MAX_RANGE_DAYS = 90;
+const MAX_START_TIMES = 6;
+
+// Rejects impossible dates such as 2026-02-30 as well as bad formats
+function isValidLocalDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Expand a date range and start times into candidate slots
+ * @param {object} input - { startDate, endDate: 'YYYY-MM-DD' (venue-local), startTimes: ['HH:MM'] }
+ * @returns {{slots: Array<{date:string, startTime:string}>}|{error: string}}
+ */
+function buildCandidateSlots(input = {}) {
+  const { startDate, endDate } = input;
+  if (!isValidLocalDate(startDate) || !isValidLocalDate(endDate)) {
+    return { error: 'startDate and endDate must be dates in YYYY-MM-DD format' };
+  }
+  if (endDate < startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  const rawTimes = input.startTimes === undefined || input.startTimes === null || input.startTimes === ''
+    ? DEFAULT_START_TIMES
+    : (Array.isArray(input.startTimes) ? input.startTimes : input.startTimes.toString().split(','));
+  const startTimes = Array.from(new Set(rawTimes.map(time => (time || '').toString().trim()))).sort();
+  if (startTimes.length === 0 || startTimes.length > MAX_START_TIMES || !startTimes.every(time => TIME_PATTERN.test(time))) {
+    return { error: `startTimes must be 1-${MAX_START_TIMES} times in HH:MM format` };
+  }
+
+  const slots = [];
+  for (let date = startDate, day = 0; date <= endDate; date = addDays(date, 1), day++) {
+    if (day >= MAX_RANGE_DAYS) {
+      return { error: `The candidate date range can cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    startTimes.forEach(startTime => slots.push({ date, startTime }));
+  }
+
+  return { slots };
+}
+
+/**
+ * Build the proposed event for every slot
+ * @param {object} proposal - Same shape as buildProposedEvent input, without start / end
+ * @param {Array} slots - From buildCandidateSlots
+ * @returns {{proposals: Array<{date, startTime, event}>}|{error: string}}
+ */
+function buildSlotProposals(proposal = {}, slots = []) {
+  const proposals = [];
+  for (const slot of slots) {
+    const { event, error } = buildProposedEvent({
+      ...proposal,
+      start: `${slot.date}T${slot.startTime}`,
+      end: null
+    });
+    if (error) {
+      return { error };
+    }
+    proposals.push({ ...slot, event });
+  }
+  return { proposals };
+}
+
+function summarizeCompetingEvent(conflict, proposalId) {
+  const competitor = conflict.events.find(event => event.id !== proposalId) || conflict.events[1];
+  return {
+    id: competitor.id,
+    name: competitor.name,
+    start: competitor.start,
+    end: competitor.end,
+    timeKind: competitor.timeKind,
+    venue: {
+      id: competitor.venue?.id || null,
+      name: competitor.venue?.name || null
+    },
+    source: competitor.source,
+    url: competitor.url || null,
+    score: conflict.score,
+    severity: conflict.severity,
+    conflictType: conflict.conflictType,
+    sharedGenres: conflict.sharedGenres
+  };
+}
+
+/**
+ * Find the conflicts each slot would create with the market
+ * Every slot is at the same venue, so the venue threshold is resolved once for the whole
+ * market, and each slot is only checked against the market events close enough in distance
+ * and time to conflict with it.
+ * @param {Array} proposals - From buildSlotProposals
+ * @param {Array} marketEvents - Deduplicated market events
+ * @param {object} options - { timeBuffer, venueProximityThreshold, detectionOptions }
+ * @returns {Array<Array>} - Conflicts per slot, in proposal order
+ */
+function findSlotConflicts(proposals = [], marketEvents = [], options = {}) {
+  if (proposals.length === 0) {
+    return [];
+  }
+
+  const timeBuffer = options.timeBuffer === undefined ? 30 : options.timeBuffer;
+  const detectionOptions = { ...(options.detectionOptions || {}), sortBy: 'score' };
+  const venue = proposals[0].event.venue;
+  const thresholdDetails = ConflictDetector.resolveVenueThresholdDetails(
+    [proposals[0].event, ...marketEvents],
+    options.venueProximityThreshold,
+    detectionOptions
+  );
+  const { searchRadiusKm, windowMs } = ConflictDetector.getCandidateLimits(
+    thresholdDetails.thresholdKm,
+    timeBuffer * 60 * 1000,
+    ConflictDetector.resolveConflictRuleSet(detectionOptions.conflictRules)
+  );
+
+  const nearby = [];
+  marketEvents.forEach(event => {
+    if (ConflictDetector.calculateVenueDistance(venue, event.venue) <= searchRadiusKm) {
+      nearby.push({ event, start: new Date(event.start).getTime(), end: new Date(event.end).getTime() });
+    }
+  });
+
+  return proposals.map(slot => {
+    const slotStart = new Date(slot.event.start).getTime();
+    const slotEnd = new Date(slot.event.end).getTime();
+    const candidates = nearby
+      .filter(entry => entry.end + windowMs >= slotStart && entry.start <= slotEnd + windowMs)
+      .map(entry => entry.event);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    return ConflictDetector.findConflicts(
+      [slot.event, ...candidates],
+      timeBuffer,
+      options.venueProximityThreshold,
+      true,
+      { ...detectionOptions, anchorEventIds: [slot.event.id], thresholdDetails }
+    );
+  });
+}
+
+/**
+ * Rank slots by the conflicts found for them (lowest total conflict score first)
+ * @param {Array} proposals - From buildSlotProposals
+ * @param {Array<Array>} slotConflicts - From findSlotConflicts
+ * @param {number} limit - How many slots come back as recommendations
+ * @returns {{recommendations: Array, rejected: Array}} - recommendations keep the full conflicts;
+ *   every slot lists the competing events that cost it points
+ */
+function rankSlotConflicts(proposals = [], slotConflicts = [], limit = 5) {
+  const resultLimit = Math.max(1, parseInt(limit) || 5);
+
+  const evaluated = proposals.map((slot, index) => {
+    const conflicts = slotConflicts[index] || [];
+    const totalScore = conflicts.reduce((sum, conflict) => sum + (conflict.score || 0), 0);
+
+    return {
+      index,
+      date: slot.date,
+      startTime: slot.startTime,
+      start: slot.event.start,
+      end: slot.event.end,
+      endEstimated: slot.event.endEstimated,
+      totalScore,
+      conflictCount: conflicts.length,
+      directCompetitionCount: conflicts.filter(conflict => conflict.directCompetition).length,
+      competingEvents: conflicts.map(conflict => summarizeCompetingEvent(conflict, slot.event.id)),
+      conflicts
+    };
+  });
+
+  // Ties go to the slot with fewer conflicts, then the earlier one
+  evaluated.sort((a, b) => a.totalScore - b.totalScore || a.conflictCount - b.conflictCount || a.index - b.index);
+
+  const ranked = evaluated.map(({ index, ...slot }, position) => ({ rank: position + 1, ...slot }));
+  return {
+    recommendations: ranked.slice(0, resultLimit),
+    rejected: ranked.slice(resultLimit).map(({ conflicts, ...slot }) => slot)
+  };
+}
+
+/**
+ * Score every slot against the market and rank them (lowest total conflict score first)
+ * @param {Array} proposals - From buildSlotProposals
+ * @param {Array} marketEvents - Deduplicated market events
+ * @param {object} options - { timeBuffer, venueProximityThreshold, detectionOptions, limit }
+ * @returns {{recommendations: Array, rejected: Array}} - See rankSlotConflicts
+ */
+function rankSlots(proposals = [], marketEvents = [], options = {}) {
+  return rankSlotConflicts(proposals, findSlotConflicts(proposals, marketEvents, options), options.limit);
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  buildCandidateSlots,
+  buildSlotProposals,
+  findSlotConflicts,
+  rankSlotConflicts,
+  rankSlots
+};
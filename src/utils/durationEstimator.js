@@ -0,0 +1,88 @@
+const eventDurations = require('../config/eventDurations');
+
+/**
+ * Duration Estimator
+ * Estimates how long an event runs when the provider doesn't give an end time,
+ * using the configurable table in config/eventDurations.js.
+ */
+
+function normalizeKey(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.toLowerCase().trim().replace(/\s+/g, ' ');
+  return normalized || null;
+}
+
+/**
+ * Estimate an event's duration
+ * @param {object} details - { genres: string[], segment: string, lineupSize: number, venue: { id, name } }
+ * @returns {{minutes:number, basis:string}} - basis is 'venue_override', 'genre', 'segment' or 'default'
+ */
+function estimateDurationMinutes(details = {}) {
+  const venue = details.venue || {};
+  const venueKeys = [venue.id, normalizeKey(venue.name)].filter(Boolean);
+  for (const key of venueKeys) {
+    const override = parseInt(eventDurations.venueOverrides[key]);
+    if (Number.isFinite(override) && override > 0) {
+      return { minutes: override, basis: 'venue_override' };
+    }
+  }
+
+  const segment = normalizeKey(details.segment);
+  const genres = (Array.isArray(details.genres) ? details.genres : [])
+    .map(normalizeKey)
+    .filter(genre => genre && genre !== segment);
+
+  let minutes = null;
+  let basis = 'default';
+
+  // Longest matching genre wins so "festival" beats "rock" on a festival bill
+  genres.forEach(genre => {
+    const candidate = eventDurations.byGenre[genre];
+    if (Number.isFinite(candidate) && (minutes === null || candidate > minutes)) {
+      minutes = candidate;
+      basis = 'genre';
+    }
+  });
+
+  if (minutes === null && segment && Number.isFinite(eventDurations.bySegment[segment])) {
+    minutes = eventDurations.bySegment[segment];
+    basis = 'segment';
+  }
+
+  if (minutes === null) {
+    minutes = eventDurations.defaultMinutes;
+  }
+
+  const lineupSize = parseInt(details.lineupSize);
+  if (Number.isFinite(lineupSize) && lineupSize > 1) {
+    const extended = minutes + (lineupSize - 1) * eventDurations.lineup.perAdditionalActMinutes;
+    minutes = Math.max(minutes, Math.min(extended, eventDurations.lineup.maxMinutes));
+  }
+
+  return { minutes, basis };
+}
+
+/**
+ * Estimate an end time from a start time
+ * @returns {{end:string, minutes:number, basis:string}|null} - null when the start isn't a valid date
+ */
+function estimateEndTime(start, details = {}) {
+  const startDate = start instanceof Date ? new Date(start.getTime()) : new Date(start);
+  if (Number.isNaN(startDate.getTime())) {
+    return null;
+  }
+
+  const { minutes, basis } = estimateDurationMinutes(details);
+  return {
+    end: new Date(startDate.getTime() + minutes * 60 * 1000).toISOString(),
+    minutes,
+    basis
+  };
+}
+
+module.exports = {
+  estimateDurationMinutes,
+  estimateEndTime
+};
@@ -0,0 +1,150 @@
+const { zonedTimeToUtc, getLocalDateString } = require('./timezoneHelper');
+
+/**
+ * Event Time Model
+ * Turns provider date/time fields into UTC start/end instants interpreted in the
+ * venue's timezone, and classifies each event as timed, all-day or multi-day.
+ */
+
+const TIME_KINDS = {
+  TIMED: 'timed',
+  ALL_DAY: 'all_day',
+  MULTI_DAY: 'multi_day'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPLICIT_OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?))?/;
+
+/**
+ * Add whole days to a 'YYYY-MM-DD' date
+ * @param {string} localDate - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+function addDays(localDate, days) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve one side (start or end) of an event into an instant, or a bare date
+ * @returns {{instant: Date|null, localDate: string|null}}
+ */
+function resolvePoint(dateTime, localDate, localTime, timezone, timeUnknown) {
+  if (dateTime && !timeUnknown) {
+    if (EXPLICIT_OFFSET_PATTERN.test(dateTime)) {
+      const instant = new Date(dateTime);
+      if (!isNaN(instant.getTime())) {
+        return { instant, localDate: getLocalDateString(instant, timezone) };
+      }
+    }
+
+    // Offset-less date-times (e.g. Bandsintown) are venue wall-clock times
+    const match = LOCAL_DATE_TIME_PATTERN.exec(dateTime);
+    if (match && match[2]) {
+      return { instant: zonedTimeToUtc(match[1], match[2], timezone), localDate: match[1] };
+    }
+    if (match) {
+      return { instant: null, localDate: match[1] };
+    }
+  }
+
+  if (localDate && localTime && !timeUnknown) {
+    return { instant: zonedTimeToUtc(localDate, localTime, timezone), localDate };
+  }
+
+  const dateOnly = LOCAL_DATE_TIME_PATTERN.exec(localDate || dateTime || '');
+  return { instant: null, localDate: dateOnly ? dateOnly[1] : null };
+}
+
+/**
+ * Resolve a provider's start/end fields into the standard event time model
+ * @param {object} fields - { startDateTime, startDate, startTime, endDateTime, endDate, endTime, timezone, timeUnknown }
+ * @returns {object|null} - { start, end, timeKind, localStartDate, localEndDate }; end is null for timed
+ *   events without an end (callers estimate it). Returns null when there is no usable start.
+ */
+function resolveEventTimes(fields = {}) {
+  const timezone = fields.timezone || null;
+  const start = resolvePoint(fields.startDateTime, fields.startDate, fields.startTime, timezone, fields.timeUnknown);
+  if (!start.localDate) {
+    return null;
+  }
+  const end = resolvePoint(fields.endDateTime, fields.endDate, fields.endTime, timezone, false);
+  const endDateIsLater = end.localDate && end.localDate > start.localDate;
+
+  // Date-only start: the event covers whole local days
+  if (!start.instant) {
+    const lastDay = endDateIsLater ? end.localDate : start.localDate;
+    const startInstant = zonedTimeToUtc(start.localDate, '00:00:00', timezone);
+    const endInstant = end.instant && end.instant > startInstant
+      ? end.instant
+      : zonedTimeToUtc(addDays(lastDay, 1), '00:00:00', timezone);
+
+    return {
+      start: startInstant.toISOString(),
+      end: endInstant.toISOString(),
+      timeKind: lastDay > start.localDate ? TIME_KINDS.MULTI_DAY : TIME_KINDS.ALL_DAY,
+      localStartDate: start.localDate,
+      localEndDate: lastDay
+    };
+  }
+
+  let endInstant = end.instant && end.instant > start.instant ? end.instant : null;
+  if (!endInstant && endDateIsLater) {
+    // Only an end date - assume it runs through the end of that day
+    endInstant = zonedTimeToUtc(addDays(end.localDate, 1), '00:00:00', timezone);
+  }
+
+  return {
+    start: start.instant.toISOString(),
+    end: endInstant ? endInstant.toISOString() : null,
+    timeKind: endInstant && endInstant - start.instant >= DAY_MS ? TIME_KINDS.MULTI_DAY : TIME_KINDS.TIMED,
+    localStartDate: start.localDate,
+    localEndDate: endInstant ? getLocalDateString(new Date(endInstant.getTime() - 1), timezone) : null
+  };
+}
+
+/**
+ * Fill in an estimated end for a timed event that had none
+ * @param {object} times - Result of resolveEventTimes
+ * @param {string} estimatedEnd - ISO end time
+ * @param {string} timezone - Venue timezone
+ * @returns {object} - times with end and localEndDate set
+ */
+function applyEstimatedEnd(times, estimatedEnd, timezone = null) {
+  const end = estimatedEnd || times.start;
+  return {
+    ...times,
+    end,
+    localEndDate: getLocalDateString(new Date(Math.max(new Date(times.start).getTime(), new Date(end).getTime() - 1)), timezone)
+  };
+}
+
+/**
+ * Get an event's time kind (events from older caches default to timed)
+ * @param {object} event - Standard event
+ * @returns {string}
+ */
+function getTimeKind(event) {
+  return event?.timeKind || TIME_KINDS.TIMED;
+}
+
+/**
+ * Whether an event has a real start time (not a whole-day or multi-day window)
+ * @param {object} event - Standard event
+ * @returns {boolean}
+ */
+function isTimedEvent(event) {
+  return getTimeKind(event) === TIME_KINDS.TIMED;
+}
+
+module.exports = {
+  TIME_KINDS,
+  addDays,
+  resolveEventTimes,
+  applyEstimatedEnd,
+  getTimeKind,
+  isTimedEvent
+};
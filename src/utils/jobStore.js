@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const cacheManager = require('./cacheManager');
+
+/**
+ * Conflict Job Store
+ * Keeps asynchronous conflict analysis jobs (POST /api/conflicts/jobs). Jobs are written
+ * to Redis (through the cache manager's connection) when it is connected, so any
+ * instance can report them, and always kept in memory on the instance running them.
+ */
+
+const KEY_PREFIX = 'conflict_job:';
+const MAX_MEMORY_JOBS = 200;
+
+class ConflictJobStore {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.CONFLICT_JOB_TTL_SECONDS) || 24 * 60 * 60;
+    this.maxMemoryJobs = MAX_MEMORY_JOBS;
+    this.jobs = new Map(); // id -> job, oldest first
+  }
+
+  /**
+   * Create a queued job
+   * @param {object} params - The request parameters, echoed back on the job
+   * @returns {Promise<object>}
+   */
+  async createJob(params) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'queued',
+      stage: 'queued',
+      params,
+      progress: {
+        providersFetched: {},
+        totalEvents: null,
+        eventsDeduplicated: null,
+        pairsEvaluated: 0,
+        totalPairs: null,
+        conflictsFound: 0,
+        percent: 0
+      },
+      partialConflicts: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Apply changes to a job and persist it
+   * @param {object} job - A job from createJob (updated in place)
+   * @param {object} changes - Top-level fields; progress is merged
+   */
+  async updateJob(job, changes = {}) {
+    const { progress, ...fields } = changes;
+    Object.assign(job, fields);
+    if (progress) {
+      job.progress = { ...job.progress, ...progress };
+    }
+    job.updatedAt = new Date().toISOString();
+    if (['completed', 'failed'].includes(job.status) && !job.completedAt) {
+      job.completedAt = job.updatedAt;
+    }
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Look up a job on this instance, then in Redis
+   * @returns {Promise<object|null>}
+   */
+  async getJob(id) {
+    this.prune();
+    if (this.jobs.has(id)) {
+      return this.jobs.get(id).job;
+    }
+    if (!this.isRedisAvailable()) {
+      return null;
+    }
+
+    try {
+      const data = await cacheManager.client.get(`${KEY_PREFIX}${id}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Job store: Redis get error:', error.message);
+      return null;
+    }
+  }
+
+  async save(job) {
+    this.jobs.delete(job.id);
+    this.jobs.set(job.id, { job, expiresAt: Date.now() + this.ttlSeconds * 1000 });
+    this.prune();
+
+    if (!this.isRedisAvailable()) {
+      return;
+    }
+    try {
+      await cacheManager.client.setEx(`${KEY_PREFIX}${job.id}`, this.ttlSeconds, JSON.stringify(job));
+    } catch (error) {
+      // The in-memory copy still serves this instance
+      console.error('Job store: Redis set error:', error.message);
+    }
+  }
+
+  // Drop expired jobs and keep at most maxMemoryJobs (finished jobs go first)
+  prune() {
+    const now = Date.now();
+    this.jobs.forEach((entry, id) => {
+      if (entry.expiresAt <= now) {
+        this.jobs.delete(id);
+      }
+    });
+    for (const [id, entry] of this.jobs) {
+      if (this.jobs.size <= this.maxMemoryJobs) {
+        break;
+      }
+      if (['completed', 'failed'].includes(entry.job.status)) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  isRedisAvailable() {
+    return Boolean(cacheManager.connected && cacheManager.client);
+  }
+
+  getStats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    this.jobs.forEach(({ job }) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return { storage: this.isRedisAvailable() ? 'redis' : 'memory', ...counts };
+  }
+}
+
+module.exports = new ConflictJobStore();
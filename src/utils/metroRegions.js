@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Metro Regions
+ * Loads metro areas (where venues sit closer together and the venue proximity
+ * threshold gets a boost) from a GeoJSON FeatureCollection of Polygon /
+ * MultiPolygon features. Feature properties:
+ *   name (required), label, baseThresholdKm, metroThresholdKm, maxThresholdKm
+ *
+ * Default regions live in src/config/metroRegions.geojson; set METRO_REGIONS_PATH
+ * to use a different file.
+ */
+
+const DEFAULT_REGIONS_PATH = path.join(__dirname, '../config/metroRegions.geojson');
+const THRESHOLD_KEYS = ['baseThresholdKm', 'metroThresholdKm', 'maxThresholdKm'];
+
+// Loaded on first use
+let cachedRegions = null;
+
+function isPosition(value) {
+  return Array.isArray(value) && value.length >= 2 &&
+    Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+// A closed ring needs at least 4 positions (the first repeated at the end)
+function isRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+}
+
+/**
+ * Convert a GeoJSON feature into a region
+ * @returns {{region: object}|{error: string}}
+ */
+function parseRegionFeature(feature, index = 0) {
+  const properties = feature && feature.properties ? feature.properties : {};
+  const label = properties.name ? `Region "${properties.name}"` : `Feature #${index + 1}`;
+  if (!feature || feature.type !== 'Feature' || !feature.geometry) {
+    return { error: `${label} must be a GeoJSON Feature with a geometry` };
+  }
+  if (typeof properties.name !== 'string' || !properties.name.trim()) {
+    return { error: `${label} needs a name property` };
+  }
+
+  const { type, coordinates } = feature.geometry;
+  const polygons = type === 'Polygon' ? [coordinates] : (type === 'MultiPolygon' ? coordinates : null);
+  if (!Array.isArray(polygons) || polygons.length === 0 ||
+      !polygons.every(polygon => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isRing))) {
+    return { error: `${label} must have a Polygon or MultiPolygon geometry` };
+  }
+
+  const thresholds = {};
+  for (const key of THRESHOLD_KEYS) {
+    const value = properties[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return { error: `${label}: ${key} must be a positive number` };
+    }
+    thresholds[key] = value;
+  }
+
+  // Bounding box [minLon, minLat, maxLon, maxLat] for a cheap first check
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(polygon => polygon[0].forEach(([lon, lat]) => {
+    bbox[0] = Math.min(bbox[0], lon);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lon);
+    bbox[3] = Math.max(bbox[3], lat);
+  }));
+
+  return {
+    region: {
+      name: properties.name.trim(),
+      label: properties.label || properties.name.trim(),
+      ...thresholds,
+      bbox,
+      polygons,
+      feature
+    }
+  };
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection of metro regions
+ * @returns {{regions: Array}|{error: string}}
+ */
+function parseMetroRegions(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return { error: 'Metro regions must be a GeoJSON FeatureCollection' };
+  }
+
+  const regions = [];
+  const seenNames = new Set();
+  for (let index = 0; index < geojson.features.length; index++) {
+    const { region, error } = parseRegionFeature(geojson.features[index], index);
+    if (error) {
+      return { error };
+    }
+    if (seenNames.has(region.name)) {
+      return { error: `Region "${region.name}" is defined more than once` };
+    }
+    seenNames.add(region.name);
+    regions.push(region);
+  }
+  return { regions };
+}
+
+// Ray casting; ring positions are [lon, lat]
+function isPointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Is the point inside the polygon (outer ring minus its holes)?
+ * @param {Array} polygon - GeoJSON Polygon coordinates
+ */
+function isPointInPolygon(lat, lon, polygon) {
+  if (!isPointInRing(lat, lon, polygon[0])) {
+    return false;
+  }
+  return !polygon.slice(1).some(hole => isPointInRing(lat, lon, hole));
+}
+
+function isPointInRegion(lat, lon, region) {
+  const [minLon, minLat, maxLon, maxLat] = region.bbox;
+  if (lat < minLat || lat > maxLat || lon < minLon || lon > maxLon) {
+    return false;
+  }
+  return region.polygons.some(polygon => isPointInPolygon(lat, lon, polygon));
+}
+
+/**
+ * Regions from METRO_REGIONS_PATH (or config/metroRegions.geojson)
+ * A file that can't be loaded leaves no metro regions active.
+ * @returns {Array} - Parsed regions
+ */
+function loadMetroRegions() {
+  if (cachedRegions) {
+    return cachedRegions;
+  }
+
+  const filePath = process.env.METRO_REGIONS_PATH || DEFAULT_REGIONS_PATH;
+  try {
+    const { regions, error } = parseMetroRegions(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (error) {
+      throw new Error(error);
+    }
+    cachedRegions = regions;
+    console.log(`🗺️  Loaded ${regions.length} metro regions from ${filePath}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not load metro regions from ${filePath}: ${error.message}`);
+    cachedRegions = [];
+  }
+  return cachedRegions;
+}
+
+/**
+ * Active regions as a GeoJSON FeatureCollection (for map layers)
+ */
+function toFeatureCollection(regions = loadMetroRegions()) {
+  return {
+    type: 'FeatureCollection',
+    features: regions.map(region => ({
+      type: 'Feature',
+      properties: {
+        name: region.name,
+        label: region.label,
+        ...THRESHOLD_KEYS.reduce((thresholds, key) => {
+          if (region[key] !== undefined) {
+            thresholds[key] = region[key];
+          }
+          return thresholds;
+        }, {})
+      },
+      geometry: region.feature.geometry
+    }))
+  };
+}
+
+module.exports = {
+  parseMetroRegions,
+  isPointInPolygon,
+  isPointInRegion,
+  loadMetroRegions,
+  toFeatureCollection
+};
@@ -1,6 +1,8 @@
 const rateLimiter = require('./rateLimiter');
 const cacheManager = require('./cacheManager');
 const requestQueue = require('./requestQueue');
+const workerPool = require('./workerPool');
+const jobStore = require('./jobStore');
 
 /**
  * Monitoring and Logging Utility
@@ -24,16 +26,21 @@ class Monitoring {
    * Get comprehensive status
    */
   async getStatus() {
+    // Required here: services depend on monitoring, so the registry can't load with this module
+    const providerRegistry = require('../services/providerRegistry');
     const status = {
       timestamp: new Date().toISOString(),
       cache: cacheManager.getStats(),
       queues: requestQueue.getStats(),
+      workerPool: workerPool.getStats(),
+      jobs: jobStore.getStats(),
+      providers: providerRegistry.getHealth(),
       rateLimits: {},
       performance: this.getPerformanceSnapshot()
     };
 
-    // Get quota status for each API
-    const apis = ['ticketmaster', 'bandsintown'];
+    // Get quota status for each registered provider
+    const apis = providerRegistry.getNames();
     for (const api of apis) {
       const quotaStatus = await rateLimiter.getQuotaStatus(api);
       status.rateLimits[api] = quotaStatus;
@@ -85,6 +92,16 @@ class Monitoring {
     console.log(`   Hits: ${status.cache.hits} | Misses: ${status.cache.misses} | Hit Rate: ${status.cache.hitRate}`);
     console.log(`   Sets: ${status.cache.sets} | Errors: ${status.cache.errors}`);
 
+    // Providers
+    if (status.providers) {
+      console.log('\n🔌 Providers:');
+      Object.entries(status.providers).forEach(([name, health]) => {
+        const indicator = !health.enabled ? '⏸️' : health.configured === false ? '⚠️' : '✅';
+        const state = !health.enabled ? 'disabled' : health.configured === false ? 'not configured' : 'enabled';
+        console.log(`   ${indicator} ${name}: ${state}`);
+      });
+    }
+
     // Rate limits
     console.log('\n🚦 Rate Limits:');
     Object.entries(status.rateLimits).forEach(([api, quota]) => {
@@ -109,6 +126,15 @@ class Monitoring {
       });
     }
 
+    // Worker pool
+    const pool = status.workerPool;
+    if (pool && pool.enabled) {
+      const indicator = pool.queued > 0 ? '⏳' : '✅';
+      console.log('\n🧵 Conflict Worker Pool:');
+      console.log(`   ${indicator} ${pool.busy}/${pool.size} busy (${pool.utilization}) | Queued: ${pool.queued}`);
+      console.log(`   Completed: ${pool.completed} | Failed: ${pool.failed} | Timed out: ${pool.timedOut} | Cancelled: ${pool.cancelled}`);
+    }
+
     // Performance
     this.logPerformanceStatus(status.performance);
 
@@ -0,0 +1,184 @@
+/**
+ * Name Matcher
+ * Compares event / artist names for duplicate detection. Names are reduced to
+ * their headliner - accents, case and punctuation folded; support acts ("w/",
+ * "feat.", "with special guests"), promoter prefixes ("X presents") and tour
+ * suffixes (": Music of the Spheres Tour", "- Live 2026") stripped - and then
+ * compared as token sets, with a fuzzy fallback for typos.
+ */
+
+// Headliner keys shorter than this only match exactly ("abba" vs "abbe" is not a typo)
+const MIN_FUZZY_LENGTH = 5;
+
+// Everything after one of these is a support act
+const SUPPORT_SEPARATORS = [
+  /\s+w\/\s*/,
+  /\s+(?:feat|ft)\.?\s+/,
+  /\s+featuring\s+/,
+  /\s+(?:with|and|&|\+)\s+(?:very\s+)?special\s+guests?\b/,
+  /\s+with\s+guests?\b/,
+  /\s+(?:and|&)\s+friends\b/,
+  /\s+support(?:ed)?\s+by\s+/
+];
+// A ":" / " - " segment with one of these words names the tour, not the act
+const TOUR_SEGMENT_PATTERN = /\b(?:tour|concert|live|anniversary|farewell|residency|reunion|world|edition|\d{4})\b/;
+// Trailing "... Tour [2026]" without a separator, up to four words long
+const TOUR_SUFFIX_PATTERN = /\s+(?:[\p{L}\p{N}']+\s+){0,4}tour(?:\s+\d{4})?$/u;
+const NOISE_PREFIX_PATTERN = /^(?:an\s+evening\s+with|a\s+night\s+with|live:?)\s+/;
+const NOISE_SUFFIX_PATTERN = /\s+(?:live(?:\s+in\s+concert)?|in\s+concert|\d{4})$/;
+
+/**
+ * Fold accents and case, keeping the separators headliner extraction needs
+ */
+function foldName(name) {
+  if (!name || typeof name !== 'string') {
+    return '';
+  }
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\u2019`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Letters and digits only ("&" becomes "and")
+function toTokens(value) {
+  return value
+    .replace(/&/g, ' and ')
+    .replace(/'/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function stripTheArticle(tokens) {
+  return tokens.length > 1 && tokens[0] === 'the' ? tokens.slice(1) : tokens;
+}
+
+/**
+ * Reduce an event name to its headliner
+ * @param {string} name - Event name
+ * @returns {{headliner: string, tokens: Array<string>}} - headliner is the folded
+ *   headliner name; falls back to the whole name when stripping leaves nothing
+ */
+function extractHeadliner(name) {
+  const folded = foldName(name);
+  let value = folded
+    .replace(/\s*\([^)]*\)/g, ' ')
+    .replace(/\s*\[[^\]]*\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // "Live Nation presents: Coldplay" -> "Coldplay"
+  const presentsMatch = value.match(/^.*?\bpresents?:?\s+(.+)$/);
+  if (presentsMatch) {
+    value = presentsMatch[1];
+  }
+
+  SUPPORT_SEPARATORS.forEach(separator => {
+    const match = value.match(separator);
+    if (match && match.index > 0) {
+      value = value.slice(0, match.index);
+    }
+  });
+
+  // Keep the leading segment plus any later segment that isn't a tour name
+  const segments = value.split(/\s*:\s*|\s+[-–—|]\s+/);
+  value = [segments[0], ...segments.slice(1).filter(segment => !TOUR_SEGMENT_PATTERN.test(segment))].join(' ');
+
+  value = value
+    .replace(NOISE_PREFIX_PATTERN, '')
+    .replace(TOUR_SUFFIX_PATTERN, '')
+    .replace(NOISE_SUFFIX_PATTERN, '')
+    .trim();
+
+  let tokens = stripTheArticle(toTokens(value));
+  if (tokens.length === 0) {
+    tokens = stripTheArticle(toTokens(folded));
+  }
+  return { headliner: tokens.join(' '), tokens };
+}
+
+/**
+ * Key two listings of the same act share (used for duplicate hashing)
+ */
+function getNameKey(name) {
+  return extractHeadliner(name).tokens.slice().sort().join(' ');
+}
+
+function levenshteinDistance(str1, str2) {
+  let previous = Array.from({ length: str2.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= str1.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= str2.length; j++) {
+      current[j] = str1[i - 1] === str2[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], current[j - 1], previous[j]) + 1;
+    }
+    previous = current;
+  }
+  return previous[str2.length];
+}
+
+/**
+ * Plain edit-distance similarity between two strings (0-1)
+ * Strings more than twice as long as each other score 0.
+ */
+function calculateStringSimilarity(str1, str2) {
+  if (!str1 || !str2) return 0;
+  if (str1 === str2) return 1;
+
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+  if (longer.length / shorter.length > 2) return 0;
+
+  return 1 - (levenshteinDistance(str1, str2) / longer.length);
+}
+
+/**
+ * Compare two event names
+ * @returns {{similarity: number, headliner: string|null, matchedBy: string|null}}
+ *   matchedBy: 'exact' (same folded name), 'headliner' (same headliner once noise is
+ *   stripped), 'token_set' (overlapping headliner words) or 'fuzzy' (edit distance);
+ *   headliner is the shared headliner for exact / headliner matches
+ */
+function compareNames(name1, name2) {
+  const first = extractHeadliner(name1);
+  const second = extractHeadliner(name2);
+  if (first.tokens.length === 0 || second.tokens.length === 0) {
+    return { similarity: 0, headliner: null, matchedBy: null };
+  }
+
+  if (toTokens(foldName(name1)).join(' ') === toTokens(foldName(name2)).join(' ')) {
+    return { similarity: 1, headliner: first.headliner, matchedBy: 'exact' };
+  }
+
+  const key1 = first.tokens.slice().sort().join(' ');
+  const key2 = second.tokens.slice().sort().join(' ');
+  if (key1 === key2) {
+    return { similarity: 1, headliner: first.headliner, matchedBy: 'headliner' };
+  }
+
+  const tokens1 = new Set(first.tokens);
+  const tokens2 = new Set(second.tokens);
+  const shared = Array.from(tokens1).filter(token => tokens2.has(token)).length;
+  const tokenSetScore = shared / (tokens1.size + tokens2.size - shared);
+
+  const fuzzyScore = Math.min(key1.length, key2.length) < MIN_FUZZY_LENGTH
+    ? 0
+    : calculateStringSimilarity(key1, key2);
+
+  return fuzzyScore > tokenSetScore
+    ? { similarity: fuzzyScore, headliner: null, matchedBy: fuzzyScore > 0 ? 'fuzzy' : null }
+    : { similarity: tokenSetScore, headliner: null, matchedBy: tokenSetScore > 0 ? 'token_set' : null };
+}
+
+module.exports = {
+  extractHeadliner,
+  getNameKey,
+  compareNames,
+  calculateStringSimilarity
+};
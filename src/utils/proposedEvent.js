@@ -0,0 +1,127 @@
+const venueRegistry = require('./venueRegistry');
+const { getTimezoneForCoordinates, isValidTimezone } = require('./timezoneHelper');
+const { resolveEventTimes, applyEstimatedEnd } = require('./eventTimeModel');
+const { estimateEndTime } = require('./durationEstimator');
+
+/**
+ * Proposed Event
+ * Turns a hypothetical booking ("what if we put a show here, then?") into a
+ * standard event so it can be checked against the market like any listed event.
+ */
+
+const PROPOSAL_EVENT_ID = 'proposal';
+const MAX_DURATION_MINUTES = 14 * 24 * 60;
+
+function normalizeGenres(genres) {
+  const list = Array.isArray(genres) ? genres : (typeof genres === 'string' ? genres.split(',') : []);
+  return Array.from(new Set(list
+    .filter(genre => typeof genre === 'string')
+    .map(genre => genre.trim())
+    .filter(Boolean)));
+}
+
+/**
+ * Build a standard event from a proposal
+ * @param {object} input - { name, venue: { name, lat, lon, capacity, timezone }, start, end, durationMinutes, genres }
+ *   start / end are ISO date-times; without an offset they are read as venue-local wall-clock time.
+ *   A bare date makes an all-day proposal.
+ * @returns {{event: object}|{error: string}}
+ */
+function buildProposedEvent(input = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'A proposal object is required' };
+  }
+
+  const venueInput = input.venue && typeof input.venue === 'object' ? input.venue : {};
+  const lat = parseFloat(venueInput.lat);
+  const lon = parseFloat(venueInput.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: 'proposal.venue.lat and proposal.venue.lon must be valid coordinates' };
+  }
+
+  if (venueInput.timezone && !isValidTimezone(venueInput.timezone)) {
+    return { error: 'proposal.venue.timezone must be an IANA timezone name' };
+  }
+  const timezone = venueInput.timezone || getTimezoneForCoordinates(lat, lon);
+
+  const hasDuration = input.durationMinutes !== undefined && input.durationMinutes !== null && input.durationMinutes !== '';
+  const durationMinutes = hasDuration ? parseFloat(input.durationMinutes) : null;
+  if (hasDuration && (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_DURATION_MINUTES)) {
+    return { error: `proposal.durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}` };
+  }
+
+  let times = typeof input.start === 'string'
+    ? resolveEventTimes({
+      startDateTime: input.start.trim(),
+      endDateTime: typeof input.end === 'string' && !hasDuration ? input.end.trim() : null,
+      timezone
+    })
+    : null;
+  if (!times || Number.isNaN(new Date(times.start).getTime())) {
+    return { error: 'proposal.start must be an ISO date or date-time' };
+  }
+  if (input.end && !hasDuration && !times.end) {
+    return { error: 'proposal.end must be a date-time after proposal.start' };
+  }
+
+  const genres = normalizeGenres(input.genres);
+  const hasVenueName = typeof venueInput.name === 'string' && venueInput.name.trim() !== '';
+  const venueDetails = {
+    name: hasVenueName ? venueInput.name.trim() : 'Proposed Venue',
+    lat,
+    lon
+  };
+  const resolvedVenue = venueRegistry.resolveVenue(venueDetails, PROPOSAL_EVENT_ID);
+
+  // An explicit duration wins; otherwise estimate it the same way provider events are estimated
+  let estimate = null;
+  if (hasDuration && times.timeKind !== 'all_day') {
+    const end = new Date(new Date(times.start).getTime() + durationMinutes * 60 * 1000).toISOString();
+    times = applyEstimatedEnd(times, end, timezone);
+  } else if (!times.end) {
+    estimate = estimateEndTime(times.start, {
+      genres,
+      venue: { id: resolvedVenue.id, name: venueDetails.name }
+    });
+    times = applyEstimatedEnd(times, estimate ? estimate.end : null, timezone);
+  }
+
+  // A capacity sent with the proposal wins over the registry's
+  const capacity = parseInt(venueInput.capacity);
+  const venueCapacity = Number.isFinite(capacity) && capacity > 0
+    ? { capacity, capacitySource: 'proposal' }
+    : venueRegistry.resolveCapacity(resolvedVenue, null);
+
+  return {
+    event: {
+      id: PROPOSAL_EVENT_ID,
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Proposed Event',
+      start: times.start,
+      end: times.end,
+      timeKind: times.timeKind,
+      localStartDate: times.localStartDate,
+      localEndDate: times.localEndDate,
+      venue: {
+        ...venueDetails,
+        id: resolvedVenue.id,
+        address: '',
+        timezone,
+        ...venueCapacity,
+        resolvedBy: resolvedVenue.resolvedBy,
+        provisional: resolvedVenue.provisional,
+        // The placeholder name says nothing about the venue, so name comparisons skip it
+        unnamed: !hasVenueName
+      },
+      source: PROPOSAL_EVENT_ID,
+      url: null,
+      genres,
+      endEstimated: !!estimate,
+      estimatedDurationMinutes: estimate ? estimate.minutes : null
+    }
+  };
+}
+
+module.exports = {
+  PROPOSAL_EVENT_ID,
+  buildProposedEvent
+};
@@ -0,0 +1,168 @@
+const ConflictDetector = require('./conflictDetector');
+const { getLocalDateString } = require('./timezoneHelper');
+
+/**
+ * Radius Clause Checker
+ * Checks an artist's dates against a promoter radius clause ("no other show
+ * within 50 miles, 60 days before or after"), between tour dates and against
+ * a proposed date.
+ */
+
+const KM_PER_MILE = 1.60934;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RADIUS_UNITS = ['mi', 'km'];
+const MAX_WINDOW_DAYS = 365;
+
+function parseWindowDays(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const days = parseInt(value);
+  return Number.isFinite(days) && days >= 0 && days <= MAX_WINDOW_DAYS ? days : NaN;
+}
+
+/**
+ * Validate a radius clause
+ * @param {object} input - { radius, unit: 'mi'|'km' (default 'mi'), windowDays, daysBefore, daysAfter }
+ *   daysBefore / daysAfter default to windowDays
+ * @returns {{clause: object}|{error: string}}
+ */
+function parseRadiusClause(input = {}) {
+  const radius = parseFloat(input.radius);
+  if (!Number.isFinite(radius) || radius <= 0) {
+    return { error: 'radius must be a positive number' };
+  }
+
+  const unit = (input.unit || 'mi').toString().toLowerCase().trim();
+  if (!RADIUS_UNITS.includes(unit)) {
+    return { error: `unit must be one of: ${RADIUS_UNITS.join(', ')}` };
+  }
+
+  const windowDays = parseWindowDays(input.windowDays, null);
+  const daysBefore = parseWindowDays(input.daysBefore, windowDays);
+  const daysAfter = parseWindowDays(input.daysAfter, windowDays);
+  if (Number.isNaN(windowDays) || !Number.isFinite(daysBefore) || !Number.isFinite(daysAfter)) {
+    return { error: `windowDays (or daysBefore and daysAfter) must be whole days between 0 and ${MAX_WINDOW_DAYS}` };
+  }
+
+  return {
+    clause: {
+      radius,
+      unit,
+      radiusKm: unit === 'mi' ? radius * KM_PER_MILE : radius,
+      daysBefore,
+      daysAfter
+    }
+  };
+}
+
+// Calendar day of the show where it takes place
+function getShowDate(event) {
+  return event.localStartDate || getLocalDateString(event.start, event.venue?.timezone || null);
+}
+
+// Whole calendar days from one show date to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function summarizeShow(event) {
+  return {
+    id: event.id,
+    name: event.name,
+    date: getShowDate(event),
+    start: event.start,
+    venue: {
+      id: event.venue?.id || null,
+      name: event.venue?.name || null,
+      city: event.venue?.city || null,
+      region: event.venue?.region || null,
+      lat: event.venue?.lat,
+      lon: event.venue?.lon
+    },
+    url: event.url || null
+  };
+}
+
+function buildViolation(type, protectedShow, otherShow, clause, distanceKm, gapDays) {
+  return {
+    type,
+    protectedShow: summarizeShow(protectedShow),
+    conflictingShow: summarizeShow(otherShow),
+    distanceKm: Number(distanceKm.toFixed(1)),
+    distanceMiles: Number((distanceKm / KM_PER_MILE).toFixed(1)),
+    gapDays,
+    // Negative gap: the other show comes first
+    window: gapDays < 0 ? 'before' : 'after',
+    allowedDays: gapDays < 0 ? clause.daysBefore : clause.daysAfter
+  };
+}
+
+// Does `other` break the clause protecting `protectedShow`? Returns the violation or null.
+function checkShowPair(type, protectedShow, other, clause) {
+  const distanceKm = ConflictDetector.calculateVenueDistance(protectedShow.venue, other.venue);
+  if (!(distanceKm <= clause.radiusKm)) {
+    return null;
+  }
+  const gapDays = daysBetween(getShowDate(protectedShow), getShowDate(other));
+  const allowedDays = gapDays < 0 ? clause.daysBefore : clause.daysAfter;
+  if (Math.abs(gapDays) > allowedDays) {
+    return null;
+  }
+  return buildViolation(type, protectedShow, other, clause, distanceKm, gapDays);
+}
+
+function isSameEngagement(event1, event2) {
+  return !!(event1.venue?.id && event1.venue.id === event2.venue?.id);
+}
+
+/**
+ * Find radius-clause violations among an artist's dates and against a proposed date
+ * Shows at the same venue (by registry id) are treated as one engagement, e.g. a
+ * multi-night run, and never violate each other.
+ * @param {Array} tourDates - Standard events for the artist
+ * @param {object} clause - From parseRadiusClause
+ * @param {object|null} proposedShow - Standard event for the date being considered
+ * @returns {{tourViolations: Array, proposalViolations: Array, sameEngagementPairs: number}}
+ */
+function findClauseViolations(tourDates = [], clause, proposedShow = null) {
+  const shows = tourDates
+    .filter(event => event && event.start && event.venue)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  const tourViolations = [];
+  let sameEngagementPairs = 0;
+
+  // Each show is protected by its own clause: report a pair once, from the earlier show
+  for (let i = 0; i < shows.length; i++) {
+    for (let j = i + 1; j < shows.length; j++) {
+      const violation = checkShowPair('tour', shows[i], shows[j], {
+        ...clause,
+        daysAfter: Math.max(clause.daysAfter, clause.daysBefore)
+      });
+      if (!violation) {
+        continue;
+      }
+      if (isSameEngagement(shows[i], shows[j])) {
+        sameEngagementPairs++;
+        continue;
+      }
+      tourViolations.push(violation);
+    }
+  }
+
+  // The proposal is the protected show; every tour date around it is checked
+  const proposalViolations = proposedShow
+    ? shows
+      .map(show => checkShowPair('proposal', proposedShow, show, clause))
+      .filter(Boolean)
+    : [];
+
+  return { tourViolations, proposalViolations, sameEngagementPairs };
+}
+
+module.exports = {
+  KM_PER_MILE,
+  parseRadiusClause,
+  findClauseViolations
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { summarizeConflict } = require('./conflictDiff');
+
+/**
+ * Scan History
+ * Keeps compact snapshots of /api/conflicts/location runs in a local JSON file so
+ * a later run can be diffed against an earlier one by scan id (or against the
+ * latest scan of the same market).
+ */
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../../data/scanHistory.json');
+const MAX_SCANS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ScanHistoryStore {
+  constructor() {
+    this.storePath = process.env.SCAN_HISTORY_PATH || DEFAULT_STORE_PATH;
+    this.loaded = false;
+    this.scans = []; // oldest first
+    this.writing = null; // in-flight write, if any
+    this.writePending = false;
+  }
+
+  /**
+   * Key two scans of the same market share: location (to ~100 m), radius and the
+   * length of the date window. The dates themselves are left out so a rolling
+   * window ("the next 30 days") still matches yesterday's scan.
+   * @param {object} query - { lat, lon, radius, startDate, endDate }
+   */
+  getMarketKey(query = {}) {
+    const lat = Number(query.lat);
+    const lon = Number(query.lon);
+    return [
+      Number.isFinite(lat) ? lat.toFixed(3) : '',
+      Number.isFinite(lon) ? lon.toFixed(3) : '',
+      Number(query.radius) || '',
+      this.getWindowKey(query.startDate, query.endDate)
+    ].join('|');
+  }
+
+  // Window length in days, or which side is open
+  getWindowKey(startDate, endDate) {
+    const start = startDate ? new Date(startDate).getTime() : NaN;
+    const end = endDate ? new Date(endDate).getTime() : NaN;
+    if (Number.isFinite(start) && Number.isFinite(end)) {
+      return `${Math.round((end - start) / DAY_MS)}d`;
+    }
+    if (Number.isFinite(start)) {
+      return 'from';
+    }
+    return Number.isFinite(end) ? 'until' : '';
+  }
+
+  /**
+   * Save a scan's conflicts
+   * @param {object} query - The market the scan covered (see getMarketKey)
+   * @param {Array} conflicts - Conflicts found
+   * @returns {object} - The saved scan
+   */
+  saveScan(query, conflicts = []) {
+    this.ensureLoaded();
+    const scan = {
+      id: `scan_${crypto.randomBytes(6).toString('hex')}`,
+      marketKey: this.getMarketKey(query),
+      query,
+      createdAt: new Date().toISOString(),
+      conflictCount: conflicts.length,
+      conflicts: conflicts.map(summarizeConflict)
+    };
+
+    this.scans.push(scan);
+    if (this.scans.length > MAX_SCANS) {
+      this.scans.splice(0, this.scans.length - MAX_SCANS);
+    }
+    this.save();
+    return scan;
+  }
+
+  getScan(id) {
+    this.ensureLoaded();
+    return this.scans.find(scan => scan.id === id) || null;
+  }
+
+  /**
+   * Most recent scan of the same market, or null
+   */
+  findLatestScan(query) {
+    this.ensureLoaded();
+    const marketKey = this.getMarketKey(query);
+    for (let index = this.scans.length - 1; index >= 0; index--) {
+      // Re-keyed from the query so scans saved under an older key format still match
+      if (this.getMarketKey(this.scans[index].query) === marketKey) {
+        return this.scans[index];
+      }
+    }
+    return null;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      this.scans = (Array.isArray(data) ? data : (data.scans || []))
+        .filter(scan => scan && scan.id && Array.isArray(scan.conflicts))
+        .slice(-MAX_SCANS);
+      console.log(`🗂️  Loaded ${this.scans.length} conflict scans from ${this.storePath}`);
+    } catch (error) {
+      console.error(`Scan history: failed to load ${this.storePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the history in the background. Saves made while a write is in flight
+   * are coalesced into one follow-up write of the latest state.
+   * @returns {Promise} - Settles when the history on disk is current
+   */
+  save() {
+    if (this.writing) {
+      this.writePending = true;
+      return this.writing;
+    }
+
+    this.writing = this.write().then(() => {
+      this.writing = null;
+      if (this.writePending) {
+        this.writePending = false;
+        return this.save();
+      }
+      return undefined;
+    });
+    return this.writing;
+  }
+
+  async write() {
+    const tempPath = `${this.storePath}.tmp`;
+    try {
+      const payload = JSON.stringify({ scans: this.scans });
+      await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, `${payload}\n`);
+      await fs.promises.rename(tempPath, this.storePath);
+    } catch (error) {
+      // History is best-effort: the scan itself still succeeds
+      console.error(`Scan history: failed to save ${this.storePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ScanHistoryStore();
@@ -1,3 +1,12 @@
+const { zonedTimeToUtc, getLocalDateString, isValidTimezone } = require('./timezoneHelper');
+const { addDays, isTimedEvent } = require('./eventTimeModel');
+
+const VENUE_TIMEZONE = 'venue';
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Widest UTC offsets in use (UTC-12 .. UTC+14), used to widen provider windows for venue-local dates
+const MAX_POSITIVE_OFFSET_MS = 14 * 60 * 60 * 1000;
+const MAX_NEGATIVE_OFFSET_MS = 12 * 60 * 60 * 1000;
+
 function normalizeDateInput(value, options = {}) {
   if (!value) {
     return null;
@@ -8,9 +17,16 @@ function normalizeDateInput(value, options = {}) {
     return null;
   }
 
-  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(trimmed);
+  const isDateOnly = DATE_ONLY_PATTERN.test(trimmed);
   let isoCandidate = trimmed;
 
+  if (isDateOnly && options.timezone && options.timezone !== VENUE_TIMEZONE) {
+    // Midnight (or the last millisecond) of that day in the requested timezone
+    const boundary = options.endOfDay ? addDays(trimmed, 1) : trimmed;
+    const date = zonedTimeToUtc(boundary, '00:00:00', options.timezone);
+    return date ? new Date(date.getTime() - (options.endOfDay ? 1 : 0)) : null;
+  }
+
   if (isDateOnly) {
     const timePortion = options.endOfDay ? '23:59:59.999' : '00:00:00.000';
     isoCandidate = `${trimmed}T${timePortion}Z`;
@@ -20,23 +36,104 @@ function normalizeDateInput(value, options = {}) {
   return Number.isNaN(date.getTime()) ? null : date;
 }
 
-function parseDateRangeFilters(startValue, endValue) {
-  const startDate = normalizeDateInput(startValue, { endOfDay: false });
-  let endDate = normalizeDateInput(endValue, { endOfDay: true });
+/**
+ * Normalize the requested date timezone: 'venue' (default), 'UTC' or an IANA name
+ * @returns {string|null} - null when the value isn't a known timezone
+ */
+function parseDateTimezone(value) {
+  if (value === undefined || value === null || value === '') {
+    return VENUE_TIMEZONE;
+  }
+  const trimmed = value.toString().trim();
+  if (trimmed.toLowerCase() === VENUE_TIMEZONE) {
+    return VENUE_TIMEZONE;
+  }
+  return isValidTimezone(trimmed) ? trimmed : null;
+}
+
+/**
+ * Parse a start/end date window
+ * Date-only values ('2026-10-20') are calendar days: in venue mode they match the day
+ * where each event takes place, otherwise the day in options.timezone.
+ * @returns {object} - { startDate, endDate, startLocalDate, endLocalDate, timezone }
+ */
+function parseDateRangeFilters(startValue, endValue, options = {}) {
+  const timezone = options.timezone || VENUE_TIMEZONE;
+  const startDate = normalizeDateInput(startValue, { endOfDay: false, timezone });
+  let endDate = normalizeDateInput(endValue, { endOfDay: true, timezone });
+  let startLocalDate = startDate && DATE_ONLY_PATTERN.test(startValue.toString().trim()) ? startValue.toString().trim() : null;
+  let endLocalDate = endDate && DATE_ONLY_PATTERN.test(endValue.toString().trim()) ? endValue.toString().trim() : null;
 
   if (startDate && endDate && endDate < startDate) {
-    endDate = new Date(startDate.getTime());
-    endDate.setHours(23, 59, 59, 999);
+    endDate = normalizeDateInput(startLocalDate || startDate.toISOString().slice(0, 10), { endOfDay: true, timezone });
+    endLocalDate = startLocalDate;
   }
 
-  return { startDate, endDate };
+  return { startDate, endDate, startLocalDate, endLocalDate, timezone };
 }
 
-function filterEventsByDateRange(events = [], startDate = null, endDate = null) {
+/**
+ * Describe how a parsed date window was interpreted (returned to API clients)
+ */
+function describeDateInterpretation(range = {}) {
+  if (!range.startLocalDate && !range.endLocalDate) {
+    return {
+      mode: range.startDate || range.endDate ? 'instant' : 'none',
+      timezone: 'UTC',
+      description: range.startDate || range.endDate ? 'Exact timestamps compared against event start times' : 'No date window'
+    };
+  }
+
+  const venueMode = range.timezone === VENUE_TIMEZONE;
+  return {
+    mode: venueMode ? 'venue_local' : 'fixed_timezone',
+    timezone: range.timezone,
+    startLocalDate: range.startLocalDate || null,
+    endLocalDate: range.endLocalDate || null,
+    description: venueMode
+      ? 'Dates are calendar days in each venue\'s own timezone'
+      : `Dates are calendar days in ${range.timezone}`
+  };
+}
+
+/**
+ * UTC window to request from a provider for a parsed range. Venue-local days can
+ * start up to 14h earlier or end 12h later than the UTC day, so widen the window
+ * and let filterEventsByDateRange trim the result.
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+function getProviderDateWindow(range = {}) {
+  const venueMode = range.timezone === VENUE_TIMEZONE;
+  const start = range.startDate
+    ? new Date(range.startDate.getTime() - (venueMode && range.startLocalDate ? MAX_POSITIVE_OFFSET_MS : 0))
+    : null;
+  const end = range.endDate
+    ? new Date(range.endDate.getTime() + (venueMode && range.endLocalDate ? MAX_NEGATIVE_OFFSET_MS : 0))
+    : null;
+  return { start, end };
+}
+
+/**
+ * Calendar day(s) an event occupies in a timezone ('venue' uses the event's own)
+ * Timed events count on their start day; all-day / multi-day events on every day they cover.
+ */
+function getEventLocalDates(event, timezone) {
+  const zone = timezone === VENUE_TIMEZONE ? (event.venue?.timezone || null) : timezone;
+  const useListedDates = event.localStartDate && (timezone === VENUE_TIMEZONE || !isTimedEvent(event));
+  const first = useListedDates ? event.localStartDate : getLocalDateString(event.start, zone);
+  const last = !isTimedEvent(event) && event.localEndDate ? event.localEndDate : first;
+  return { first, last };
+}
+
+function filterEventsByDateRange(events = [], startDate = null, endDate = null, range = null) {
   if ((!startDate && !endDate) || !Array.isArray(events)) {
     return events;
   }
 
+  const timezone = range?.timezone || VENUE_TIMEZONE;
+  const startLocalDate = range?.startLocalDate || null;
+  const endLocalDate = range?.endLocalDate || null;
+
   return events.filter(event => {
     if (!event || !event.start) {
       return true;
@@ -47,11 +144,21 @@ function filterEventsByDateRange(events = [], startDate = null, endDate = null)
       return true;
     }
 
-    if (startDate && eventDate < startDate) {
+    const localDates = (startLocalDate || endLocalDate) ? getEventLocalDates(event, timezone) : null;
+
+    if (startLocalDate && localDates.first) {
+      if (localDates.last < startLocalDate) {
+        return false;
+      }
+    } else if (startDate && eventDate < startDate) {
       return false;
     }
 
-    if (endDate && eventDate > endDate) {
+    if (endLocalDate && localDates.first) {
+      if (localDates.first > endLocalDate) {
+        return false;
+      }
+    } else if (endDate && eventDate > endDate) {
       return false;
     }
 
@@ -73,8 +180,12 @@ function sanitizeVenueRadiusKm(value, fallback = 1) {
 }
 
 module.exports = {
+  VENUE_TIMEZONE,
   filterEventsByDateRange,
   parseDateRangeFilters,
+  parseDateTimezone,
+  describeDateInterpretation,
+  getProviderDateWindow,
   sanitizeVenueRadiusKm,
   normalizeDateInput
 };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const ConflictDetector = require('./conflictDetector');
+const { getLocalDateString, formatDateInTimezone } = require('./timezoneHelper');
+
+/**
+ * Series Detector
+ * Groups repeat performances (Broadway runs, residencies, weekly club nights) -
+ * same normalized name at the same venue on a recurring cadence - into series
+ * objects with a schedule summary.
+ */
+
+// A run needs this many distinct nights to count as a series
+const MIN_SERIES_NIGHTS = 3;
+// A longer break between nights starts a new run
+const MAX_GAP_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getVenueKey(venue = {}) {
+  if (venue.id) {
+    return venue.id;
+  }
+  const lat = parseFloat(venue.lat);
+  const lon = parseFloat(venue.lon);
+  return Number.isFinite(lat) && Number.isFinite(lon) ? `${lat.toFixed(3)}:${lon.toFixed(3)}` : null;
+}
+
+function getNight(event) {
+  return event.localStartDate || getLocalDateString(event.start, event.venue?.timezone || null);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Classify the gaps between consecutive nights
+ * @returns {string} - 'nightly', 'weekly' or 'recurring'
+ */
+function classifyCadence(nights) {
+  const gaps = nights.slice(1).map((night, index) => daysBetween(nights[index], night));
+  if (gaps.every(gap => gap === 1)) {
+    return 'nightly';
+  }
+  if (gaps.every(gap => gap % 7 === 0)) {
+    return 'weekly';
+  }
+  return 'recurring';
+}
+
+function buildSchedule(events, nights) {
+  const weekdays = new Set();
+  nights.forEach(night => weekdays.add(new Date(`${night}T00:00:00Z`).getUTCDay()));
+
+  const startTimes = new Set();
+  events.forEach(event => {
+    if (event.timeKind && event.timeKind !== 'timed') {
+      return;
+    }
+    startTimes.add(formatDateInTimezone(event.start, event.venue?.timezone || 'UTC', {
+      year: undefined,
+      month: undefined,
+      day: undefined,
+      hourCycle: 'h23'
+    }));
+  });
+
+  const cadence = classifyCadence(nights);
+  const firstDate = nights[0];
+  const lastDate = nights[nights.length - 1];
+  const weekdayLabels = Array.from(weekdays).sort((a, b) => a - b).map(day => WEEKDAYS[day]);
+
+  return {
+    cadence,
+    firstDate,
+    lastDate,
+    nights: nights.length,
+    performances: events.length,
+    weekdays: weekdayLabels,
+    startTimes: Array.from(startTimes).sort(),
+    description: `${nights.length} nights (${cadence}, ${weekdayLabels.join('/')}) from ${firstDate} to ${lastDate}`
+  };
+}
+
+function buildSeries(events, venueKey, normalizedName) {
+  const nights = Array.from(new Set(events.map(getNight))).sort();
+  const first = events[0];
+  const sources = new Set();
+  const genres = new Set();
+  events.forEach(event => {
+    (Array.isArray(event.sources) && event.sources.length ? event.sources.map(source => source.provider) : [event.source])
+      .filter(Boolean)
+      .forEach(provider => sources.add(provider));
+    (event.genres || []).forEach(genre => genres.add(genre));
+  });
+
+  const hash = crypto.createHash('sha1').update(`${venueKey}|${normalizedName}|${nights[0]}`).digest('hex').slice(0, 12);
+
+  return {
+    id: `series_${hash}`,
+    name: first.name,
+    normalizedName,
+    venue: first.venue,
+    eventIds: events.map(event => event.id),
+    nightDates: nights,
+    schedule: buildSchedule(events, nights),
+    genres: Array.from(genres),
+    sources: Array.from(sources)
+  };
+}
+
+/**
+ * Find recurring series among (already de-duplicated) events
+ * @param {Array} events - Standard events
+ * @returns {{series: Array, seriesIdByEventId: Map<string, string>}}
+ */
+function detectSeries(events = []) {
+  const groups = new Map();
+  events.forEach(event => {
+    if (!event || !event.start || !event.venue) {
+      return;
+    }
+    const venueKey = getVenueKey(event.venue);
+    const normalizedName = ConflictDetector.normalizeEventName(event.name, event.venue);
+    if (!venueKey || !normalizedName) {
+      return;
+    }
+    const key = `${venueKey}|${normalizedName}`;
+    if (!groups.has(key)) {
+      groups.set(key, { venueKey, normalizedName, events: [] });
+    }
+    groups.get(key).events.push(event);
+  });
+
+  const series = [];
+  groups.forEach(group => {
+    const sorted = group.events.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    // Split into runs wherever the gap between nights is too long
+    const runs = [];
+    let current = [];
+    sorted.forEach(event => {
+      const previous = current[current.length - 1];
+      if (previous && daysBetween(getNight(previous), getNight(event)) > MAX_GAP_DAYS) {
+        runs.push(current);
+        current = [];
+      }
+      current.push(event);
+    });
+    if (current.length) {
+      runs.push(current);
+    }
+
+    runs
+      .filter(run => new Set(run.map(getNight)).size >= MIN_SERIES_NIGHTS)
+      .forEach(run => series.push(buildSeries(run, group.venueKey, group.normalizedName)));
+  });
+
+  series.sort((a, b) => a.schedule.firstDate.localeCompare(b.schedule.firstDate) || a.name.localeCompare(b.name));
+
+  const seriesIdByEventId = new Map();
+  series.forEach(item => item.eventIds.forEach(id => seriesIdByEventId.set(String(id), item.id)));
+
+  return { series, seriesIdByEventId };
+}
+
+/**
+ * Collapse pairwise conflicts between recurring series into one entry per
+ * series pair ("Series X overlaps Series Y on 14 of 20 nights").
+ * Events outside any series stand alone; pairs inside one series are dropped.
+ * @param {Array} conflicts - Pairwise conflicts
+ * @param {object} detection - { series, seriesIdByEventId } from detectSeries
+ */
+function groupConflictsBySeries(conflicts = [], detection = {}) {
+  const seriesById = new Map((detection.series || []).map(series => [series.id, series]));
+  const seriesIdByEventId = detection.seriesIdByEventId || new Map();
+  const groups = new Map();
+
+  conflicts.forEach(conflict => {
+    const keys = conflict.events.map(event => seriesIdByEventId.get(String(event.id)) || `event:${event.id}`);
+    if (keys[0] === keys[1]) {
+      return;
+    }
+
+    const groupKey = [...keys].sort().join('|');
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { members: new Map(), conflicts: [] });
+    }
+    const group = groups.get(groupKey);
+    conflict.events.forEach((event, index) => {
+      if (!group.members.has(keys[index])) {
+        group.members.set(keys[index], { key: keys[index], series: seriesById.get(keys[index]) || null, event, nights: new Set() });
+      }
+      group.members.get(keys[index]).nights.add(getNight(event));
+    });
+    group.conflicts.push(conflict);
+  });
+
+  const describeMember = member => (member.series
+    ? {
+      type: 'series',
+      id: member.series.id,
+      name: member.series.name,
+      venue: member.series.venue,
+      schedule: member.series.schedule,
+      totalNights: member.series.schedule.nights
+    }
+    : {
+      type: 'event',
+      id: member.event.id,
+      name: member.event.name,
+      venue: member.event.venue,
+      start: member.event.start,
+      end: member.event.end,
+      source: member.event.source,
+      totalNights: 1
+    });
+
+  const seriesConflicts = Array.from(groups.values()).map(group => {
+    // The member with the longer run leads ("X overlaps Y on n of X's nights")
+    const [primary, secondary] = Array.from(group.members.values())
+      .sort((a, b) => (b.series ? b.series.schedule.nights : 1) - (a.series ? a.series.schedule.nights : 1));
+    const cluster = ConflictDetector.buildCluster([], group.conflicts);
+    const overlapNights = Array.from(primary.nights).sort();
+    const members = [describeMember(primary), describeMember(secondary)];
+
+    return {
+      id: null,
+      members,
+      overlapNights: overlapNights.length,
+      totalNights: members[0].totalNights,
+      nightDates: overlapNights,
+      summary: `${members[0].name} overlaps ${members[1].name} on ${overlapNights.length} of ${members[0].totalNights} night${members[0].totalNights !== 1 ? 's' : ''}`,
+      severity: cluster.severity,
+      score: cluster.score,
+      sharedGenres: cluster.sharedGenres,
+      conflictTypes: cluster.conflictTypes,
+      pairCount: group.conflicts.length,
+      conflicts: group.conflicts
+    };
+  });
+
+  seriesConflicts.sort((a, b) => b.overlapNights - a.overlapNights || b.score - a.score);
+  seriesConflicts.forEach((item, index) => {
+    item.id = `series_conflict_${index + 1}`;
+  });
+
+  return seriesConflicts;
+}
+
+module.exports = {
+  MIN_SERIES_NIGHTS,
+  detectSeries,
+  groupConflictsBySeries
+};
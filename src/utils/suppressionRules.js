@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const rateLimiter = require('./rateLimiter');
+const { hasAdminKey } = require('./adminAuth');
+
+/**
+ * Conflict Suppression Rules
+ * Stores "never show me this conflict again" rules in a local JSON file. Rules
+ * are scoped to a user (X-User-Email, falling back to the client IP) or a team
+ * (X-Team-Id) and can ignore:
+ *   - venue_pair: two registry venue ids (e.g. two rooms of one complex)
+ *   - event_pair: two specific events (e.g. a pre-show and its main event)
+ *   - source:     every conflict involving events listed only on that source
+ *   - genre_pair: conflicts where one event has genre A and the other genre B
+ *
+ * Neither header is authenticated. A user's rules only mute conflicts for requests
+ * that send the same email, but team rules apply to everyone sending the team id,
+ * so creating, changing or deleting them also needs the admin key.
+ */
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '../../data/suppressionRules.json');
+const RULE_TYPES = ['venue_pair', 'event_pair', 'source', 'genre_pair'];
+const SCOPE_TYPES = ['user', 'team'];
+const MAX_RULES_PER_SCOPE = 500;
+
+function normalizeValue(value) {
+  return typeof value === 'string' ? value.trim() : (value === undefined || value === null ? '' : String(value).trim());
+}
+
+function normalizeGenre(value) {
+  return normalizeValue(value).toLowerCase();
+}
+
+// Unordered pair key so [a, b] and [b, a] match the same rule
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+class SuppressionRuleStore {
+  constructor() {
+    this.storePath = process.env.SUPPRESSION_RULES_PATH || DEFAULT_STORE_PATH;
+    this.loaded = false;
+    this.rules = new Map(); // id -> rule
+    this.writing = null; // in-flight write, if any
+    this.writePending = false;
+  }
+
+  /**
+   * Scopes a request may read: its user and, when sent, its team. The team scope
+   * is readOnly unless the request carries the admin key.
+   * @returns {Array<{type:string, id:string, readOnly?:boolean}>}
+   */
+  getRequestScopes(req) {
+    const email = normalizeValue(req.headers['x-user-email']).toLowerCase();
+    const teamId = normalizeValue(req.headers['x-team-id']);
+    const scopes = [{ type: 'user', id: email || rateLimiter.getUserIdentifier(req) }];
+    if (teamId) {
+      scopes.push({ type: 'team', id: teamId, readOnly: !hasAdminKey(req) });
+    }
+    return scopes;
+  }
+
+  listRules(scopes = []) {
+    this.ensureLoaded();
+    return Array.from(this.rules.values())
+      .filter(rule => this.inScopes(rule, scopes))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getRule(id, scopes = []) {
+    this.ensureLoaded();
+    const rule = this.rules.get(id);
+    return rule && this.inScopes(rule, scopes) ? rule : null;
+  }
+
+  /**
+   * Create a rule in one of the caller's scopes
+   * @param {object} data - { type, scope: 'user'|'team', venueIds, eventIds, source, genres, note }
+   * @param {Array} scopes - From getRequestScopes
+   */
+  createRule(data = {}, scopes = []) {
+    this.ensureLoaded();
+    const scope = this.pickScope(data.scope, scopes);
+    const target = this.validateRuleData(data);
+
+    if (this.listRules([scope]).length >= MAX_RULES_PER_SCOPE) {
+      throw this.createError(`A ${scope.type} can have at most ${MAX_RULES_PER_SCOPE} rules`, 400);
+    }
+
+    const now = new Date().toISOString();
+    const rule = {
+      id: `rule_${crypto.randomBytes(6).toString('hex')}`,
+      type: data.type,
+      scope,
+      ...target,
+      note: normalizeValue(data.note) || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.rules.set(rule.id, rule);
+    this.save();
+    return rule;
+  }
+
+  updateRule(id, data = {}, scopes = []) {
+    const rule = this.getWritableRule(id, scopes);
+
+    const target = this.validateRuleData({ ...rule, ...data, type: data.type || rule.type });
+    ['venueIds', 'eventIds', 'source', 'genres'].forEach(key => delete rule[key]);
+    Object.assign(rule, target, {
+      type: data.type || rule.type,
+      note: data.note !== undefined ? (normalizeValue(data.note) || null) : rule.note,
+      updatedAt: new Date().toISOString()
+    });
+    this.save();
+    return rule;
+  }
+
+  deleteRule(id, scopes = []) {
+    const rule = this.getWritableRule(id, scopes);
+    this.rules.delete(id);
+    this.save();
+    return rule;
+  }
+
+  /**
+   * Build a matcher for conflict detection
+   * @param {Array} scopes - From getRequestScopes
+   * @returns {function|null} - (event1, event2) => matching rule or null; null when no rules apply
+   */
+  createMatcher(scopes = []) {
+    const rules = this.listRules(scopes);
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const venuePairs = new Map();
+    const eventPairs = new Map();
+    const sources = new Map();
+    const genrePairs = new Map();
+    rules.forEach(rule => {
+      if (rule.type === 'venue_pair') venuePairs.set(pairKey(...rule.venueIds), rule);
+      if (rule.type === 'event_pair') eventPairs.set(pairKey(...rule.eventIds), rule);
+      if (rule.type === 'source') sources.set(rule.source, rule);
+      if (rule.type === 'genre_pair') genrePairs.set(pairKey(...rule.genres), rule);
+    });
+
+    return (event1, event2) => {
+      if (venuePairs.size > 0 && event1.venue?.id && event2.venue?.id) {
+        const rule = venuePairs.get(pairKey(event1.venue.id, event2.venue.id));
+        if (rule) return rule;
+      }
+
+      if (eventPairs.size > 0) {
+        // Merged events still match rules written against any of their listings
+        const ids1 = this.getEventIds(event1);
+        const ids2 = this.getEventIds(event2);
+        for (const id1 of ids1) {
+          for (const id2 of ids2) {
+            const rule = eventPairs.get(pairKey(id1, id2));
+            if (rule) return rule;
+          }
+        }
+      }
+
+      if (sources.size > 0) {
+        for (const event of [event1, event2]) {
+          const providers = this.getEventProviders(event);
+          const rule = providers.length > 0 && providers.every(provider => provider === providers[0])
+            ? sources.get(providers[0])
+            : null;
+          if (rule) return rule;
+        }
+      }
+
+      if (genrePairs.size > 0) {
+        const genres1 = (event1.genres || []).map(normalizeGenre);
+        const genres2 = (event2.genres || []).map(normalizeGenre);
+        for (const genre1 of genres1) {
+          for (const genre2 of genres2) {
+            const rule = genrePairs.get(pairKey(genre1, genre2));
+            if (rule) return rule;
+          }
+        }
+      }
+
+      return null;
+    };
+  }
+
+  getEventIds(event) {
+    const ids = new Set([String(event.id)]);
+    (event.sources || []).forEach(source => source.id && ids.add(String(source.id)));
+    return Array.from(ids);
+  }
+
+  getEventProviders(event) {
+    const providers = Array.isArray(event.sources) && event.sources.length > 0
+      ? event.sources.map(source => source.provider)
+      : [event.source];
+    return providers.filter(Boolean).map(provider => provider.toLowerCase());
+  }
+
+  inScopes(rule, scopes) {
+    return scopes.some(scope => scope.type === rule.scope.type && scope.id === rule.scope.id);
+  }
+
+  getWritableRule(id, scopes) {
+    const rule = this.getRule(id, scopes);
+    if (!rule) {
+      throw this.createError(`Rule ${id} not found`, 404);
+    }
+    const scope = scopes.find(candidate => candidate.type === rule.scope.type && candidate.id === rule.scope.id);
+    this.checkWritable(scope);
+    return rule;
+  }
+
+  checkWritable(scope) {
+    if (scope.readOnly) {
+      throw this.createError('Team rules can only be changed with the admin key (x-admin-key header)', 403);
+    }
+  }
+
+  pickScope(requested, scopes) {
+    const type = normalizeValue(requested) || 'user';
+    if (!SCOPE_TYPES.includes(type)) {
+      throw this.createError(`scope must be one of: ${SCOPE_TYPES.join(', ')}`, 400);
+    }
+    const scope = scopes.find(candidate => candidate.type === type);
+    if (!scope) {
+      throw this.createError('Team rules need an X-Team-Id header', 400);
+    }
+    this.checkWritable(scope);
+    return { type: scope.type, id: scope.id };
+  }
+
+  /**
+   * Check a rule's target fields for its type
+   * @returns {object} - Only the fields that rule type uses
+   */
+  validateRuleData(data) {
+    if (!RULE_TYPES.includes(data.type)) {
+      throw this.createError(`type must be one of: ${RULE_TYPES.join(', ')}`, 400);
+    }
+
+    const readPair = (value, label, normalize = normalizeValue) => {
+      const pair = Array.isArray(value) ? value.map(normalize).filter(Boolean) : [];
+      if (pair.length !== 2) {
+        throw this.createError(`${label} must be an array of two values`, 400);
+      }
+      return pair;
+    };
+
+    switch (data.type) {
+      case 'venue_pair':
+        return { venueIds: readPair(data.venueIds, 'venueIds') };
+      case 'event_pair':
+        return { eventIds: readPair(data.eventIds, 'eventIds') };
+      case 'genre_pair':
+        return { genres: readPair(data.genres, 'genres', normalizeGenre) };
+      default: {
+        const source = normalizeValue(data.source).toLowerCase();
+        if (!source) {
+          throw this.createError('source is required', 400);
+        }
+        return { source };
+      }
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    try {
+      if (!fs.existsSync(this.storePath)) {
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      (Array.isArray(data) ? data : (data.rules || [])).forEach(rule => {
+        if (rule && rule.id && RULE_TYPES.includes(rule.type) && rule.scope?.type && rule.scope?.id) {
+          this.rules.set(rule.id, rule);
+        }
+      });
+      console.log(`🔇 Loaded ${this.rules.size} conflict suppression rules from ${this.storePath}`);
+    } catch (error) {
+      console.error(`Suppression rules: failed to load ${this.storePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the rules in the background. Saves made while a write is in flight
+   * are coalesced into one follow-up write of the latest state.
+   * @returns {Promise} - Settles when the rules on disk are current
+   */
+  save() {
+    if (this.writing) {
+      this.writePending = true;
+      return this.writing;
+    }
+
+    this.writing = this.write().then(() => {
+      this.writing = null;
+      if (this.writePending) {
+        this.writePending = false;
+        return this.save();
+      }
+      return undefined;
+    });
+    return this.writing;
+  }
+
+  async write() {
+    const tempPath = `${this.storePath}.tmp`;
+    try {
+      const payload = JSON.stringify({ rules: Array.from(this.rules.values()) }, null, 2);
+      await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, `${payload}\n`);
+      await fs.promises.rename(tempPath, this.storePath);
+    } catch (error) {
+      // Rules already apply from memory; the next save retries the file
+      console.error(`Suppression rules: failed to save ${this.storePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = new SuppressionRuleStore();
@@ -84,9 +84,115 @@ function getTimezoneAbbreviation(date, timezone) {
   }
 }
 
+/**
+ * Get a timezone's UTC offset at a given instant
+ * @param {Date|number} date - Instant to check
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {number} - Offset in milliseconds (e.g. -4h for New York in summer), 0 if unknown
+ */
+function getTimezoneOffsetMs(date, timezone) {
+  try {
+    const dateObj = date instanceof Date ? date : new Date(date);
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(dateObj).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const asUtc = Date.UTC(
+      parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+      parseInt(parts.hour), parseInt(parts.minute), parseInt(parts.second)
+    );
+    return asUtc - (dateObj.getTime() - dateObj.getUTCMilliseconds());
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Convert a wall-clock date/time in a timezone to a UTC Date
+ * @param {string} localDate - 'YYYY-MM-DD'
+ * @param {string} localTime - 'HH:MM' or 'HH:MM:SS' (defaults to midnight)
+ * @param {string} timezone - IANA timezone identifier (UTC when missing)
+ * @returns {Date|null} - null when the date can't be parsed
+ */
+function zonedTimeToUtc(localDate, localTime = '00:00:00', timezone = null) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(localDate || '');
+  const timeMatch = /^(\d{2}):(\d{2})(?::(\d{2}))?/.exec(localTime || '00:00:00');
+  if (!dateMatch || !timeMatch) {
+    return null;
+  }
+
+  const wallClock = Date.UTC(
+    parseInt(dateMatch[1]), parseInt(dateMatch[2]) - 1, parseInt(dateMatch[3]),
+    parseInt(timeMatch[1]), parseInt(timeMatch[2]), parseInt(timeMatch[3] || '0')
+  );
+  if (!timezone) {
+    return new Date(wallClock);
+  }
+
+  // Apply the offset, then re-check it in case the guess crossed a DST change
+  let utc = wallClock - getTimezoneOffsetMs(wallClock, timezone);
+  const correctedOffset = getTimezoneOffsetMs(utc, timezone);
+  utc = wallClock - correctedOffset;
+  return new Date(utc);
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timezone - IANA timezone identifier (UTC when missing)
+ * @returns {string|null} - 'YYYY-MM-DD', or null for an invalid date
+ */
+function getLocalDateString(date, timezone = null) {
+  const dateObj = date instanceof Date ? date : new Date(date);
+  if (isNaN(dateObj.getTime())) {
+    return null;
+  }
+  try {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(dateObj);
+  } catch (error) {
+    return dateObj.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timezone - IANA timezone identifier (or 'UTC')
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = {
   getTimezoneForCoordinates,
+  isValidTimezone,
   formatDateInTimezone,
-  getTimezoneAbbreviation
+  getTimezoneAbbreviation,
+  getTimezoneOffsetMs,
+  zonedTimeToUtc,
+  getLocalDateString
 };
 
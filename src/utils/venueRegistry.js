@@ -0,0 +1,626 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Venue Registry
+ * Assigns stable venue IDs and resolves provider venues (Ticketmaster, Bandsintown, SeatGeek, Eventbrite)
+ * against a local JSON store of known venues, aliases and coordinates.
+ *
+ * Venues that aren't in the store get a provisional ID derived from their
+ * normalized name and rounded coordinates, so the same venue gets the same ID
+ * across requests and restarts. Provisional venues live in memory only; the
+ * admin API can promote them into the store.
+ *
+ * Capacities come from an optional dataset keyed on venue id (which also covers
+ * provisional venues), then the stored venue, then the provider's listing.
+ */
+
+// Seed venues shipped with the repo (read-only); admin edits go to the git-ignored store
+const DEFAULT_SEED_PATH = path.join(__dirname, '../../data/venues.json');
+const DEFAULT_STORE_PATH = path.join(__dirname, '../../data/venueRegistry.json');
+const DEFAULT_CAPACITIES_PATH = path.join(__dirname, '../../data/venueCapacities.json');
+// Aliases only count for venues this close (same name in another city is a different venue)
+const ALIAS_MATCH_RADIUS_KM = 1;
+// Unnamed-but-colocated listings count as the same venue within this distance
+const COORDINATE_MATCH_RADIUS_KM = 0.05;
+const MAX_PROVISIONAL_VENUES = 5000;
+const PROVISIONAL_ID_PREFIX = 'venue_p_';
+// ~1.1km cells for the coordinate index
+const GRID_PRECISION = 100;
+
+class VenueRegistry {
+  constructor() {
+    this.seedPath = process.env.VENUE_REGISTRY_SEED_PATH || DEFAULT_SEED_PATH;
+    this.storePath = process.env.VENUE_REGISTRY_PATH || DEFAULT_STORE_PATH;
+    this.capacitiesPath = process.env.VENUE_CAPACITIES_PATH || DEFAULT_CAPACITIES_PATH;
+    this.loaded = false;
+    this.capacities = new Map(); // venue id -> capacity from the capacity dataset
+    this.venues = new Map(); // id -> stored venue
+    this.provisional = new Map(); // id -> provisional venue (insertion order = age)
+    this.nameIndex = new Map(); // normalized name/alias -> Set of ids
+    this.providerIndex = new Map(); // `${provider}:${providerVenueId}` -> id
+    this.gridIndex = new Map(); // grid cell -> Set of ids
+    this.writing = null; // in-flight write, if any
+    this.writePending = false;
+  }
+
+  /**
+   * Lowercase, accent-free venue name with location suffixes and punctuation removed
+   * Location suffixes are only stripped when they match the venue's own city/region/country,
+   * so "Brooklyn Steel - Brooklyn" and "The Fillmore (San Francisco)" normalize without city lists.
+   */
+  normalizeVenueName(name, venue = null) {
+    if (!name || typeof name !== 'string') {
+      return '';
+    }
+
+    const locationTokens = this.getLocationTokens(venue);
+    let normalized = this.normalizeText(name.replace(/&/g, ' and '), { keepSeparators: true });
+
+    // Trailing parenthetical: "(NY)", "(Main Stage)"
+    normalized = normalized.replace(/\s*\([^)]*\)\s*$/, '');
+
+    // Trailing "- City" / ", City" when it names the venue's location
+    normalized = normalized.replace(/\s*[-,]\s*([^-,]+)$/, (match, suffix) => (
+      locationTokens.includes(this.normalizeText(suffix)) ? '' : match
+    ));
+
+    return this.normalizeText(normalized)
+      .replace(/\btheater\b/g, 'theatre')
+      .replace(/\bcentre\b/g, 'center')
+      .replace(/^the\s+/, '')
+      .trim();
+  }
+
+  /**
+   * Normalized city / region / country names for a venue (used to strip location suffixes)
+   */
+  getLocationTokens(venue) {
+    if (!venue) {
+      return [];
+    }
+    return [venue.city, venue.region, venue.state, venue.country]
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => this.normalizeText(value));
+  }
+
+  normalizeText(value, options = {}) {
+    const stripped = value
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+    const cleaned = options.keepSeparators
+      ? stripped.replace(/[^a-z0-9()\-, ]+/g, ' ')
+      : stripped.replace(/[^a-z0-9 ]+/g, ' ');
+    return cleaned.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Resolve a provider venue to a registry venue
+   * @param {object} venue - { name, lat, lon, city, region, country }
+   * @param {string} provider - e.g. 'ticketmaster'
+   * @param {string} providerVenueId - The provider's own venue id, if any
+   * @returns {{id:string, name:string, capacity:number|null, capacitySource:string|null, provisional:boolean, resolvedBy:string}}
+   */
+  resolveVenue(venue = {}, provider = null, providerVenueId = null) {
+    this.ensureLoaded();
+
+    const lat = parseFloat(venue.lat);
+    const lon = parseFloat(venue.lon);
+    const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lon);
+    const normalizedName = this.normalizeVenueName(venue.name, venue);
+
+    // 1. Provider id seen before
+    const providerKey = provider && providerVenueId ? `${provider}:${providerVenueId}` : null;
+    if (providerKey && this.providerIndex.has(providerKey)) {
+      const match = this.getVenue(this.providerIndex.get(providerKey));
+      if (match) {
+        return this.toResolution(match, 'provider_id');
+      }
+    }
+
+    // 2. Known name or alias nearby
+    const nameMatches = Array.from(this.nameIndex.get(normalizedName) || [])
+      .map(id => this.getVenue(id))
+      .filter(Boolean);
+    const aliasMatch = nameMatches
+      .filter(candidate => !candidate.provisional)
+      .find(candidate => !hasCoordinates || !Number.isFinite(candidate.lat) ||
+        this.distanceKm(lat, lon, candidate.lat, candidate.lon) <= ALIAS_MATCH_RADIUS_KM);
+    if (aliasMatch) {
+      this.rememberProviderId(providerKey, aliasMatch.id);
+      return this.toResolution(aliasMatch, 'alias');
+    }
+
+    // 3. Venue at the same spot with a compatible name (registered venues first, then
+    //    provisional ones so another provider's listing of the same venue shares its id)
+    if (hasCoordinates) {
+      const nearby = this.findNearby(lat, lon, COORDINATE_MATCH_RADIUS_KM)
+        .sort((a, b) => Number(!!a.provisional) - Number(!!b.provisional))
+        .find(candidate => this.namesCompatible(normalizedName, candidate));
+      if (nearby) {
+        this.rememberProviderId(providerKey, nearby.id);
+        return this.toResolution(nearby, 'coordinates');
+      }
+    }
+
+    // 4. Provisional id (deterministic, so repeated lookups agree)
+    const provisionalId = this.createProvisionalId(normalizedName, lat, lon);
+    let provisionalVenue = this.provisional.get(provisionalId);
+    if (!provisionalVenue) {
+      provisionalVenue = {
+        id: provisionalId,
+        name: venue.name || 'Unknown Venue',
+        aliases: [],
+        lat: hasCoordinates ? lat : null,
+        lon: hasCoordinates ? lon : null,
+        city: venue.city || null,
+        region: venue.region || null,
+        country: venue.country || null,
+        providerIds: {},
+        provisional: true
+      };
+      this.addProvisional(provisionalVenue);
+    }
+    if (provider && providerVenueId) {
+      this.addProviderId(provisionalVenue, provider, providerVenueId);
+      this.rememberProviderId(providerKey, provisionalId);
+    }
+    return this.toResolution(provisionalVenue, 'provisional');
+  }
+
+  toResolution(venue, resolvedBy) {
+    return {
+      id: venue.id,
+      name: venue.name,
+      ...this.getCapacity(venue),
+      provisional: !!venue.provisional,
+      resolvedBy
+    };
+  }
+
+  /**
+   * Known capacity of a registry venue
+   * @returns {{capacity: number|null, capacitySource: 'dataset'|'registry'|null}}
+   */
+  getCapacity(venue) {
+    if (this.capacities.has(venue.id)) {
+      return { capacity: this.capacities.get(venue.id), capacitySource: 'dataset' };
+    }
+    const capacity = parseInt(venue.capacity);
+    return Number.isFinite(capacity) && capacity > 0
+      ? { capacity, capacitySource: 'registry' }
+      : { capacity: null, capacitySource: null };
+  }
+
+  /**
+   * Capacity for an event's venue: the registry's when known, otherwise the provider's
+   * @param {object} resolution - From resolveVenue
+   * @param {*} providerCapacity - Capacity in the provider's venue data, if any
+   * @returns {{capacity: number|null, capacitySource: string|null}}
+   */
+  resolveCapacity(resolution, providerCapacity) {
+    if (resolution && resolution.capacity) {
+      return { capacity: resolution.capacity, capacitySource: resolution.capacitySource };
+    }
+    const capacity = parseInt(providerCapacity);
+    return Number.isFinite(capacity) && capacity > 0
+      ? { capacity, capacitySource: 'provider' }
+      : { capacity: null, capacitySource: null };
+  }
+
+  namesCompatible(normalizedName, candidate) {
+    const candidateNames = [candidate.name, ...(candidate.aliases || [])]
+      .map(name => this.normalizeVenueName(name, candidate))
+      .filter(Boolean);
+    if (!normalizedName) {
+      return false;
+    }
+    return candidateNames.some(name => name.includes(normalizedName) || normalizedName.includes(name));
+  }
+
+  /**
+   * Whether an event venue's id is a registry id that settles venue identity on its own.
+   * Provisional ids come from rounded coordinates, so the same hall listed ~100 m apart
+   * by two providers can get two of them; callers compare names and distance instead.
+   */
+  hasRegistryId(venue) {
+    if (!venue || !venue.id) {
+      return false;
+    }
+    if (venue.provisional !== undefined) {
+      return !venue.provisional;
+    }
+    // Events from before the flag existed (caches, client payloads)
+    return !String(venue.id).startsWith(PROVISIONAL_ID_PREFIX);
+  }
+
+  createProvisionalId(normalizedName, lat, lon) {
+    const location = Number.isFinite(lat) && Number.isFinite(lon)
+      ? `${lat.toFixed(3)}:${lon.toFixed(3)}`
+      : 'unknown';
+    const digest = crypto.createHash('sha1').update(`${normalizedName}|${location}`).digest('hex');
+    return `${PROVISIONAL_ID_PREFIX}${digest.slice(0, 12)}`;
+  }
+
+  createVenueId(name, lat, lon) {
+    const digest = crypto.createHash('sha1')
+      .update(`${this.normalizeVenueName(name)}|${lat}|${lon}|${Date.now()}|${Math.random()}`)
+      .digest('hex');
+    return `venue_${digest.slice(0, 12)}`;
+  }
+
+  getVenue(id) {
+    this.ensureLoaded();
+    return this.venues.get(id) || this.provisional.get(id) || null;
+  }
+
+  /**
+   * List venues
+   * @param {object} options - { query, includeProvisional, limit }
+   */
+  listVenues(options = {}) {
+    this.ensureLoaded();
+    const query = options.query ? this.normalizeText(options.query) : null;
+    const limit = Math.max(1, Math.min(1000, parseInt(options.limit) || 200));
+    const pool = options.includeProvisional
+      ? [...this.venues.values(), ...this.provisional.values()]
+      : [...this.venues.values()];
+
+    return pool
+      .filter(venue => !query || [venue.name, ...(venue.aliases || [])]
+        .some(name => this.normalizeText(name).includes(query)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Add a venue to the store. Passing the id of a provisional venue promotes it (keeping its id).
+   */
+  createVenue(data = {}) {
+    this.ensureLoaded();
+    const validationError = this.validateVenueData(data, true);
+    if (validationError) {
+      throw this.createError(validationError, 400);
+    }
+
+    const provisionalVenue = data.id ? this.provisional.get(data.id) : null;
+    if (data.id && !provisionalVenue) {
+      throw this.createError(`Unknown provisional venue ${data.id}`, 404);
+    }
+
+    const lat = data.lat !== undefined ? parseFloat(data.lat) : provisionalVenue?.lat;
+    const lon = data.lon !== undefined ? parseFloat(data.lon) : provisionalVenue?.lon;
+    const now = new Date().toISOString();
+    const venue = {
+      id: provisionalVenue ? provisionalVenue.id : this.createVenueId(data.name, lat, lon),
+      name: (data.name || provisionalVenue?.name).trim(),
+      aliases: this.cleanAliases(data.aliases),
+      lat: Number.isFinite(lat) ? lat : null,
+      lon: Number.isFinite(lon) ? lon : null,
+      city: data.city || provisionalVenue?.city || null,
+      region: data.region || provisionalVenue?.region || null,
+      country: data.country || provisionalVenue?.country || null,
+      capacity: data.capacity !== undefined ? parseInt(data.capacity) || null : null,
+      providerIds: this.mergeProviderIds(provisionalVenue?.providerIds, data.providerIds),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (provisionalVenue) {
+      this.provisional.delete(provisionalVenue.id);
+      this.unindexVenue(provisionalVenue);
+    }
+    this.venues.set(venue.id, venue);
+    this.indexVenue(venue);
+    this.save();
+    return venue;
+  }
+
+  updateVenue(id, data = {}) {
+    this.ensureLoaded();
+    const venue = this.venues.get(id);
+    if (!venue) {
+      throw this.createError(`Venue ${id} not found`, 404);
+    }
+    const validationError = this.validateVenueData(data, false);
+    if (validationError) {
+      throw this.createError(validationError, 400);
+    }
+
+    this.unindexVenue(venue);
+    if (data.name !== undefined) venue.name = data.name.trim();
+    if (data.aliases !== undefined) venue.aliases = this.cleanAliases(data.aliases);
+    if (data.lat !== undefined) venue.lat = parseFloat(data.lat);
+    if (data.lon !== undefined) venue.lon = parseFloat(data.lon);
+    ['city', 'region', 'country'].forEach(key => {
+      if (data[key] !== undefined) venue[key] = data[key] || null;
+    });
+    if (data.capacity !== undefined) venue.capacity = parseInt(data.capacity) || null;
+    if (data.providerIds !== undefined) venue.providerIds = this.mergeProviderIds({}, data.providerIds);
+    venue.updatedAt = new Date().toISOString();
+    this.indexVenue(venue);
+    this.save();
+    return venue;
+  }
+
+  addAlias(id, alias) {
+    this.ensureLoaded();
+    const venue = this.venues.get(id);
+    if (!venue) {
+      throw this.createError(`Venue ${id} not found`, 404);
+    }
+    if (!alias || typeof alias !== 'string' || !alias.trim()) {
+      throw this.createError('alias must be a non-empty string', 400);
+    }
+    this.unindexVenue(venue);
+    venue.aliases = this.cleanAliases([...(venue.aliases || []), alias]);
+    venue.updatedAt = new Date().toISOString();
+    this.indexVenue(venue);
+    this.save();
+    return venue;
+  }
+
+  deleteVenue(id) {
+    this.ensureLoaded();
+    const venue = this.venues.get(id);
+    if (!venue) {
+      throw this.createError(`Venue ${id} not found`, 404);
+    }
+    this.unindexVenue(venue);
+    this.venues.delete(id);
+    this.save();
+    return venue;
+  }
+
+  validateVenueData(data, isCreate) {
+    if (isCreate && !data.id && (!data.name || typeof data.name !== 'string' || !data.name.trim())) {
+      return 'name is required';
+    }
+    if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+      return 'name must be a non-empty string';
+    }
+    if (data.lat !== undefined && (!Number.isFinite(parseFloat(data.lat)) || Math.abs(parseFloat(data.lat)) > 90)) {
+      return 'lat must be between -90 and 90';
+    }
+    if (data.lon !== undefined && (!Number.isFinite(parseFloat(data.lon)) || Math.abs(parseFloat(data.lon)) > 180)) {
+      return 'lon must be between -180 and 180';
+    }
+    if (data.aliases !== undefined && !Array.isArray(data.aliases)) {
+      return 'aliases must be an array of strings';
+    }
+    if (data.providerIds !== undefined && (typeof data.providerIds !== 'object' || Array.isArray(data.providerIds))) {
+      return 'providerIds must be an object of provider -> id(s)';
+    }
+    return null;
+  }
+
+  cleanAliases(aliases) {
+    if (!Array.isArray(aliases)) {
+      return [];
+    }
+    const seen = new Set();
+    return aliases
+      .filter(alias => typeof alias === 'string' && alias.trim())
+      .map(alias => alias.trim())
+      .filter(alias => {
+        const key = alias.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  mergeProviderIds(...sources) {
+    const merged = {};
+    sources.filter(Boolean).forEach(source => {
+      Object.entries(source).forEach(([provider, ids]) => {
+        const list = Array.isArray(ids) ? ids : [ids];
+        merged[provider] = Array.from(new Set([...(merged[provider] || []), ...list.filter(Boolean).map(String)]));
+      });
+    });
+    return merged;
+  }
+
+  addProviderId(venue, provider, providerVenueId) {
+    venue.providerIds = this.mergeProviderIds(venue.providerIds, { [provider]: providerVenueId });
+  }
+
+  rememberProviderId(providerKey, id) {
+    if (providerKey) {
+      this.providerIndex.set(providerKey, id);
+    }
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Indexing
+
+  indexVenue(venue) {
+    [venue.name, ...(venue.aliases || [])].forEach(name => {
+      const key = this.normalizeVenueName(name, venue);
+      if (!key) return;
+      if (!this.nameIndex.has(key)) {
+        this.nameIndex.set(key, new Set());
+      }
+      this.nameIndex.get(key).add(venue.id);
+    });
+
+    Object.entries(venue.providerIds || {}).forEach(([provider, ids]) => {
+      (Array.isArray(ids) ? ids : [ids]).forEach(providerVenueId => {
+        this.providerIndex.set(`${provider}:${providerVenueId}`, venue.id);
+      });
+    });
+
+    if (Number.isFinite(venue.lat) && Number.isFinite(venue.lon)) {
+      const cell = this.gridKey(venue.lat, venue.lon);
+      if (!this.gridIndex.has(cell)) {
+        this.gridIndex.set(cell, new Set());
+      }
+      this.gridIndex.get(cell).add(venue.id);
+    }
+  }
+
+  unindexVenue(venue) {
+    this.nameIndex.forEach(ids => ids.delete(venue.id));
+    this.gridIndex.forEach(ids => ids.delete(venue.id));
+    this.providerIndex.forEach((id, key) => {
+      if (id === venue.id) {
+        this.providerIndex.delete(key);
+      }
+    });
+  }
+
+  addProvisional(venue) {
+    if (this.provisional.size >= MAX_PROVISIONAL_VENUES) {
+      const oldest = this.provisional.values().next().value;
+      this.provisional.delete(oldest.id);
+      this.unindexVenue(oldest);
+    }
+    this.provisional.set(venue.id, venue);
+    this.indexVenue(venue);
+  }
+
+  gridKey(lat, lon) {
+    return `${Math.floor(lat * GRID_PRECISION)}:${Math.floor(lon * GRID_PRECISION)}`;
+  }
+
+  findNearby(lat, lon, radiusKm) {
+    const row = Math.floor(lat * GRID_PRECISION);
+    const col = Math.floor(lon * GRID_PRECISION);
+    const results = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        const ids = this.gridIndex.get(`${row + dRow}:${col + dCol}`);
+        if (!ids) continue;
+        ids.forEach(id => {
+          const venue = this.getVenue(id);
+          if (venue && this.distanceKm(lat, lon, venue.lat, venue.lon) <= radiusKm) {
+            results.push(venue);
+          }
+        });
+      }
+    }
+    return results;
+  }
+
+  // Haversine distance in km
+  distanceKm(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const toRadians = degrees => degrees * (Math.PI / 180);
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Persistence
+
+  ensureLoaded() {
+    if (this.loaded) {
+      return;
+    }
+    this.loaded = true;
+
+    // The store holds the full registry once an admin has edited it; until then, the seed
+    const sourcePath = fs.existsSync(this.storePath) ? this.storePath : this.seedPath;
+    try {
+      if (!fs.existsSync(sourcePath)) {
+        this.loadCapacities();
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+      const venues = Array.isArray(data) ? data : (data.venues || []);
+      venues.forEach(venue => {
+        if (!venue || !venue.id || !venue.name) return;
+        const record = {
+          ...venue,
+          lat: venue.lat !== undefined && venue.lat !== null ? parseFloat(venue.lat) : null,
+          lon: venue.lon !== undefined && venue.lon !== null ? parseFloat(venue.lon) : null,
+          aliases: this.cleanAliases(venue.aliases),
+          providerIds: this.mergeProviderIds(venue.providerIds)
+        };
+        this.venues.set(record.id, record);
+        this.indexVenue(record);
+      });
+      console.log(`🏟️  Venue registry loaded ${this.venues.size} venues from ${sourcePath}`);
+    } catch (error) {
+      console.error(`Venue registry: failed to load ${sourcePath}:`, error.message);
+    }
+
+    this.loadCapacities();
+  }
+
+  // Capacity dataset: { "capacities": { "<venue id>": 19500 } }
+  loadCapacities() {
+    try {
+      if (!fs.existsSync(this.capacitiesPath)) {
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this.capacitiesPath, 'utf8'));
+      Object.entries(data.capacities || data).forEach(([id, value]) => {
+        const capacity = parseInt(value);
+        if (Number.isFinite(capacity) && capacity > 0) {
+          this.capacities.set(id, capacity);
+        }
+      });
+      console.log(`🏟️  Venue registry loaded ${this.capacities.size} capacities from ${this.capacitiesPath}`);
+    } catch (error) {
+      console.error(`Venue registry: failed to load ${this.capacitiesPath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the store in the background. Saves made while a write is in flight
+   * are coalesced into one follow-up write of the latest state.
+   * @returns {Promise} - Settles when the store on disk is current
+   */
+  save() {
+    if (this.writing) {
+      this.writePending = true;
+      return this.writing;
+    }
+
+    this.writing = this.write().then(() => {
+      this.writing = null;
+      if (this.writePending) {
+        this.writePending = false;
+        return this.save();
+      }
+      return undefined;
+    });
+    return this.writing;
+  }
+
+  async write() {
+    const tempPath = `${this.storePath}.tmp`;
+    try {
+      const payload = JSON.stringify({ venues: Array.from(this.venues.values()) }, null, 2);
+      await fs.promises.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, `${payload}\n`);
+      await fs.promises.rename(tempPath, this.storePath);
+    } catch (error) {
+      // Edits already apply from memory; the next save retries the file
+      console.error(`Venue registry: failed to save ${this.storePath}:`, error.message);
+    }
+  }
+
+  getStats() {
+    this.ensureLoaded();
+    return {
+      seedPath: this.seedPath,
+      storePath: this.storePath,
+      venues: this.venues.size,
+      provisionalVenues: this.provisional.size,
+      capacities: this.capacities.size
+    };
+  }
+}
+
+module.exports = new VenueRegistry();
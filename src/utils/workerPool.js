@@ -0,0 +1,250 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const poolConfig = require('../config/workerPool');
+
+/**
+ * Conflict Worker Pool
+ * Runs conflict analyses (duplicate merging, threshold resolution, findConflicts) on
+ * worker threads. Workers start on demand up to the pool size; jobs wait in a FIFO
+ * queue. A job that times out or is cancelled terminates its worker, since a busy
+ * worker can't be interrupted, and a fresh one is started for the next job.
+ */
+
+const WORKER_SCRIPT = path.join(__dirname, '../workers/conflictWorker.js');
+
+class ConflictWorkerPool {
+  constructor(config = poolConfig) {
+    this.config = config;
+    this.workers = []; // { worker, job }
+    this.queue = [];
+    this.nextJobId = 1;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      rejected: 0,
+      totalDurationMs: 0
+    };
+  }
+
+  /**
+   * Whether an analysis of this many events should go through the pool
+   */
+  shouldOffload(eventCount) {
+    return this.config.enabled && this.config.size > 0 && eventCount >= this.config.minEvents;
+  }
+
+  /**
+   * Run an analysis on a worker
+   * @param {object} payload - { task, ...input } for conflictWorker (structured-cloneable); the default
+   *   analyze task takes { events, timeBuffer, venueProximityThreshold, options, progress }
+   * @param {object} runOptions - { signal: AbortSignal, timeoutMs, onProgress } (onProgress gets the
+   *   worker's progress messages when payload.progress is set)
+   * @returns {Promise<object>} - The worker's result; rejects with error.status 503 (queue full),
+   *   504 (timed out) or 499 (cancelled)
+   */
+  run(payload, runOptions = {}) {
+    const { signal, timeoutMs = this.config.jobTimeoutMs, onProgress = null } = runOptions;
+
+    if (signal && signal.aborted) {
+      this.stats.cancelled++;
+      return Promise.reject(this.createError('Analysis cancelled', 499));
+    }
+    if (this.queue.length >= this.config.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(this.createError('Conflict analysis queue is full', 503));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        payload,
+        timeoutMs,
+        signal,
+        onProgress,
+        resolve,
+        reject,
+        queuedAt: Date.now(),
+        startedAt: null,
+        timer: null,
+        onAbort: null
+      };
+
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(entry => !entry.job);
+      if (!slot && this.workers.length < this.config.size) {
+        slot = this.spawnWorker();
+      }
+      if (!slot) {
+        return;
+      }
+      this.start(slot, this.queue.shift());
+    }
+  }
+
+  spawnWorker() {
+    const slot = { worker: new Worker(WORKER_SCRIPT), job: null };
+
+    slot.worker.on('message', message => {
+      const { job } = slot;
+      if (!job || message.jobId !== job.id) {
+        return;
+      }
+      if (message.progress) {
+        if (job.onProgress) {
+          job.onProgress(message.progress);
+        }
+        return;
+      }
+      if (message.error) {
+        this.stats.failed++;
+        this.finish(slot, job, this.createError(message.error, 500));
+      } else {
+        this.stats.completed++;
+        this.stats.totalDurationMs += Date.now() - job.startedAt;
+        this.finish(slot, job, null, message.result);
+      }
+    });
+
+    // A crashed worker fails its job and leaves the pool
+    const retire = reason => {
+      if (slot.job) {
+        this.stats.failed++;
+        this.finish(slot, slot.job, this.createError(`Conflict worker failed: ${reason}`, 500), undefined, true);
+      } else {
+        this.removeWorker(slot);
+      }
+    };
+    slot.worker.on('error', error => {
+      console.error('Conflict worker error:', error.message);
+      retire(error.message);
+    });
+    slot.worker.on('exit', code => retire(`exited with code ${code}`));
+
+    // Idle workers don't keep the process alive
+    slot.worker.unref();
+    this.workers.push(slot);
+    return slot;
+  }
+
+  start(slot, job) {
+    slot.job = job;
+    job.startedAt = Date.now();
+    if (job.timeoutMs > 0) {
+      job.timer = setTimeout(() => {
+        this.stats.timedOut++;
+        console.warn(`⏱  Conflict analysis job ${job.id} timed out after ${job.timeoutMs}ms`);
+        this.finish(slot, job, this.createError(`Conflict analysis timed out after ${job.timeoutMs}ms`, 504), undefined, true);
+      }, job.timeoutMs);
+    }
+    slot.worker.ref();
+    slot.worker.postMessage({ jobId: job.id, ...job.payload });
+  }
+
+  cancel(job) {
+    const queuedIndex = this.queue.indexOf(job);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      this.stats.cancelled++;
+      this.settle(job, this.createError('Analysis cancelled', 499));
+      return;
+    }
+
+    const slot = this.workers.find(entry => entry.job === job);
+    if (slot) {
+      this.stats.cancelled++;
+      this.finish(slot, job, this.createError('Analysis cancelled', 499), undefined, true);
+    }
+  }
+
+  /**
+   * Free a worker from its job; retire stops the worker (timeouts, cancellations, crashes)
+   */
+  finish(slot, job, error, result, retire = false) {
+    if (slot.job === job) {
+      slot.job = null;
+    }
+    if (retire) {
+      this.removeWorker(slot);
+      slot.worker.terminate().catch(() => {});
+    } else {
+      slot.worker.unref();
+    }
+    this.settle(job, error, result);
+    this.dispatch();
+  }
+
+  settle(job, error, result) {
+    clearTimeout(job.timer);
+    if (job.signal && job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  removeWorker(slot) {
+    const index = this.workers.indexOf(slot);
+    if (index !== -1) {
+      this.workers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Pool utilization for monitoring
+   */
+  getStats() {
+    const busy = this.workers.filter(entry => entry.job).length;
+    const { totalDurationMs, ...counters } = this.stats;
+    return {
+      enabled: this.config.enabled,
+      size: this.config.size,
+      minEvents: this.config.minEvents,
+      jobTimeoutMs: this.config.jobTimeoutMs,
+      workers: this.workers.length,
+      busy,
+      idle: this.workers.length - busy,
+      queued: this.queue.length,
+      utilization: this.config.size > 0 ? `${((busy / this.config.size) * 100).toFixed(0)}%` : '0%',
+      ...counters,
+      averageDurationMs: counters.completed > 0
+        ? Number((totalDurationMs / counters.completed).toFixed(2))
+        : null
+    };
+  }
+
+  /**
+   * Stop all workers (pending jobs are rejected)
+   */
+  async shutdown() {
+    const workers = this.workers.splice(0);
+    const pending = [...this.queue, ...workers.map(entry => entry.job).filter(Boolean)];
+    this.queue = [];
+    workers.forEach(entry => { entry.job = null; });
+    pending.forEach(job => this.settle(job, this.createError('Conflict worker pool shut down', 503)));
+    await Promise.all(workers.map(entry => entry.worker.terminate().catch(() => {})));
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new ConflictWorkerPool();
@@ -0,0 +1,54 @@
+const { parentPort } = require('worker_threads');
+const ConflictDetector = require('../utils/conflictDetector');
+const { findSlotConflicts } = require('../utils/dateRecommender');
+const { findCrowdHotspots } = require('../utils/crowdAnalyzer');
+
+/**
+ * Conflict Worker
+ * Runs CPU-heavy conflict work for the worker pool (see utils/workerPool.js).
+ * Messages: { jobId, task, ...input } in, { jobId, progress } while running (analyze
+ * jobs with progress set), then { jobId, result } or { jobId, error }.
+ * Tasks:
+ * - analyze (default): { events, timeBuffer, venueProximityThreshold, options, progress } ->
+ *   ConflictDetector.analyzeEvents plus its stats
+ * - slotConflicts: { proposals, marketEvents, options } -> dateRecommender.findSlotConflicts
+ * - crowdHotspots: { events, options } -> crowdAnalyzer.findCrowdHotspots
+ */
+
+function analyze(jobId, { events, timeBuffer, venueProximityThreshold, options, progress }) {
+  const stats = {};
+  const analysisOptions = { ...options, stats };
+
+  if (progress) {
+    // Forward new conflicts as partial results, up to progress.conflictLimit in total
+    let sent = 0;
+    analysisOptions.onProgress = ({ uniqueEvents, pairsEvaluated, totalPairs, conflicts }) => {
+      const newConflicts = conflicts.slice(sent, Math.max(sent, progress.conflictLimit || 0));
+      sent += newConflicts.length;
+      parentPort.postMessage({
+        jobId,
+        progress: { uniqueEvents, pairsEvaluated, totalPairs, conflictsFound: conflicts.length, newConflicts }
+      });
+    };
+  }
+
+  const result = ConflictDetector.analyzeEvents(events, timeBuffer, venueProximityThreshold, analysisOptions);
+  return { ...result, stats };
+}
+
+const TASKS = {
+  analyze,
+  slotConflicts: (jobId, { proposals, marketEvents, options }) => findSlotConflicts(proposals, marketEvents, options),
+  crowdHotspots: (jobId, { events, options }) => findCrowdHotspots(events, options)
+};
+
+parentPort.on('message', ({ jobId, task = 'analyze', ...input }) => {
+  try {
+    if (!TASKS[task]) {
+      throw new Error(`Unknown worker task: ${task}`);
+    }
+    parentPort.postMessage({ jobId, result: TASKS[task](jobId, input) });
+  } catch (error) {
+    parentPort.postMessage({ jobId, error: error.message });
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Offline tests for conflict analytics (src/utils/conflictAnalytics.js)
+ * Venue-local hour and weekday buckets, genre, source and severity counts, the
+ * peak window and the map grid
+ *
+ * Usage: node test-conflict-analytics.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { parseCellSizeKm, buildConflictAnalytics } = require('./src/utils/conflictAnalytics');
+
+const { test, run } = createTestRunner();
+
+const NEW_YORK = 'America/New_York';
+const EVENING = '2026-11-14'; // A Saturday, UTC-5
+
+// An event at New York wall-clock times on EVENING (HH:MM, past midnight rolls over)
+const event = (id, start, end, overrides = {}) => ({
+  id,
+  name: `Show ${id}`,
+  source: 'ticketmaster',
+  start: new Date(`${EVENING}T${start}:00-05:00`).toISOString(),
+  end: new Date(new Date(`${EVENING}T${start}:00-05:00`).getTime() + minutesBetween(start, end) * 60000).toISOString(),
+  genres: ['rock'],
+  ...overrides,
+  venue: { name: `Venue ${id}`, lat: 40.7505, lon: -73.9934, timezone: NEW_YORK, ...overrides.venue }
+});
+
+function minutesBetween(start, end) {
+  const toMinutes = time => time.split(':').reduce((hours, minutes) => Number(hours) * 60 + Number(minutes));
+  const minutes = toMinutes(end) - toMinutes(start);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+}
+
+const conflict = (events, severity = 'medium', score = 50) => ({ events, severity, score });
+
+const countsOf = buckets => Object.fromEntries(buckets.filter(bucket => bucket.count > 0)
+  .map(bucket => [bucket.hour ?? bucket.weekday, bucket.count]));
+
+test('parseCellSizeKm defaults to 1 km and rejects sizes outside 0-25 km', () => {
+  assert.strictEqual(parseCellSizeKm(undefined), 1);
+  assert.strictEqual(parseCellSizeKm(''), 1);
+  assert.strictEqual(parseCellSizeKm('2.5'), 2.5);
+  assert.strictEqual(parseCellSizeKm(0), null);
+  assert.strictEqual(parseCellSizeKm(30), null);
+  assert.strictEqual(parseCellSizeKm('wide'), null);
+});
+
+test('conflicts count every venue-local hour the two events overlap', () => {
+  const analytics = buildConflictAnalytics([
+    conflict([event('a', '20:00', '23:00'), event('b', '21:00', '23:30')]),
+    // Only within the time buffer: counted at the later start
+    conflict([event('c', '18:00', '20:00'), event('d', '20:15', '22:00')]),
+    // Hours past midnight fall on Sunday; the conflict still starts on Saturday
+    conflict([event('e', '23:30', '01:30'), event('f', '23:00', '02:00')])
+  ]);
+
+  assert.strictEqual(analytics.totalConflicts, 3);
+  assert.deepStrictEqual(countsOf(analytics.byHour), { 0: 1, 1: 1, 20: 1, 21: 1, 22: 1, 23: 1 });
+  assert.deepStrictEqual(countsOf(analytics.byWeekday), { Sat: 3 });
+  assert.deepStrictEqual(analytics.weekdayHour.counts[0].slice(0, 2), [1, 1]);
+  assert.deepStrictEqual(analytics.weekdayHour.counts[6].slice(20), [1, 1, 1, 1]);
+  assert.strictEqual(analytics.withoutHours, 0);
+});
+
+test('pairs with a date-only event have a weekday but no hours', () => {
+  const festival = event('festival', '00:00', '00:00', { timeKind: 'all_day', localStartDate: '2026-11-15' });
+  const analytics = buildConflictAnalytics([
+    conflict([festival, { ...festival, id: 'festival_2' }]),
+    conflict([festival, event('g', '20:00', '22:00')]),
+    { events: [event('lonely', '20:00', '22:00')] },
+    null
+  ]);
+
+  assert.strictEqual(analytics.totalConflicts, 2, 'conflicts without two events are skipped');
+  assert.strictEqual(analytics.withoutHours, 2);
+  assert.deepStrictEqual(countsOf(analytics.byWeekday), { Sun: 1, Sat: 1 });
+  assert.deepStrictEqual(countsOf(analytics.byHour), {});
+  assert.strictEqual(analytics.peakWindow, null);
+});
+
+test('genres, sources and severities are counted once per conflict', () => {
+  const merged = event('merged', '20:00', '23:00', {
+    genres: ['rock', 'indie'],
+    sources: [{ provider: 'Ticketmaster' }, { provider: 'bandsintown' }]
+  });
+  const analytics = buildConflictAnalytics([
+    conflict([merged, event('a', '20:00', '22:00', { source: 'seatgeek' })], 'high', 80),
+    conflict([event('b', '20:00', '22:00', { genres: ['jazz'] }), event('c', '20:00', '22:00')], 'low', 20),
+    conflict([event('d', '20:00', '22:00', { genres: [] }), event('e', '20:00', '22:00', { genres: [] })], 'unscored')
+  ]);
+
+  assert.deepStrictEqual(analytics.byGenre, [
+    { genre: 'rock', count: 2 },
+    { genre: 'indie', count: 1 },
+    { genre: 'jazz', count: 1 }
+  ]);
+  assert.deepStrictEqual(analytics.bySource, [
+    { source: 'ticketmaster', count: 3 },
+    { source: 'bandsintown', count: 1 },
+    { source: 'seatgeek', count: 1 }
+  ]);
+  assert.deepStrictEqual(analytics.bySourcePair, [
+    { sources: 'ticketmaster+ticketmaster', count: 2 },
+    { sources: 'seatgeek+ticketmaster', count: 1 }
+  ]);
+  assert.deepStrictEqual(analytics.bySeverity, { high: 1, medium: 0, low: 1 });
+});
+
+test('the peak window widens over neighbouring hours with half the peak', () => {
+  const pair = (start, end) => conflict([event(`${start}a`, start, end), event(`${start}b`, start, end)]);
+  const analytics = buildConflictAnalytics([
+    pair('19:00', '21:00'),
+    pair('20:00', '21:00'),
+    pair('20:00', '21:00'),
+    pair('20:00', '21:00'),
+    pair('21:00', '22:00'),
+    pair('17:00', '18:00')
+  ]);
+
+  assert.deepStrictEqual(countsOf(analytics.byHour), { 17: 1, 19: 1, 20: 4, 21: 1 });
+  assert.deepStrictEqual(analytics.peakWindow, { weekday: 'Sat', label: 'Saturday', startHour: 20, endHour: 21, count: 4 });
+
+  const widened = buildConflictAnalytics([pair('19:00', '21:00'), pair('19:00', '21:00'), pair('20:00', '22:00')]);
+  assert.deepStrictEqual([widened.peakWindow.startHour, widened.peakWindow.endHour, widened.peakWindow.count], [19, 21, 3]);
+});
+
+test('the grid groups conflicts by midpoint cell, busiest cell first', () => {
+  const at = (id, lat, lon, venueName = `Venue ${id}`) => event(id, '20:00', '22:00', { venue: { name: venueName, lat, lon } });
+  const analytics = buildConflictAnalytics([
+    conflict([at('a', 40.7505, -73.9934, 'Madison Square Garden'), at('b', 40.7510, -73.9930, 'Hammerstein Ballroom')], 'high', 90),
+    conflict([at('c', 40.7505, -73.9934, 'Madison Square Garden'), at('d', 40.7500, -73.9940)], 'medium', 40),
+    conflict([at('e', 40.6826, -73.9754), at('f', 40.6830, -73.9750)], 'low', 15),
+    conflict([at('g', null, null), at('h', undefined, undefined)])
+  ], { cellSizeKm: 1 });
+
+  const { cells } = analytics.grid;
+  assert.strictEqual(analytics.grid.cellSizeKm, 1);
+  assert.strictEqual(cells.length, 2, 'conflicts without coordinates are not placed');
+  assert.deepStrictEqual([cells[0].count, cells[0].highSeverity, cells[0].averageScore], [2, 1, 65]);
+  assert.deepStrictEqual(cells[0].topVenues[0], { name: 'Madison Square Garden', count: 2 });
+  assert.deepStrictEqual([cells[0].peakWindow.startHour, cells[0].peakWindow.endHour], [20, 22]);
+  assert.deepStrictEqual([cells[1].count, cells[1].averageScore], [1, 15]);
+
+  const [south, west] = cells[0].bounds[0];
+  const [north, east] = cells[0].bounds[1];
+  assert.ok(south <= 40.7505 && 40.7505 <= north && west <= -73.9934 && -73.9934 <= east);
+  assert.ok(Math.abs((north - south) * 111.32 - 1) < 0.001, 'cells are 1 km tall');
+
+  assert.deepStrictEqual(analytics.heatPoints.map(point => point[2]), [1, 0.5]);
+  assert.deepStrictEqual(analytics.heatPoints[0].slice(0, 2), [cells[0].center.lat, cells[0].center.lon]);
+});
+
+run('Testing conflict analytics');
@@ -0,0 +1,166 @@
+/**
+ * Offline tests for scan diffs (src/utils/conflictDiff.js, src/utils/scanHistory.js)
+ * New, resolved and changed conflicts between two scans, and market keys that let
+ * a rolling date window find the previous scan
+ *
+ * Usage: node test-conflict-diff.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestRunner } = require('./test-harness');
+const { readConflicts, summarizeConflict, diffConflicts } = require('./src/utils/conflictDiff');
+const scanHistory = require('./src/utils/scanHistory');
+const ConflictDetector = require('./src/utils/conflictDetector');
+
+const { test, run } = createTestRunner();
+
+const ScanHistoryStore = scanHistory.constructor;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const tempPaths = [];
+const createHistory = storePath => {
+  const history = new ScanHistoryStore();
+  history.storePath = storePath || path.join(os.tmpdir(), `scan-history-${process.pid}-${tempPaths.length}.json`);
+  tempPaths.push(history.storePath, `${history.storePath}.tmp`);
+  return history;
+};
+
+const event = (id, venueId = `venue_${id}`) => ({
+  id,
+  name: `Event ${id}`,
+  source: 'ticketmaster',
+  start: '2026-11-15T01:00:00.000Z',
+  end: '2026-11-15T04:00:00.000Z',
+  genres: ['rock'],
+  venue: { id: venueId, name: `Venue ${venueId}`, lat: 40.72, lon: -73.99 }
+});
+
+const conflict = (id1, id2, severity, score) => {
+  const events = [event(id1), event(id2)];
+  return {
+    id: ConflictDetector.createConflictId(...events),
+    events,
+    conflictType: 'same_time_nearby',
+    severity,
+    score,
+    timeSlot: '8:00 PM - 11:00 PM'
+  };
+};
+
+const query = (startDate, days, overrides = {}) => ({
+  lat: 40.7128,
+  lon: -74.006,
+  radius: 10,
+  startDate: new Date(startDate).toISOString(),
+  endDate: new Date(new Date(startDate).getTime() + days * DAY_MS).toISOString(),
+  ...overrides
+});
+
+test('diffConflicts reports new, resolved and changed conflicts', () => {
+  const previous = [conflict('a', 'b', 'high', 80), conflict('a', 'c', 'medium', 50), conflict('d', 'e', 'low', 20)];
+  const current = [conflict('b', 'a', 'high', 82), conflict('a', 'c', 'high', 75), conflict('f', 'g', 'medium', 55)];
+
+  const diff = diffConflicts(previous, current);
+  assert.deepStrictEqual(diff.newConflicts, [current[2]]);
+  assert.deepStrictEqual(diff.resolvedConflicts, [summarizeConflict(previous[2])]);
+  assert.deepStrictEqual(diff.severityChanged, [{
+    id: current[1].id,
+    previousSeverity: 'medium',
+    severity: 'high',
+    previousScore: 50,
+    score: 75,
+    conflict: current[1]
+  }]);
+  assert.deepStrictEqual(diff.summary, {
+    previousCount: 3,
+    currentCount: 3,
+    new: 1,
+    resolved: 1,
+    severityChanged: 1,
+    unchanged: 1
+  });
+});
+
+test('diffConflicts gives conflicts without ids their event-pair id', () => {
+  const saved = conflict('a', 'b', 'medium', 50);
+  const legacy = { ...saved, id: undefined, events: [...saved.events].reverse() };
+
+  const diff = diffConflicts([legacy], [saved, saved]);
+  assert.deepStrictEqual(diff.summary, { previousCount: 1, currentCount: 1, new: 0, resolved: 0, severityChanged: 0, unchanged: 1 });
+  assert.strictEqual(summarizeConflict(legacy).id, saved.id);
+  assert.strictEqual(diffConflicts([], []).summary.currentCount, 0);
+});
+
+test('summarizeConflict keeps what a resolved conflict needs to be shown', () => {
+  const summary = summarizeConflict({ ...conflict('a', 'b', 'high', 80), scoreBreakdown: { timeOverlap: 1 }, explanation: {} });
+  assert.deepStrictEqual(Object.keys(summary), ['id', 'conflictType', 'severity', 'score', 'timeSlot', 'events']);
+  assert.deepStrictEqual(summary.events[0], {
+    id: 'a',
+    name: 'Event a',
+    start: '2026-11-15T01:00:00.000Z',
+    end: '2026-11-15T04:00:00.000Z',
+    source: 'ticketmaster',
+    venue: { id: 'venue_a', name: 'Venue venue_a' }
+  });
+});
+
+test('readConflicts accepts responses, saved scans and bare arrays', () => {
+  const conflicts = [conflict('a', 'b', 'low', 10)];
+  assert.strictEqual(readConflicts(conflicts), conflicts);
+  assert.strictEqual(readConflicts({ conflicts }), conflicts);
+  assert.strictEqual(readConflicts({ totalConflicts: 1 }), null);
+  assert.strictEqual(readConflicts(null), null);
+});
+
+test('getMarketKey matches a rolling window, not another market', () => {
+  const history = createHistory();
+  const today = query('2026-11-01T05:00:00Z', 30);
+  const tomorrow = query('2026-11-02T05:00:00Z', 30);
+  assert.strictEqual(history.getMarketKey(today), '40.713|-74.006|10|30d');
+  assert.strictEqual(history.getMarketKey(tomorrow), history.getMarketKey(today));
+
+  // A few metres away still counts as the same market
+  assert.strictEqual(history.getMarketKey({ ...today, lat: 40.71301 }), history.getMarketKey(today));
+  assert.notStrictEqual(history.getMarketKey(query('2026-11-01T05:00:00Z', 7)), history.getMarketKey(today));
+  assert.notStrictEqual(history.getMarketKey({ ...today, radius: 25 }), history.getMarketKey(today));
+  assert.notStrictEqual(history.getMarketKey({ ...today, lat: 40.75 }), history.getMarketKey(today));
+
+  assert.strictEqual(history.getMarketKey({ lat: 40.7128, lon: -74.006, radius: 10, startDate: today.startDate }), '40.713|-74.006|10|from');
+  assert.strictEqual(history.getMarketKey({ lat: 40.7128, lon: -74.006, radius: 10 }), '40.713|-74.006|10|');
+});
+
+test('findLatestScan returns the previous scan of the same market', () => {
+  const history = createHistory();
+  const first = history.saveScan(query('2026-11-01T05:00:00Z', 30), [conflict('a', 'b', 'low', 20)]);
+  history.saveScan(query('2026-11-01T05:00:00Z', 30, { radius: 25 }), []);
+  const second = history.saveScan(query('2026-11-02T05:00:00Z', 30), [conflict('a', 'b', 'high', 80), conflict('c', 'd', 'medium', 40)]);
+
+  assert.strictEqual(history.findLatestScan(query('2026-11-03T05:00:00Z', 30)), second);
+  assert.strictEqual(history.getScan(first.id), first);
+  assert.strictEqual(history.findLatestScan(query('2026-11-03T05:00:00Z', 7)), null);
+
+  // Diffing the saved summaries against each other, as compareTo does
+  const diff = diffConflicts(readConflicts(first), readConflicts(second));
+  assert.deepStrictEqual([diff.summary.new, diff.summary.severityChanged, diff.summary.resolved], [1, 1, 0]);
+});
+
+test('saved scans are written to the history file and loaded again', async () => {
+  const history = createHistory();
+  const scan = history.saveScan(query('2026-11-01T05:00:00Z', 30), [conflict('a', 'b', 'medium', 50)]);
+  history.saveScan(query('2026-11-01T05:00:00Z', 30, { radius: 25 }), []);
+  await history.save();
+
+  const reloaded = createHistory(history.storePath);
+  assert.deepStrictEqual(reloaded.getScan(scan.id), scan);
+  assert.strictEqual(reloaded.findLatestScan(query('2026-11-05T05:00:00Z', 30)).id, scan.id);
+  assert.strictEqual(fs.existsSync(`${history.storePath}.tmp`), false);
+});
+
+process.on('exit', () => {
+  tempPaths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+});
+
+run('Testing scan diffs');
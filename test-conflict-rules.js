@@ -0,0 +1,196 @@
+/**
+ * Offline tests for declarative conflict rules (src/utils/conflictRuleEngine.js)
+ * Validation, compilation, pair matching and the rules ConflictDetector picks up
+ *
+ * Usage: node test-conflict-rules.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestRunner } = require('./test-harness');
+const { validateRule, compileRules, matchRules, loadConfiguredRules } = require('./src/utils/conflictRuleEngine');
+const ConflictDetector = require('./src/utils/conflictDetector');
+
+const { test, run } = createTestRunner();
+
+const HOUR_MS = 60 * 60 * 1000;
+const NEW_YORK = 'America/New_York';
+
+const rule = (overrides = {}, conditions = {}) => ({
+  id: 'test_rule',
+  conflictType: 'test_conflict',
+  severity: 'medium',
+  ...overrides,
+  conditions
+});
+
+const event = (id, start, end, overrides = {}) => ({
+  id,
+  name: `Event ${id}`,
+  source: 'ticketmaster',
+  start,
+  end,
+  genres: ['rock'],
+  ...overrides,
+  venue: {
+    id: `venue_${id}`,
+    name: 'Club',
+    lat: 40.7128,
+    lon: -74.006,
+    timezone: NEW_YORK,
+    ...overrides.venue
+  }
+});
+
+const compile = rules => {
+  const { ruleSet, error } = compileRules(rules);
+  assert.strictEqual(error, undefined, error);
+  return ruleSet;
+};
+
+const matchIds = (ruleSet, event1, event2, context = {}) =>
+  matchRules(ruleSet, event1, event2, { distanceKm: 1, thresholdKm: 2, bufferMs: 0, ...context }).map(match => match.id);
+
+test('validateRule reports the first problem with a rule', () => {
+  assert.strictEqual(validateRule(rule()), null);
+  assert.match(validateRule(rule({ id: '' })), /needs an id/);
+  assert.match(validateRule(rule({ conflictType: 'Stadium Clash' })), /snake_case/);
+  assert.match(validateRule(rule({ severity: 'critical' })), /severity must be one of low, medium, high/);
+  assert.match(validateRule(rule({}, { maxDistanceKm: 500 })), /between 0 and 50 km/);
+  assert.match(validateRule(rule({}, { timeRelation: 'same_week' })), /timeRelation must be one of/);
+  assert.match(validateRule(rule({}, { timeRelation: 'within_hours' })), /withinHours is required/);
+  assert.match(validateRule(rule({}, { timeRelation: 'within_hours', withinHours: 72 })), /between 0 and 48/);
+  assert.match(validateRule(rule({}, { daysOfWeek: ['funday'] })), /weekday names/);
+  assert.match(validateRule(rule({}, { venue: { minCapacity: -1 } })), /minCapacity/);
+});
+
+test('compileRules skips disabled rules and sizes the candidate search', () => {
+  const ruleSet = compile([
+    rule({ id: 'near' }, { maxDistanceKm: 5, timeRelation: 'same_day' }),
+    rule({ id: 'soon' }, { maxDistanceKm: 3, timeRelation: 'within_hours', withinHours: 6 }),
+    rule({ id: 'off', enabled: false }, { maxDistanceKm: 40 })
+  ]);
+
+  assert.deepStrictEqual(ruleSet.rules.map(compiled => compiled.id), ['near', 'soon']);
+  assert.strictEqual(ruleSet.maxDistanceKm, 5);
+  assert.strictEqual(ruleSet.maxWindowMs, 24 * HOUR_MS);
+
+  assert.deepStrictEqual(compileRules([rule({ enabled: false })]), { ruleSet: null });
+  assert.match(compileRules([rule(), rule()]).error, /defined more than once/);
+  assert.match(compileRules({}).error, /must be an array/);
+});
+
+test('rules without maxDistanceKm use the venue proximity threshold', () => {
+  const ruleSet = compile([rule()]);
+  const first = event('a', '2026-11-14T01:00:00Z', '2026-11-14T03:00:00Z');
+  const second = event('b', '2026-11-14T02:00:00Z', '2026-11-14T04:00:00Z');
+
+  assert.deepStrictEqual(matchIds(ruleSet, first, second, { distanceKm: 1.5 }), ['test_rule']);
+  assert.deepStrictEqual(matchIds(ruleSet, first, second, { distanceKm: 2.5 }), []);
+  assert.deepStrictEqual(matchRules(null, first, second, { distanceKm: 0 }), []);
+});
+
+test('time relations: overlap, minOverlapMinutes, same_day and within_hours', () => {
+  const ruleSet = compile([
+    rule({ id: 'overlap' }),
+    rule({ id: 'long_overlap' }, { minOverlapMinutes: 90 }),
+    rule({ id: 'same_day' }, { timeRelation: 'same_day' }),
+    rule({ id: 'within_3h' }, { timeRelation: 'within_hours', withinHours: 3 })
+  ]);
+
+  // 13:00-16:00 and 15:00-18:00 New York time: one hour of overlap
+  const matinee = event('a', '2026-11-14T18:00:00Z', '2026-11-14T21:00:00Z');
+  const afternoon = event('b', '2026-11-14T20:00:00Z', '2026-11-14T23:00:00Z');
+  assert.deepStrictEqual(matchIds(ruleSet, matinee, afternoon), ['overlap', 'same_day', 'within_3h']);
+
+  // 18:00-21:00 New York time: no overlap, two hours after the matinee ends
+  const evening = event('c', '2026-11-14T23:00:00Z', '2026-11-15T02:00:00Z');
+  assert.deepStrictEqual(matchIds(ruleSet, matinee, evening), ['same_day', 'within_3h']);
+
+  // 22:00 the night before in New York, though already the 14th in UTC
+  const nightBefore = event('d', '2026-11-14T03:00:00Z', '2026-11-14T04:30:00Z');
+  assert.deepStrictEqual(matchIds(ruleSet, matinee, nightBefore), []);
+});
+
+test('per-event conditions must hold for both events', () => {
+  const ruleSet = compile([
+    rule({ id: 'stadiums' }, { venue: { nameIncludes: ['stadium', 'field'] } }),
+    rule({ id: 'big_rooms' }, { venue: { minCapacity: 10000 } }),
+    rule({ id: 'rock' }, { genres: ['Rock'] }),
+    rule({ id: 'shared' }, { sharedGenre: true }),
+    rule({ id: 'seatgeek' }, { sources: ['seatgeek'] }),
+    rule({ id: 'weekend' }, { daysOfWeek: ['Saturday', 'sun'] })
+  ]);
+
+  // Saturday 2026-11-14, evening in New York
+  const stadium = event('a', '2026-11-14T23:00:00Z', '2026-11-15T02:00:00Z', {
+    genres: ['rock', 'pop'],
+    venue: { name: 'MetLife Stadium', capacity: 82500 }
+  });
+  const field = event('b', '2026-11-14T23:30:00Z', '2026-11-15T02:30:00Z', {
+    source: 'seatgeek',
+    genres: ['pop'],
+    venue: { name: 'Citi Field' }
+  });
+
+  // Citi Field has no known capacity, and only the stadium show is rock / on Ticketmaster
+  assert.deepStrictEqual(matchIds(ruleSet, stadium, field), ['stadiums', 'shared', 'weekend']);
+});
+
+test('crossPlatform counts every provider a merged event was listed on', () => {
+  const ruleSet = compile([rule({ id: 'cross' }, { crossPlatform: true }), rule({ id: 'same' }, { crossPlatform: false })]);
+  const merged = event('a', '2026-11-14T23:00:00Z', '2026-11-15T02:00:00Z', {
+    sources: [{ provider: 'ticketmaster' }, { provider: 'seatgeek' }]
+  });
+  const seatgeek = event('b', '2026-11-14T23:00:00Z', '2026-11-15T02:00:00Z', { source: 'seatgeek' });
+  const eventbrite = event('c', '2026-11-14T23:00:00Z', '2026-11-15T02:00:00Z', { source: 'eventbrite' });
+
+  assert.deepStrictEqual(matchIds(ruleSet, merged, seatgeek), ['same']);
+  assert.deepStrictEqual(matchIds(ruleSet, merged, eventbrite), ['cross']);
+});
+
+test('loadConfiguredRules adds the rules from CONFLICT_RULES_PATH', () => {
+  const filePath = path.join(os.tmpdir(), `conflict-rules-${process.pid}.json`);
+  const original = process.env.CONFLICT_RULES_PATH;
+  fs.writeFileSync(filePath, JSON.stringify({ rules: [rule({ id: 'team_rule' })] }));
+  process.env.CONFLICT_RULES_PATH = filePath;
+
+  try {
+    const ids = loadConfiguredRules().map(loaded => loaded.id);
+    assert.ok(ids.includes('stadium_same_day'), 'default rules from src/config/conflictRules.json');
+    assert.strictEqual(ids[ids.length - 1], 'team_rule');
+  } finally {
+    if (original === undefined) {
+      delete process.env.CONFLICT_RULES_PATH;
+    } else {
+      process.env.CONFLICT_RULES_PATH = original;
+    }
+    fs.unlinkSync(filePath);
+  }
+});
+
+test('findConflicts reports a conflict only a rule catches, under the rule\'s type', () => {
+  const stadiumRule = loadConfiguredRules().find(loaded => loaded.id === 'stadium_same_day');
+  // An afternoon game and an evening concert about 3 km apart: no time overlap
+  const game = event('game', '2026-11-14T18:00:00Z', '2026-11-14T21:00:00Z', {
+    venue: { name: 'MetLife Stadium', lat: 40.8135, lon: -74.0745 }
+  });
+  const concert = event('concert', '2026-11-15T01:00:00Z', '2026-11-15T04:00:00Z', {
+    venue: { name: 'Meadowlands Field', lat: 40.8405, lon: -74.0745 }
+  });
+
+  assert.deepStrictEqual(ConflictDetector.findConflicts([game, concert], 30, null, true), []);
+
+  const conflicts = ConflictDetector.findConflicts([game, concert], 30, null, true, {
+    conflictRules: [{ ...stadiumRule, enabled: true }]
+  });
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].conflictType, 'stadium_same_day');
+  assert.strictEqual(conflicts[0].builtInConflictType, null);
+  assert.strictEqual(conflicts[0].severity, 'high');
+  assert.deepStrictEqual(conflicts[0].matchedRules.map(match => match.id), ['stadium_same_day']);
+});
+
+run('Testing conflict rules');
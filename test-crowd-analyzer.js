@@ -0,0 +1,139 @@
+/**
+ * Offline tests for overcrowding (src/utils/crowdAnalyzer.js)
+ * Expected attendance and its capacity source, the two-event minimum, hotspots
+ * that carry on across time slots and the cap on returned hotspots
+ *
+ * Usage: node test-crowd-analyzer.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { parseCrowdOptions, estimateAttendance, findCrowdHotspots } = require('./src/utils/crowdAnalyzer');
+
+const { test, run } = createTestRunner();
+
+const KM_PER_DEGREE_LAT = 111.19;
+const BASE_LAT = 40.75;
+const BASE_LON = -73.99;
+
+// A show `kmNorth` of the base point; times are UTC hours on 2026-11-14 (24+ runs past midnight)
+const show = (id, capacity, startHour, endHour, kmNorth = 0, extra = {}) => ({
+  id,
+  name: `Show ${id}`,
+  source: 'ticketmaster',
+  start: new Date(Date.UTC(2026, 10, 14, startHour)).toISOString(),
+  end: new Date(Date.UTC(2026, 10, 14, endHour)).toISOString(),
+  venue: {
+    id: `venue_${id}`,
+    name: `Venue ${id}`,
+    lat: BASE_LAT + kmNorth / KM_PER_DEGREE_LAT,
+    lon: BASE_LON,
+    capacity,
+    capacitySource: 'registry'
+  },
+  ...extra
+});
+
+// Every venue full, 40,000 people per area
+const OPTIONS = { crowdThreshold: 40000, radiusKm: 2, fillRate: 1 };
+
+const windowOf = hotspot => [hotspot.timeWindow.start.slice(11, 16), hotspot.timeWindow.end.slice(11, 16)];
+const idsOf = hotspot => hotspot.events.map(event => event.id);
+
+test('parseCrowdOptions applies defaults and rejects out-of-range values', () => {
+  const { options } = parseCrowdOptions({ crowdThreshold: '25000', fillRate: '0.5' });
+  assert.deepStrictEqual([options.crowdThreshold, options.fillRate], [25000, 0.5]);
+  assert.strictEqual(typeof options.radiusKm, 'number');
+
+  assert.match(parseCrowdOptions({ crowdThreshold: -1 }).error, /crowdThreshold/);
+  assert.match(parseCrowdOptions({ crowdRadiusKm: 30 }).error, /between 0 and 25/);
+  assert.match(parseCrowdOptions({ fillRate: 1.5 }).error, /between 0 and 1/);
+});
+
+test('estimateAttendance keeps the recorded capacity source or estimates from the name', () => {
+  assert.deepStrictEqual(estimateAttendance({ venue: { capacity: 20000, capacitySource: 'dataset' } }, 0.5), {
+    capacity: 20000,
+    capacitySource: 'dataset',
+    capacityEstimated: false,
+    expectedAttendance: 10000
+  });
+  assert.strictEqual(estimateAttendance({ venue: { capacity: '3000' } }).capacitySource, 'unknown');
+
+  const arena = estimateAttendance({ venue: { name: 'Barclays Center' } }, 1);
+  assert.deepStrictEqual([arena.capacity, arena.capacitySource, arena.capacityEstimated], [15000, 'name_hint', true]);
+  const unknown = estimateAttendance({ venue: { name: 'Pier 17', capacity: 0 } }, 1);
+  assert.deepStrictEqual([unknown.capacitySource, unknown.capacityEstimated], ['default', true]);
+});
+
+test('one event alone is never a hotspot, however large', () => {
+  const result = findCrowdHotspots([
+    show('stadium', 80000, 0, 4),
+    show('club', 300, 5, 7, 0.5)
+  ], OPTIONS);
+  assert.deepStrictEqual(result.hotspots, []);
+  assert.strictEqual(result.totalHotspots, 0);
+  assert.strictEqual(result.analyzedEvents, 2);
+});
+
+test('a crowd that lasts while shows start and end is one hotspot', () => {
+  const result = findCrowdHotspots([
+    show('early', 25000, 18, 21),
+    show('main', 25000, 19, 23, 0.5),
+    show('late', 25000, 20, 24, 1),
+    show('next_day', 25000, 42, 45),
+    show('next_day_2', 25000, 42, 45, 0.5)
+  ], OPTIONS);
+
+  assert.strictEqual(result.totalHotspots, 2);
+  const [evening, nextDay] = result.hotspots;
+  assert.deepStrictEqual(idsOf(evening), ['early', 'main', 'late']);
+  assert.deepStrictEqual(windowOf(evening), ['19:00', '23:00'], 'only the stretch with two or more shows running');
+  assert.strictEqual(evening.expectedAttendance, 75000, 'the peak, while all three overlap');
+  assert.deepStrictEqual([evening.ratio, evening.severity, evening.estimatedShare], [1.88, 'medium', 0]);
+
+  assert.deepStrictEqual(idsOf(nextDay), ['next_day', 'next_day_2']);
+  assert.strictEqual(nextDay.expectedAttendance, 50000);
+});
+
+test('a show linking two crowded areas merges their hotspots', () => {
+  // Two pairs 3 km apart; the small show in between is within 2 km of all four
+  const result = findCrowdHotspots([
+    show('west_1', 25000, 19, 23, 0),
+    show('west_2', 25000, 19, 23, 0.5),
+    show('middle', 1000, 20, 22, 1.9),
+    show('east_1', 25000, 19, 23, 3.3),
+    show('east_2', 25000, 19, 23, 3.8)
+  ], OPTIONS);
+
+  assert.strictEqual(result.totalHotspots, 1);
+  const [hotspot] = result.hotspots;
+  assert.deepStrictEqual(idsOf(hotspot).sort(), ['east_1', 'east_2', 'middle', 'west_1', 'west_2']);
+  assert.deepStrictEqual(windowOf(hotspot), ['19:00', '23:00']);
+  assert.strictEqual(hotspot.expectedAttendance, 101000);
+});
+
+test('only the busiest maxHotspots come back, with date-only and unplaced events skipped', () => {
+  const nights = [[18, 60000], [42, 90000], [66, 70000]].flatMap(([hour, attendance], night) => [
+    show(`night${night}_a`, attendance / 2, hour, hour + 3),
+    show(`night${night}_b`, attendance / 2, hour, hour + 3, 0.5)
+  ]);
+  const allDay = show('festival', 50000, 0, 24, 0.2, { timeKind: 'all_day' });
+  const unplaced = { ...show('unplaced', 50000, 18, 21), venue: { name: 'Somewhere' } };
+  const estimated = show('estimated', null, 18, 21, 1);
+  estimated.venue.name = 'Madison Square Garden';
+
+  const result = findCrowdHotspots([...nights, allDay, unplaced, estimated], { ...OPTIONS, maxHotspots: 2 });
+  assert.strictEqual(result.totalHotspots, 3);
+  assert.deepStrictEqual(result.hotspots.map(hotspot => [hotspot.id, hotspot.expectedAttendance]), [
+    ['crowd_1', 90000],
+    ['crowd_2', 75000]
+  ]);
+  assert.deepStrictEqual([result.analyzedEvents, result.skippedEvents, result.estimatedCapacityEvents], [7, 2, 1]);
+
+  // The first night plus the estimated arena
+  const withEstimate = result.hotspots[1];
+  assert.ok(idsOf(withEstimate).includes('estimated'));
+  assert.strictEqual(withEstimate.estimatedShare, 0.2);
+});
+
+run('Testing overcrowding');
@@ -0,0 +1,137 @@
+/**
+ * Offline tests for the open-date finder (src/utils/dateRecommender.js)
+ * Candidate slot validation, per-slot proposals and the ranking of slots by the
+ * conflicts they would create
+ *
+ * Usage: node test-date-recommender.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const {
+  MAX_RANGE_DAYS,
+  buildCandidateSlots,
+  buildSlotProposals,
+  rankSlotConflicts,
+  rankSlots
+} = require('./src/utils/dateRecommender');
+
+const { test, run } = createTestRunner();
+
+const VENUE = { name: 'Bowery Ballroom', lat: 40.7204, lon: -73.9934 };
+
+const slotsFor = input => {
+  const { slots, error } = buildCandidateSlots(input);
+  assert.strictEqual(error, undefined, error);
+  return slots;
+};
+
+const proposalsFor = (slots, proposal = { name: 'Planned Show', venue: VENUE, genres: ['rock'] }) => {
+  const { proposals, error } = buildSlotProposals(proposal, slots);
+  assert.strictEqual(error, undefined, error);
+  return proposals;
+};
+
+// Stand-in for a detected conflict with one competing event
+const conflictWith = (id, score, directCompetition = false) => ({
+  events: [{ id: 'proposal' }, { id, name: `Show ${id}`, venue: { id: `venue_${id}`, name: `Hall ${id}` }, source: 'ticketmaster' }],
+  score,
+  severity: 'medium',
+  conflictType: 'same_time_nearby',
+  sharedGenres: directCompetition ? ['rock'] : [],
+  directCompetition
+});
+
+test('buildCandidateSlots rejects impossible dates and reversed ranges', () => {
+  const errorFor = input => buildCandidateSlots(input).error;
+  assert.match(errorFor({ startDate: '2026-02-30', endDate: '2026-03-02' }), /YYYY-MM-DD/);
+  assert.match(errorFor({ startDate: '2026-02-27', endDate: '2026-02-29' }), /YYYY-MM-DD/, '2026 is not a leap year');
+  assert.match(errorFor({ startDate: '2026-3-01', endDate: '2026-03-02' }), /YYYY-MM-DD/);
+  assert.match(errorFor({ startDate: '2026-03-02', endDate: '2026-03-01' }), /endDate must not be before startDate/);
+  assert.strictEqual(slotsFor({ startDate: '2028-02-28', endDate: '2028-03-01' }).length, 3, '2028-02-29 exists');
+});
+
+test('buildCandidateSlots covers at most 90 days', () => {
+  assert.strictEqual(MAX_RANGE_DAYS, 90);
+  assert.strictEqual(slotsFor({ startDate: '2026-01-01', endDate: '2026-03-31' }).length, 90);
+  assert.match(buildCandidateSlots({ startDate: '2026-01-01', endDate: '2026-04-01' }).error, /at most 90 days/);
+});
+
+test('buildCandidateSlots crosses months with every start time', () => {
+  const slots = slotsFor({ startDate: '2026-10-31', endDate: '2026-11-01', startTimes: '21:00, 19:30,21:00' });
+  assert.deepStrictEqual(slots, [
+    { date: '2026-10-31', startTime: '19:30' },
+    { date: '2026-10-31', startTime: '21:00' },
+    { date: '2026-11-01', startTime: '19:30' },
+    { date: '2026-11-01', startTime: '21:00' }
+  ]);
+  assert.deepStrictEqual(slotsFor({ startDate: '2026-11-01', endDate: '2026-11-01' }), [{ date: '2026-11-01', startTime: '20:00' }]);
+
+  assert.match(buildCandidateSlots({ startDate: '2026-11-01', endDate: '2026-11-01', startTimes: ['24:00'] }).error, /HH:MM/);
+  const tooMany = ['17:00', '18:00', '19:00', '20:00', '21:00', '22:00', '23:00'];
+  assert.match(buildCandidateSlots({ startDate: '2026-11-01', endDate: '2026-11-01', startTimes: tooMany }).error, /1-6 times/);
+});
+
+test('buildSlotProposals builds a venue-local proposal for every slot', () => {
+  const proposals = proposalsFor(slotsFor({ startDate: '2026-11-07', endDate: '2026-11-08', startTimes: ['20:00'] }));
+  assert.deepStrictEqual(proposals.map(slot => [slot.date, slot.event.start]), [
+    ['2026-11-07', '2026-11-08T01:00:00.000Z'],
+    ['2026-11-08', '2026-11-09T01:00:00.000Z']
+  ]);
+  assert.match(buildSlotProposals({ venue: {} }, [{ date: '2026-11-07', startTime: '20:00' }]).error, /valid coordinates/);
+});
+
+test('rankSlotConflicts breaks score ties by conflict count, then slot order', () => {
+  const proposals = proposalsFor(slotsFor({ startDate: '2026-11-02', endDate: '2026-11-06' }));
+  const { recommendations, rejected } = rankSlotConflicts(proposals, [
+    [conflictWith('a', 30), conflictWith('b', 30)], // 60 from two conflicts
+    [conflictWith('c', 60, true)], // 60 from one
+    [],
+    [conflictWith('d', 60)], // Same as the second slot, but later
+    [conflictWith('e', 90)]
+  ], 3);
+
+  assert.deepStrictEqual(recommendations.map(slot => [slot.rank, slot.date, slot.totalScore]), [
+    [1, '2026-11-04', 0],
+    [2, '2026-11-03', 60],
+    [3, '2026-11-05', 60]
+  ]);
+  assert.deepStrictEqual(rejected.map(slot => [slot.rank, slot.date]), [[4, '2026-11-02'], [5, '2026-11-06']]);
+
+  const [, second] = recommendations;
+  assert.strictEqual(second.directCompetitionCount, 1);
+  assert.deepStrictEqual(second.competingEvents.map(event => [event.id, event.score]), [['c', 60]]);
+  assert.strictEqual(second.conflicts.length, 1);
+  assert.strictEqual(rejected[0].conflicts, undefined, 'rejected slots leave out the full conflicts');
+  assert.strictEqual(rejected[0].competingEvents.length, 2);
+});
+
+test('rankSlots puts the night without a show nearby first', () => {
+  const proposals = proposalsFor(slotsFor({ startDate: '2026-11-12', endDate: '2026-11-14' }));
+  // A room about 50 m away from the planned venue
+  const show = (id, start, end) => ({
+    id,
+    name: `Show ${id}`,
+    source: 'ticketmaster',
+    start,
+    end,
+    timeKind: 'timed',
+    genres: ['rock'],
+    venue: { id: 'venue_rockwood', name: 'Rockwood Music Hall', lat: 40.7208, lon: -73.9936, timezone: 'America/New_York' }
+  });
+  const market = [
+    show('thursday', '2026-11-13T01:00:00.000Z', '2026-11-13T04:00:00.000Z'),
+    show('saturday', '2026-11-15T01:30:00.000Z', '2026-11-15T04:00:00.000Z')
+  ];
+
+  const { recommendations } = rankSlots(proposals, market, { timeBuffer: 30, venueProximityThreshold: 1 });
+  assert.strictEqual(recommendations[0].date, '2026-11-13');
+  assert.strictEqual(recommendations[0].conflictCount, 0);
+
+  const competitorsByDate = Object.fromEntries(recommendations.map(slot => [slot.date, slot.competingEvents.map(event => event.id)]));
+  assert.deepStrictEqual(competitorsByDate, { '2026-11-12': ['thursday'], '2026-11-13': [], '2026-11-14': ['saturday'] });
+  assert.ok(recommendations[1].totalScore <= recommendations[2].totalScore);
+  assert.ok(recommendations[1].competingEvents[0].sharedGenres.includes('rock'));
+});
+
+run('Testing the open-date finder');
@@ -0,0 +1,136 @@
+/**
+ * Offline tests for the event time model (src/utils/eventTimeModel.js)
+ * Provider date/time fields resolved in the venue timezone into UTC instants
+ * and timed / all-day / multi-day kinds
+ *
+ * Usage: node test-event-time-model.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const {
+  TIME_KINDS,
+  addDays,
+  resolveEventTimes,
+  applyEstimatedEnd,
+  getTimeKind,
+  isTimedEvent
+} = require('./src/utils/eventTimeModel');
+
+const { test, run } = createTestRunner();
+
+const NEW_YORK = 'America/New_York';
+
+test('offset-less date-times are venue wall-clock times', () => {
+  assert.deepStrictEqual(resolveEventTimes({ startDateTime: '2026-11-14T20:00:00', timezone: NEW_YORK }), {
+    start: '2026-11-15T01:00:00.000Z',
+    end: null,
+    timeKind: TIME_KINDS.TIMED,
+    localStartDate: '2026-11-14',
+    localEndDate: null
+  });
+
+  // Daylight saving time moves the UTC instant, not the local time
+  const summer = resolveEventTimes({ startDateTime: '2026-07-04T20:00:00', timezone: NEW_YORK });
+  assert.strictEqual(summer.start, '2026-07-05T00:00:00.000Z');
+  assert.strictEqual(summer.localStartDate, '2026-07-04');
+});
+
+test('separate local date and time fields resolve like a date-time', () => {
+  const times = resolveEventTimes({ startDate: '2026-11-14', startTime: '20:00:00', timezone: NEW_YORK });
+  assert.strictEqual(times.start, '2026-11-15T01:00:00.000Z');
+  assert.strictEqual(times.timeKind, TIME_KINDS.TIMED);
+});
+
+test('UTC date-times keep their instant and get the venue-local date', () => {
+  const times = resolveEventTimes({
+    startDateTime: '2026-11-15T01:00:00Z',
+    endDateTime: '2026-11-15T04:00:00Z',
+    timezone: NEW_YORK
+  });
+
+  assert.strictEqual(times.start, '2026-11-15T01:00:00.000Z');
+  assert.strictEqual(times.end, '2026-11-15T04:00:00.000Z');
+  assert.strictEqual(times.timeKind, TIME_KINDS.TIMED);
+  assert.strictEqual(times.localStartDate, '2026-11-14', 'late-evening show stays on its local night');
+  assert.strictEqual(times.localEndDate, '2026-11-14');
+});
+
+test('date-only events cover the whole local day', () => {
+  assert.deepStrictEqual(resolveEventTimes({ startDate: '2026-11-14', timezone: NEW_YORK }), {
+    start: '2026-11-14T05:00:00.000Z',
+    end: '2026-11-15T05:00:00.000Z',
+    timeKind: TIME_KINDS.ALL_DAY,
+    localStartDate: '2026-11-14',
+    localEndDate: '2026-11-14'
+  });
+
+  const tokyo = resolveEventTimes({ startDate: '2026-11-14', timezone: 'Asia/Tokyo' });
+  assert.strictEqual(tokyo.start, '2026-11-13T15:00:00.000Z');
+  assert.strictEqual(tokyo.end, '2026-11-14T15:00:00.000Z');
+});
+
+test('timeUnknown ignores a placeholder start time', () => {
+  const times = resolveEventTimes({ startDate: '2026-11-14', startTime: '20:00:00', timeUnknown: true, timezone: NEW_YORK });
+  assert.strictEqual(times.timeKind, TIME_KINDS.ALL_DAY);
+  assert.strictEqual(times.start, '2026-11-14T05:00:00.000Z');
+});
+
+test('a later end date makes a multi-day event', () => {
+  assert.deepStrictEqual(resolveEventTimes({ startDate: '2026-11-21', endDate: '2026-11-22', timezone: NEW_YORK }), {
+    start: '2026-11-21T05:00:00.000Z',
+    end: '2026-11-23T05:00:00.000Z',
+    timeKind: TIME_KINDS.MULTI_DAY,
+    localStartDate: '2026-11-21',
+    localEndDate: '2026-11-22'
+  });
+
+  // Timed start with only an end date runs through the end of that day
+  const festival = resolveEventTimes({ startDateTime: '2026-11-21T12:00:00', endDate: '2026-11-23', timezone: NEW_YORK });
+  assert.strictEqual(festival.start, '2026-11-21T17:00:00.000Z');
+  assert.strictEqual(festival.end, '2026-11-24T05:00:00.000Z');
+  assert.strictEqual(festival.timeKind, TIME_KINDS.MULTI_DAY);
+  assert.strictEqual(festival.localEndDate, '2026-11-23');
+});
+
+test('an end before the start is dropped, and a missing start gives null', () => {
+  const times = resolveEventTimes({
+    startDateTime: '2026-11-14T20:00:00',
+    endDateTime: '2026-11-14T19:00:00',
+    timezone: NEW_YORK
+  });
+  assert.strictEqual(times.end, null);
+  assert.strictEqual(times.timeKind, TIME_KINDS.TIMED);
+
+  assert.strictEqual(resolveEventTimes({}), null);
+  assert.strictEqual(resolveEventTimes({ startDateTime: 'not a date' }), null);
+});
+
+test('applyEstimatedEnd fills the end and its local date', () => {
+  const times = resolveEventTimes({ startDateTime: '2026-11-14T22:00:00', timezone: NEW_YORK });
+
+  const estimated = applyEstimatedEnd(times, '2026-11-15T06:00:00.000Z', NEW_YORK);
+  assert.strictEqual(estimated.end, '2026-11-15T06:00:00.000Z');
+  assert.strictEqual(estimated.localEndDate, '2026-11-15', 'ends after local midnight');
+  assert.strictEqual(estimated.timeKind, TIME_KINDS.TIMED);
+
+  // Without an estimate the event ends when it starts
+  const unestimated = applyEstimatedEnd(times, null, NEW_YORK);
+  assert.strictEqual(unestimated.end, times.start);
+  assert.strictEqual(unestimated.localEndDate, '2026-11-14');
+});
+
+test('addDays crosses month and year boundaries', () => {
+  assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+  assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+  assert.strictEqual(addDays('2028-02-28', 1), '2028-02-29');
+});
+
+test('getTimeKind defaults to timed for events from older caches', () => {
+  assert.strictEqual(getTimeKind({}), TIME_KINDS.TIMED);
+  assert.strictEqual(getTimeKind({ timeKind: TIME_KINDS.MULTI_DAY }), TIME_KINDS.MULTI_DAY);
+  assert.strictEqual(isTimedEvent({}), true);
+  assert.strictEqual(isTimedEvent({ timeKind: TIME_KINDS.ALL_DAY }), false);
+});
+
+run('Testing the event time model');
@@ -0,0 +1,166 @@
+/**
+ * Offline tests for the Eventbrite provider
+ * Runs against venue and organization listing responses in fixtures/eventbrite/, shaped after
+ * the v3 /venues/:id/events/ and /organizations/:id/events/ documentation (the venue listing is
+ * two pages linked by a continuation token); network calls are answered by a fake node-fetch,
+ * so no token or connection is needed.
+ *
+ * Usage: node test-eventbrite.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { installFakeFetch, jsonResponse, createTestRunner } = require('./test-harness');
+const venuePage1 = require('./fixtures/eventbrite/venue-events-page-1.json');
+const venuePage2 = require('./fixtures/eventbrite/venue-events-page-2.json');
+const organizationPage = require('./fixtures/eventbrite/organization-events.json');
+
+process.env.EVENTBRITE_TOKEN = process.env.EVENTBRITE_TOKEN || 'test-token';
+process.env.EVENTBRITE_VENUE_IDS = '64512345';
+process.env.EVENTBRITE_ORGANIZATION_IDS = '2289914321';
+
+const { requests, responses } = installFakeFetch();
+
+const EventbriteService = require('./src/services/eventbrite');
+const providerRegistry = require('./src/services/providerRegistry');
+const cacheManager = require('./src/utils/cacheManager');
+
+EventbriteService.retryDelay = 1;
+
+const { test, run } = createTestRunner();
+const fixtureEvent = id => [...venuePage1.events, ...venuePage2.events, ...organizationPage.events]
+  .find(event => event.id === id);
+
+test('transformEvent maps a club show to the standard event shape', () => {
+  const event = EventbriteService.transformEvent(fixtureEvent('811230045671'));
+
+  assert.strictEqual(event.id, 'eb_811230045671');
+  assert.strictEqual(event.name, 'Basement Sessions: Indie Night');
+  assert.strictEqual(event.source, 'eventbrite');
+  assert.strictEqual(event.start, '2026-11-15T02:00:00.000Z');
+  assert.strictEqual(event.end, '2026-11-15T05:30:00.000Z');
+  assert.strictEqual(event.timeKind, 'timed');
+  assert.strictEqual(event.localStartDate, '2026-11-14');
+  assert.strictEqual(event.endEstimated, false);
+  assert.strictEqual(event.venue.name, 'Union Pool');
+  assert.strictEqual(event.venue.lat, 40.7155);
+  assert.strictEqual(event.venue.lon, -73.9515);
+  assert.strictEqual(event.venue.city, 'Brooklyn');
+  assert.strictEqual(event.venue.address, '484 Union Avenue, Brooklyn, NY 11211');
+  assert.strictEqual(event.venue.timezone, 'America/New_York');
+  assert.strictEqual(event.venue.capacity, 250);
+  assert.ok(event.venue.id, 'venue gets a registry id');
+  assert.deepStrictEqual(event.genres, ['music', 'indie', 'performance']);
+});
+
+test('transformEvent maps community events and multi-day festivals', () => {
+  const community = EventbriteService.transformEvent(fixtureEvent('811230045673'));
+  assert.deepStrictEqual(community.genres, ['charity & causes', 'fundraiser']);
+  assert.strictEqual(community.venue.capacity, null);
+
+  const festival = EventbriteService.transformEvent(fixtureEvent('811230045675'));
+  assert.strictEqual(festival.timeKind, 'multi_day');
+  assert.strictEqual(festival.localStartDate, '2026-11-21');
+  assert.strictEqual(festival.localEndDate, '2026-11-22');
+  assert.ok(festival.genres.includes('festival'));
+});
+
+test('transformEvent excludes online, unlocated and cancelled events', () => {
+  assert.strictEqual(EventbriteService.isOnlineEvent(fixtureEvent('811230045672')), true);
+  assert.strictEqual(EventbriteService.isOnlineEvent(fixtureEvent('811230045676')), true);
+  assert.strictEqual(EventbriteService.transformEvent(fixtureEvent('811230045672')), null);
+  assert.strictEqual(EventbriteService.transformEvent(fixtureEvent('811230045676')), null);
+  assert.strictEqual(EventbriteService.transformEvent(fixtureEvent('811230045674')), null);
+});
+
+test('getEventsByLocation lists each venue and organization within the date window', async () => {
+  requests.length = 0;
+  responses.push(jsonResponse(200, venuePage1), jsonResponse(200, venuePage2), jsonResponse(200, organizationPage));
+
+  const startDate = new Date('2026-11-14T05:00:00Z');
+  const endDate = new Date('2026-11-20T05:00:00Z');
+  const events = await EventbriteService.getEventsByLocation(40.7128, -74.006, 10, 'test-user', { startDate, endDate });
+
+  assert.strictEqual(requests.length, 3);
+  const [first, second, organization] = requests;
+  assert.strictEqual(first.url.origin + first.url.pathname, 'https://www.eventbriteapi.com/v3/venues/64512345/events/');
+  assert.strictEqual(first.headers.Authorization, `Bearer ${process.env.EVENTBRITE_TOKEN}`);
+  assert.strictEqual(first.url.searchParams.get('status'), 'live');
+  assert.strictEqual(first.url.searchParams.get('only_public'), 'true');
+  assert.strictEqual(first.url.searchParams.get('expand'), 'venue,category,subcategory,format');
+  // Local-time range, widened by a day each way
+  assert.strictEqual(first.url.searchParams.get('start_date.range_start'), '2026-11-13T05:00:00');
+  assert.strictEqual(first.url.searchParams.get('start_date.range_end'), '2026-11-21T05:00:00');
+  assert.strictEqual(first.url.searchParams.get('continuation'), null);
+  assert.strictEqual(second.url.searchParams.get('continuation'), venuePage1.pagination.continuation);
+
+  assert.strictEqual(organization.url.pathname, '/v3/organizations/2289914321/events/');
+  assert.strictEqual(organization.url.searchParams.get('time_filter'), 'current_future');
+  assert.strictEqual(organization.url.searchParams.get('start_date.range_start'), null);
+
+  // The indie night is listed by both sources, the Philadelphia event is outside the radius
+  // and the festival starts after endDate
+  assert.deepStrictEqual(events.map(event => event.id), ['eb_811230045671', 'eb_811230045677', 'eb_811230045673']);
+});
+
+test('getEventsByLocation skips Eventbrite when no venues or organizations are configured', async () => {
+  requests.length = 0;
+  const { venueIds, organizationIds } = EventbriteService;
+  EventbriteService.venueIds = [];
+  EventbriteService.organizationIds = [];
+
+  try {
+    const events = await EventbriteService.getEventsByLocation(40.7128, -74.006, 10, 'test-user', {});
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(EventbriteService.getHealth().configured, false);
+  } finally {
+    EventbriteService.venueIds = venueIds;
+    EventbriteService.organizationIds = organizationIds;
+  }
+});
+
+test('makeApiRequest retries 429 responses and stops at maxPages', async () => {
+  requests.length = 0;
+  const maxPages = EventbriteService.maxPages;
+  EventbriteService.maxPages = 1;
+  responses.push(jsonResponse(429, { error: 'HIT_RATE_LIMIT' }, { 'Retry-After': '0' }));
+  responses.push(jsonResponse(200, venuePage1), jsonResponse(200, organizationPage));
+
+  try {
+    const events = await EventbriteService.makeApiRequest(40.7128, -74.006, 10, {}, false);
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(events.map(event => event.id), ['eb_811230045671', 'eb_811230045673', 'eb_811230045675']);
+  } finally {
+    EventbriteService.maxPages = maxPages;
+  }
+});
+
+test('makeApiRequest does not cache a partial result after a failed page', async () => {
+  requests.length = 0;
+  const cached = [];
+  const originalSet = cacheManager.set;
+  cacheManager.set = async (...args) => { cached.push(args); };
+  responses.push(jsonResponse(200, venuePage1));
+  for (let i = 0; i <= EventbriteService.maxRetries; i++) {
+    responses.push(jsonResponse(502, { error: 'BAD_GATEWAY' }));
+  }
+  responses.push(jsonResponse(200, organizationPage));
+
+  try {
+    const events = await EventbriteService.makeApiRequest(40.7128, -74.006, 10, {}, true);
+    assert.strictEqual(requests.length, EventbriteService.maxRetries + 3);
+    assert.strictEqual(events.length, 3, 'events from the loaded pages are still returned');
+    assert.strictEqual(cached.length, 0);
+  } finally {
+    cacheManager.set = originalSet;
+  }
+});
+
+test('Eventbrite is registered as a provider with rate limits', () => {
+  assert.strictEqual(providerRegistry.getProvider('eventbrite'), EventbriteService);
+  assert.ok(providerRegistry.getRateLimitConfig('eventbrite'), 'rateLimits.js has an eventbrite entry');
+  assert.strictEqual(EventbriteService.getHealth().configured, true);
+});
+
+run(`Testing Eventbrite provider (fixtures: ${path.join('fixtures', 'eventbrite')})`);
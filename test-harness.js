@@ -0,0 +1,103 @@
+/**
+ * Shared harness for the offline test scripts
+ * Register cases with test() and finish with run(); console output from a case is only
+ * shown when it fails. Provider tests (test-seatgeek.js,
+ * test-eventbrite.js) install the fake node-fetch before requiring the service and queue
+ * responses with jsonResponse().
+ */
+
+// Fake node-fetch: replays queued responses and records the requests ({ url, headers })
+function installFakeFetch() {
+  const requests = [];
+  const responses = [];
+  const modulePath = require.resolve('node-fetch');
+
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: async (url, init = {}) => {
+      requests.push({ url: new URL(url), headers: init.headers || {} });
+      const next = responses.shift();
+      if (!next) {
+        throw new Error(`Unexpected request: ${url}`);
+      }
+      return next;
+    }
+  };
+
+  return { requests, responses };
+}
+
+// Minimal node-fetch Response with a JSON body
+const jsonResponse = (status, body, headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: name => headers[name] ?? null },
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+/**
+ * Run fn with console output captured instead of printed (retry warnings and
+ * API errors the cases provoke on purpose)
+ * @returns {Promise<Array<string>>} - Captured lines; rejections carry them as error.output
+ */
+async function captureConsole(fn) {
+  const output = [];
+  const originals = CONSOLE_METHODS.map(method => console[method]);
+  CONSOLE_METHODS.forEach(method => {
+    console[method] = (...args) => output.push(args.map(arg => (arg instanceof Error ? arg.stack : String(arg))).join(' '));
+  });
+
+  try {
+    await fn();
+    return output;
+  } catch (error) {
+    error.output = output;
+    throw error;
+  } finally {
+    CONSOLE_METHODS.forEach((method, index) => {
+      console[method] = originals[index];
+    });
+  }
+}
+
+// Runs the registered cases in order and exits non-zero when any fail
+// A passing case prints one line; a failing one also prints what it logged
+function createTestRunner() {
+  const tests = [];
+
+  const test = (name, fn) => tests.push({ name, fn });
+
+  const run = async title => {
+    console.log(`🧪 ${title}\n`);
+    let failed = 0;
+
+    for (const { name, fn } of tests) {
+      try {
+        await captureConsole(fn);
+        console.log(`   ✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.log(`   ❌ ${name}`);
+        console.log(`      ${error.message}`);
+        (error.output || []).forEach(line => console.log(`      | ${line}`));
+      }
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+    process.exit(failed > 0 ? 1 : 0);
+  };
+
+  return { test, run };
+}
+
+module.exports = {
+  installFakeFetch,
+  jsonResponse,
+  captureConsole,
+  createTestRunner
+};
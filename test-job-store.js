@@ -0,0 +1,171 @@
+/**
+ * Offline tests for the conflict job store (src/utils/jobStore.js)
+ * The createJob → updateJob → getJob lifecycle behind /api/conflicts/jobs, the
+ * in-memory limit and the Redis copy shared between instances
+ *
+ * Usage: node test-job-store.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const jobStore = require('./src/utils/jobStore');
+const cacheManager = require('./src/utils/cacheManager');
+
+const { test, run } = createTestRunner();
+
+const ConflictJobStore = jobStore.constructor;
+const PARAMS = { lat: 40.7128, lon: -74.006, radius: 10 };
+
+// Minimal stand-in for the cache manager's Redis client
+const withFakeRedis = async fn => {
+  const original = { connected: cacheManager.connected, client: cacheManager.client };
+  const data = new Map();
+  cacheManager.connected = true;
+  cacheManager.client = {
+    setEx: async (key, ttl, value) => data.set(key, { ttl, value }),
+    get: async key => (data.has(key) ? data.get(key).value : null)
+  };
+  try {
+    await fn(data);
+  } finally {
+    Object.assign(cacheManager, original);
+  }
+};
+
+test('createJob stores a queued job', async () => {
+  const store = new ConflictJobStore();
+  const job = await store.createJob(PARAMS);
+
+  assert.match(job.id, /^job_[0-9a-f]{16}$/);
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.stage, 'queued');
+  assert.deepStrictEqual(job.params, PARAMS);
+  assert.strictEqual(job.progress.percent, 0);
+  assert.strictEqual(job.createdAt, job.updatedAt);
+  assert.strictEqual(job.completedAt, null);
+
+  assert.strictEqual(await store.getJob(job.id), job);
+  assert.strictEqual(await store.getJob('job_missing'), null);
+});
+
+test('updateJob merges progress and keeps the other fields', async () => {
+  const store = new ConflictJobStore();
+  const job = await store.createJob(PARAMS);
+
+  await store.updateJob(job, { status: 'running', stage: 'fetching', progress: { providersFetched: { ticketmaster: 12 } } });
+  await store.updateJob(job, { stage: 'detecting', progress: { totalEvents: 12, pairsEvaluated: 30, percent: 45 } });
+
+  const stored = await store.getJob(job.id);
+  assert.strictEqual(stored.status, 'running');
+  assert.strictEqual(stored.stage, 'detecting');
+  assert.deepStrictEqual(stored.progress, {
+    providersFetched: { ticketmaster: 12 },
+    totalEvents: 12,
+    eventsDeduplicated: null,
+    pairsEvaluated: 30,
+    totalPairs: null,
+    conflictsFound: 0,
+    percent: 45
+  });
+  assert.strictEqual(stored.completedAt, null, 'a running job is not complete');
+});
+
+test('completedAt is set once a job completes or fails', async () => {
+  const store = new ConflictJobStore();
+  const completed = await store.createJob(PARAMS);
+  await store.updateJob(completed, { status: 'completed', stage: 'completed', result: { conflicts: [] }, progress: { percent: 100 } });
+
+  assert.ok(completed.completedAt);
+  assert.strictEqual(completed.completedAt, completed.updatedAt);
+  assert.deepStrictEqual((await store.getJob(completed.id)).result, { conflicts: [] });
+
+  // Later updates leave the completion time alone
+  const { completedAt } = completed;
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.updateJob(completed, { stage: 'completed' });
+  assert.strictEqual(completed.completedAt, completedAt);
+  assert.notStrictEqual(completed.updatedAt, completedAt);
+
+  const failed = await store.createJob(PARAMS);
+  await store.updateJob(failed, { status: 'failed', error: { error: 'Internal server error' } });
+  assert.strictEqual(failed.completedAt, failed.updatedAt);
+});
+
+test('prune drops finished jobs first once the store is full', async () => {
+  const store = new ConflictJobStore();
+  const limit = store.maxMemoryJobs;
+  assert.strictEqual(limit, 200);
+
+  // Oldest first: a running job, then finished and queued jobs up to the limit
+  const running = await store.createJob(PARAMS);
+  await store.updateJob(running, { status: 'running' });
+  const finished = [];
+  for (let index = 0; index < 10; index++) {
+    const job = await store.createJob(PARAMS);
+    await store.updateJob(job, { status: index % 2 ? 'failed' : 'completed' });
+    finished.push(job);
+  }
+  while (store.jobs.size < limit) {
+    await store.createJob(PARAMS);
+  }
+  assert.strictEqual(store.jobs.size, limit);
+
+  const newest = await store.createJob(PARAMS);
+  await store.createJob(PARAMS);
+  assert.strictEqual(store.jobs.size, limit);
+
+  assert.strictEqual(await store.getJob(running.id), running, 'the oldest job is still running');
+  assert.strictEqual(await store.getJob(finished[0].id), null);
+  assert.strictEqual(await store.getJob(finished[1].id), null);
+  assert.strictEqual(await store.getJob(finished[2].id), finished[2]);
+  assert.strictEqual(await store.getJob(newest.id), newest);
+
+  const stats = store.getStats();
+  assert.strictEqual(stats.storage, 'memory');
+  assert.deepStrictEqual([stats.running, stats.completed, stats.failed], [1, 4, 4]);
+  assert.strictEqual(stats.queued, limit - 9);
+});
+
+test('prune never drops unfinished jobs, even past the limit', async () => {
+  const store = new ConflictJobStore();
+  store.maxMemoryJobs = 3;
+  const jobs = [];
+  for (let index = 0; index < 5; index++) {
+    jobs.push(await store.createJob(PARAMS));
+  }
+  assert.strictEqual(store.jobs.size, 5);
+
+  await store.updateJob(jobs[3], { status: 'completed' });
+  await store.updateJob(jobs[0], { status: 'failed' });
+  assert.deepStrictEqual([...store.jobs.keys()], [jobs[1].id, jobs[2].id, jobs[4].id]);
+});
+
+test('expired jobs are dropped', async () => {
+  const store = new ConflictJobStore();
+  const job = await store.createJob(PARAMS);
+  store.jobs.get(job.id).expiresAt = Date.now() - 1;
+
+  assert.strictEqual(await store.getJob(job.id), null);
+  assert.strictEqual(store.jobs.size, 0);
+});
+
+test('jobs are copied to Redis so other instances can report them', async () => {
+  await withFakeRedis(async data => {
+    const store = new ConflictJobStore();
+    const job = await store.createJob(PARAMS);
+    await store.updateJob(job, { status: 'running', progress: { percent: 20 } });
+
+    const saved = data.get(`conflict_job:${job.id}`);
+    assert.strictEqual(saved.ttl, store.ttlSeconds);
+    assert.strictEqual(JSON.parse(saved.value).progress.percent, 20);
+
+    // Another instance has no in-memory copy
+    const other = new ConflictJobStore();
+    const fromRedis = await other.getJob(job.id);
+    assert.strictEqual(fromRedis.status, 'running');
+    assert.strictEqual(fromRedis.progress.percent, 20);
+    assert.strictEqual(other.getStats().storage, 'redis');
+  });
+});
+
+run('Testing the conflict job store');
@@ -0,0 +1,119 @@
+/**
+ * Offline tests for metro regions (src/utils/metroRegions.js)
+ * GeoJSON parsing, point-in-polygon checks and the regions in
+ * src/config/metroRegions.geojson
+ *
+ * Usage: node test-metro-regions.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const {
+  parseMetroRegions,
+  isPointInPolygon,
+  isPointInRegion,
+  loadMetroRegions,
+  toFeatureCollection
+} = require('./src/utils/metroRegions');
+const ConflictDetector = require('./src/utils/conflictDetector');
+
+const { test, run } = createTestRunner();
+
+// GeoJSON positions are [lon, lat]; rings are closed
+const square = (minLon, minLat, maxLon, maxLat) => [
+  [minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]
+];
+// L shape: the square 0..2 x 0..2 minus its top-right quarter
+const L_SHAPE = [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]];
+
+const feature = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+const collection = features => ({ type: 'FeatureCollection', features });
+const parseOne = (properties, geometry) => {
+  const { regions, error } = parseMetroRegions(collection([feature(properties, geometry)]));
+  assert.strictEqual(error, undefined, error);
+  return regions[0];
+};
+
+test('isPointInPolygon reads positions as [lon, lat]', () => {
+  const polygon = [square(10, 50, 11, 51)];
+  assert.strictEqual(isPointInPolygon(50.5, 10.5, polygon), true);
+  assert.strictEqual(isPointInPolygon(10.5, 50.5, polygon), false, 'lat/lon swapped');
+});
+
+test('isPointInPolygon handles concave outlines', () => {
+  assert.strictEqual(isPointInPolygon(0.5, 0.5, L_SHAPE), true);
+  assert.strictEqual(isPointInPolygon(1.5, 0.5, L_SHAPE), true);
+  assert.strictEqual(isPointInPolygon(0.5, 1.5, L_SHAPE), true);
+  assert.strictEqual(isPointInPolygon(1.5, 1.5, L_SHAPE), false, 'inside the bounding box, outside the shape');
+  assert.strictEqual(isPointInPolygon(3, 3, L_SHAPE), false);
+});
+
+test('isPointInPolygon excludes holes', () => {
+  const withHole = [square(0, 0, 4, 4), square(1, 1, 3, 3)];
+  assert.strictEqual(isPointInPolygon(0.5, 0.5, withHole), true);
+  assert.strictEqual(isPointInPolygon(2, 2, withHole), false);
+  assert.strictEqual(isPointInPolygon(3.5, 3.5, withHole), true);
+});
+
+test('isPointInRegion checks every polygon of a MultiPolygon', () => {
+  const region = parseOne({ name: 'twin_cities' }, {
+    type: 'MultiPolygon',
+    coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6)]]
+  });
+
+  assert.deepStrictEqual(region.bbox, [0, 0, 6, 6]);
+  assert.strictEqual(isPointInRegion(0.5, 0.5, region), true);
+  assert.strictEqual(isPointInRegion(5.5, 5.5, region), true);
+  assert.strictEqual(isPointInRegion(3, 3, region), false, 'between the polygons');
+  assert.strictEqual(isPointInRegion(7, 7, region), false, 'outside the bounding box');
+});
+
+test('parseMetroRegions keeps labels and positive thresholds', () => {
+  const region = parseOne(
+    { name: ' austin ', label: 'Austin', baseThresholdKm: 1.5, metroThresholdKm: 2, maxThresholdKm: 4 },
+    { type: 'Polygon', coordinates: [square(-98, 30, -97.5, 30.5)] }
+  );
+
+  assert.strictEqual(region.name, 'austin');
+  assert.strictEqual(region.label, 'Austin');
+  assert.strictEqual(region.baseThresholdKm, 1.5);
+  assert.strictEqual(region.metroThresholdKm, 2);
+  assert.strictEqual(region.maxThresholdKm, 4);
+  assert.strictEqual(parseOne({ name: 'unlabelled' }, { type: 'Polygon', coordinates: [square(0, 0, 1, 1)] }).label, 'unlabelled');
+});
+
+test('parseMetroRegions rejects malformed collections', () => {
+  const polygon = { type: 'Polygon', coordinates: [square(0, 0, 1, 1)] };
+  const errorFor = geojson => parseMetroRegions(geojson).error;
+
+  assert.match(errorFor({ type: 'Feature' }), /FeatureCollection/);
+  assert.match(errorFor(collection([feature({}, polygon)])), /Feature #1 needs a name/);
+  assert.match(errorFor(collection([feature({ name: 'point' }, { type: 'Point', coordinates: [0, 0] })])), /Polygon or MultiPolygon/);
+  assert.match(errorFor(collection([feature({ name: 'open' }, { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] })])), /Polygon or MultiPolygon/);
+  assert.match(errorFor(collection([feature({ name: 'off_map' }, { type: 'Polygon', coordinates: [square(0, 0, 200, 1)] })])), /Polygon or MultiPolygon/);
+  assert.match(errorFor(collection([feature({ name: 'zero', metroThresholdKm: 0 }, polygon)])), /metroThresholdKm must be a positive number/);
+  assert.match(errorFor(collection([feature({ name: 'twice' }, polygon), feature({ name: 'twice' }, polygon)])), /defined more than once/);
+});
+
+test('toFeatureCollection round-trips parsed regions', () => {
+  const geojson = collection([
+    feature({ name: 'boston', label: 'Boston', metroThresholdKm: 2.5 }, { type: 'Polygon', coordinates: [square(-71.2, 42.2, -70.9, 42.5)] })
+  ]);
+  const { regions } = parseMetroRegions(geojson);
+  assert.deepStrictEqual(toFeatureCollection(regions), geojson);
+});
+
+test('configured regions cover the metro areas they name', () => {
+  const names = loadMetroRegions().map(region => region.name);
+  assert.ok(names.includes('new_york') && names.includes('chicago') && names.includes('austin'), names.join(', '));
+
+  const regionAt = (lat, lon) => ConflictDetector.findMetroRegion(lat, lon)?.name || null;
+  assert.strictEqual(regionAt(40.758, -73.9855), 'new_york', 'Times Square');
+  assert.strictEqual(regionAt(40.6782, -73.9442), 'new_york', 'Brooklyn');
+  assert.strictEqual(regionAt(41.8837, -87.6278), 'chicago', 'the Loop');
+  assert.strictEqual(regionAt(51.5074, -0.1278), 'london');
+  assert.strictEqual(regionAt(38.5, -98), null, 'rural Kansas');
+  assert.strictEqual(ConflictDetector.findMetroRegion(30.2672, -97.7431).maxThresholdKm, 4);
+});
+
+run('Testing metro regions');
@@ -0,0 +1,101 @@
+/**
+ * Offline tests for headliner name matching (src/utils/nameMatcher.js) and the
+ * duplicate merge rule built on it
+ *
+ * Usage: node test-name-matcher.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { extractHeadliner, getNameKey, compareNames, calculateStringSimilarity } = require('./src/utils/nameMatcher');
+const ConflictDetector = require('./src/utils/conflictDetector');
+
+const { test, run } = createTestRunner();
+
+const COLDPLAY_LISTINGS = ['Coldplay w/ Special Guests', 'Coldplay: Music of the Spheres Tour', 'COLDPLAY'];
+
+test('extractHeadliner strips support acts, tour names and case', () => {
+  COLDPLAY_LISTINGS.forEach(name => {
+    assert.deepStrictEqual(extractHeadliner(name), { headliner: 'coldplay', tokens: ['coldplay'] }, name);
+  });
+});
+
+test('extractHeadliner strips promoter prefixes, accents, articles and noise', () => {
+  assert.strictEqual(extractHeadliner('Live Nation presents: Coldplay').headliner, 'coldplay');
+  assert.strictEqual(extractHeadliner('Beyoncé - Renaissance World Tour 2026').headliner, 'beyonce');
+  assert.strictEqual(extractHeadliner('The National feat. Phoebe Bridgers').headliner, 'national');
+  assert.strictEqual(extractHeadliner('An Evening with Bon Iver (Late Show)').headliner, 'bon iver');
+});
+
+test('extractHeadliner falls back to the whole name when stripping leaves nothing', () => {
+  assert.strictEqual(extractHeadliner('(Sold Out)').headliner, 'sold out');
+  assert.deepStrictEqual(extractHeadliner(''), { headliner: '', tokens: [] });
+  assert.deepStrictEqual(extractHeadliner(null), { headliner: '', tokens: [] });
+});
+
+test('getNameKey gives every Coldplay listing the same key', () => {
+  const keys = new Set(COLDPLAY_LISTINGS.map(getNameKey));
+  assert.deepStrictEqual(Array.from(keys), ['coldplay']);
+  assert.strictEqual(getNameKey('Iver Bon'), getNameKey('Bon Iver'), 'tokens are sorted');
+});
+
+test('compareNames matches the Coldplay listings as one headliner', () => {
+  assert.deepStrictEqual(compareNames(COLDPLAY_LISTINGS[0], COLDPLAY_LISTINGS[1]),
+    { similarity: 1, headliner: 'coldplay', matchedBy: 'headliner' });
+  assert.deepStrictEqual(compareNames(COLDPLAY_LISTINGS[1], COLDPLAY_LISTINGS[2]),
+    { similarity: 1, headliner: 'coldplay', matchedBy: 'headliner' });
+  assert.deepStrictEqual(compareNames('COLDPLAY', 'Coldplay'),
+    { similarity: 1, headliner: 'coldplay', matchedBy: 'exact' });
+});
+
+test('compareNames only matches short names exactly', () => {
+  ['ABBA|ABBE', 'Muse|Mute', 'Blur|Bush'].forEach(pair => {
+    const [first, second] = pair.split('|');
+    assert.deepStrictEqual(compareNames(first, second), { similarity: 0, headliner: null, matchedBy: null }, pair);
+  });
+  assert.strictEqual(compareNames('Muse', 'MUSE').matchedBy, 'exact');
+});
+
+test('compareNames scores typos, partial names and unrelated names', () => {
+  const typo = compareNames('Metallica', 'Metalica');
+  assert.strictEqual(typo.matchedBy, 'fuzzy');
+  assert.ok(typo.similarity > 0.85, `typo scores ${typo.similarity}`);
+
+  assert.deepStrictEqual(compareNames('Arctic Monkeys', 'Monkeys'), { similarity: 0.5, headliner: null, matchedBy: 'token_set' });
+  assert.ok(compareNames('Radiohead', 'Coldplay').similarity < 0.5);
+  assert.strictEqual(compareNames('', 'Coldplay').matchedBy, null);
+});
+
+test('calculateStringSimilarity is edit-distance based and rejects very different lengths', () => {
+  assert.strictEqual(calculateStringSimilarity('abc', 'abc'), 1);
+  assert.strictEqual(calculateStringSimilarity('ab', 'abcdef'), 0);
+  assert.strictEqual(calculateStringSimilarity('', 'abc'), 0);
+  assert.strictEqual(calculateStringSimilarity('kitten', 'sitting'), 1 - 3 / 7);
+});
+
+test('mergeDuplicates merges the Coldplay listings but keeps short unrelated names apart', () => {
+  const venue = { id: 'venue_metlife', name: 'MetLife Stadium', lat: 40.8135, lon: -74.0745, timezone: 'America/New_York' };
+  const listing = (id, name, source) => ({
+    id,
+    name,
+    source,
+    start: '2026-06-06T23:30:00Z',
+    end: '2026-06-07T02:30:00Z',
+    venue: { ...venue },
+    genres: ['rock']
+  });
+
+  const merged = ConflictDetector.mergeDuplicates([
+    listing('tm_1', COLDPLAY_LISTINGS[0], 'ticketmaster'),
+    listing('sg_1', COLDPLAY_LISTINGS[1], 'seatgeek'),
+    listing('bit_1', COLDPLAY_LISTINGS[2], 'bandsintown'),
+    listing('tm_2', 'Muse', 'ticketmaster'),
+    listing('sg_2', 'Mute', 'seatgeek')
+  ]);
+
+  assert.deepStrictEqual(merged.map(event => event.id), ['tm_1', 'tm_2', 'sg_2']);
+  assert.strictEqual(merged[0].duplicateRule, 'headliner_match');
+  assert.deepStrictEqual(merged[0].sources.map(source => source.provider), ['ticketmaster', 'seatgeek', 'bandsintown']);
+});
+
+run('Testing name matching');
@@ -0,0 +1,106 @@
+/**
+ * Offline tests for proposed events (src/utils/proposedEvent.js)
+ * Validation, venue-local times, durations and registry venues for a "what if"
+ * booking, and its conflicts with the market
+ *
+ * Usage: node test-proposed-event.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { PROPOSAL_EVENT_ID, buildProposedEvent } = require('./src/utils/proposedEvent');
+const ConflictDetector = require('./src/utils/conflictDetector');
+
+const { test, run } = createTestRunner();
+
+const MSG = { name: 'Madison Square Garden', lat: 40.7505, lon: -73.9934 };
+
+const build = input => {
+  const { event, error } = buildProposedEvent(input);
+  assert.strictEqual(error, undefined, error);
+  return event;
+};
+
+test('buildProposedEvent rejects missing coordinates, times and bad durations', () => {
+  const errorFor = input => buildProposedEvent(input).error;
+  assert.match(errorFor(null), /A proposal object is required/);
+  assert.match(errorFor({ venue: { lat: 95, lon: 0 }, start: '2026-11-14T20:00' }), /valid coordinates/);
+  assert.match(errorFor({ venue: { ...MSG, timezone: 'Mars/Olympus' }, start: '2026-11-14T20:00' }), /IANA timezone/);
+  assert.match(errorFor({ venue: MSG }), /proposal.start must be an ISO date or date-time/);
+  assert.match(errorFor({ venue: MSG, start: 'next friday' }), /proposal.start must be an ISO date or date-time/);
+  assert.match(errorFor({ venue: MSG, start: '2026-11-14T20:00', end: '2026-11-14T19:00' }), /proposal.end must be a date-time after proposal.start/);
+  assert.match(errorFor({ venue: MSG, start: '2026-11-14T20:00', durationMinutes: 0 }), /durationMinutes must be between 1 and 20160/);
+});
+
+test('offset-less starts are venue wall-clock time and the end is estimated', () => {
+  const event = build({ name: ' Arena Show ', venue: MSG, start: '2026-11-14T20:00', genres: 'rock, pop, rock' });
+
+  assert.strictEqual(event.id, PROPOSAL_EVENT_ID);
+  assert.strictEqual(event.source, PROPOSAL_EVENT_ID);
+  assert.strictEqual(event.name, 'Arena Show');
+  assert.strictEqual(event.start, '2026-11-15T01:00:00.000Z');
+  assert.strictEqual(event.end, '2026-11-15T03:00:00.000Z');
+  assert.strictEqual(event.localStartDate, '2026-11-14');
+  assert.deepStrictEqual([event.endEstimated, event.estimatedDurationMinutes], [true, 120]);
+  assert.deepStrictEqual(event.genres, ['rock', 'pop']);
+  assert.strictEqual(event.venue.timezone, 'America/New_York', 'looked up from the coordinates');
+});
+
+test('an explicit end or duration is used as given', () => {
+  const withEnd = build({ venue: MSG, start: '2026-11-14T19:00', end: '2026-11-14T23:30' });
+  assert.strictEqual(withEnd.end, '2026-11-15T04:30:00.000Z');
+  assert.strictEqual(withEnd.endEstimated, false);
+
+  // The duration wins over an end
+  const withDuration = build({ venue: MSG, start: '2026-11-14T19:00', end: '2026-11-14T23:30', durationMinutes: 90 });
+  assert.strictEqual(withDuration.end, '2026-11-15T01:30:00.000Z');
+  assert.strictEqual(withDuration.estimatedDurationMinutes, null);
+
+  // A comedy show is estimated from its genre
+  assert.strictEqual(build({ venue: MSG, start: '2026-11-14T19:00', genres: ['Comedy'] }).estimatedDurationMinutes, 90);
+});
+
+test('a bare date makes an all-day proposal', () => {
+  const event = build({ venue: { lat: 40.72, lon: -73.99 }, start: '2026-11-14' });
+  assert.strictEqual(event.timeKind, 'all_day');
+  assert.strictEqual(event.start, '2026-11-14T05:00:00.000Z');
+  assert.strictEqual(event.end, '2026-11-15T05:00:00.000Z');
+  assert.strictEqual(event.endEstimated, false);
+});
+
+test('the venue resolves against the registry and may bring its own capacity', () => {
+  const registered = build({ venue: MSG, start: '2026-11-14T20:00' }).venue;
+  assert.deepStrictEqual(
+    [registered.id, registered.capacity, registered.capacitySource, registered.provisional, registered.unnamed],
+    ['venue_msg_nyc', 19500, 'registry', false, false]
+  );
+  assert.strictEqual(build({ venue: { ...MSG, capacity: '5000' }, start: '2026-11-14T20:00' }).venue.capacitySource, 'proposal');
+
+  const unnamed = build({ venue: { lat: 40.72, lon: -73.99 }, start: '2026-11-14T20:00' }).venue;
+  assert.strictEqual(unnamed.name, 'Proposed Venue');
+  assert.strictEqual(unnamed.unnamed, true, 'the placeholder name is not compared');
+  assert.strictEqual(unnamed.provisional, true);
+  assert.deepStrictEqual([unnamed.capacity, unnamed.capacitySource], [null, null]);
+});
+
+test('the proposal conflicts with overlapping market events nearby', () => {
+  const proposal = build({ name: 'Arena Show', venue: MSG, start: '2026-11-14T20:00', genres: ['rock'] });
+  const market = (id, start, end, venue) => ({
+    id,
+    name: `Show ${id}`,
+    source: 'ticketmaster',
+    start,
+    end,
+    timeKind: 'timed',
+    genres: ['rock'],
+    venue: { id: `venue_${id}`, name: `Hall ${id}`, timezone: 'America/New_York', ...venue }
+  });
+  const nextDoor = market('next_door', '2026-11-15T00:30:00.000Z', '2026-11-15T03:30:00.000Z', { lat: 40.7512, lon: -73.9940 });
+  const nextDay = market('next_day', '2026-11-16T00:30:00.000Z', '2026-11-16T03:30:00.000Z', { lat: 40.7512, lon: -73.9940 });
+  const farAway = market('far_away', '2026-11-15T00:30:00.000Z', '2026-11-15T03:30:00.000Z', { lat: 40.9, lon: -73.7 });
+
+  const conflicts = ConflictDetector.findConflicts([proposal, nextDoor, nextDay, farAway], 30, 1, true, { anchorEvents: [proposal] });
+  assert.deepStrictEqual(conflicts.map(conflict => conflict.events.map(event => event.id).sort()), [['next_door', PROPOSAL_EVENT_ID]]);
+});
+
+run('Testing proposed events');
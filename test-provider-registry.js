@@ -0,0 +1,125 @@
+/**
+ * Offline tests for the provider registry (src/services/providerRegistry.js)
+ * Registration checks, the parallel fan-out where one failing provider doesn't
+ * sink the others, per-provider counts and the failure showing up in getHealth
+ *
+ * Usage: node test-provider-registry.js
+ */
+
+const assert = require('assert');
+const { installFakeFetch, jsonResponse, createTestRunner } = require('./test-harness');
+const fixture = require('./fixtures/seatgeek/events.json');
+
+process.env.SEATGEEK_CLIENT_ID = process.env.SEATGEEK_CLIENT_ID || 'test-client-id';
+// The cases fetch back to back, faster than SeatGeek's default 2 requests per second
+process.env.SEATGEEK_RPS = '100';
+
+const { requests, responses } = installFakeFetch();
+
+const SeatGeekService = require('./src/services/seatgeek');
+const providerRegistry = require('./src/services/providerRegistry');
+
+const { test, run } = createTestRunner();
+
+const ProviderRegistry = providerRegistry.constructor;
+// A date window skips the provider cache, so every fetch reaches the fake fetch
+const OPTIONS = { startDate: new Date('2026-11-14T00:00:00Z'), endDate: new Date('2026-11-30T00:00:00Z') };
+const SEATGEEK_IDS = ['sg_6101234', 'sg_6105678', 'sg_6109012'];
+
+// Stand-in provider whose fetch throws until `failing` is cleared
+const createFlakyProvider = () => ({
+  apiName: 'ticketmaster',
+  enabled: true,
+  failing: true,
+  async getEventsByLocation() {
+    if (this.failing) {
+      throw new Error('Ticketmaster API unavailable');
+    }
+    return [{ id: 'tm_1', source: 'ticketmaster' }];
+  },
+  transformEvent: raw => raw
+});
+
+const createRegistry = () => {
+  const registry = new ProviderRegistry();
+  const flaky = registry.register(createFlakyProvider());
+  registry.register(SeatGeekService);
+  registry.register({ apiName: 'bandsintown', enabled: false, getEventsByLocation: async () => [], transformEvent: raw => raw });
+  return { registry, flaky };
+};
+
+const fetchMarket = async (registry, onFetched) => {
+  requests.length = 0;
+  responses.push(jsonResponse(200, fixture));
+  return registry.fetchEventsByLocation(40.7128, -74.006, 10, 'test-user', OPTIONS, onFetched);
+};
+
+test('register checks the provider interface and keeps registration order', () => {
+  const { registry } = createRegistry();
+  assert.deepStrictEqual(registry.getNames(), ['ticketmaster', 'seatgeek', 'bandsintown']);
+  assert.strictEqual(registry.getProvider('seatgeek'), SeatGeekService);
+  assert.strictEqual(registry.getProvider('eventbrite'), null);
+
+  assert.throws(() => registry.register({ getEventsByLocation() {}, transformEvent() {} }), /must have an apiName/);
+  assert.throws(() => registry.register({ apiName: 'partial', getEventsByLocation() {} }), /Provider partial must implement transformEvent/);
+  assert.throws(() => registry.register(createFlakyProvider()), /Provider ticketmaster is already registered/);
+
+  // Disabled providers don't offer their capabilities
+  const tourDates = { ...createFlakyProvider(), apiName: 'tours', enabled: false, getArtistTourDates: async () => [] };
+  registry.register(tourDates);
+  assert.strictEqual(registry.findProviderWith('getArtistTourDates'), null);
+  tourDates.enabled = true;
+  assert.strictEqual(registry.findProviderWith('getArtistTourDates'), tourDates);
+});
+
+test('a failing provider contributes no events and the others still return theirs', async () => {
+  const { registry } = createRegistry();
+  const fetched = [];
+  const { events, results } = await fetchMarket(registry, (name, count) => fetched.push([name, count]));
+
+  assert.strictEqual(requests.length, 1, 'SeatGeek was queried once');
+  assert.deepStrictEqual(events.map(event => event.id), SEATGEEK_IDS);
+  assert.deepStrictEqual(fetched.sort(), [['seatgeek', 3], ['ticketmaster', null]]);
+
+  const { durationMs, ...ticketmaster } = results.ticketmaster;
+  assert.deepStrictEqual(ticketmaster, { enabled: true, success: false, error: 'Ticketmaster API unavailable', count: 0 });
+  assert.ok(durationMs >= 0);
+  assert.deepStrictEqual([results.seatgeek.success, results.seatgeek.count], [true, 3]);
+  assert.deepStrictEqual(results.bandsintown, { enabled: false, success: true, error: null, durationMs: 0, count: 0 });
+});
+
+test('countEvents and summarizeSources report every provider', async () => {
+  const { registry } = createRegistry();
+  const { results } = await fetchMarket(registry);
+
+  assert.deepStrictEqual(registry.countEvents(results), { ticketmaster: 0, seatgeek: 3, bandsintown: 0 });
+  const sources = registry.summarizeSources(results);
+  assert.deepStrictEqual(sources.ticketmaster, { enabled: true, count: 0, success: false, error: 'Ticketmaster API unavailable' });
+  assert.deepStrictEqual(sources.bandsintown, { enabled: false, count: 0, success: true, error: null });
+  assert.deepStrictEqual(registry.countEvents(sources), registry.countEvents(results));
+  assert.deepStrictEqual(Object.keys(registry.getDurations(results)), ['ticketmaster', 'seatgeek', 'bandsintown']);
+});
+
+test('getHealth reports the latest fetch of each provider', async () => {
+  const { registry, flaky } = createRegistry();
+  assert.strictEqual(registry.getHealth().ticketmaster.lastFetch, null, 'nothing fetched yet');
+
+  await fetchMarket(registry);
+  let health = registry.getHealth();
+  assert.deepStrictEqual(
+    [health.ticketmaster.enabled, health.ticketmaster.lastFetch.success, health.ticketmaster.lastFetch.error],
+    [true, false, 'Ticketmaster API unavailable']
+  );
+  assert.deepStrictEqual([health.seatgeek.configured, health.seatgeek.lastFetch.success, health.seatgeek.lastFetch.count], [true, true, 3]);
+  assert.ok(health.seatgeek.rateLimits, 'rate limits come from config/rateLimits.js');
+  assert.ok(!Number.isNaN(Date.parse(health.seatgeek.lastFetch.at)));
+  assert.deepStrictEqual([health.bandsintown.enabled, health.bandsintown.lastFetch], [false, null]);
+
+  // A successful fetch clears the error
+  flaky.failing = false;
+  await fetchMarket(registry);
+  health = registry.getHealth();
+  assert.deepStrictEqual([health.ticketmaster.lastFetch.success, health.ticketmaster.lastFetch.error, health.ticketmaster.lastFetch.count], [true, null, 1]);
+});
+
+run('Testing the provider registry');
@@ -0,0 +1,119 @@
+/**
+ * Offline tests for radius clauses (src/utils/radiusClauseChecker.js)
+ * Clause parsing with mile/km conversion, violations between tour dates and
+ * against a proposed date, and multi-night runs at one venue
+ *
+ * Usage: node test-radius-clause.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { KM_PER_MILE, parseRadiusClause, findClauseViolations } = require('./src/utils/radiusClauseChecker');
+
+const { test, run } = createTestRunner();
+
+const NEW_YORK = 'America/New_York';
+const MSG = { id: 'venue_msg_nyc', name: 'Madison Square Garden', lat: 40.7505, lon: -73.9934, timezone: NEW_YORK };
+const BARCLAYS = { id: 'venue_barclays_bk', name: 'Barclays Center', lat: 40.6826, lon: -73.9754, timezone: NEW_YORK };
+const NEWARK = { id: 'venue_prudential', name: 'Prudential Center', lat: 40.7334, lon: -74.1711, timezone: NEW_YORK };
+const PHILADELPHIA = { id: 'venue_wells_fargo', name: 'Wells Fargo Center', lat: 39.9012, lon: -75.172, timezone: NEW_YORK };
+
+// Evening show on a New York local date
+const show = (id, venue, localDate) => ({
+  id,
+  name: 'The Headliner',
+  start: new Date(`${localDate}T20:00:00-05:00`).toISOString(),
+  venue
+});
+
+const clauseFor = input => {
+  const { clause, error } = parseRadiusClause(input);
+  assert.strictEqual(error, undefined, error);
+  return clause;
+};
+
+test('parseRadiusClause converts miles to kilometres', () => {
+  assert.deepStrictEqual(clauseFor({ radius: 50, windowDays: 60 }), {
+    radius: 50,
+    unit: 'mi',
+    radiusKm: 50 * KM_PER_MILE,
+    daysBefore: 60,
+    daysAfter: 60
+  });
+  assert.ok(Math.abs(clauseFor({ radius: '50', unit: 'mi', windowDays: 60 }).radiusKm - 80.467) < 0.001);
+
+  const km = clauseFor({ radius: '80', unit: ' KM ', daysBefore: 30, daysAfter: '14' });
+  assert.deepStrictEqual([km.unit, km.radiusKm, km.daysBefore, km.daysAfter], ['km', 80, 30, 14]);
+
+  // windowDays is the default for whichever side isn't given
+  const mixed = clauseFor({ radius: 25, windowDays: 90, daysAfter: 30 });
+  assert.deepStrictEqual([mixed.daysBefore, mixed.daysAfter], [90, 30]);
+});
+
+test('parseRadiusClause rejects bad radii, units and windows', () => {
+  const errorFor = input => parseRadiusClause(input).error;
+  assert.match(errorFor({ radius: 0, windowDays: 30 }), /radius must be a positive number/);
+  assert.match(errorFor({ radius: 'far', windowDays: 30 }), /radius must be a positive number/);
+  assert.match(errorFor({ radius: 50, unit: 'ft', windowDays: 30 }), /unit must be one of: mi, km/);
+  assert.match(errorFor({ radius: 50, windowDays: 400 }), /between 0 and 365/);
+  assert.match(errorFor({ radius: 50, windowDays: 'soon' }), /between 0 and 365/);
+  assert.match(errorFor({ radius: 50 }), /windowDays \(or daysBefore and daysAfter\)/);
+});
+
+test('tour dates inside the radius and window violate the clause', () => {
+  const clause = clauseFor({ radius: 50, windowDays: 60 });
+  const tour = [
+    show('newark', NEWARK, '2026-12-01'),
+    show('msg', MSG, '2026-11-10'),
+    show('philly', PHILADELPHIA, '2026-11-20'),
+    show('brooklyn_spring', BARCLAYS, '2027-03-01')
+  ];
+
+  const { tourViolations, proposalViolations } = findClauseViolations(tour, clause);
+  assert.deepStrictEqual(proposalViolations, []);
+  assert.strictEqual(tourViolations.length, 1, 'Philadelphia is ~80 mi out; the spring date is outside the window');
+
+  const [violation] = tourViolations;
+  assert.strictEqual(violation.type, 'tour');
+  assert.deepStrictEqual([violation.protectedShow.id, violation.conflictingShow.id], ['msg', 'newark']);
+  assert.deepStrictEqual([violation.protectedShow.date, violation.conflictingShow.date], ['2026-11-10', '2026-12-01']);
+  assert.deepStrictEqual([violation.gapDays, violation.window, violation.allowedDays], [21, 'after', 60]);
+  assert.ok(violation.distanceKm > 14 && violation.distanceKm < 16, String(violation.distanceKm));
+  assert.strictEqual(violation.distanceMiles, Number((violation.distanceKm / KM_PER_MILE).toFixed(1)));
+});
+
+test('nights of one run at the same venue are one engagement', () => {
+  const clause = clauseFor({ radius: 50, windowDays: 60 });
+  const residency = ['2026-11-10', '2026-11-11', '2026-11-12'].map((date, index) => show(`msg_${index + 1}`, MSG, date));
+
+  const { tourViolations, sameEngagementPairs } = findClauseViolations([...residency, show('brooklyn', BARCLAYS, '2026-11-25')], clause);
+  assert.strictEqual(sameEngagementPairs, 3);
+  assert.deepStrictEqual(tourViolations.map(violation => [violation.protectedShow.id, violation.conflictingShow.id]), [
+    ['msg_1', 'brooklyn'],
+    ['msg_2', 'brooklyn'],
+    ['msg_3', 'brooklyn']
+  ]);
+
+  // Without a registry id the venues can't be told apart, so the nights count
+  const unidentified = residency.map(event => ({ ...event, venue: { ...MSG, id: null } }));
+  assert.strictEqual(findClauseViolations(unidentified, clause).tourViolations.length, 3);
+});
+
+test('a proposed date is checked against tour dates on both sides', () => {
+  const clause = clauseFor({ radius: 10, unit: 'km', daysBefore: 30, daysAfter: 14 });
+  const tour = [
+    show('before', BARCLAYS, '2026-10-20'),
+    show('after', BARCLAYS, '2026-11-20'),
+    show('too_late', BARCLAYS, '2026-11-30'),
+    show('too_far', NEWARK, '2026-11-12')
+  ];
+
+  const { proposalViolations } = findClauseViolations(tour, clause, show('proposal', MSG, '2026-11-10'));
+  assert.deepStrictEqual(proposalViolations.map(violation => [violation.conflictingShow.id, violation.gapDays, violation.window, violation.allowedDays]), [
+    ['before', -21, 'before', 30],
+    ['after', 10, 'after', 14]
+  ]);
+  assert.ok(proposalViolations.every(violation => violation.type === 'proposal' && violation.protectedShow.id === 'proposal'));
+});
+
+run('Testing radius clauses');
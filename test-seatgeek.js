@@ -0,0 +1,125 @@
+/**
+ * Offline tests for the SeatGeek provider
+ * Runs against the recorded API response in fixtures/seatgeek/events.json; network calls are
+ * answered by a fake node-fetch, so no client id or connection is needed.
+ *
+ * Usage: node test-seatgeek.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { installFakeFetch, jsonResponse, createTestRunner } = require('./test-harness');
+const fixture = require('./fixtures/seatgeek/events.json');
+
+process.env.SEATGEEK_CLIENT_ID = process.env.SEATGEEK_CLIENT_ID || 'test-client-id';
+
+const { requests, responses } = installFakeFetch();
+
+const SeatGeekService = require('./src/services/seatgeek');
+const providerRegistry = require('./src/services/providerRegistry');
+
+SeatGeekService.retryDelay = 1;
+
+const { test, run } = createTestRunner();
+const fixtureEvent = id => fixture.events.find(event => event.id === id);
+
+test('transformEvent maps a concert to the standard event shape', () => {
+  const event = SeatGeekService.transformEvent(fixtureEvent(6101234));
+
+  assert.strictEqual(event.id, 'sg_6101234');
+  assert.strictEqual(event.name, 'The National with Special Guests');
+  assert.strictEqual(event.source, 'seatgeek');
+  assert.strictEqual(event.start, '2026-11-15T01:00:00.000Z');
+  assert.strictEqual(event.timeKind, 'timed');
+  assert.strictEqual(event.localStartDate, '2026-11-14');
+  assert.ok(event.end > event.start, 'missing end is estimated');
+  assert.strictEqual(event.endEstimated, true);
+  assert.strictEqual(event.venue.name, 'Madison Square Garden');
+  assert.strictEqual(event.venue.lat, 40.7505);
+  assert.strictEqual(event.venue.lon, -73.9934);
+  assert.strictEqual(event.venue.city, 'New York');
+  assert.strictEqual(event.venue.region, 'NY');
+  assert.strictEqual(event.venue.address, '4 Pennsylvania Plaza');
+  assert.strictEqual(event.venue.timezone, 'America/New_York');
+  assert.ok(event.venue.id, 'venue gets a registry id');
+  assert.ok(event.url.startsWith('https://seatgeek.com/'));
+  assert.deepStrictEqual(event.genres, ['music', 'rock', 'indie']);
+});
+
+test('transformEvent keeps published end times and maps sports taxonomies', () => {
+  const event = SeatGeekService.transformEvent(fixtureEvent(6105678));
+
+  assert.strictEqual(event.start, '2026-11-16T00:30:00.000Z');
+  assert.strictEqual(event.end, '2026-11-16T03:00:00.000Z');
+  assert.strictEqual(event.endEstimated, false);
+  assert.deepStrictEqual(event.genres, ['nba', 'sports', 'basketball']);
+  // SeatGeek reports unknown capacities as 0
+  assert.notStrictEqual(event.venue.capacity, 0);
+});
+
+test('transformEvent treats time_tbd events as all-day on their local date', () => {
+  const event = SeatGeekService.transformEvent(fixtureEvent(6109012));
+
+  assert.strictEqual(event.timeKind, 'all_day');
+  assert.strictEqual(event.localStartDate, '2026-11-20');
+  assert.strictEqual(event.start, '2026-11-20T05:00:00.000Z');
+  assert.strictEqual(event.end, '2026-11-21T05:00:00.000Z');
+});
+
+test('transformEvent drops date_tbd events and non-SeatGeek URLs', () => {
+  assert.strictEqual(SeatGeekService.transformEvent(fixtureEvent(6113456)), null);
+  assert.strictEqual(SeatGeekService.transformEvent(fixtureEvent(6117890)), null);
+});
+
+test('getEventsByLocation queries SeatGeek and returns located events', async () => {
+  requests.length = 0;
+  responses.push(jsonResponse(200, fixture));
+
+  const startDate = new Date('2026-11-14T00:00:00Z');
+  const endDate = new Date('2026-11-30T00:00:00Z');
+  const events = await SeatGeekService.getEventsByLocation(40.7128, -74.006, 10, 'test-user', { startDate, endDate });
+
+  assert.strictEqual(requests.length, 1);
+  const { url } = requests[0];
+  assert.strictEqual(url.origin + url.pathname, 'https://api.seatgeek.com/2/events');
+  assert.strictEqual(url.searchParams.get('client_id'), process.env.SEATGEEK_CLIENT_ID);
+  assert.strictEqual(url.searchParams.get('lat'), '40.7128');
+  assert.strictEqual(url.searchParams.get('lon'), '-74.006');
+  assert.strictEqual(url.searchParams.get('range'), '10mi');
+  assert.strictEqual(url.searchParams.get('datetime_utc.gte'), '2026-11-14T00:00:00');
+  assert.strictEqual(url.searchParams.get('datetime_utc.lte'), '2026-11-30T00:00:00');
+
+  // date_tbd, foreign URL and unlocated venue are dropped
+  assert.deepStrictEqual(events.map(event => event.id), ['sg_6101234', 'sg_6105678', 'sg_6109012']);
+});
+
+test('makeApiRequest retries 429 responses', async () => {
+  requests.length = 0;
+  responses.push(jsonResponse(429, { status: 429 }, { 'Retry-After': '0' }));
+  responses.push(jsonResponse(200, fixture));
+
+  const events = await SeatGeekService.makeApiRequest(40.7128, -74.006, 10, {}, false);
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(events.length, 3);
+});
+
+test('makeApiRequest gives up after maxRetries server errors', async () => {
+  requests.length = 0;
+  for (let i = 0; i <= SeatGeekService.maxRetries; i++) {
+    responses.push(jsonResponse(503, { message: 'unavailable' }));
+  }
+
+  const events = await SeatGeekService.makeApiRequest(40.7128, -74.006, 10, {}, false);
+
+  assert.strictEqual(requests.length, SeatGeekService.maxRetries + 1);
+  assert.deepStrictEqual(events, []);
+});
+
+test('SeatGeek is registered as a provider with rate limits', () => {
+  assert.strictEqual(providerRegistry.getProvider('seatgeek'), SeatGeekService);
+  assert.ok(providerRegistry.getRateLimitConfig('seatgeek'), 'rateLimits.js has a seatgeek entry');
+  assert.deepStrictEqual(SeatGeekService.getHealth(), { enabled: true, configured: true });
+});
+
+run(`Testing SeatGeek provider (fixture: ${path.join('fixtures', 'seatgeek', 'events.json')})`);
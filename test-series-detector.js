@@ -0,0 +1,167 @@
+/**
+ * Offline tests for recurring series detection (src/utils/seriesDetector.js)
+ * Runs, residencies and club nights grouped by name, venue and cadence, and
+ * pairwise conflicts collapsed per series pair
+ *
+ * Usage: node test-series-detector.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const { MIN_SERIES_NIGHTS, detectSeries, groupConflictsBySeries } = require('./src/utils/seriesDetector');
+
+const { test, run } = createTestRunner();
+
+const HOUR_MS = 60 * 60 * 1000;
+const NEW_YORK = 'America/New_York';
+const THEATRE = { id: 'venue_rodgers', name: 'Richard Rodgers Theatre', lat: 40.759, lon: -73.9866, timezone: NEW_YORK };
+const CLUB = { id: 'venue_basement', name: 'Basement', lat: 40.7203, lon: -73.9903, timezone: NEW_YORK };
+
+// Performance at a New York local date and time (November, so UTC-5)
+const performance = (id, name, venue, localDate, localTime = '19:00', overrides = {}) => {
+  const start = new Date(`${localDate}T${localTime}:00-05:00`);
+  return {
+    id,
+    name,
+    venue,
+    source: 'ticketmaster',
+    start: start.toISOString(),
+    end: new Date(start.getTime() + 3 * HOUR_MS).toISOString(),
+    timeKind: 'timed',
+    localStartDate: localDate,
+    genres: ['theatre'],
+    ...overrides
+  };
+};
+
+const hamiltonRun = () => [
+  performance('ham_1', 'Hamilton', THEATRE, '2026-11-10'),
+  performance('ham_2', 'Hamilton (NY)', THEATRE, '2026-11-11'),
+  performance('ham_3', 'Hamilton', THEATRE, '2026-11-12'),
+  performance('ham_4', 'Hamilton', THEATRE, '2026-11-13', '19:00', { source: 'seatgeek' }),
+  performance('ham_mat', 'Hamilton', THEATRE, '2026-11-14', '14:00'),
+  performance('ham_eve', 'Hamilton', THEATRE, '2026-11-14', '20:00')
+];
+
+const technoNights = () => ['2026-11-06', '2026-11-13', '2026-11-20'].map((date, index) =>
+  performance(`techno_${index + 1}`, 'Friday Night Techno', CLUB, date, '22:00', { source: 'eventbrite', genres: ['techno'] }));
+
+test('detectSeries groups a nightly run with matinees into one series', () => {
+  const { series, seriesIdByEventId } = detectSeries(hamiltonRun());
+
+  assert.strictEqual(series.length, 1);
+  const [hamilton] = series;
+  assert.match(hamilton.id, /^series_[0-9a-f]{12}$/);
+  assert.strictEqual(hamilton.name, 'Hamilton');
+  assert.deepStrictEqual(hamilton.eventIds, ['ham_1', 'ham_2', 'ham_3', 'ham_4', 'ham_mat', 'ham_eve']);
+  assert.deepStrictEqual(hamilton.sources.sort(), ['seatgeek', 'ticketmaster']);
+  assert.deepStrictEqual(hamilton.schedule, {
+    cadence: 'nightly',
+    firstDate: '2026-11-10',
+    lastDate: '2026-11-14',
+    nights: 5,
+    performances: 6,
+    weekdays: ['Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    startTimes: ['14:00', '19:00', '20:00'],
+    description: '5 nights (nightly, Tue/Wed/Thu/Fri/Sat) from 2026-11-10 to 2026-11-14'
+  });
+  assert.strictEqual(seriesIdByEventId.get('ham_mat'), hamilton.id);
+});
+
+test('detectSeries classifies weekly and irregular cadences', () => {
+  const irregular = ['2026-11-01', '2026-11-03', '2026-11-10'].map((date, index) =>
+    performance(`jam_${index + 1}`, 'Open Jam', CLUB, date));
+  const { series } = detectSeries([...technoNights(), ...irregular]);
+
+  assert.deepStrictEqual(series.map(item => [item.name, item.schedule.cadence]), [
+    ['Open Jam', 'recurring'],
+    ['Friday Night Techno', 'weekly']
+  ]);
+  assert.deepStrictEqual(series[1].schedule.weekdays, ['Fri']);
+});
+
+test('detectSeries needs enough nights in one run, at one venue', () => {
+  assert.strictEqual(MIN_SERIES_NIGHTS, 3);
+
+  // Two nights, a month off, then two more: two runs too short to count
+  const splitRun = ['2026-11-01', '2026-11-02', '2026-12-01', '2026-12-02'].map((date, index) =>
+    performance(`split_${index + 1}`, 'Comedy Showcase', CLUB, date));
+  // Same show, but at two venues
+  const touring = [
+    performance('tour_1', 'Touring Show', CLUB, '2026-11-10'),
+    performance('tour_2', 'Touring Show', THEATRE, '2026-11-11'),
+    performance('tour_3', 'Touring Show', CLUB, '2026-11-12')
+  ];
+  // Three performances on two nights
+  const doubleBill = [
+    performance('double_1', 'Double Bill', CLUB, '2026-11-10', '18:00'),
+    performance('double_2', 'Double Bill', CLUB, '2026-11-10', '21:00'),
+    performance('double_3', 'Double Bill', CLUB, '2026-11-11')
+  ];
+
+  const { series, seriesIdByEventId } = detectSeries([...splitRun, ...touring, ...doubleBill]);
+  assert.deepStrictEqual(series, []);
+  assert.strictEqual(seriesIdByEventId.size, 0);
+});
+
+test('detectSeries gives a run the same id across calls', () => {
+  const first = detectSeries(hamiltonRun()).series[0];
+  const second = detectSeries(hamiltonRun().reverse()).series[0];
+  assert.strictEqual(second.id, first.id);
+  assert.deepStrictEqual(second.eventIds, first.eventIds, 'performances are listed in start order');
+});
+
+test('groupConflictsBySeries collapses nightly conflicts into one series pair', () => {
+  const hamilton = hamiltonRun();
+  // A rival show on the same three evenings next door, plus a one-off
+  const rival = ['2026-11-10', '2026-11-11', '2026-11-12'].map((date, index) =>
+    performance(`rival_${index + 1}`, 'Rival Musical', { ...THEATRE, id: 'venue_next_door' }, date));
+  const oneOff = performance('gala', 'Opening Gala', CLUB, '2026-11-13');
+  const detection = detectSeries([...hamilton, ...rival, oneOff]);
+
+  const conflict = (event1, event2, severity, score) => ({
+    events: [event1, event2],
+    conflictType: 'same_time_nearby',
+    severity,
+    score,
+    sharedGenres: ['theatre']
+  });
+  const conflicts = [
+    conflict(hamilton[0], rival[0], 'medium', 60),
+    conflict(hamilton[1], rival[1], 'high', 80),
+    conflict(hamilton[2], rival[2], 'medium', 55),
+    conflict(hamilton[3], oneOff, 'low', 30),
+    // Two performances of one series never conflict with each other
+    conflict(hamilton[4], hamilton[5], 'high', 90)
+  ];
+
+  const grouped = groupConflictsBySeries(conflicts, detection);
+  assert.strictEqual(grouped.length, 2);
+
+  const [series, single] = grouped;
+  assert.strictEqual(series.id, 'series_conflict_1');
+  assert.deepStrictEqual(series.members.map(member => [member.type, member.name]), [
+    ['series', 'Hamilton'],
+    ['series', 'Rival Musical']
+  ]);
+  assert.strictEqual(series.summary, 'Hamilton overlaps Rival Musical on 3 of 5 nights');
+  assert.deepStrictEqual(series.nightDates, ['2026-11-10', '2026-11-11', '2026-11-12']);
+  assert.strictEqual(series.severity, 'high');
+  assert.strictEqual(series.score, 80);
+  assert.strictEqual(series.pairCount, 3);
+
+  assert.deepStrictEqual(single.members.map(member => member.type), ['series', 'event']);
+  assert.strictEqual(single.summary, 'Hamilton overlaps Opening Gala on 1 of 5 nights');
+});
+
+test('groupConflictsBySeries leaves conflicts between one-off events as they are', () => {
+  const first = performance('a', 'Show A', CLUB, '2026-11-10');
+  const second = performance('b', 'Show B', THEATRE, '2026-11-10');
+  const grouped = groupConflictsBySeries([{ events: [first, second], severity: 'low', score: 10 }], detectSeries([first, second]));
+
+  assert.strictEqual(grouped.length, 1);
+  assert.deepStrictEqual(grouped[0].members.map(member => [member.type, member.totalNights]), [['event', 1], ['event', 1]]);
+  assert.strictEqual(grouped[0].summary, 'Show A overlaps Show B on 1 of 1 night');
+});
+
+run('Testing series detection');
@@ -0,0 +1,179 @@
+/**
+ * Offline tests for conflict suppression rules (src/utils/suppressionRules.js)
+ * Each rule type's matcher, user and team scoping, the admin key for team rules
+ * and the JSON store
+ *
+ * Usage: node test-suppression-rules.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestRunner } = require('./test-harness');
+const suppressionRules = require('./src/utils/suppressionRules');
+
+const { test, run } = createTestRunner();
+
+const SuppressionRuleStore = suppressionRules.constructor;
+const ADMIN_KEY = 'test-admin-key';
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+const tempPaths = [];
+const createStore = () => {
+  const store = new SuppressionRuleStore();
+  store.storePath = path.join(os.tmpdir(), `suppression-rules-${process.pid}-${tempPaths.length}.json`);
+  tempPaths.push(store.storePath);
+  return store;
+};
+
+const request = (headers = {}) => ({ headers, ip: '203.0.113.7' });
+const ALICE = request({ 'x-user-email': 'Alice@Example.com' });
+const BOB = request({ 'x-user-email': 'bob@example.com' });
+
+const event = (id, overrides = {}) => ({
+  id,
+  name: `Event ${id}`,
+  source: 'ticketmaster',
+  genres: ['rock'],
+  venue: { id: `venue_${id}`, name: `Venue ${id}` },
+  ...overrides
+});
+
+const rejectsWithStatus = (fn, status, pattern) => {
+  assert.throws(fn, error => {
+    assert.strictEqual(error.status, status, error.message);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+test('getRequestScopes uses the email, or the client IP without one', () => {
+  const store = createStore();
+  assert.deepStrictEqual(store.getRequestScopes(ALICE), [{ type: 'user', id: 'alice@example.com' }]);
+  assert.deepStrictEqual(store.getRequestScopes(request()), [{ type: 'user', id: '203.0.113.7' }]);
+});
+
+test('venue_pair rules match either order of the two venues', () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  const rule = store.createRule({ type: 'venue_pair', venueIds: ['venue_a', ' venue_b '], note: 'Two rooms' }, scopes);
+  assert.deepStrictEqual(rule.venueIds, ['venue_a', 'venue_b']);
+  assert.strictEqual(rule.note, 'Two rooms');
+
+  const matcher = store.createMatcher(scopes);
+  assert.strictEqual(matcher(event('a'), event('b')), rule);
+  assert.strictEqual(matcher(event('b'), event('a')), rule);
+  assert.strictEqual(matcher(event('a'), event('c')), null);
+});
+
+test('event_pair rules match merged events through any of their listings', () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  const rule = store.createRule({ type: 'event_pair', eventIds: ['tm_preshow', 'sg_main'] }, scopes);
+
+  const matcher = store.createMatcher(scopes);
+  const preshow = event('merged_1', { sources: [{ provider: 'ticketmaster', id: 'tm_preshow' }, { provider: 'seatgeek', id: 'sg_preshow' }] });
+  assert.strictEqual(matcher(event('sg_main'), preshow), rule);
+  assert.strictEqual(matcher(event('sg_main'), event('tm_other')), null);
+});
+
+test('source rules match events listed only on that source', () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  const rule = store.createRule({ type: 'source', source: 'Eventbrite' }, scopes);
+  assert.strictEqual(rule.source, 'eventbrite');
+
+  const matcher = store.createMatcher(scopes);
+  assert.strictEqual(matcher(event('a'), event('b', { source: 'eventbrite' })), rule);
+  const alsoOnTicketmaster = event('b', { sources: [{ provider: 'eventbrite' }, { provider: 'ticketmaster' }] });
+  assert.strictEqual(matcher(event('a'), alsoOnTicketmaster), null);
+});
+
+test('genre_pair rules match one genre on each event', () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  const rule = store.createRule({ type: 'genre_pair', genres: ['Jazz', 'Comedy'] }, scopes);
+  assert.deepStrictEqual(rule.genres, ['jazz', 'comedy']);
+
+  const matcher = store.createMatcher(scopes);
+  assert.strictEqual(matcher(event('a', { genres: ['comedy'] }), event('b', { genres: ['Jazz', 'blues'] })), rule);
+  assert.strictEqual(matcher(event('a', { genres: ['jazz', 'comedy'] }), event('b')), null, 'both genres on one event');
+});
+
+test('rules are validated for their type', () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  rejectsWithStatus(() => store.createRule({ type: 'artist' }, scopes), 400, /type must be one of/);
+  rejectsWithStatus(() => store.createRule({ type: 'venue_pair', venueIds: ['only_one'] }, scopes), 400, /venueIds must be an array of two values/);
+  rejectsWithStatus(() => store.createRule({ type: 'source', source: ' ' }, scopes), 400, /source is required/);
+  rejectsWithStatus(() => store.createRule({ type: 'source', source: 'seatgeek', scope: 'org' }, scopes), 400, /scope must be one of/);
+  assert.strictEqual(store.createMatcher(scopes), null, 'no rules, no matcher');
+});
+
+test('user rules are private to their user', () => {
+  const store = createStore();
+  const alice = store.getRequestScopes(ALICE);
+  const bob = store.getRequestScopes(BOB);
+  const rule = store.createRule({ type: 'source', source: 'seatgeek' }, alice);
+
+  assert.strictEqual(store.getRule(rule.id, bob), null);
+  assert.strictEqual(store.createMatcher(bob), null);
+  rejectsWithStatus(() => store.deleteRule(rule.id, bob), 404, /not found/);
+  rejectsWithStatus(() => store.updateRule(rule.id, { source: 'eventbrite' }, bob), 404, /not found/);
+
+  const updated = store.updateRule(rule.id, { type: 'genre_pair', genres: ['rock', 'pop'] }, alice);
+  assert.strictEqual(updated.source, undefined, 'fields of the old type are dropped');
+  assert.deepStrictEqual(updated.genres, ['rock', 'pop']);
+  assert.strictEqual(store.deleteRule(rule.id, alice), rule);
+  assert.deepStrictEqual(store.listRules(alice), []);
+});
+
+test('team rules apply to the team and need the admin key to change', () => {
+  const store = createStore();
+  const admin = store.getRequestScopes(request({ 'x-user-email': 'alice@example.com', 'x-team-id': 'promoters', 'x-admin-key': ADMIN_KEY }));
+  const member = store.getRequestScopes(request({ 'x-user-email': 'bob@example.com', 'x-team-id': 'promoters' }));
+  assert.deepStrictEqual(member[1], { type: 'team', id: 'promoters', readOnly: true });
+
+  rejectsWithStatus(() => store.createRule({ type: 'source', source: 'eventbrite', scope: 'team' }, member), 403, /admin key/);
+  rejectsWithStatus(() => store.createRule({ type: 'source', source: 'eventbrite', scope: 'team' }, store.getRequestScopes(BOB)), 400, /X-Team-Id/);
+
+  const rule = store.createRule({ type: 'source', source: 'eventbrite', scope: 'team' }, admin);
+  assert.deepStrictEqual(rule.scope, { type: 'team', id: 'promoters' });
+
+  // Members read and apply the team's rules, but cannot change them
+  assert.deepStrictEqual(store.listRules(member), [rule]);
+  assert.strictEqual(store.createMatcher(member)(event('a'), event('b', { source: 'eventbrite' })), rule);
+  assert.strictEqual(store.createMatcher(store.getRequestScopes(BOB)), null, 'without X-Team-Id');
+  rejectsWithStatus(() => store.updateRule(rule.id, { note: 'mine now' }, member), 403, /admin key/);
+  rejectsWithStatus(() => store.deleteRule(rule.id, member), 403, /admin key/);
+
+  // A member's own rules stay writable
+  assert.strictEqual(store.createRule({ type: 'source', source: 'seatgeek' }, member).scope.type, 'user');
+  assert.strictEqual(store.deleteRule(rule.id, admin), rule);
+});
+
+test('rules are saved to the JSON store and loaded by a new instance', async () => {
+  const store = createStore();
+  const scopes = store.getRequestScopes(ALICE);
+  const kept = store.createRule({ type: 'venue_pair', venueIds: ['venue_a', 'venue_b'] }, scopes);
+  const removed = store.createRule({ type: 'source', source: 'seatgeek' }, scopes);
+  store.deleteRule(removed.id, scopes);
+  await store.save();
+
+  assert.strictEqual(fs.existsSync(`${store.storePath}.tmp`), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.storePath, 'utf8')).rules.map(rule => rule.id), [kept.id]);
+
+  const reloaded = new SuppressionRuleStore();
+  reloaded.storePath = store.storePath;
+  assert.deepStrictEqual(reloaded.listRules(scopes), [kept]);
+});
+
+process.on('exit', () => {
+  tempPaths.forEach(filePath => {
+    fs.rmSync(filePath, { force: true });
+    fs.rmSync(`${filePath}.tmp`, { force: true });
+  });
+});
+
+run('Testing conflict suppression rules');
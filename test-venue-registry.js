@@ -0,0 +1,166 @@
+/**
+ * Offline tests for the venue registry (src/utils/venueRegistry.js)
+ * Resolution by provider id, alias and coordinates, provisional ids, capacities
+ * and admin edits saved to the JSON store
+ *
+ * Usage: node test-venue-registry.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestRunner } = require('./test-harness');
+const venueRegistry = require('./src/utils/venueRegistry');
+
+const { test, run } = createTestRunner();
+
+const VenueRegistry = venueRegistry.constructor;
+const SEED_PATH = path.join(__dirname, 'data/venues.json');
+
+// Registry on the shipped seed, with its store and capacity dataset in the temp directory
+const tempPaths = [];
+const createRegistry = (paths = {}) => {
+  const registry = new VenueRegistry();
+  registry.seedPath = SEED_PATH;
+  registry.storePath = paths.storePath || path.join(os.tmpdir(), `venue-registry-${process.pid}-${tempPaths.length}.json`);
+  registry.capacitiesPath = paths.capacitiesPath || `${registry.storePath}.capacities`;
+  tempPaths.push(registry.storePath, `${registry.storePath}.tmp`, registry.capacitiesPath);
+  return registry;
+};
+
+const throwsWithStatus = (fn, status, pattern) => {
+  assert.throws(fn, error => {
+    assert.strictEqual(error.status, status, error.message);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+test('normalizeVenueName strips the venue\'s own location and spelling variants', () => {
+  const registry = createRegistry();
+  assert.strictEqual(registry.normalizeVenueName('Brooklyn Steel - Brooklyn', { city: 'Brooklyn' }), 'brooklyn steel');
+  assert.strictEqual(registry.normalizeVenueName('Webster Hall - Brooklyn', { city: 'New York' }), 'webster hall brooklyn');
+  assert.strictEqual(registry.normalizeVenueName('The Fillmore (San Francisco)'), 'fillmore');
+  assert.strictEqual(registry.normalizeVenueName('Théâtre St-Denis'), 'theatre st denis');
+  assert.strictEqual(registry.normalizeVenueName('Richard Rodgers Theater'), 'richard rodgers theatre');
+  assert.strictEqual(registry.normalizeVenueName(null), '');
+});
+
+test('resolveVenue matches aliases nearby and remembers the provider id', () => {
+  const registry = createRegistry();
+  const resolution = registry.resolveVenue({ name: 'MSG', lat: 40.7506, lon: -73.9936 }, 'ticketmaster', 'KovZpZA7AAEA');
+  assert.deepStrictEqual(resolution, {
+    id: 'venue_msg_nyc',
+    name: 'Madison Square Garden',
+    capacity: 19500,
+    capacitySource: 'registry',
+    provisional: false,
+    resolvedBy: 'alias'
+  });
+
+  const byProviderId = registry.resolveVenue({ name: 'Madison Sq. Garden Arena' }, 'ticketmaster', 'KovZpZA7AAEA');
+  assert.strictEqual(byProviderId.id, 'venue_msg_nyc');
+  assert.strictEqual(byProviderId.resolvedBy, 'provider_id');
+
+  // The same alias in another city is another venue
+  const elsewhere = registry.resolveVenue({ name: 'The Garden', lat: 42.3662, lon: -71.0621 });
+  assert.strictEqual(elsewhere.provisional, true);
+  assert.notStrictEqual(elsewhere.id, 'venue_msg_nyc');
+});
+
+test('resolveVenue matches a listing at the same spot with a compatible name', () => {
+  const registry = createRegistry();
+  const resolution = registry.resolveVenue({ name: 'Radio City Music Hall at Rockefeller Center', lat: 40.76, lon: -73.9799 });
+  assert.strictEqual(resolution.id, 'venue_radio_city_nyc');
+  assert.strictEqual(resolution.resolvedBy, 'coordinates');
+
+  // Same spot, unrelated name
+  assert.strictEqual(registry.resolveVenue({ name: 'Rockefeller Plaza Rink', lat: 40.76, lon: -73.9799 }).provisional, true);
+});
+
+test('unknown venues get the same provisional id across lookups and restarts', () => {
+  const registry = createRegistry();
+  const first = registry.resolveVenue({ name: 'Basement', lat: 40.72031, lon: -73.99032 }, 'eventbrite', 'eb_1');
+  assert.match(first.id, /^venue_p_[0-9a-f]{12}$/);
+  assert.deepStrictEqual([first.provisional, first.resolvedBy, first.capacity, first.capacitySource], [true, 'provisional', null, null]);
+
+  // Another provider's listing of the same room shares the id
+  const seatgeek = registry.resolveVenue({ name: 'The Basement', lat: 40.7203, lon: -73.9903 }, 'seatgeek', 'sg_1');
+  assert.strictEqual(seatgeek.id, first.id);
+  assert.deepStrictEqual(registry.getVenue(first.id).providerIds, { eventbrite: ['eb_1'] });
+
+  assert.strictEqual(createRegistry().resolveVenue({ name: 'Basement', lat: 40.72034, lon: -73.99028 }).id, first.id);
+  assert.strictEqual(registry.hasRegistryId(registry.getVenue(first.id)), false);
+  assert.strictEqual(registry.hasRegistryId({ id: 'venue_msg_nyc' }), true);
+  assert.strictEqual(registry.hasRegistryId({ id: first.id }), false, 'events cached before the provisional flag');
+});
+
+test('capacities come from the dataset, then the registry, then the provider', () => {
+  const registry = createRegistry();
+  fs.writeFileSync(registry.capacitiesPath, JSON.stringify({ capacities: { venue_msg_nyc: 20789 } }));
+
+  const msg = registry.resolveVenue({ name: 'Madison Square Garden', lat: 40.7505, lon: -73.9934 });
+  assert.deepStrictEqual([msg.capacity, msg.capacitySource], [20789, 'dataset']);
+
+  const barclays = registry.resolveVenue({ name: 'Barclays Center', lat: 40.6826, lon: -73.9754 });
+  assert.deepStrictEqual(registry.resolveCapacity(barclays, 17000), { capacity: 19000, capacitySource: 'registry' });
+
+  const unknown = registry.resolveVenue({ name: 'Pop-up Loft', lat: 40.7, lon: -73.95 });
+  assert.deepStrictEqual(registry.resolveCapacity(unknown, '350'), { capacity: 350, capacitySource: 'provider' });
+  assert.deepStrictEqual(registry.resolveCapacity(unknown, 0), { capacity: null, capacitySource: null });
+});
+
+test('createVenue promotes a provisional venue and keeps its id', () => {
+  const registry = createRegistry();
+  const provisional = registry.resolveVenue({ name: 'Basement', lat: 40.7203, lon: -73.9903 }, 'eventbrite', 'eb_1');
+
+  const venue = registry.createVenue({ id: provisional.id, aliases: ['Basement NYC'], capacity: '500', city: 'New York' });
+  assert.strictEqual(venue.id, provisional.id);
+  assert.strictEqual(venue.name, 'Basement');
+  assert.deepStrictEqual(venue.providerIds, { eventbrite: ['eb_1'] });
+  assert.strictEqual(venue.provisional, undefined);
+
+  const resolution = registry.resolveVenue({ name: 'Basement NYC', lat: 40.7204, lon: -73.9902 });
+  assert.deepStrictEqual([resolution.id, resolution.provisional, resolution.resolvedBy], [provisional.id, false, 'alias']);
+  assert.deepStrictEqual([resolution.capacity, resolution.capacitySource], [500, 'registry']);
+  assert.strictEqual(registry.listVenues({ query: 'basement' }).length, 1);
+});
+
+test('admin edits validate their input', () => {
+  const registry = createRegistry();
+  throwsWithStatus(() => registry.createVenue({}), 400, /name is required/);
+  throwsWithStatus(() => registry.createVenue({ name: 'Off the map', lat: 91 }), 400, /lat must be between -90 and 90/);
+  throwsWithStatus(() => registry.createVenue({ id: 'venue_p_000000000000' }), 404, /Unknown provisional venue/);
+  throwsWithStatus(() => registry.updateVenue('venue_missing', { name: 'x' }), 404, /not found/);
+  throwsWithStatus(() => registry.updateVenue('venue_msg_nyc', { aliases: 'MSG' }), 400, /aliases must be an array/);
+  throwsWithStatus(() => registry.addAlias('venue_msg_nyc', ' '), 400, /alias must be a non-empty string/);
+  throwsWithStatus(() => registry.deleteVenue('venue_missing'), 404, /not found/);
+});
+
+test('edits are saved to the store, which replaces the seed on the next load', async () => {
+  const registry = createRegistry();
+  const created = registry.createVenue({ name: 'Elsewhere', lat: 40.7096, lon: -73.9233, capacity: 700 });
+  assert.match(created.id, /^venue_[0-9a-f]{12}$/);
+
+  registry.updateVenue(created.id, { name: 'Elsewhere Brooklyn', city: 'Brooklyn' });
+  registry.addAlias(created.id, 'Elsewhere Rooftop');
+  registry.deleteVenue('venue_barclays_bk');
+  await registry.save();
+
+  const reloaded = createRegistry({ storePath: registry.storePath });
+  assert.deepStrictEqual(reloaded.getVenue(created.id), registry.getVenue(created.id));
+  assert.strictEqual(reloaded.getVenue('venue_barclays_bk'), null);
+  assert.strictEqual(reloaded.resolveVenue({ name: 'Elsewhere Rooftop', lat: 40.7097, lon: -73.9232 }).id, created.id);
+  assert.strictEqual(reloaded.getStats().venues, registry.getStats().venues);
+
+  // The seed is never written
+  const seedIds = JSON.parse(fs.readFileSync(SEED_PATH, 'utf8')).venues.map(venue => venue.id);
+  assert.ok(seedIds.includes('venue_barclays_bk'));
+});
+
+process.on('exit', () => {
+  tempPaths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+});
+
+run('Testing the venue registry');
@@ -0,0 +1,169 @@
+/**
+ * Offline tests for the conflict worker pool (src/utils/workerPool.js)
+ * Starts real worker threads (src/workers/conflictWorker.js) on small analyses and
+ * checks the queue limit (503), timeouts (504, worker replaced) and cancellation (499).
+ *
+ * Usage: node test-worker-pool.js
+ */
+
+const assert = require('assert');
+const { createTestRunner } = require('./test-harness');
+const workerPool = require('./src/utils/workerPool');
+
+const { test, run } = createTestRunner();
+
+const ConflictWorkerPool = workerPool.constructor;
+const createPool = (overrides = {}) => new ConflictWorkerPool({
+  enabled: true,
+  size: 1,
+  minEvents: 500,
+  jobTimeoutMs: 30000,
+  maxQueue: 10,
+  ...overrides
+});
+
+// Two overlapping shows a few hundred metres apart
+const event = (id, lat) => ({
+  id,
+  name: `Show ${id}`,
+  source: 'ticketmaster',
+  start: '2026-11-15T01:00:00.000Z',
+  end: '2026-11-15T04:00:00.000Z',
+  timeKind: 'timed',
+  genres: ['rock'],
+  venue: { id: `venue_${id}`, name: `Venue ${id}`, lat, lon: -73.99, timezone: 'America/New_York' }
+});
+const analyzePayload = () => ({
+  events: [event('a', 40.72), event('b', 40.722)],
+  timeBuffer: 30,
+  venueProximityThreshold: 1,
+  options: {}
+});
+
+const rejectsWithStatus = async (promise, status) => {
+  await assert.rejects(promise, error => {
+    assert.strictEqual(error.status, status, error.message);
+    return true;
+  });
+};
+
+test('run returns the analysis from a worker thread', async () => {
+  const pool = createPool();
+  try {
+    const result = await pool.run(analyzePayload());
+    assert.strictEqual(result.uniqueEvents.length, 2);
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.ok(result.stats, 'analyze jobs report their stats');
+
+    const stats = pool.getStats();
+    assert.strictEqual(stats.completed, 1);
+    assert.strictEqual(stats.workers, 1);
+    assert.strictEqual(stats.busy, 0);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+test('a full queue rejects new jobs with 503', async () => {
+  const pool = createPool({ maxQueue: 1 });
+  try {
+    const running = pool.run(analyzePayload());
+    const queued = pool.run(analyzePayload());
+    assert.strictEqual(pool.getStats().queued, 1);
+
+    await rejectsWithStatus(pool.run(analyzePayload()), 503);
+    assert.strictEqual(pool.getStats().rejected, 1);
+
+    // The accepted jobs still complete
+    await Promise.all([running, queued]);
+    assert.strictEqual(pool.getStats().completed, 2);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+test('a job that times out rejects with 504 and its worker is replaced', async () => {
+  const pool = createPool();
+  try {
+    // Worker startup alone takes longer than 1ms
+    const timedOut = pool.run(analyzePayload(), { timeoutMs: 1 });
+    const [firstWorker] = pool.workers.map(entry => entry.worker);
+    await rejectsWithStatus(timedOut, 504);
+
+    assert.strictEqual(pool.getStats().timedOut, 1);
+    assert.strictEqual(pool.workers.length, 0, 'the timed-out worker is retired');
+
+    const result = await pool.run(analyzePayload());
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(pool.workers.length, 1);
+    assert.notStrictEqual(pool.workers[0].worker, firstWorker, 'a fresh worker runs the next job');
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+test('cancelling a job rejects it with 499', async () => {
+  const pool = createPool();
+  try {
+    // Already aborted: never queued
+    const aborted = new AbortController();
+    aborted.abort();
+    await rejectsWithStatus(pool.run(analyzePayload(), { signal: aborted.signal }), 499);
+    assert.strictEqual(pool.workers.length, 0);
+
+    // Running and queued jobs: the running one's worker is stopped
+    const runningController = new AbortController();
+    const queuedController = new AbortController();
+    const running = pool.run(analyzePayload(), { signal: runningController.signal });
+    const queued = pool.run(analyzePayload(), { signal: queuedController.signal });
+
+    queuedController.abort();
+    await rejectsWithStatus(queued, 499);
+    assert.strictEqual(pool.getStats().queued, 0);
+
+    runningController.abort();
+    await rejectsWithStatus(running, 499);
+    assert.strictEqual(pool.workers.length, 0);
+    assert.strictEqual(pool.getStats().cancelled, 3);
+
+    const result = await pool.run(analyzePayload());
+    assert.strictEqual(result.conflicts.length, 1);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+test('worker errors reject with 500 and unknown tasks are reported', async () => {
+  const pool = createPool();
+  try {
+    await assert.rejects(pool.run({ task: 'noSuchTask' }), error => {
+      assert.strictEqual(error.status, 500);
+      assert.match(error.message, /Unknown worker task: noSuchTask/);
+      return true;
+    });
+    assert.strictEqual(pool.getStats().failed, 1);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+test('shutdown rejects pending jobs with 503', async () => {
+  const pool = createPool();
+  const rejections = [
+    rejectsWithStatus(pool.run(analyzePayload()), 503),
+    rejectsWithStatus(pool.run(analyzePayload()), 503)
+  ];
+
+  await pool.shutdown();
+  await Promise.all(rejections);
+  assert.strictEqual(pool.workers.length, 0);
+});
+
+test('shouldOffload follows the configured size and threshold', () => {
+  assert.strictEqual(createPool().shouldOffload(499), false);
+  assert.strictEqual(createPool().shouldOffload(500), true);
+  assert.strictEqual(createPool({ enabled: false }).shouldOffload(5000), false);
+  assert.strictEqual(createPool({ size: 0 }).shouldOffload(5000), false);
+});
+
+run('Testing the conflict worker pool');